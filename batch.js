@@ -0,0 +1,20 @@
+// Batch Processing
+// Jobs that import or calculate many samples one item at a time. The page hands them to a Web Worker
+// (worker.js) so a file of thousands of rows does not freeze it, and runs them in slices between which the
+// page can redraw where no worker can be started, e.g. when the app is opened from the file system.
+
+// Items handled between two progress reports
+const BATCH_SLICE_SIZE = 250
+
+// Jobs by name; each returns what it makes of one item and the options of the whole job
+const BATCH_JOBS = {
+  // Preview row of an import: its sample and the problems found in it (see buildImportSample)
+  importRows: (row, options) => buildImportSample(row, options),
+  // Indices and dominant metal of a sample's concentrations (see evaluateSample)
+  calculate: (metals, options) => evaluateSample(metals, options),
+}
+
+// Results of the job for the slice of items that starts at start
+function runBatchSlice(job, items, options, start) {
+  return items.slice(start, start + BATCH_SLICE_SIZE).map((item) => BATCH_JOBS[job](item, options))
+}
@@ -0,0 +1,52 @@
+// Below-Detection-Limit Values
+// Lab reports give non-detects as "<0.002", "BDL", "ND" and similar. They are stored as censored values with
+// their limit of detection (LOD) and replaced by a substitute for the index calculations, following the
+// policy chosen for the project.
+
+const SUBSTITUTION_POLICIES = [
+  { id: "zero", label: "0", factor: 0 },
+  { id: "half", label: "LOD/2", factor: 0.5 },
+  { id: "sqrt2", label: "LOD/√2", factor: Math.SQRT1_2 },
+  { id: "lod", label: "LOD", factor: 1 },
+]
+
+const DEFAULT_SUBSTITUTION_POLICY = "half"
+
+// Non-detect markers, compared without case, spaces or dots
+const CENSORED_MARKERS = ["bdl", "nd", "bql", "blq", "lod", "<lod", "dl", "<dl", "mdl", "<mdl", "notdetected", "belowdetectionlimit"]
+
+function getSubstitutionPolicy(id) {
+  return SUBSTITUTION_POLICIES.find((policy) => policy.id === id) || getSubstitutionPolicy(DEFAULT_SUBSTITUTION_POLICY)
+}
+
+function isCensoredMarker(text) {
+  return CENSORED_MARKERS.includes(String(text).toLowerCase().replace(/[\s.]/g, ""))
+}
+
+// Reads a reported concentration: a number, "<LOD" with the limit ("<0.002", "< 0,5", "BDL (0.001)",
+// "ND<0.001"), or a bare non-detect marker whose limit is unknown (lod: null).
+// Returns { value } or { censored: true, lod }; unreadable text gives { value: NaN }.
+function parseConcentration(raw) {
+  const text = String(raw).trim()
+
+  const lessThan = text.match(/^<\s*=?\s*(.+)$/)
+  if (lessThan && !isNaN(parseNumber(lessThan[1]))) {
+    return { censored: true, lod: parseNumber(lessThan[1]) }
+  }
+
+  const markerWithLimit = text.match(/^([a-z.\s]+?)\s*[(<]\s*([-+\d.,]+)\s*\)?$/i)
+  if (markerWithLimit && isCensoredMarker(markerWithLimit[1]) && !isNaN(parseNumber(markerWithLimit[2]))) {
+    return { censored: true, lod: parseNumber(markerWithLimit[2]) }
+  }
+
+  if (isCensoredMarker(text)) {
+    return { censored: true, lod: null }
+  }
+
+  return { value: parseNumber(text) }
+}
+
+// Value used in place of a censored concentration. Without a known LOD there is nothing to scale, so zero is used.
+function substituteCensored(lod, policyId) {
+  return lod === null ? 0 : lod * getSubstitutionPolicy(policyId).factor
+}
@@ -0,0 +1,290 @@
+// Chart Rendering
+// Helpers shared by the charts of the Visualization tab: canvas sizing for the screen's pixel density, hit
+// regions for tooltips and clicks, the window of a zoomed sample chart, legends drawn into exported images,
+// and an SVG context that records the canvas 2D calls a chart makes so it can be saved as a vector image.
+// Chart coordinates are CSS pixels whatever the density of the screen.
+
+// Sizes the canvas backing store for devicePixelRatio and scales its context, so a chart drawn in CSS pixels
+// stays sharp on HiDPI screens. Returns the context.
+function sizeCanvasForDisplay(canvas, width, height) {
+  const ratio = window.devicePixelRatio || 1
+  canvas.width = Math.round(width * ratio)
+  canvas.height = Math.round(height * ratio)
+  canvas.style.width = `${width}px`
+  canvas.style.height = `${height}px`
+
+  const ctx = canvas.getContext("2d")
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+  return ctx
+}
+
+// CSS size of a canvas drawn at width × height, scaled down to fit a narrower container (its border aside).
+// A hidden container has no width and gets the full size.
+function fitCanvasSize(container, width, height) {
+  const available = container.clientWidth - 2
+  const scale = available > 0 ? Math.min(1, available / width) : 1
+  return { width: Math.round(width * scale), height: Math.round(height * scale) }
+}
+
+// Regions are { shape: "rect", x, y, width, height }, { shape: "circle", x, y, radius } or
+// { shape: "slice", x, y, radius, start, end } with angles in radians as given to arc()
+function isInChartRegion(region, x, y) {
+  switch (region.shape) {
+    case "rect":
+      return x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height
+    case "circle":
+      return Math.hypot(x - region.x, y - region.y) <= region.radius
+    case "slice": {
+      if (Math.hypot(x - region.x, y - region.y) > region.radius) return false
+      const offset = (((Math.atan2(y - region.y, x - region.x) - region.start) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)
+      return offset <= region.end - region.start
+    }
+    default:
+      return false
+  }
+}
+
+// Topmost region under a point: regions drawn later lie on top
+function findChartRegion(regions, x, y) {
+  for (let i = regions.length - 1; i >= 0; i--) {
+    if (isInChartRegion(regions[i], x, y)) return regions[i]
+  }
+  return null
+}
+
+// Items of a series of total items shown by a zoomed chart: view { start, count } (count null = all) kept
+// within the series and to at least minimum items
+function clampChartWindow(view, total, minimum = 5) {
+  const count = Math.min(total, Math.max(Math.min(minimum, total), Math.round(view.count ?? total)))
+  const start = Math.min(Math.max(0, Math.round(view.start)), total - count)
+  return { start: start, count: count }
+}
+
+// Every how many items a label is drawn so labels spaced slotWidth apart keep labelSpace pixels between them
+function getLabelStep(slotWidth, labelSpace = 16) {
+  return Math.max(1, Math.ceil(labelSpace / slotWidth))
+}
+
+// Positions of legend items ({ label, color, line }) in rows of at most width pixels
+function layoutChartLegend(ctx, items, width) {
+  ctx.font = "12px sans-serif"
+  const rowHeight = 20
+  const positions = []
+  let x = 0
+  let row = 0
+
+  items.forEach((item) => {
+    const itemWidth = 24 + ctx.measureText(item.label).width + 16
+    if (x > 0 && x + itemWidth > width) {
+      row++
+      x = 0
+    }
+    positions.push({ item, x, y: row * rowHeight })
+    x += itemWidth
+  })
+
+  return { positions, height: items.length > 0 ? (row + 1) * rowHeight + 8 : 0 }
+}
+
+// Draws a legend laid out by layoutChartLegend below a chart, starting at left, top
+function drawChartLegend(ctx, layout, left, top, textColor) {
+  layout.positions.forEach(({ item, x, y }) => {
+    const middle = top + y + 10
+    if (item.line) {
+      ctx.save()
+      ctx.strokeStyle = item.color
+      ctx.lineWidth = 2
+      ctx.setLineDash([5, 3])
+      ctx.beginPath()
+      ctx.moveTo(left + x, middle)
+      ctx.lineTo(left + x + 18, middle)
+      ctx.stroke()
+      ctx.restore()
+    } else {
+      ctx.fillStyle = item.color
+      ctx.fillRect(left + x + 3, middle - 6, 12, 12)
+    }
+
+    ctx.fillStyle = textColor
+    ctx.font = "12px sans-serif"
+    ctx.textAlign = "left"
+    ctx.fillText(item.label, left + x + 24, middle + 4)
+  })
+}
+
+// The part of the CanvasRenderingContext2D API the charts use, writing SVG elements instead of pixels.
+// Transforms are recorded on each element; paths take the transform in effect when they are filled or stroked.
+class SvgContext {
+  constructor(width, height) {
+    this.width = width
+    this.height = height
+    this.elements = []
+    this.stack = []
+    this.path = ""
+    this.hasPoint = false
+    this.fillStyle = "#000000"
+    this.strokeStyle = "#000000"
+    this.lineWidth = 1
+    this.font = "10px sans-serif"
+    this.textAlign = "start"
+    this.lineDash = []
+    this.matrix = [1, 0, 0, 1, 0, 0]
+    this.measureCtx = document.createElement("canvas").getContext("2d")
+  }
+
+  save() {
+    this.stack.push({
+      fillStyle: this.fillStyle,
+      strokeStyle: this.strokeStyle,
+      lineWidth: this.lineWidth,
+      font: this.font,
+      textAlign: this.textAlign,
+      lineDash: this.lineDash,
+      matrix: this.matrix,
+    })
+  }
+
+  restore() {
+    Object.assign(this, this.stack.pop() || {})
+  }
+
+  setLineDash(segments) {
+    this.lineDash = segments.slice()
+  }
+
+  getLineDash() {
+    return this.lineDash.slice()
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this.matrix = [a, b, c, d, e, f]
+  }
+
+  transform(a, b, c, d, e, f) {
+    const [ma, mb, mc, md, me, mf] = this.matrix
+    this.matrix = [ma * a + mc * b, mb * a + md * b, ma * c + mc * d, mb * c + md * d, ma * e + mc * f + me, mb * e + md * f + mf]
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y)
+  }
+
+  rotate(angle) {
+    this.transform(Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0)
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0)
+  }
+
+  beginPath() {
+    this.path = ""
+    this.hasPoint = false
+  }
+
+  moveTo(x, y) {
+    this.path += `M${this.format(x)} ${this.format(y)}`
+    this.hasPoint = true
+  }
+
+  lineTo(x, y) {
+    this.path += `${this.hasPoint ? "L" : "M"}${this.format(x)} ${this.format(y)}`
+    this.hasPoint = true
+  }
+
+  closePath() {
+    this.path += "Z"
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y)
+    this.lineTo(x + width, y)
+    this.lineTo(x + width, y + height)
+    this.lineTo(x, y + height)
+    this.closePath()
+  }
+
+  // Joined to the current point by a line, as on a canvas; a sweep of a full turn or more draws a circle
+  arc(x, y, radius, start, end, counterclockwise = false) {
+    const pointAt = (angle) => `${this.format(x + radius * Math.cos(angle))} ${this.format(y + radius * Math.sin(angle))}`
+    const sweep = counterclockwise ? start - end : end - start
+    const direction = counterclockwise ? 0 : 1
+    const r = this.format(radius)
+
+    this.path += `${this.hasPoint ? "L" : "M"}${pointAt(start)}`
+    this.hasPoint = true
+
+    if (sweep >= 2 * Math.PI) {
+      const middle = start + (counterclockwise ? -Math.PI : Math.PI)
+      this.path += `A${r} ${r} 0 1 ${direction} ${pointAt(middle)}A${r} ${r} 0 1 ${direction} ${pointAt(start)}`
+      return
+    }
+
+    const normalized = ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)
+    this.path += `A${r} ${r} 0 ${normalized > Math.PI ? 1 : 0} ${direction} ${pointAt(end)}`
+  }
+
+  fill() {
+    if (this.path) this.elements.push(`<path d="${this.path}" fill="${escapeXml(this.fillStyle)}"${this.transformAttribute()}/>`)
+  }
+
+  stroke() {
+    if (this.path) this.elements.push(`<path d="${this.path}" fill="none"${this.strokeAttributes()}${this.transformAttribute()}/>`)
+  }
+
+  fillRect(x, y, width, height) {
+    this.elements.push(
+      `<rect x="${this.format(x)}" y="${this.format(y)}" width="${this.format(width)}" height="${this.format(height)}" fill="${escapeXml(this.fillStyle)}"${this.transformAttribute()}/>`,
+    )
+  }
+
+  strokeRect(x, y, width, height) {
+    this.elements.push(
+      `<rect x="${this.format(x)}" y="${this.format(y)}" width="${this.format(width)}" height="${this.format(height)}" fill="none"${this.strokeAttributes()}${this.transformAttribute()}/>`,
+    )
+  }
+
+  // Charts clear the whole canvas before drawing, which for a new SVG document means nothing
+  clearRect() {}
+
+  fillText(text, x, y) {
+    const anchor = { center: "middle", right: "end", end: "end" }[this.textAlign] || "start"
+    this.elements.push(
+      `<text x="${this.format(x)}" y="${this.format(y)}" fill="${escapeXml(this.fillStyle)}" text-anchor="${anchor}" style="font: ${escapeXml(this.font)}"${this.transformAttribute()}>${escapeXml(text)}</text>`,
+    )
+  }
+
+  measureText(text) {
+    if (!this.measureCtx) return { width: String(text).length * 6 }
+    this.measureCtx.font = this.font
+    return this.measureCtx.measureText(text)
+  }
+
+  format(value) {
+    return String(Number(value.toFixed(2)))
+  }
+
+  strokeAttributes() {
+    return (
+      ` stroke="${escapeXml(this.strokeStyle)}" stroke-width="${this.format(this.lineWidth)}"` +
+      (this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.join(" ")}"` : "")
+    )
+  }
+
+  transformAttribute() {
+    const [a, b, c, d, e, f] = this.matrix
+    if (a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0) return ""
+    return ` transform="matrix(${this.matrix.map((value) => this.format(value)).join(" ")})"`
+  }
+
+  // The SVG document, on a filled background when one is given
+  toSvg(background = null) {
+    return (
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">\n` +
+      (background ? `<rect width="100%" height="100%" fill="${escapeXml(background)}"/>\n` : "") +
+      this.elements.join("\n") +
+      "\n</svg>\n"
+    )
+  }
+}
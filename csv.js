@@ -0,0 +1,113 @@
+// CSV Parsing and Writing
+// RFC 4180 parser with delimiter detection, plus the matching serializer used by the exports
+
+const CSV_DELIMITERS = [",", ";", "\t", "|"]
+
+// Splits delimited text into rows of fields. Handles quoted fields containing delimiters, line breaks and
+// doubled quotes, and CRLF, LF or CR line endings.
+function parseDelimited(text, delimiter = ",") {
+  const rows = []
+  let row = []
+  let field = ""
+  let inQuotes = false
+  let i = 0
+
+  while (i < text.length) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"'
+          i += 2
+          continue
+        }
+        inQuotes = false
+      } else {
+        field += char
+      }
+      i++
+      continue
+    }
+
+    if (char === '"' && field === "") {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ""
+    } else if (char === "\r" || char === "\n") {
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+      if (char === "\r" && text[i + 1] === "\n") i++
+    } else {
+      field += char
+    }
+    i++
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+// Picks the delimiter that splits the first lines into the most consistent number of columns
+function detectDelimiter(text) {
+  const sample = text.split(/\r\n|\n|\r/).filter((line) => line.trim() !== "").slice(0, 10).join("\n")
+  let best = ","
+  let bestScore = 0
+
+  CSV_DELIMITERS.forEach((delimiter) => {
+    const counts = parseDelimited(sample, delimiter).map((row) => row.length)
+    if (counts.length === 0 || counts[0] < 2) return
+
+    const consistent = counts.filter((count) => count === counts[0]).length
+    const score = consistent * counts[0]
+    if (score > bestScore) {
+      best = delimiter
+      bestScore = score
+    }
+  })
+
+  return best
+}
+
+// Parses CSV text into a table of trimmed headers and data rows, skipping blank rows. rowNumbers holds the
+// record number of each data row in the file (the header is record 1), for error reports.
+function parseCSVTable(text) {
+  const content = text.replace(/^\uFEFF/, "")
+  const records = parseDelimited(content, detectDelimiter(content))
+    .map((row, index) => ({ row, number: index + 1 }))
+    .filter(({ row }) => row.some((value) => value.trim() !== ""))
+
+  if (records.length === 0) {
+    throw new Error("The file is empty")
+  }
+
+  return {
+    headers: records[0].row.map((header) => header.trim()),
+    rows: records.slice(1).map(({ row }) => row.map((value) => value.trim())),
+    rowNumbers: records.slice(1).map(({ number }) => number),
+  }
+}
+
+// Parses a number written with either a decimal point or a single decimal comma ("0,005");
+// anything else that is not a plain number gives NaN
+function parseNumber(raw) {
+  const text = String(raw).trim()
+  const normalized = /^[-+]?\d*,\d+$/.test(text) ? text.replace(",", ".") : text
+  return normalized === "" ? NaN : Number(normalized)
+}
+
+function toCSVField(value) {
+  const text = value === null || value === undefined ? "" : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toCSV(rows) {
+  return rows.map((row) => row.map(toCSVField).join(",")).join("\r\n")
+}
@@ -0,0 +1,127 @@
+// Sampling Dates
+// Sampling dates are stored as text, "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM", in the local time of the site and
+// without a time zone, as field sheets record them. Numeric dates are read day first (15/03/2024), the
+// convention of Indian lab reports; year-first dates (2024-03-15) and month names (15 Mar 2024) are
+// unambiguous.
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"]
+
+// Day 0 of Excel's 1900 date system; serials count days from here (including the phantom 29 Feb 1900)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30)
+
+// Timestamps that carry a time zone are converted to Indian Standard Time (UTC+05:30), the local time of the
+// sites, so an imported file gives the same sampling times on every computer
+const SITE_UTC_OFFSET_MINUTES = 330
+
+function padDatePart(value, length = 2) {
+  return String(value).padStart(length, "0")
+}
+
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+// "HH:MM" from "14:30", "14.30", "2:30 pm", "14:30:15" or "14:30:15.250"; null when blank, NaN when unreadable
+function parseSamplingTime(raw) {
+  const text = String(raw ?? "").trim()
+  if (!text) return null
+
+  const match = text.match(/^(\d{1,2})[:.](\d{2})(?:[:.](\d{2})(?:\.\d+)?)?\s*(am|pm)?$/i)
+  if (!match) return NaN
+
+  let hours = Number(match[1])
+  const minutes = Number(match[2])
+  const meridiem = match[4] && match[4].toLowerCase()
+
+  if (meridiem && (hours < 1 || hours > 12)) return NaN
+  if (meridiem === "pm" && hours < 12) hours += 12
+  if (meridiem === "am" && hours === 12) hours = 0
+  if (hours > 23 || minutes > 59) return NaN
+
+  return `${padDatePart(hours)}:${padDatePart(minutes)}`
+}
+
+// Sampling date (with the time when the text has one) from a form or an imported cell.
+// Returns "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM", null when blank and NaN when unreadable.
+function parseSamplingDate(raw) {
+  const text = String(raw ?? "").trim()
+  if (!text) return null
+
+  // Excel stores dates as day serials; the fraction is the time of day
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    const date = new Date(EXCEL_EPOCH + Math.round(Number(text) * 1440) * 60000)
+    const day = `${date.getUTCFullYear()}-${padDatePart(date.getUTCMonth() + 1)}-${padDatePart(date.getUTCDate())}`
+    const minutes = date.getUTCHours() * 60 + date.getUTCMinutes()
+    return minutes > 0 ? `${day}T${padDatePart(date.getUTCHours())}:${padDatePart(date.getUTCMinutes())}` : day
+  }
+
+  // ISO 8601 timestamps with a zone, such as the UTC times of GPS tracks
+  const zoned = text.match(/^(\d{4})-(\d{2})-(\d{2})[T\s](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(?:(Z)|([+-])(\d{2}):?(\d{2})?)$/i)
+  if (zoned) {
+    const [year, month, day, hours, minutes] = zoned.slice(1, 6).map(Number)
+    if (!isValidDate(year, month, day) || hours > 23 || minutes > 59) return NaN
+
+    // Minutes east of UTC
+    const offset = zoned[7] ? 0 : (zoned[8] === "-" ? -1 : 1) * (Number(zoned[9]) * 60 + Number(zoned[10] || 0))
+    const date = new Date(Date.UTC(year, month - 1, day, hours, minutes) + (SITE_UTC_OFFSET_MINUTES - offset) * 60000)
+    return `${date.getUTCFullYear()}-${padDatePart(date.getUTCMonth() + 1)}-${padDatePart(date.getUTCDate())}T${padDatePart(date.getUTCHours())}:${padDatePart(date.getUTCMinutes())}`
+  }
+
+  const [datePart, ...timeParts] = text.replace(/,/g, " ").split(/[T\s]+(?=\d{1,2}[:.]\d{2})/)
+  const time = timeParts.length > 0 ? parseSamplingTime(timeParts.join(" ")) : null
+  if (Number.isNaN(time)) return NaN
+
+  let year, month, day
+  let match
+
+  if ((match = datePart.trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) {
+    ;[year, month, day] = [match[1], match[2], match[3]].map(Number)
+  } else if ((match = datePart.trim().match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/))) {
+    ;[day, month, year] = [match[1], match[2], match[3]].map(Number)
+  } else if ((match = datePart.trim().match(/^(\d{1,2})[-\s]+([a-z]{3,})\.?[-\s]+(\d{2}|\d{4})$/i))) {
+    day = Number(match[1])
+    month = MONTH_NAMES.indexOf(match[2].slice(0, 3).toLowerCase()) + 1
+    year = Number(match[3])
+  } else if ((match = datePart.trim().match(/^([a-z]{3,})\.?\s+(\d{1,2})\s+(\d{4})$/i))) {
+    month = MONTH_NAMES.indexOf(match[1].slice(0, 3).toLowerCase()) + 1
+    day = Number(match[2])
+    year = Number(match[3])
+  } else {
+    return NaN
+  }
+
+  if (year < 100) year += 2000
+  if (month < 1 || !isValidDate(year, month, day)) return NaN
+
+  const date = `${year}-${padDatePart(month)}-${padDatePart(day)}`
+  return time ? `${date}T${time}` : date
+}
+
+// Sampling date from separate date and time values; a time without a date cannot be placed and gives NaN
+function combineSamplingDateTime(dateRaw, timeRaw) {
+  const date = parseSamplingDate(dateRaw)
+  const time = parseSamplingTime(timeRaw)
+
+  if (date === null) return time === null ? null : NaN
+  if (Number.isNaN(date) || Number.isNaN(time)) return NaN
+  return time && !date.includes("T") ? `${date}T${time}` : date
+}
+
+// Milliseconds for ordering and plotting. Dates are placed on a UTC axis so no time zone shifts them.
+function samplingTimestamp(sampledAt) {
+  const [date, time = "00:00"] = sampledAt.split("T")
+  const [year, month, day] = date.split("-").map(Number)
+  const [hours, minutes] = time.split(":").map(Number)
+  return Date.UTC(year, month - 1, day, hours, minutes)
+}
+
+// "15 Mar 2024" or "15 Mar 2024 14:30"
+function formatSamplingDate(sampledAt) {
+  if (!sampledAt) return ""
+
+  const [date, time] = sampledAt.split("T")
+  const [year, month, day] = date.split("-").map(Number)
+  const label = `${day} ${MONTH_NAMES[month - 1].charAt(0).toUpperCase()}${MONTH_NAMES[month - 1].slice(1)} ${year}`
+  return time ? `${label} ${time}` : label
+}
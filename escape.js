@@ -0,0 +1,23 @@
+// Markup Escaping
+// Makes user-supplied text (sample, project and file names, imported values) safe to insert into HTML and
+// into the XML files the app writes
+
+// Covers text content and quoted attribute values
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+// Covers text content and double-quoted attribute values; drops control characters XML 1.0 does not allow
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+}
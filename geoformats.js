@@ -0,0 +1,348 @@
+// Spatial Formats
+// Writers for the GIS formats results are exported in: GeoJSON, KML for Google Earth and ESRI shapefiles
+// (zipped with their .dbf attribute table and .prj). Every writer takes located records of the form
+// { name, longitude, latitude, properties } with the attributes described by a list of
+// { name, type: "C" (text) | "N" (number) } columns, all in WGS 84.
+// Readers turn GeoJSON, KML and GPX points into import tables (see importer.js) with Latitude and
+// Longitude columns from the geometry and one column per attribute, so they go through column mapping.
+
+const WGS84_PRJ =
+  'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]'
+
+function writeGeoJSON(records) {
+  return JSON.stringify(
+    {
+      type: "FeatureCollection",
+      features: records.map((record) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [record.longitude, record.latitude] },
+        properties: record.properties,
+      })),
+    },
+    null,
+    2,
+  )
+}
+
+// KML colour (aabbggrr) of a CSS hex colour (#rrggbb)
+function toKmlColor(hex, alpha = "ff") {
+  const [, r, g, b] = hex.match(/^#(..)(..)(..)$/)
+  return `${alpha}${b}${g}${r}`.toLowerCase()
+}
+
+// KML document with one placemark per record. styles: [{ id, color }] referenced by record.styleId;
+// record.when (xsd:dateTime or date) places the sample on Google Earth's time slider.
+function writeKML(documentName, records, columns, styles) {
+  const styleXml = styles
+    .map(
+      (style) => `
+    <Style id="${escapeXml(style.id)}">
+      <IconStyle>
+        <color>${toKmlColor(style.color)}</color>
+        <Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon>
+      </IconStyle>
+    </Style>`,
+    )
+    .join("")
+
+  const placemarkXml = records
+    .map((record) => {
+      const data = columns
+        .filter((column) => ![null, undefined, ""].includes(record.properties[column.name]))
+        .map((column) => `<Data name="${escapeXml(column.name)}"><value>${escapeXml(record.properties[column.name])}</value></Data>`)
+        .join("")
+
+      return `
+    <Placemark>
+      <name>${escapeXml(record.name)}</name>
+      ${record.description ? `<description>${escapeXml(record.description)}</description>` : ""}
+      ${record.when ? `<TimeStamp><when>${escapeXml(record.when)}</when></TimeStamp>` : ""}
+      ${record.styleId ? `<styleUrl>#${escapeXml(record.styleId)}</styleUrl>` : ""}
+      <ExtendedData>${data}</ExtendedData>
+      <Point><coordinates>${record.longitude},${record.latitude}</coordinates></Point>
+    </Placemark>`
+    })
+    .join("")
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(documentName)}</name>${styleXml}${placemarkXml}
+  </Document>
+</kml>
+`
+}
+
+// dBASE field names: at most 10 characters of A-Z, 0-9 and _, unique within the table
+function toDbfFieldNames(names) {
+  const used = new Set()
+
+  return names.map((name) => {
+    const base = (name.toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "FIELD").slice(0, 10)
+    let candidate = base
+    for (let suffix = 1; used.has(candidate); suffix++) {
+      candidate = `${base.slice(0, 10 - String(suffix).length - 1)}_${suffix}`
+    }
+    used.add(candidate)
+    return candidate
+  })
+}
+
+// Plain decimal (never exponent notation) of at most 19 characters, or "" for values that are not numbers
+function formatDbfNumber(value) {
+  if (!Number.isFinite(value)) return ""
+
+  const integerDigits = Math.max(1, Math.floor(Math.log10(Math.abs(value) || 1)) + 1)
+  const text = value.toFixed(Math.max(0, Math.min(8, 19 - integerDigits - 2)))
+  return text.includes(".") ? text.replace(/0+$/, "").replace(/\.$/, "") : text
+}
+
+// dBASE III table of the record attributes. Text is written as UTF-8 (declared in the .cpg file) and
+// truncated to 254 bytes; numbers as 19-character decimals with up to 8 places.
+function writeDbf(records, columns) {
+  const encoder = new TextEncoder()
+  const fieldNames = toDbfFieldNames(columns.map((column) => column.name))
+  const cells = records.map((record) =>
+    columns.map((column) => {
+      const value = record.properties[column.name]
+      if (value === null || value === undefined || value === "") return new Uint8Array(0)
+      if (column.type === "N") return encoder.encode(formatDbfNumber(value))
+      return encoder.encode(String(value))
+    }),
+  )
+  const lengths = columns.map((column, i) =>
+    column.type === "N" ? 19 : Math.min(254, Math.max(1, ...cells.map((row) => row[i].length))),
+  )
+
+  const headerLength = 32 + 32 * columns.length + 1
+  const recordLength = 1 + lengths.reduce((sum, length) => sum + length, 0)
+  const bytes = new Uint8Array(headerLength + recordLength * records.length + 1)
+  const view = new DataView(bytes.buffer)
+  const today = new Date()
+
+  bytes[0] = 0x03
+  bytes[1] = today.getFullYear() - 1900
+  bytes[2] = today.getMonth() + 1
+  bytes[3] = today.getDate()
+  view.setUint32(4, records.length, true)
+  view.setUint16(8, headerLength, true)
+  view.setUint16(10, recordLength, true)
+
+  columns.forEach((column, i) => {
+    const at = 32 + i * 32
+    bytes.set(encoder.encode(fieldNames[i]), at)
+    bytes[at + 11] = column.type.charCodeAt(0)
+    bytes[at + 16] = lengths[i]
+    bytes[at + 17] = column.type === "N" ? 8 : 0
+  })
+  bytes[headerLength - 1] = 0x0d
+
+  records.forEach((record, row) => {
+    let at = headerLength + row * recordLength
+    bytes[at++] = 0x20 // not deleted
+    columns.forEach((column, i) => {
+      const field = bytes.subarray(at, at + lengths[i])
+      field.fill(0x20)
+      let value = cells[row][i]
+
+      if (column.type === "N") {
+        field.set(value, lengths[i] - value.length)
+      } else {
+        // Cut text at a character boundary so the field stays valid UTF-8
+        if (value.length > lengths[i]) {
+          let end = lengths[i]
+          while (end > 0 && (value[end] & 0xc0) === 0x80) end--
+          value = value.subarray(0, end)
+        }
+        field.set(value)
+      }
+      at += lengths[i]
+    })
+  })
+  bytes[bytes.length - 1] = 0x1a
+
+  return bytes
+}
+
+// Point shapefile (.shp) and its index (.shx)
+function writeShpAndShx(records) {
+  const recordSize = 8 + 20
+  const shp = new Uint8Array(100 + recordSize * records.length)
+  const shx = new Uint8Array(100 + 8 * records.length)
+  const longitudes = records.map((record) => record.longitude)
+  const latitudes = records.map((record) => record.latitude)
+  const bounds = [Math.min(...longitudes), Math.min(...latitudes), Math.max(...longitudes), Math.max(...latitudes)]
+
+  // File lengths are counted in 16-bit words; header integers are big-endian, the rest little-endian
+  ;[
+    [shp, shp.length],
+    [shx, shx.length],
+  ].forEach(([bytes, length]) => {
+    const view = new DataView(bytes.buffer)
+    view.setInt32(0, 9994)
+    view.setInt32(24, length / 2)
+    view.setInt32(28, 1000, true)
+    view.setInt32(32, 1, true) // point shapes
+    bounds.forEach((value, i) => view.setFloat64(36 + i * 8, value, true))
+  })
+
+  const shpView = new DataView(shp.buffer)
+  const shxView = new DataView(shx.buffer)
+  records.forEach((record, i) => {
+    const offset = 100 + i * recordSize
+    shpView.setInt32(offset, i + 1)
+    shpView.setInt32(offset + 4, 10)
+    shpView.setInt32(offset + 8, 1, true)
+    shpView.setFloat64(offset + 12, record.longitude, true)
+    shpView.setFloat64(offset + 20, record.latitude, true)
+
+    shxView.setInt32(100 + i * 8, offset / 2)
+    shxView.setInt32(100 + i * 8 + 4, 10)
+  })
+
+  return { shp, shx }
+}
+
+// Zipped shapefile: baseName.shp, .shx, .dbf, .prj and .cpg
+function writeShapefileZip(baseName, records, columns) {
+  const { shp, shx } = writeShpAndShx(records)
+
+  return createZip([
+    { name: `${baseName}.shp`, data: shp },
+    { name: `${baseName}.shx`, data: shx },
+    { name: `${baseName}.dbf`, data: writeDbf(records, columns) },
+    { name: `${baseName}.prj`, data: WGS84_PRJ },
+    { name: `${baseName}.cpg`, data: "UTF-8" },
+  ])
+}
+
+// Position [longitude, latitude] of a feature: the point itself, the first of several points, the middle
+// vertex of a line or the centre of a polygon's outer ring
+function getFeaturePosition(geometry) {
+  const part = getGeometryParts(geometry)[0]
+  if (!part) return null
+  if (part.kind === "point") return part.coordinates
+  if (part.kind === "line") return part.coordinates[Math.floor(part.coordinates.length / 2)]
+  return getRingCentroid(part.coordinates[0])
+}
+
+// Import table of point rows, leaving out the columns that are empty for every point (a GPX file without
+// comments should not offer an empty Comment column for mapping)
+function pointsToTable(rows) {
+  const table = objectsToTable(rows)
+  const used = table.headers.map((_, column) => table.rows.some((row) => row[column] !== ""))
+  return {
+    headers: table.headers.filter((_, column) => used[column]),
+    rows: table.rows.map((row) => row.filter((_, column) => used[column])),
+    rowNumbers: table.rowNumbers,
+  }
+}
+
+// Import table with a row per feature: Latitude and Longitude from the geometry, then the properties.
+// Nested property values are kept as JSON text.
+function geojsonToTable(geojson) {
+  const features = getGeoJSONFeatures(geojson)
+  if (features.length === 0) throw new Error("The file has no GeoJSON features")
+
+  return pointsToTable(
+    features.map((feature) => {
+      const position = getFeaturePosition(feature.geometry)
+      const row = { Latitude: position ? position[1] : "", Longitude: position ? position[0] : "" }
+      Object.entries(feature.properties || {}).forEach(([key, value]) => {
+        row[key] = value !== null && typeof value === "object" ? JSON.stringify(value) : value
+      })
+      return row
+    }),
+  )
+}
+
+// Child elements with the given local name, in any namespace (KML 2.2, Google's gx extensions, GPX 1.0/1.1)
+function getXmlChildren(element, name) {
+  return [...element.children].filter((child) => child.localName === name)
+}
+
+function getXmlChildText(element, name) {
+  const child = getXmlChildren(element, name)[0]
+  return child ? child.textContent.trim() : ""
+}
+
+function parseGeoXml(text, rootName) {
+  const doc = parseXml(text)
+  if (doc.getElementsByTagName("parsererror").length > 0 || doc.documentElement.localName !== rootName) {
+    throw new Error(`The file is not valid ${rootName.toUpperCase()}`)
+  }
+  return doc
+}
+
+// Import table with a row per KML placemark: Name, Description, Date (from a time stamp or the start of a
+// time span), Latitude and Longitude, then the placemark's ExtendedData fields
+function kmlToTable(text) {
+  const doc = parseGeoXml(text, "kml")
+  const placemarks = [...doc.getElementsByTagNameNS("*", "Placemark")]
+  if (placemarks.length === 0) throw new Error("The KML file has no placemarks")
+
+  return pointsToTable(
+    placemarks.map((placemark) => {
+      const point = placemark.getElementsByTagNameNS("*", "Point")[0] || placemark
+      const coordinates = point.getElementsByTagNameNS("*", "coordinates")[0]
+      const [longitude, latitude] = coordinates ? coordinates.textContent.trim().split(/\s+/)[0].split(",") : ["", ""]
+      const when =
+        placemark.getElementsByTagNameNS("*", "when")[0] || placemark.getElementsByTagNameNS("*", "begin")[0]
+
+      const row = {
+        Name: getXmlChildText(placemark, "name"),
+        Description: getXmlChildText(placemark, "description").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim(),
+        Date: when ? when.textContent.trim() : "",
+        Latitude: latitude ?? "",
+        Longitude: longitude ?? "",
+      }
+      ;[...placemark.getElementsByTagNameNS("*", "Data")].forEach((data) => {
+        row[data.getAttribute("name")] = getXmlChildText(data, "value")
+      })
+      ;[...placemark.getElementsByTagNameNS("*", "SimpleData")].forEach((data) => {
+        row[data.getAttribute("name")] = data.textContent.trim()
+      })
+      return row
+    }),
+  )
+}
+
+// KML from a .kmz archive: its doc.kml, or the first .kml file it holds
+async function readKmz(buffer) {
+  const entries = readZip(buffer)
+  const name = entries.has("doc.kml") ? "doc.kml" : [...entries.keys()].find((key) => key.toLowerCase().endsWith(".kml"))
+  if (!name) throw new Error("The KMZ archive has no KML document")
+  return readZipText(entries, name)
+}
+
+// Import table with a row per GPX waypoint (or route point when there are no waypoints): Name,
+// Description, Comment, Date (the recorded time), Elevation, Latitude and Longitude, then any simple values
+// in the point's extensions, such as readings a field app stores with the waypoint
+function gpxToTable(text) {
+  const doc = parseGeoXml(text, "gpx")
+  const waypoints = [...doc.getElementsByTagNameNS("*", "wpt")]
+  const points = waypoints.length > 0 ? waypoints : [...doc.getElementsByTagNameNS("*", "rtept")]
+  if (points.length === 0) throw new Error("The GPX file has no waypoints")
+
+  return pointsToTable(
+    points.map((point) => {
+      const row = {
+        Name: getXmlChildText(point, "name"),
+        Description: getXmlChildText(point, "desc"),
+        Comment: getXmlChildText(point, "cmt"),
+        Date: getXmlChildText(point, "time"),
+        Elevation: getXmlChildText(point, "ele"),
+        Latitude: point.getAttribute("lat") ?? "",
+        Longitude: point.getAttribute("lon") ?? "",
+      }
+      getXmlChildren(point, "extensions").forEach((extensions) => {
+        ;[...extensions.getElementsByTagName("*")]
+          .filter((element) => element.children.length === 0)
+          .forEach((element) => {
+            row[element.localName] = element.textContent.trim()
+          })
+      })
+      return row
+    }),
+  )
+}
@@ -0,0 +1,111 @@
+// Health Risk Assessment
+// Drinking water ingestion risk after USEPA (1989, 2004), for adults and children:
+// CDI = C × IR × EF × ED / (BW × AT), HQ = CDI / RfD, HI = ΣHQ and cancer risk CR = CDI × SF.
+// The averaging time AT is the exposure duration for non-carcinogenic effects and a lifetime for cancer,
+// so the cancer intake is spread over LIFETIME_YEARS. Concentrations are in mg/L, intakes in mg/kg/day.
+
+const LIFETIME_YEARS = 70
+
+const EXPOSURE_PARAMETERS = [
+  { key: "ingestionRate", label: "Ingestion rate", unit: "L/day" },
+  { key: "bodyWeight", label: "Body weight", unit: "kg" },
+  { key: "exposureFrequency", label: "Exposure frequency", unit: "days/year" },
+  { key: "exposureDuration", label: "Exposure duration", unit: "years" },
+]
+
+// USEPA Exposure Factors Handbook values commonly used for groundwater in India
+const EXPOSURE_GROUPS = [
+  { id: "adult", label: "Adults", defaults: { ingestionRate: 2.5, bodyWeight: 70, exposureFrequency: 365, exposureDuration: 30 } },
+  { id: "child", label: "Children", defaults: { ingestionRate: 0.78, bodyWeight: 15, exposureFrequency: 365, exposureDuration: 6 } },
+]
+
+const HAZARD_INDEX_BANDS = [
+  { max: 1, label: "No concern", level: "safe" },
+  { max: Infinity, label: "Adverse effects possible", level: "hazardous" },
+]
+
+// USEPA target range: below one in a million negligible, above one in ten thousand unacceptable
+const CANCER_RISK_BANDS = [
+  { max: 1e-6, label: "Negligible", level: "safe" },
+  { max: 1e-4, label: "Tolerable", level: "moderate" },
+  { max: Infinity, label: "Unacceptable", level: "hazardous" },
+]
+
+function getDefaultExposure() {
+  return Object.fromEntries(EXPOSURE_GROUPS.map((group) => [group.id, { ...group.defaults }]))
+}
+
+// Problems with edited exposure parameters, e.g. "Children: body weight must be greater than zero"
+function getExposureErrors(exposure) {
+  const errors = []
+
+  EXPOSURE_GROUPS.forEach((group) => {
+    EXPOSURE_PARAMETERS.forEach((parameter) => {
+      const value = exposure[group.id][parameter.key]
+      if (!Number.isFinite(value) || value <= 0) {
+        errors.push(`${group.label}: ${parameter.label.toLowerCase()} must be greater than zero`)
+      }
+    })
+    if (exposure[group.id].exposureFrequency > 366) {
+      errors.push(`${group.label}: exposure frequency cannot exceed 366 days a year`)
+    }
+    if (exposure[group.id].exposureDuration > LIFETIME_YEARS) {
+      errors.push(`${group.label}: exposure duration cannot exceed the ${LIFETIME_YEARS}-year lifetime`)
+    }
+  })
+
+  return errors
+}
+
+// Chronic daily intake (mg/kg/day) of a concentration averaged over the given number of years
+function calculateCDI(concentration, parameters, averagingYears) {
+  const { ingestionRate, bodyWeight, exposureFrequency, exposureDuration } = parameters
+  return (concentration * ingestionRate * exposureFrequency * exposureDuration) / (bodyWeight * averagingYears * 365)
+}
+
+function classifyRisk(bands, value) {
+  return bands.find((band) => value <= band.max) || bands[bands.length - 1]
+}
+
+// Per-metal intake, hazard quotient and cancer risk for one exposure group, with their sums. Metals without
+// an RfD are left out; hazardIndex and cancerRisk are null when no metal of the sample has a value.
+function assessGroupRisk(metals, parameters) {
+  const rows = []
+
+  for (const [key, concentration] of Object.entries(metals)) {
+    const metal = getMetal(key)
+    if (!metal || !metal.oralRfD) continue
+
+    const cdi = calculateCDI(concentration, parameters, parameters.exposureDuration)
+    const row = { metal: key, concentration, cdi, rfd: metal.oralRfD, hq: cdi / metal.oralRfD }
+    if (metal.slopeFactor) {
+      row.slopeFactor = metal.slopeFactor
+      row.lifetimeCdi = calculateCDI(concentration, parameters, LIFETIME_YEARS)
+      row.cancerRisk = row.lifetimeCdi * metal.slopeFactor
+    }
+    rows.push(row)
+  }
+
+  const carcinogens = rows.filter((row) => row.cancerRisk !== undefined)
+  const hazardIndex = rows.length > 0 ? rows.reduce((sum, row) => sum + row.hq, 0) : null
+  const cancerRisk = carcinogens.length > 0 ? carcinogens.reduce((sum, row) => sum + row.cancerRisk, 0) : null
+
+  return {
+    rows: rows,
+    hazardIndex: hazardIndex,
+    hazardBand: hazardIndex === null ? null : classifyRisk(HAZARD_INDEX_BANDS, hazardIndex),
+    cancerRisk: cancerRisk,
+    cancerBand: cancerRisk === null ? null : classifyRisk(CANCER_RISK_BANDS, cancerRisk),
+  }
+}
+
+// Risk of every exposure group, keyed by group id
+function assessHealthRisk(metals, exposure) {
+  return Object.fromEntries(EXPOSURE_GROUPS.map((group) => [group.id, assessGroupRisk(metals, exposure[group.id])]))
+}
+
+// Cancer risks are shown in scientific notation, e.g. 2.4e-5
+function formatRisk(value) {
+  if (value === null || value === undefined) return "N/A"
+  return value === 0 ? "0" : value.toExponential(2)
+}
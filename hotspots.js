@@ -0,0 +1,209 @@
+// Spatial Hotspots
+// Local statistics that tell whether a well sits in a cluster of high (or low) values more than chance would
+// give: Getis-Ord Gi* and local Moran's I, with binary weights over a distance band. Neighbouring significant
+// wells are joined into hotspot areas, and DBSCAN groups nearby hazardous samples regardless of statistics.
+// Distances are in km on the flat projection used for interpolation (see interpolation.js).
+
+const HOTSPOT_METHODS = [
+  { id: "none", label: "No hotspot analysis" },
+  { id: "gi", label: "Getis-Ord Gi*" },
+  { id: "moran", label: "Local Moran's I" },
+]
+
+// Two-sided critical z-scores and the confidence they stand for
+const HOTSPOT_CONFIDENCE = [
+  { z: 2.576, label: "99%" },
+  { z: 1.96, label: "95%" },
+  { z: 1.645, label: "90%" },
+]
+
+// Standard normal cumulative distribution (Abramowitz and Stegun 26.2.17, error below 7.5e-8)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z))
+  const density = Math.exp((-z * z) / 2) / Math.sqrt(2 * Math.PI)
+  const tail = density * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))))
+  return z >= 0 ? 1 - tail : tail
+}
+
+function twoSidedPValue(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)))
+}
+
+// Confidence label ("99%", "95%", "90%") of a z-score, or "" when it is not significant
+function getHotspotConfidence(z) {
+  const level = HOTSPOT_CONFIDENCE.find((candidate) => Math.abs(z) >= candidate.z)
+  return level ? level.label : ""
+}
+
+// The latest result at every location (coordinates equal to six decimals), undated results counting as
+// oldest. Repeat samples of a well would otherwise be neighbours at zero distance of each other.
+function selectLatestPerLocation(results) {
+  const time = (result) => (result.sampledAt ? samplingTimestamp(result.sampledAt) : -Infinity)
+  const latest = new Map()
+
+  results.forEach((result) => {
+    const key = `${result.longitude.toFixed(6)},${result.latitude.toFixed(6)}`
+    const current = latest.get(key)
+    if (!current || time(result) >= time(current)) latest.set(key, result)
+  })
+
+  return results.filter((result) => latest.get(`${result.longitude.toFixed(6)},${result.latitude.toFixed(6)}`) === result)
+}
+
+// Planar positions (km) and the pairwise distance matrix of the points
+function getDistanceMatrix(points) {
+  const project = createLocalProjection(points)
+  const positions = points.map((point) => project(point.longitude, point.latitude))
+  return positions.map((a) => positions.map((b) => Math.hypot(a.x - b.x, a.y - b.y)))
+}
+
+// Default distance band: the largest nearest-neighbour distance, so every well has at least one neighbour
+function getDefaultDistanceBand(distances) {
+  const nearest = distances.map((row, i) => Math.min(...row.filter((distance, j) => j !== i)))
+  return Math.max(...nearest.filter(Number.isFinite), 0)
+}
+
+// Getis-Ord Gi* (self included) as a z-score for every point. Positive values are hot spots.
+function computeGiStar(values, distances, band) {
+  const n = values.length
+  const mean = values.reduce((sum, value) => sum + value, 0) / n
+  const deviation = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0) / n - mean * mean)
+
+  return values.map((_, i) => {
+    let weightSum = 0
+    let weightedSum = 0
+    distances[i].forEach((distance, j) => {
+      if (distance <= band) {
+        weightSum++
+        weightedSum += values[j]
+      }
+    })
+
+    // With binary weights the sum of squared weights equals the sum of weights
+    const denominator = deviation * Math.sqrt((n * weightSum - weightSum * weightSum) / (n - 1))
+    return denominator > 0 ? (weightedSum - mean * weightSum) / denominator : 0
+  })
+}
+
+// Local Moran's I (Anselin, 1995) with its z-score under randomisation for every point. Significant positive
+// values are clusters (high-high or low-low), negative values outliers (high-low or low-high).
+function computeLocalMoran(values, distances, band) {
+  const n = values.length
+  const mean = values.reduce((sum, value) => sum + value, 0) / n
+  const deviations = values.map((value) => value - mean)
+  const m2 = deviations.reduce((sum, z) => sum + z * z, 0) / n
+  const m4 = deviations.reduce((sum, z) => sum + Math.pow(z, 4), 0) / n
+  const b2 = m2 > 0 ? m4 / (m2 * m2) : 0
+
+  return deviations.map((z, i) => {
+    const neighbours = distances[i].map((distance, j) => j).filter((j) => j !== i && distances[i][j] <= band)
+    const k = neighbours.length
+    const lag = neighbours.reduce((sum, j) => sum + deviations[j], 0)
+    const moran = m2 > 0 ? (z / m2) * lag : 0
+
+    const expected = -k / (n - 1)
+    const variance =
+      n > 2
+        ? (k * (n - b2)) / (n - 1) + (k * (k - 1) * (2 * b2 - n)) / ((n - 1) * (n - 2)) - expected * expected
+        : 0
+    const score = variance > 0 ? (moran - expected) / Math.sqrt(variance) : 0
+
+    let type = ""
+    if (twoSidedPValue(score) < 0.05 && k > 0) {
+      if (moran > 0) type = z > 0 ? "high-high" : "low-low"
+      else type = z > 0 ? "high-low" : "low-high"
+    }
+    return { moran, z: score, type }
+  })
+}
+
+// DBSCAN: cluster number of every point (0, 1, ...) or -1 for noise. Points within eps of at least
+// minPoints - 1 others are cores; clusters grow from cores through their neighbours.
+function clusterDBSCAN(distances, eps, minPoints) {
+  const labels = new Array(distances.length).fill(undefined)
+  const neighbours = (i) => distances[i].map((distance, j) => (distance <= eps ? j : -1)).filter((j) => j >= 0)
+  let cluster = 0
+
+  distances.forEach((_, i) => {
+    if (labels[i] !== undefined) return
+
+    const seeds = neighbours(i)
+    if (seeds.length < minPoints) {
+      labels[i] = -1
+      return
+    }
+
+    labels[i] = cluster
+    for (let position = 0; position < seeds.length; position++) {
+      const j = seeds[position]
+      if (labels[j] === -1) labels[j] = cluster
+      if (labels[j] !== undefined) continue
+
+      labels[j] = cluster
+      const reach = neighbours(j)
+      if (reach.length >= minPoints) seeds.push(...reach.filter((candidate) => !seeds.includes(candidate)))
+    }
+    cluster++
+  })
+
+  return labels
+}
+
+// Groups of the selected points joined when within the band of each other: arrays of point indexes
+function groupConnectedPoints(indexes, distances, band) {
+  const remaining = new Set(indexes)
+  const groups = []
+
+  indexes.forEach((start) => {
+    if (!remaining.has(start)) return
+    remaining.delete(start)
+    const group = [start]
+
+    for (let position = 0; position < group.length; position++) {
+      remaining.forEach((candidate) => {
+        if (distances[group[position]][candidate] <= band) {
+          remaining.delete(candidate)
+          group.push(candidate)
+        }
+      })
+    }
+    groups.push(group)
+  })
+
+  return groups
+}
+
+// Convex hull (monotone chain) of [x, y] positions, counter-clockwise
+function convexHull(positions) {
+  const sorted = positions.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1])
+  if (sorted.length < 3) return sorted
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0])
+  const half = (list) => {
+    const hull = []
+    list.forEach((point) => {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop()
+      hull.push(point)
+    })
+    hull.pop()
+    return hull
+  }
+
+  return [...half(sorted), ...half(sorted.slice().reverse())]
+}
+
+// Area around a group of points: the convex hull of a circle of radiusKm around each, so single wells and
+// pairs also get an area. Returned as a closed ring of [longitude, latitude].
+function getHotspotPolygon(points, radiusKm) {
+  const circle = points.flatMap((point) => {
+    const latitudeRadius = radiusKm / KM_PER_DEGREE_LATITUDE
+    const longitudeRadius = radiusKm / (KM_PER_DEGREE_LONGITUDE * Math.cos((point.latitude * Math.PI) / 180))
+    return Array.from({ length: 16 }, (_, step) => {
+      const angle = (step / 16) * 2 * Math.PI
+      return [point.longitude + longitudeRadius * Math.cos(angle), point.latitude + latitudeRadius * Math.sin(angle)]
+    })
+  })
+
+  const hull = convexHull(circle)
+  return [...hull, hull[0]]
+}
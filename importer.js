@@ -0,0 +1,397 @@
+// Import Column Mapping
+// Fields an imported column can be assigned to, header aliases used to recognise them automatically (most
+// preferred first; bare "x" and "y" are left out, as they are as often projected metres or plot positions as
+// degrees), and helpers that turn a parsed table into records keyed by field. Every importer produces a table
+// of headers and rows, so the same mapping step and saved templates apply to all file formats. Records are then
+// read into samples and checked row by row, here rather than on the page so a Web Worker can do it (see
+// batch.js).
+const IMPORT_FIELDS = [
+  {
+    key: "sampleName",
+    label: "Sample name",
+    aliases: ["sample name", "sample", "sample id", "sample code", "sample no", "sample number", "name", "id"],
+  },
+  {
+    key: "site",
+    label: "Site / well ID",
+    aliases: ["site", "site id", "site name", "site code", "well", "well id", "well no", "well name", "station", "station name", "station id", "location", "location name", "location id", "borehole", "bore well", "tube well"],
+  },
+  {
+    key: "sampleDate",
+    label: "Sampling date",
+    aliases: ["date", "sampling date", "sample date", "date sampled", "date of sampling", "collection date", "date of collection", "sampled on", "datetime", "date time", "sampling datetime", "timestamp"],
+  },
+  {
+    key: "sampleTime",
+    label: "Sampling time",
+    aliases: ["time", "sampling time", "sample time", "time sampled", "collection time"],
+  },
+  {
+    key: "latitude",
+    label: "Latitude",
+    aliases: ["latitude", "lat", "lat dd", "latitude dd"],
+  },
+  {
+    key: "longitude",
+    label: "Longitude",
+    aliases: ["longitude", "lon", "lng", "long", "lon dd", "longitude dd"],
+  },
+  {
+    key: "sampleType",
+    label: "Sample type (QC)",
+    aliases: ["sample type", "type", "qc type", "qc", "qa qc", "qaqc", "qc sample type"],
+  },
+  {
+    key: "qcReference",
+    label: "Duplicate of / reference material",
+    aliases: ["qc reference", "duplicate of", "original sample", "parent sample", "parent", "reference material", "crm name", "material"],
+  },
+  {
+    key: "batch",
+    label: "Batch",
+    aliases: ["batch", "batch id", "batch no", "batch number", "lab batch", "analytical batch", "run", "run id"],
+  },
+  ...METAL_REGISTRY.map((metal) => ({
+    key: metal.key,
+    label: `${metal.name} (${metal.symbol})`,
+    aliases: [metal.key, metal.name, `${metal.name} ${metal.symbol}`, `${metal.symbol} ${metal.name}`, `total ${metal.symbol}`, `${metal.symbol} total`],
+  })),
+]
+
+// Reduces a header to lowercase letters and digits, without a bracketed or trailing concentration unit,
+// so "Pb (mg/L)", "Cd ppb", "Sample ID" and "sample_id" compare equal to their aliases
+function normalizeHeader(header) {
+  const compact = compactUnitText(String(header).replace(/\(.*?\)|\[.*?\]/g, ""))
+  return stripUnitSuffix(compact)
+}
+
+function getImportField(key) {
+  return IMPORT_FIELDS.find((field) => field.key === key)
+}
+
+// Field a header names and the position of the matching alias (lower is preferred), or null
+function findFieldForHeader(header) {
+  const normalized = normalizeHeader(header)
+
+  for (const field of IMPORT_FIELDS) {
+    const rank = field.aliases.findIndex((alias) => normalizeHeader(alias) === normalized)
+    if (rank >= 0) return { key: field.key, rank: rank }
+  }
+  return null
+}
+
+// Field key for every column ("" = ignored). A field is assigned to one column only: the one matching its
+// most preferred alias, so "Name" wins over "ID", and the first of equally good columns.
+function autoMapColumns(headers) {
+  const matches = headers.map((header) => findFieldForHeader(header))
+  const best = new Map()
+
+  matches.forEach((match, column) => {
+    if (!match) return
+    const current = best.get(match.key)
+    if (current === undefined || match.rank < matches[current].rank) best.set(match.key, column)
+  })
+
+  return matches.map((match, column) => (match && best.get(match.key) === column ? match.key : ""))
+}
+
+// Problems that stop a mapping from being imported as it stands
+function getMappingErrors(mapping) {
+  const errors = []
+  const assigned = mapping.filter((key) => key)
+
+  if (!assigned.some((key) => getMetal(key))) {
+    errors.push("Assign at least one column to a metal")
+  }
+
+  const duplicates = [...new Set(assigned.filter((key, index) => assigned.indexOf(key) !== index))]
+  duplicates.forEach((key) => errors.push(`${getImportField(key).label} is assigned to more than one column`))
+
+  return errors
+}
+
+// A mapping can be used without review when every column was recognised and samples can be named, by a
+// name column or a site column
+function isCompleteMapping(mapping) {
+  return (
+    mapping.every((key) => key) &&
+    (mapping.includes("sampleName") || mapping.includes("site")) &&
+    getMappingErrors(mapping).length === 0
+  )
+}
+
+function applyColumnMapping(table, mapping) {
+  return table.rows.map((row) => {
+    const record = {}
+    mapping.forEach((key, column) => {
+      if (key) record[key] = row[column] === undefined ? "" : row[column]
+    })
+    return record
+  })
+}
+
+// Concentration unit of every metal column ("" for other columns), from a units row directly below the
+// headers or from the headers themselves; templateUnits fills columns that name no unit, then mg/L.
+// unitsRow is true when the first data row holds units and should be dropped from the data.
+function detectColumnUnits(table, mapping, templateUnits = []) {
+  const metalColumns = mapping.map((key, column) => (getMetal(key) ? column : -1)).filter((column) => column >= 0)
+  const firstRow = table.rows[0] || []
+  const rowCells = metalColumns.map((column) => firstRow[column]).filter((value) => value !== undefined && value !== "")
+  const unitsRow = rowCells.length > 0 && rowCells.every((value) => parseUnit(value))
+
+  const units = mapping.map((key, column) => {
+    if (!getMetal(key)) return ""
+    return (
+      (unitsRow && parseUnit(firstRow[column])) ||
+      detectHeaderUnit(table.headers[column]) ||
+      templateUnits[column] ||
+      getMetal(key).unit
+    )
+  })
+
+  return { units, unitsRow }
+}
+
+const DETECTION_LIMIT_ROW_LABEL = /^(lod|dl|mdl|detection limits?|limits? of detection|method detection limits?|reporting limits?)\b/i
+
+// A row giving each column's limit of detection, recognised by its label in the name column (or the first
+// column when no name column is mapped). Used for non-detects reported without a limit ("BDL", "ND").
+// Returns { rowIndex, values } with the cells of that row, or null.
+function detectLimitRow(table, mapping) {
+  const labelColumn = Math.max(0, mapping.indexOf("sampleName"))
+  const rowIndex = table.rows.findIndex((row) => DETECTION_LIMIT_ROW_LABEL.test(String(row[labelColumn] ?? "").trim()))
+  if (rowIndex < 0) return null
+
+  return { rowIndex, values: table.rows[rowIndex] }
+}
+
+// Per-column values (units, detection limits) keyed by the metal each column is mapped to, e.g. { cd: "µg/L" }
+function getMetalFieldValues(mapping, values) {
+  const fieldValues = {}
+  mapping.forEach((key, column) => {
+    if (getMetal(key) && values[column] !== undefined && values[column] !== "") fieldValues[key] = values[column]
+  })
+  return fieldValues
+}
+
+// Index of the row that names the columns: the one among the first rows with the most recognised headers,
+// so title rows above a spreadsheet's header are skipped. Falls back to the first non-empty row.
+function detectHeaderRow(rows) {
+  let best = -1
+  let bestScore = 0
+
+  rows.slice(0, 20).forEach((row, index) => {
+    const score = autoMapColumns(row).filter((key) => key).length
+    if (score > bestScore) {
+      best = index
+      bestScore = score
+    }
+  })
+
+  if (best >= 0) return best
+  const firstFilled = rows.findIndex((row) => row.some((value) => String(value).trim() !== ""))
+  return Math.max(0, firstFilled)
+}
+
+// Table from spreadsheet rows, using the given row as headers and the non-blank rows below it as data.
+// rowNumbers holds the sheet row number of each data row.
+function rowsToTable(rows, headerRow) {
+  const body = rows
+    .map((row, index) => ({ row, number: index + 1 }))
+    .slice(headerRow + 1)
+    .filter(({ row }) => row.some((value) => String(value).trim() !== ""))
+  const width = Math.max((rows[headerRow] || []).length, ...body.map(({ row }) => row.length))
+
+  return {
+    headers: Array.from({ length: width }, (_, column) => String((rows[headerRow] || [])[column] ?? "").trim()),
+    rows: body.map(({ row }) => Array.from({ length: width }, (_, column) => String(row[column] ?? "").trim())),
+    rowNumbers: body.map(({ number }) => number),
+  }
+}
+
+// Table form of an array of plain objects (JSON import); headers are the union of the object keys
+function objectsToTable(items) {
+  const headers = []
+  items.forEach((item) => {
+    Object.keys(item).forEach((key) => {
+      if (!headers.includes(key)) headers.push(key)
+    })
+  })
+
+  return {
+    headers: headers,
+    rows: items.map((item) =>
+      headers.map((header) => (item[header] === null || item[header] === undefined ? "" : String(item[header]))),
+    ),
+    rowNumbers: items.map((item, index) => index + 1),
+  }
+}
+
+// Saved mapping templates store the field of each header by its normalized name, so a lab's sheet is
+// recognised again even if its columns are reordered
+function createMappingTemplate(name, headers, mapping, units) {
+  const columns = {}
+  const columnUnits = {}
+  headers.forEach((header, index) => {
+    columns[normalizeHeader(header)] = mapping[index]
+    if (units[index]) columnUnits[normalizeHeader(header)] = units[index]
+  })
+
+  return {
+    id: `template-${Date.now()}`,
+    name: name,
+    columns: columns,
+    units: columnUnits,
+    createdAt: new Date().toISOString(),
+  }
+}
+
+function templateMatchesHeaders(template, headers) {
+  const normalized = headers.map(normalizeHeader)
+  const templateHeaders = Object.keys(template.columns)
+  return templateHeaders.length === normalized.length && normalized.every((header) => header in template.columns)
+}
+
+// Mapping for the given headers from a template; headers the template does not know keep the fallback
+function mapColumnsWithTemplate(template, headers, fallback) {
+  return headers.map((header, index) => {
+    const key = template.columns[normalizeHeader(header)]
+    return key === undefined ? fallback[index] : key
+  })
+}
+
+// Units saved with a template for the given headers ("" where the template has none)
+function templateUnitsForHeaders(template, headers) {
+  const units = (template && template.units) || {}
+  return headers.map((header) => units[normalizeHeader(header)] || "")
+}
+
+// Reads the registry parameters from a form or an imported row and converts them to the registry unit.
+// Blank values mean "not measured" and are left out of the sample, so indices are computed from the
+// parameters that are present. The values as reported, with their units, are kept for traceability.
+// Non-detects ("<0.002", "BDL") are recorded in censored with their LOD (from the value, or else from
+// getLimit) and enter metals as the substitute of the given policy.
+function readMetalValues(getValue, getUnit = () => null, getLimit = () => null, policyId = DEFAULT_SUBSTITUTION_POLICY) {
+  const metals = {}
+  const reported = {}
+  const censored = {}
+
+  METAL_REGISTRY.forEach((metal) => {
+    const raw = getValue(metal.key)
+    if (raw === null || raw === undefined || String(raw).trim() === "") return
+
+    const parsed = parseConcentration(raw)
+    const unit = getUnit(metal.key) || metal.unit
+
+    if (parsed.censored) {
+      const limitText = getLimit(metal.key)
+      const lod = parsed.lod ?? (limitText ? parseNumber(String(limitText).replace(/^\s*</, "")) : null)
+      const lodInRegistryUnit = lod === null || isNaN(lod) ? null : convertConcentration(lod, unit, metal.unit)
+
+      censored[metal.key] = { lod: lodInRegistryUnit }
+      metals[metal.key] = substituteCensored(lodInRegistryUnit, policyId)
+      reported[metal.key] = { value: String(raw).trim(), unit }
+      return
+    }
+
+    metals[metal.key] = convertConcentration(parsed.value, unit, metal.unit)
+    reported[metal.key] = { value: parsed.value, unit }
+  })
+
+  return { metals, reported, censored }
+}
+
+// Every problem with a sample as { field, message }, where field is the import field it concerns
+// ("metals" when no concentration was given at all)
+function getSampleFieldErrors(sample) {
+  const errors = []
+
+  if (!sample.name.trim()) {
+    errors.push({ field: "sampleName", message: "Sample name is required" })
+  }
+
+  if (Object.keys(sample.metals).length === 0) {
+    errors.push({ field: "metals", message: "Enter at least one metal concentration" })
+  }
+
+  if (sample.type === "duplicate" && !sample.qcReference) {
+    errors.push({ field: "qcReference", message: "A field duplicate needs the name of its original sample" })
+  } else if (sample.type === "crm" && !sample.qcReference) {
+    errors.push({ field: "qcReference", message: "A reference material sample needs the name of the material" })
+  }
+
+  for (const [metal, value] of Object.entries(sample.metals)) {
+    if (isNaN(value)) {
+      errors.push({ field: metal, message: `Invalid ${getMetalSymbol(metal)} concentration` })
+    } else if (value < 0) {
+      errors.push({ field: metal, message: `${getMetalSymbol(metal)} concentration cannot be negative` })
+    }
+  }
+
+  for (const [metal, entry] of Object.entries(sample.censored || {})) {
+    if (entry.lod !== null && (isNaN(entry.lod) || entry.lod <= 0)) {
+      errors.push({ field: metal, message: `Invalid ${getMetalSymbol(metal)} detection limit` })
+    }
+  }
+
+  if (Number.isNaN(sample.sampledAt)) {
+    errors.push({ field: "sampleDate", message: "Sampling date must be a date such as 2024-03-15 or 15/03/2024" })
+  } else if (sample.sampledAt && samplingTimestamp(sample.sampledAt.split("T")[0]) > Date.now()) {
+    errors.push({ field: "sampleDate", message: "Sampling date is in the future" })
+  }
+
+  if (sample.latitude !== null && isNaN(sample.latitude)) {
+    errors.push({ field: "latitude", message: "Coordinates must be numbers in decimal degrees" })
+  } else if (sample.latitude !== null && (sample.latitude < -90 || sample.latitude > 90)) {
+    errors.push({ field: "latitude", message: "Latitude must be between -90 and 90 degrees" })
+  }
+
+  if (sample.longitude !== null && isNaN(sample.longitude)) {
+    errors.push({ field: "longitude", message: "Coordinates must be numbers in decimal degrees" })
+  } else if (sample.longitude !== null && (sample.longitude < -180 || sample.longitude > 180)) {
+    errors.push({ field: "longitude", message: "Longitude must be between -180 and 180 degrees" })
+  }
+
+  return errors
+}
+
+// Sample for an import preview row from its (possibly edited) record, with the problems found in each field.
+// options gives the units and detection limits of the metal fields, the batchId and source of the import
+// and the substitution policy for non-detects.
+function buildImportSample(row, options) {
+  const record = row.record
+  const date = parseSamplingDate(record.sampleDate)
+  const time = parseSamplingTime(record.sampleTime)
+
+  const sample = {
+    id: `${options.batchId}_${row.index}`,
+    name: String(record.sampleName ?? "").trim(),
+    site: String(record.site ?? "").trim(),
+    // Problems with the time column are reported on that column, so the date is kept on its own here
+    sampledAt: typeof date === "string" && typeof time === "string" ? combineSamplingDateTime(date, time) : date,
+    latitude: String(record.latitude ?? "").trim() ? parseNumber(record.latitude) : null,
+    longitude: String(record.longitude ?? "").trim() ? parseNumber(record.longitude) : null,
+    type: parseSampleType(record.sampleType) || "regular",
+    qcReference: String(record.qcReference ?? "").trim(),
+    // Files without a batch column form one batch
+    batch: String(record.batch ?? "").trim() || options.source,
+    ...readMetalValues(
+      (key) => record[key],
+      (key) => options.units[key],
+      (key) => options.detectionLimits[key],
+      options.substitutionPolicy,
+    ),
+  }
+  const errors = getSampleFieldErrors(sample)
+
+  if (parseSampleType(record.sampleType) === null) {
+    errors.push({ field: "sampleType", message: "Sample type must be regular, duplicate, blank or CRM" })
+  }
+  if (Number.isNaN(time)) {
+    errors.push({ field: "sampleTime", message: "Sampling time must be a time such as 14:30" })
+  } else if (time && date === null) {
+    errors.push({ field: "sampleTime", message: "Sampling time is given without a sampling date" })
+  }
+
+  return { sample, errors }
+}
@@ -0,0 +1,231 @@
+// Pollution Indices
+// Registry of the indices computed for every sample. Each index has its own formula and classification
+// bands; every band maps onto one of the app's three colour levels (safe, moderate, hazardous).
+
+const INDEX_LEVELS = ["safe", "moderate", "hazardous"]
+
+function formatLevel(level) {
+  return level ? level.charAt(0).toUpperCase() + level.slice(1) : "Not rated"
+}
+
+// Ideal value Ii: the acceptable (desirable) limit where the profile distinguishes it from the permissible
+// limit, otherwise zero
+function getIdealValue(limit) {
+  return limit.acceptable < limit.permissible ? limit.acceptable : 0
+}
+
+// Per-metal terms of the HPI so the value can be checked by hand.
+// mohan:  Wi = 1/Si, Qi = |Mi - Ii| / (Si - Ii) x 100, HPI = sum(WiQi) / sum(Wi)
+// legacy: Wi = fixed weight, Qi = Mi / Si x 100
+function calculateHPIBreakdown(metals, profile, method, legacyWeights) {
+  const rows = []
+  let sumWeights = 0
+  let sumProducts = 0
+
+  for (const [metal, concentration] of Object.entries(metals)) {
+    const limit = profile.limits[metal]
+    if (!limit) continue
+
+    const standard = limit.permissible
+    let ideal, weight, subIndex
+
+    if (method === "legacy") {
+      weight = legacyWeights[metal]
+      if (!weight) continue
+      ideal = 0
+      subIndex = (concentration / standard) * 100
+    } else {
+      ideal = getIdealValue(limit)
+      weight = 1 / standard
+      subIndex = (Math.abs(concentration - ideal) / (standard - ideal)) * 100
+    }
+
+    const product = weight * subIndex
+    rows.push({ metal, concentration, standard, ideal, weight, subIndex, product })
+    sumWeights += weight
+    sumProducts += product
+  }
+
+  return {
+    method: method,
+    rows: rows,
+    sumWeights: sumWeights,
+    sumProducts: sumProducts,
+    value: sumWeights > 0 ? sumProducts / sumWeights : null,
+  }
+}
+
+// Concentration to permissible-limit ratios (Mi / Si) for the metals the profile covers
+function getLimitRatios(metals, profile) {
+  return Object.entries(metals)
+    .filter(([metal]) => profile.limits[metal])
+    .map(([metal, concentration]) => concentration / profile.limits[metal].permissible)
+}
+
+// Sum of values, or null when no parameter of the sample is covered by the profile
+function sumOrNull(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null
+}
+
+// Every compute() returns null when none of the sample's parameters can be rated
+const POLLUTION_INDICES = {
+  hpi: {
+    id: "hpi",
+    name: "Heavy Metal Pollution Index",
+    shortName: "HPI",
+    reference: "Mohan et al. (1996)",
+    formula: "HPI = ΣWiQi / ΣWi",
+    bands: [
+      { max: 100, label: "Safe", level: "safe" },
+      { max: 200, label: "Moderate", level: "moderate" },
+      { max: Infinity, label: "Hazardous", level: "hazardous" },
+    ],
+    compute: (metals, context) => calculateHPIBreakdown(metals, context.profile, context.method, context.weights).value,
+  },
+  hei: {
+    id: "hei",
+    name: "Heavy Metal Evaluation Index",
+    shortName: "HEI",
+    reference: "Edet & Offiong (2002)",
+    formula: "HEI = Σ Mi / Si",
+    bands: [
+      { max: 10, label: "Low", level: "safe" },
+      { max: 20, label: "Medium", level: "moderate" },
+      { max: Infinity, label: "High", level: "hazardous" },
+    ],
+    compute: (metals, context) => sumOrNull(getLimitRatios(metals, context.profile)),
+  },
+  cdeg: {
+    id: "cdeg",
+    name: "Degree of Contamination",
+    shortName: "Cdeg",
+    reference: "Backman et al. (1998)",
+    formula: "Cdeg = Σ (Mi / Si − 1)",
+    bands: [
+      { max: 1, label: "Low", level: "safe" },
+      { max: 3, label: "Medium", level: "moderate" },
+      { max: Infinity, label: "High", level: "hazardous" },
+    ],
+    compute: (metals, context) => sumOrNull(getLimitRatios(metals, context.profile).map((ratio) => ratio - 1)),
+  },
+  npi: {
+    id: "npi",
+    name: "Nemerow Pollution Index",
+    shortName: "PN",
+    reference: "Nemerow (1991)",
+    formula: "PN = √((Pmean² + Pmax²) / 2), Pi = Mi / Si",
+    bands: [
+      { max: 0.7, label: "Clean", level: "safe" },
+      { max: 1, label: "Warning limit", level: "safe" },
+      { max: 2, label: "Slightly polluted", level: "moderate" },
+      { max: 3, label: "Moderately polluted", level: "moderate" },
+      { max: Infinity, label: "Heavily polluted", level: "hazardous" },
+    ],
+    compute: (metals, context) => {
+      const ratios = getLimitRatios(metals, context.profile)
+      if (ratios.length === 0) return null
+
+      const mean = ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length
+      const max = Math.max(...ratios)
+      return Math.sqrt((mean * mean + max * max) / 2)
+    },
+  },
+  mi: {
+    id: "mi",
+    name: "Metal Index",
+    shortName: "MI",
+    reference: "Tamasi & Cini (2004)",
+    formula: "MI = Σ Ci / MACi",
+    bands: [
+      { max: 0.3, label: "Very pure", level: "safe" },
+      { max: 1, label: "Pure", level: "safe" },
+      { max: 2, label: "Slightly affected", level: "moderate" },
+      { max: 4, label: "Moderately affected", level: "moderate" },
+      { max: 6, label: "Strongly affected", level: "hazardous" },
+      { max: Infinity, label: "Seriously affected", level: "hazardous" },
+    ],
+    compute: (metals, context) => sumOrNull(getLimitRatios(metals, context.profile)),
+  },
+}
+
+function classifyIndex(index, value) {
+  return index.bands.find((band) => value <= band.max) || index.bands[index.bands.length - 1]
+}
+
+// Upper bound of the safe level (e.g. the critical HPI of 100), drawn as the limit line on time-series charts
+function getIndexLimit(index) {
+  const safeBands = index.bands.filter((band) => band.level === "safe")
+  return safeBands.length > 0 ? safeBands[safeBands.length - 1].max : null
+}
+
+// Human-readable range of a band, e.g. "100 – 200" or "> 200"
+function formatBandRange(index, band) {
+  const position = index.bands.indexOf(band)
+  const lower = position > 0 ? index.bands[position - 1].max : null
+
+  if (band.max === Infinity) return `> ${lower}`
+  if (lower === null) return `≤ ${band.max}`
+  return `${lower} – ${band.max}`
+}
+
+// Range covered by all bands of one colour level, e.g. "PN ≤ 1" for the safe level of the Nemerow index
+function formatLevelRange(index, level) {
+  const bands = index.bands.filter((band) => band.level === level)
+  if (bands.length === 0) return ""
+
+  const position = index.bands.indexOf(bands[0])
+  const lower = position > 0 ? index.bands[position - 1].max : null
+  const upper = bands[bands.length - 1].max
+
+  if (upper === Infinity) return `${index.shortName} > ${lower}`
+  if (lower === null) return `${index.shortName} ≤ ${upper}`
+  return `${lower} < ${index.shortName} ≤ ${upper}`
+}
+
+function evaluateIndices(metals, context, enabledIds) {
+  const indices = {}
+
+  for (const id of enabledIds) {
+    const index = POLLUTION_INDICES[id]
+    if (!index) continue
+
+    const value = index.compute(metals, context)
+    if (value === null) {
+      indices[id] = { value: null, band: "N/A", level: null }
+      continue
+    }
+
+    const band = classifyIndex(index, value)
+    indices[id] = { value: value, band: band.label, level: band.level }
+  }
+
+  return indices
+}
+
+// Symbol of the metal with the highest ratio to its permissible limit (limits in mg/L by metal key)
+function getDominantMetal(metals, standards) {
+  let maxRatio = 0
+  let dominantMetal = ""
+
+  for (const [metal, concentration] of Object.entries(metals)) {
+    const standard = standards[metal]
+    if (standard) {
+      const ratio = concentration / standard
+      if (ratio > maxRatio) {
+        maxRatio = ratio
+        dominantMetal = getMetalSymbol(metal)
+      }
+    }
+  }
+
+  return dominantMetal || "N/A"
+}
+
+// What a result records about a sample's concentrations. options: the index context, the enabled index
+// ids and the permissible limits of the active profile.
+function evaluateSample(metals, options) {
+  return {
+    indices: evaluateIndices(metals, options.context, options.enabledIndices),
+    dominantMetal: getDominantMetal(metals, options.standards),
+  }
+}
@@ -0,0 +1,292 @@
+// Interpolated Surfaces
+// Values between sampling points estimated on a regular longitude/latitude grid, by inverse distance
+// weighting (IDW) or ordinary kriging. Distances are measured in kilometres on a flat projection around the
+// centre of the samples, which is accurate enough over a district or river basin.
+
+const VARIOGRAM_MODELS = [
+  { id: "spherical", label: "Spherical" },
+  { id: "exponential", label: "Exponential" },
+  { id: "gaussian", label: "Gaussian" },
+]
+
+// Value written for cells without an estimate (outside the clip boundary) in exported grids
+const GRID_NODATA = -9999
+
+const KM_PER_DEGREE_LATITUDE = 110.574
+const KM_PER_DEGREE_LONGITUDE = 111.32 // at the equator
+
+// Semivariance at lag h (km) for the variogram model and its nugget, sill and range
+function getSemivariance(model, h, variogram) {
+  if (h === 0) return 0
+
+  const { nugget, sill, range } = variogram
+  const partialSill = sill - nugget
+
+  switch (model) {
+    case "exponential":
+      return nugget + partialSill * (1 - Math.exp((-3 * h) / range))
+    case "gaussian":
+      return nugget + partialSill * (1 - Math.exp((-3 * h * h) / (range * range)))
+    default:
+      // Spherical
+      return h >= range ? sill : nugget + partialSill * (1.5 * (h / range) - 0.5 * Math.pow(h / range, 3))
+  }
+}
+
+// Points at the same location (repeat samples of a well) averaged into one, since kriging cannot weigh two
+// observations at a single location
+function mergeColocatedPoints(points) {
+  const merged = new Map()
+
+  points.forEach((point) => {
+    const key = `${point.longitude.toFixed(6)},${point.latitude.toFixed(6)}`
+    const entry = merged.get(key) || { longitude: point.longitude, latitude: point.latitude, sum: 0, count: 0 }
+    entry.sum += point.value
+    entry.count++
+    merged.set(key, entry)
+  })
+
+  return [...merged.values()].map((entry) => ({
+    longitude: entry.longitude,
+    latitude: entry.latitude,
+    value: entry.sum / entry.count,
+  }))
+}
+
+// Planar position in km of every point, and a function projecting further positions the same way
+function createLocalProjection(points) {
+  const latitudes = points.map((point) => point.latitude)
+  const originLatitude = (Math.min(...latitudes) + Math.max(...latitudes)) / 2
+  const kmPerDegreeLongitude = KM_PER_DEGREE_LONGITUDE * Math.cos((originLatitude * Math.PI) / 180)
+
+  return (longitude, latitude) => ({ x: longitude * kmPerDegreeLongitude, y: latitude * KM_PER_DEGREE_LATITUDE })
+}
+
+// Variogram estimated from the samples: no nugget, the sample variance as sill and half the largest
+// distance between samples as range. Used for any parameter the user leaves blank.
+function estimateVariogram(points) {
+  const project = createLocalProjection(points)
+  const positions = points.map((point) => project(point.longitude, point.latitude))
+  const mean = points.reduce((sum, point) => sum + point.value, 0) / points.length
+  const variance = points.reduce((sum, point) => sum + Math.pow(point.value - mean, 2), 0) / points.length
+
+  let maxDistance = 0
+  positions.forEach((a, i) => {
+    positions.slice(i + 1).forEach((b) => {
+      maxDistance = Math.max(maxDistance, Math.hypot(a.x - b.x, a.y - b.y))
+    })
+  })
+
+  return { nugget: 0, sill: variance || 1, range: maxDistance / 2 || 1 }
+}
+
+// Gaussian elimination with partial pivoting; matrix and vector are modified
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length
+
+  for (let column = 0; column < n; column++) {
+    let pivot = column
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) pivot = row
+    }
+    if (Math.abs(matrix[pivot][column]) < 1e-12) {
+      throw new Error("The kriging system cannot be solved; try another variogram model or a nugget above zero")
+    }
+
+    ;[matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]]
+    ;[vector[column], vector[pivot]] = [vector[pivot], vector[column]]
+
+    for (let row = column + 1; row < n; row++) {
+      const factor = matrix[row][column] / matrix[column][column]
+      for (let k = column; k < n; k++) matrix[row][k] -= factor * matrix[column][k]
+      vector[row] -= factor * vector[column]
+    }
+  }
+
+  const solution = new Array(n).fill(0)
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = vector[row]
+    for (let k = row + 1; k < n; k++) sum -= matrix[row][k] * solution[k]
+    solution[row] = sum / matrix[row][row]
+  }
+  return solution
+}
+
+// Estimator (longitude, latitude) => value for the points [{ longitude, latitude, value }].
+// settings: { method: "idw" | "kriging", power, model, variogram: { nugget, sill, range } }; variogram
+// parameters left null are estimated from the samples.
+function createInterpolator(points, settings) {
+  const merged = mergeColocatedPoints(points)
+  if (merged.length < 3) {
+    throw new Error("At least three sampling locations with a value are needed for a surface")
+  }
+
+  const project = createLocalProjection(merged)
+  const positions = merged.map((point) => project(point.longitude, point.latitude))
+  const values = merged.map((point) => point.value)
+
+  if (settings.method === "kriging") {
+    // Ordinary kriging in dual form: solving [Γ 1; 1ᵀ 0] w = [z; 0] once makes every estimate
+    // Σ wᵢ γ(hᵢ) + w₀, linear in the number of samples
+    const model = settings.model
+    const given = Object.entries(settings.variogram || {}).filter(([, value]) => value !== null && value !== undefined)
+    const variogram = { ...estimateVariogram(merged), ...Object.fromEntries(given) }
+    const n = merged.length
+    const matrix = positions.map((a) => [...positions.map((b) => getSemivariance(model, Math.hypot(a.x - b.x, a.y - b.y), variogram)), 1])
+    matrix.push([...new Array(n).fill(1), 0])
+    const weights = solveLinearSystem(matrix, [...values, 0])
+
+    return (longitude, latitude) => {
+      const { x, y } = project(longitude, latitude)
+      return positions.reduce(
+        (sum, position, i) => sum + weights[i] * getSemivariance(model, Math.hypot(x - position.x, y - position.y), variogram),
+        weights[n],
+      )
+    }
+  }
+
+  return (longitude, latitude) => {
+    const { x, y } = project(longitude, latitude)
+    let weightSum = 0
+    let valueSum = 0
+
+    for (let i = 0; i < positions.length; i++) {
+      const distance = Math.hypot(x - positions[i].x, y - positions[i].y)
+      if (distance < 1e-9) return values[i]
+
+      const weight = 1 / Math.pow(distance, settings.power)
+      weightSum += weight
+      valueSum += weight * values[i]
+    }
+    return valueSum / weightSum
+  }
+}
+
+// Square-celled grid over the points' extent plus a margin, with `resolution` cells along its longer side,
+// estimated at every cell centre. Cells for which include(longitude, latitude) is false (outside a clip
+// boundary) are NaN. Values run row by row from the north-west corner, as raster formats store them.
+function buildSurfaceGrid(points, settings, resolution, include = () => true) {
+  const estimate = createInterpolator(points, settings)
+  const longitudes = points.map((point) => point.longitude)
+  const latitudes = points.map((point) => point.latitude)
+  const width = Math.max(...longitudes) - Math.min(...longitudes)
+  const height = Math.max(...latitudes) - Math.min(...latitudes)
+  const margin = Math.max(width, height, 0.05) * 0.1
+
+  const west = Math.min(...longitudes) - margin
+  const north = Math.max(...latitudes) + margin
+  const cellSize = (Math.max(width, height) + 2 * margin) / resolution
+  const columns = Math.ceil((width + 2 * margin) / cellSize)
+  const rows = Math.ceil((height + 2 * margin) / cellSize)
+  const values = new Float32Array(columns * rows)
+
+  for (let row = 0; row < rows; row++) {
+    const latitude = north - (row + 0.5) * cellSize
+    for (let column = 0; column < columns; column++) {
+      const longitude = west + (column + 0.5) * cellSize
+      values[row * columns + column] = include(longitude, latitude) ? estimate(longitude, latitude) : NaN
+    }
+  }
+
+  return { west, north, south: north - rows * cellSize, east: west + columns * cellSize, cellSize, columns, rows, values }
+}
+
+// ESRI ASCII grid (.asc), read by QGIS, ArcGIS and GDAL; the lower-left corner is the origin
+function writeAsciiGrid(grid) {
+  const lines = [
+    `ncols ${grid.columns}`,
+    `nrows ${grid.rows}`,
+    `xllcorner ${grid.west}`,
+    `yllcorner ${grid.south}`,
+    `cellsize ${grid.cellSize}`,
+    `NODATA_value ${GRID_NODATA}`,
+  ]
+
+  for (let row = 0; row < grid.rows; row++) {
+    const cells = Array.from(grid.values.subarray(row * grid.columns, (row + 1) * grid.columns))
+    lines.push(cells.map((value) => (Number.isNaN(value) ? GRID_NODATA : Number(value.toPrecision(6)))).join(" "))
+  }
+
+  return lines.join("\n") + "\n"
+}
+
+// Single-band 32-bit float GeoTIFF in WGS 84 (EPSG:4326), uncompressed in one strip, with the no-data value
+// in the GDAL_NODATA tag
+function writeGeoTIFF(grid) {
+  const SHORT = 3
+  const LONG = 4
+  const ASCII = 2
+  const DOUBLE = 12
+
+  const nodata = `${GRID_NODATA}\0`
+  // GeoKey directory: version 1.1.0 with 4 keys; model type geographic, raster type pixel-is-area,
+  // geographic CRS EPSG:4326 and angular unit degree
+  const geoKeys = [1, 1, 0, 4, 1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326, 2054, 0, 1, 9102]
+  const extras = [
+    { tag: 33550, type: DOUBLE, values: [grid.cellSize, grid.cellSize, 0] },
+    { tag: 33922, type: DOUBLE, values: [0, 0, 0, grid.west, grid.north, 0] },
+    { tag: 34735, type: SHORT, values: geoKeys },
+    { tag: 42113, type: ASCII, values: nodata },
+  ]
+  const entries = [
+    { tag: 256, type: LONG, value: grid.columns },
+    { tag: 257, type: LONG, value: grid.rows },
+    { tag: 258, type: SHORT, value: 32 },
+    { tag: 259, type: SHORT, value: 1 }, // no compression
+    { tag: 262, type: SHORT, value: 1 }, // black is zero
+    { tag: 273, type: LONG, value: 0 }, // strip offset, filled in below
+    { tag: 277, type: SHORT, value: 1 },
+    { tag: 278, type: LONG, value: grid.rows },
+    { tag: 279, type: LONG, value: grid.columns * grid.rows * 4 },
+    { tag: 284, type: SHORT, value: 1 },
+    { tag: 339, type: SHORT, value: 3 }, // IEEE floating point samples
+    ...extras,
+  ]
+
+  const typeSize = { [SHORT]: 2, [LONG]: 4, [ASCII]: 1, [DOUBLE]: 8 }
+  const ifdOffset = 8
+  let offset = ifdOffset + 2 + entries.length * 12 + 4
+  extras.forEach((extra) => {
+    extra.offset = offset
+    offset += extra.values.length * typeSize[extra.type]
+    offset += offset % 2
+  })
+  const dataOffset = offset
+  entries.find((entry) => entry.tag === 273).value = dataOffset
+
+  const buffer = new ArrayBuffer(dataOffset + grid.columns * grid.rows * 4)
+  const view = new DataView(buffer)
+
+  view.setUint16(0, 0x4949) // "II", little endian
+  view.setUint16(2, 42, true)
+  view.setUint32(4, ifdOffset, true)
+  view.setUint16(ifdOffset, entries.length, true)
+
+  entries.forEach((entry, position) => {
+    const at = ifdOffset + 2 + position * 12
+    const count = entry.values ? entry.values.length : 1
+    view.setUint16(at, entry.tag, true)
+    view.setUint16(at + 2, entry.type, true)
+    view.setUint32(at + 4, count, true)
+
+    if (entry.values) {
+      view.setUint32(at + 8, entry.offset, true)
+      Array.from(entry.values).forEach((value, i) => {
+        if (entry.type === DOUBLE) view.setFloat64(entry.offset + i * 8, value, true)
+        if (entry.type === SHORT) view.setUint16(entry.offset + i * 2, value, true)
+        if (entry.type === ASCII) view.setUint8(entry.offset + i, value.charCodeAt(0))
+      })
+    } else if (entry.type === SHORT) {
+      view.setUint16(at + 8, entry.value, true)
+    } else {
+      view.setUint32(at + 8, entry.value, true)
+    }
+  })
+  view.setUint32(ifdOffset + 2 + entries.length * 12, 0, true) // no further images
+
+  grid.values.forEach((value, i) => {
+    view.setFloat32(dataOffset + i * 4, Number.isNaN(value) ? GRID_NODATA : value, true)
+  })
+
+  return new Uint8Array(buffer)
+}
@@ -0,0 +1,304 @@
+// Map Projection and Layers
+// Web Mercator (EPSG:3857) helpers for the location map. Positions are handled in "world pixels": the
+// whole world is TILE_SIZE × 2^zoom pixels wide at a zoom level, as in the common XYZ tile scheme, so
+// basemap tiles and sample points share one coordinate system.
+
+const TILE_SIZE = 256
+const MAX_MERCATOR_LATITUDE = 85.0511287798
+const MIN_MAP_ZOOM = 1
+const MAX_MAP_ZOOM = 19
+const EARTH_CIRCUMFERENCE = 40075016.686 // metres at the equator
+
+function clampLatitude(latitude) {
+  return Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, latitude))
+}
+
+function clampZoom(zoom) {
+  return Math.max(MIN_MAP_ZOOM, Math.min(MAX_MAP_ZOOM, zoom))
+}
+
+function lngLatToWorld(longitude, latitude, zoom) {
+  const size = TILE_SIZE * Math.pow(2, zoom)
+  const sin = Math.sin((clampLatitude(latitude) * Math.PI) / 180)
+
+  return {
+    x: ((longitude + 180) / 360) * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size,
+  }
+}
+
+function worldToLngLat(x, y, zoom) {
+  const size = TILE_SIZE * Math.pow(2, zoom)
+  const n = Math.PI - (2 * Math.PI * y) / size
+
+  return {
+    longitude: (x / size) * 360 - 180,
+    latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+  }
+}
+
+// Ground distance covered by one screen pixel at a latitude
+function metersPerPixel(latitude, zoom) {
+  return (EARTH_CIRCUMFERENCE * Math.cos((clampLatitude(latitude) * Math.PI) / 180)) / (TILE_SIZE * Math.pow(2, zoom))
+}
+
+// Longest round distance (1, 2 or 5 × 10^n metres) that fits in maxWidth pixels, for the scale bar
+function getScaleBar(latitude, zoom, maxWidth) {
+  const resolution = metersPerPixel(latitude, zoom)
+  const maxMeters = resolution * maxWidth
+  const magnitude = Math.pow(10, Math.floor(Math.log10(maxMeters)))
+  const meters = [5, 2, 1].map((step) => step * magnitude).find((length) => length <= maxMeters)
+
+  return {
+    width: meters / resolution,
+    label: meters >= 1000 ? `${meters / 1000} km` : `${meters} m`,
+  }
+}
+
+// Zoom and centre that fit the given [longitude, latitude] points into a width × height view with padding
+function fitMapView(points, width, height, padding) {
+  const world = points.map(([longitude, latitude]) => lngLatToWorld(longitude, latitude, 0))
+  const xs = world.map((point) => point.x)
+  const ys = world.map((point) => point.y)
+  const spanX = Math.max(...xs) - Math.min(...xs)
+  const spanY = Math.max(...ys) - Math.min(...ys)
+
+  // A single site (or sites metres apart) is shown at street level
+  const zoom =
+    spanX === 0 && spanY === 0
+      ? 14
+      : Math.min(Math.log2((width - 2 * padding) / spanX || Infinity), Math.log2((height - 2 * padding) / spanY || Infinity))
+  const center = worldToLngLat((Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...ys) + Math.max(...ys)) / 2, 0)
+
+  return { longitude: center.longitude, latitude: center.latitude, zoom: clampZoom(Math.min(zoom, 16)) }
+}
+
+// Basemap tiles from a zip archive laid out as {z}/{x}/{y}.png (XYZ numbering, .jpg and .webp also read).
+// Returns a Map of "z/x/y" to the zip entry.
+function indexTileArchive(entries) {
+  const tiles = new Map()
+
+  entries.forEach((entry, name) => {
+    const match = name.match(/(?:^|\/)(\d+)\/(\d+)\/(\d+)\.(png|jpe?g|webp)$/i)
+    if (match) tiles.set(`${match[1]}/${match[2]}/${match[3]}`, { ...entry, type: match[4].toLowerCase() })
+  })
+
+  if (tiles.size === 0) {
+    throw new Error("The archive has no tiles laid out as {z}/{x}/{y}.png")
+  }
+  return tiles
+}
+
+function fillTileUrl(template, z, x, y) {
+  return template.replace("{z}", z).replace("{x}", x).replace("{y}", y)
+}
+
+// Features of a GeoJSON object (FeatureCollection, Feature or bare geometry) as a flat array of features
+function getGeoJSONFeatures(geojson) {
+  if (!geojson || typeof geojson !== "object") return []
+  if (geojson.type === "FeatureCollection") return (geojson.features || []).filter((feature) => feature && feature.geometry)
+  if (geojson.type === "Feature") return geojson.geometry ? [geojson] : []
+  if (geojson.type === "GeometryCollection") {
+    return (geojson.geometries || []).map((geometry) => ({ type: "Feature", properties: {}, geometry }))
+  }
+  return geojson.coordinates ? [{ type: "Feature", properties: {}, geometry: geojson }] : []
+}
+
+// Geometry split into drawable parts: { kind: "point" | "line" | "polygon", coordinates }
+function getGeometryParts(geometry) {
+  switch (geometry.type) {
+    case "Point":
+      return [{ kind: "point", coordinates: geometry.coordinates }]
+    case "MultiPoint":
+      return geometry.coordinates.map((coordinates) => ({ kind: "point", coordinates }))
+    case "LineString":
+      return [{ kind: "line", coordinates: geometry.coordinates }]
+    case "MultiLineString":
+      return geometry.coordinates.map((coordinates) => ({ kind: "line", coordinates }))
+    case "Polygon":
+      return [{ kind: "polygon", coordinates: geometry.coordinates }]
+    case "MultiPolygon":
+      return geometry.coordinates.map((coordinates) => ({ kind: "polygon", coordinates }))
+    case "GeometryCollection":
+      return geometry.geometries.flatMap(getGeometryParts)
+    default:
+      return []
+  }
+}
+
+// GeoJSON from a TopoJSON topology: every object becomes features, with shared arcs stitched back into
+// lines and rings. Quantized topologies (with a transform) are delta-decoded.
+function topojsonToGeoJSON(topology) {
+  const transform = topology.transform
+  const position = (point) =>
+    transform
+      ? [point[0] * transform.scale[0] + transform.translate[0], point[1] * transform.scale[1] + transform.translate[1]]
+      : point.slice(0, 2)
+
+  const arcs = (topology.arcs || []).map((arc) => {
+    if (!transform) return arc.map((point) => point.slice(0, 2))
+    let x = 0
+    let y = 0
+    return arc.map((point) => {
+      x += point[0]
+      y += point[1]
+      return position([x, y])
+    })
+  })
+
+  // A negative index (~i) is arc i reversed; consecutive arcs share their joining point
+  const line = (indexes) =>
+    indexes.flatMap((index, order) => {
+      const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index]
+      return order > 0 ? arc.slice(1) : arc
+    })
+
+  const geometry = (object) => {
+    switch (object.type) {
+      case "Point":
+        return { type: "Point", coordinates: position(object.coordinates) }
+      case "MultiPoint":
+        return { type: "MultiPoint", coordinates: object.coordinates.map(position) }
+      case "LineString":
+        return { type: "LineString", coordinates: line(object.arcs) }
+      case "MultiLineString":
+        return { type: "MultiLineString", coordinates: object.arcs.map(line) }
+      case "Polygon":
+        return { type: "Polygon", coordinates: object.arcs.map(line) }
+      case "MultiPolygon":
+        return { type: "MultiPolygon", coordinates: object.arcs.map((polygon) => polygon.map(line)) }
+      default:
+        return null
+    }
+  }
+
+  const toFeature = (object) => ({
+    type: "Feature",
+    properties: object.properties || {},
+    geometry: geometry(object),
+  })
+
+  const features = Object.values(topology.objects || {}).flatMap((object) =>
+    object.type === "GeometryCollection" ? object.geometries.map(toFeature) : [toFeature(object)],
+  )
+
+  return { type: "FeatureCollection", features: features.filter((feature) => feature.geometry) }
+}
+
+// GeoJSON from the text of a .geojson, .json or .topojson file
+function parseVectorLayer(text) {
+  const data = JSON.parse(text)
+  return data && data.type === "Topology" ? topojsonToGeoJSON(data) : data
+}
+
+// Boundary Polygons
+// Layers with polygons (states, districts, blocks) name the area every sample falls in. Each polygon is
+// indexed with its bounding box so a point is only tested against the few polygons around it.
+
+function getRingBounds(ring) {
+  const longitudes = ring.map((point) => point[0])
+  const latitudes = ring.map((point) => point[1])
+  return [Math.min(...longitudes), Math.min(...latitudes), Math.max(...longitudes), Math.max(...latitudes)]
+}
+
+// Ray casting: whether the point lies inside a closed ring of [longitude, latitude] positions
+function isPointInRing(longitude, latitude, ring) {
+  let inside = false
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if (yi > latitude !== yj > latitude && longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+
+  return inside
+}
+
+// Inside the outer ring of a polygon and outside its holes
+function isPointInPolygon(longitude, latitude, rings) {
+  return isPointInRing(longitude, latitude, rings[0]) && !rings.slice(1).some((hole) => isPointInRing(longitude, latitude, hole))
+}
+
+// Area-weighted centre of a ring, where a polygon's label is drawn
+function getRingCentroid(ring) {
+  let area = 0
+  let x = 0
+  let y = 0
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1]
+    area += cross
+    x += (ring[j][0] + ring[i][0]) * cross
+    y += (ring[j][1] + ring[i][1]) * cross
+  }
+
+  if (area === 0) {
+    const [west, south, east, north] = getRingBounds(ring)
+    return [(west + east) / 2, (south + north) / 2]
+  }
+  return [x / (3 * area), y / (3 * area)]
+}
+
+// Property that names the polygons: among text properties whose key looks like a name (NAME, DISTRICT,
+// dtname, ST_NM, ...), the one with the most distinct values, so a district file's district names win over
+// the state name repeated on every feature. Falls back to any text property; "" when there is none.
+function findNameProperty(features) {
+  const keys = [...new Set(features.flatMap((feature) => Object.keys(feature.properties || {})))]
+  const distinct = (key) =>
+    new Set(features.map((feature) => (feature.properties || {})[key]).filter((value) => typeof value === "string" && value.trim())).size
+  const best = (candidates) =>
+    candidates.filter((key) => distinct(key) > 0).sort((a, b) => distinct(b) - distinct(a))[0]
+
+  return best(keys.filter((key) => /name|nm$|district|block|state|tehsil|taluk|mandal/i.test(key))) || best(keys) || ""
+}
+
+// Boundary level suggested for a layer, from its name property or else its file name
+function guessBoundaryLevel(nameProperty, fileName) {
+  if (/block|tehsil|taluk|mandal/i.test(nameProperty)) return "Block"
+  if (/district|^dt|dist/i.test(nameProperty)) return "District"
+  if (/state|^st_/i.test(nameProperty)) return "State"
+  return fileName.replace(/\.[^.]+$/, "")
+}
+
+// Polygons of a layer as [{ name, bounds, rings, label }], or an empty array for layers without polygons
+function createBoundaryIndex(geojson, nameProperty) {
+  return getGeoJSONFeatures(geojson).flatMap((feature, position) => {
+    const polygons = getGeometryParts(feature.geometry).filter((part) => part.kind === "polygon" && part.coordinates[0])
+    if (polygons.length === 0) return []
+
+    const value = nameProperty ? (feature.properties || {})[nameProperty] : null
+    const name = value !== null && value !== undefined && String(value).trim() ? String(value).trim() : `Area ${position + 1}`
+    // Multi-part areas (a district with islands) are labelled on their largest part
+    const largest = polygons
+      .map((part) => part.coordinates)
+      .sort((a, b) => {
+        const size = (rings) => {
+          const [west, south, east, north] = getRingBounds(rings[0])
+          return (east - west) * (north - south)
+        }
+        return size(b) - size(a)
+      })[0]
+
+    return polygons.map((part) => ({
+      name: name,
+      bounds: getRingBounds(part.coordinates[0]),
+      rings: part.coordinates,
+      label: part.coordinates === largest ? getRingCentroid(largest[0]) : null,
+    }))
+  })
+}
+
+// Name of the polygon that contains the point, or null when it lies outside all of them
+function findContainingArea(index, longitude, latitude) {
+  const area = index.find(
+    ({ bounds, rings }) =>
+      longitude >= bounds[0] &&
+      longitude <= bounds[2] &&
+      latitude >= bounds[1] &&
+      latitude <= bounds[3] &&
+      isPointInPolygon(longitude, latitude, rings),
+  )
+  return area ? area.name : null
+}
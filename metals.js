@@ -0,0 +1,197 @@
+// Metal Registry
+// Every parameter the calculator handles. The input form, importers, tables, exports, standards profiles and
+// index calculations are all driven from this list, so adding a parameter only needs a new entry here.
+// Limits are in the registry unit, keyed by built-in standards profile id (see standards.js). Oral reference
+// doses (RfD) and cancer slope factors (SF), in mg/kg/day and per mg/kg/day, drive the health risk
+// assessment (see healthrisk.js); parameters without an RfD are left out of the hazard index.
+
+const METAL_REGISTRY = [
+  {
+    key: "cd",
+    symbol: "Cd",
+    name: "Cadmium",
+    unit: "mg/L",
+    legacyWeight: 0.2,
+    oralRfD: 5e-4, // USEPA IRIS, drinking water
+    slopeFactor: 0.38, // Oral value used in groundwater risk studies; USEPA lists an inhalation factor only
+    standards: {
+      "bis-10500": { acceptable: 0.003, permissible: 0.003 },
+      "who-2022": { acceptable: 0.003, permissible: 0.003 },
+      "us-epa": { acceptable: 0.005, permissible: 0.005 },
+    },
+    effects: "Kidney damage, bone disease, cancer risk",
+    sources: "Industrial discharge, mining, batteries",
+  },
+  {
+    key: "pb",
+    symbol: "Pb",
+    name: "Lead",
+    unit: "mg/L",
+    legacyWeight: 0.2,
+    oralRfD: 3.5e-3, // From the former WHO tolerable intake; USEPA sets no RfD for lead
+    slopeFactor: 0.0085, // California OEHHA
+    standards: {
+      "bis-10500": { acceptable: 0.01, permissible: 0.01 },
+      "who-2022": { acceptable: 0.01, permissible: 0.01 },
+      "us-epa": { acceptable: 0.015, permissible: 0.015 }, // Lead and Copper Rule action level
+    },
+    effects: "Neurological damage, developmental issues, cardiovascular problems",
+    sources: "Old pipes, paint, industrial processes",
+  },
+  {
+    key: "cr",
+    symbol: "Cr",
+    name: "Chromium",
+    unit: "mg/L",
+    legacyWeight: 0.15,
+    oralRfD: 3e-3, // USEPA IRIS, hexavalent chromium
+    slopeFactor: 0.5, // California OEHHA, hexavalent chromium
+    standards: {
+      "bis-10500": { acceptable: 0.05, permissible: 0.05 },
+      "who-2022": { acceptable: 0.05, permissible: 0.05 },
+      "us-epa": { acceptable: 0.1, permissible: 0.1 },
+    },
+    effects: "Skin irritation, respiratory problems, cancer risk",
+    sources: "Industrial processes, leather tanning, steel production",
+  },
+  {
+    key: "cu",
+    symbol: "Cu",
+    name: "Copper",
+    unit: "mg/L",
+    legacyWeight: 0.15,
+    oralRfD: 4e-2, // USEPA HEAST
+    standards: {
+      "bis-10500": { acceptable: 0.05, permissible: 1.5 },
+      "who-2022": { acceptable: 2.0, permissible: 2.0 },
+      "us-epa": { acceptable: 1.0, permissible: 1.3 }, // Secondary standard / action level
+    },
+    effects: "Gastrointestinal distress, liver damage (high doses)",
+    sources: "Plumbing, mining, agricultural runoff",
+  },
+  {
+    key: "zn",
+    symbol: "Zn",
+    name: "Zinc",
+    unit: "mg/L",
+    legacyWeight: 0.15,
+    oralRfD: 0.3, // USEPA IRIS
+    standards: {
+      "bis-10500": { acceptable: 5, permissible: 15 },
+      "who-2022": { acceptable: 3.0, permissible: 3.0 }, // Acceptability (taste) value, no health-based guideline
+      "us-epa": { acceptable: 5.0, permissible: 5.0 }, // Secondary standard
+    },
+    effects: "Nausea, vomiting, immune system effects (high doses)",
+    sources: "Galvanized pipes, mining, industrial discharge",
+  },
+  {
+    key: "ni",
+    symbol: "Ni",
+    name: "Nickel",
+    unit: "mg/L",
+    legacyWeight: 0.15,
+    oralRfD: 2e-2, // USEPA IRIS, soluble salts
+    slopeFactor: 1.7, // Value used in groundwater risk studies, from nickel refinery dust
+    standards: {
+      "bis-10500": { acceptable: 0.02, permissible: 0.02 },
+      "who-2022": { acceptable: 0.07, permissible: 0.07 },
+      "us-epa": { acceptable: 0.1, permissible: 0.1 }, // Former MCL (remanded 1995), still used for screening
+    },
+    effects: "Allergic reactions, respiratory issues, cancer risk",
+    sources: "Industrial processes, mining, stainless steel",
+  },
+  {
+    key: "as",
+    symbol: "As",
+    name: "Arsenic",
+    unit: "mg/L",
+    oralRfD: 3e-4, // USEPA IRIS, inorganic arsenic
+    slopeFactor: 1.5, // USEPA IRIS
+    standards: {
+      "bis-10500": { acceptable: 0.01, permissible: 0.01 },
+      "who-2022": { acceptable: 0.01, permissible: 0.01 },
+      "us-epa": { acceptable: 0.01, permissible: 0.01 },
+    },
+    effects: "Skin lesions, cancers of the skin, bladder and lung, cardiovascular disease",
+    sources: "Geogenic release from alluvial aquifer sediments, pesticides, mining",
+  },
+  {
+    key: "hg",
+    symbol: "Hg",
+    name: "Mercury",
+    unit: "mg/L",
+    oralRfD: 3e-4, // USEPA IRIS, mercuric chloride
+    standards: {
+      "bis-10500": { acceptable: 0.001, permissible: 0.001 },
+      "who-2022": { acceptable: 0.006, permissible: 0.006 }, // Inorganic mercury
+      "us-epa": { acceptable: 0.002, permissible: 0.002 },
+    },
+    effects: "Kidney damage, neurological and developmental effects",
+    sources: "Chlor-alkali and other industrial effluents, coal combustion, e-waste",
+  },
+  {
+    key: "fe",
+    symbol: "Fe",
+    name: "Iron",
+    unit: "mg/L",
+    oralRfD: 0.7, // USEPA PPRTV
+    standards: {
+      "bis-10500": { acceptable: 0.3, permissible: 0.3 },
+      "who-2022": { acceptable: 0.3, permissible: 0.3 }, // Acceptability value, no health-based guideline
+      "us-epa": { acceptable: 0.3, permissible: 0.3 }, // Secondary standard
+    },
+    effects: "Metallic taste, staining and iron bacteria; organ damage only at very high intake",
+    sources: "Dissolution of iron-bearing minerals, corroded pipes and hand pump fittings",
+  },
+  {
+    key: "mn",
+    symbol: "Mn",
+    name: "Manganese",
+    unit: "mg/L",
+    oralRfD: 4.6e-2, // USEPA IRIS, adjusted for drinking water
+    standards: {
+      "bis-10500": { acceptable: 0.1, permissible: 0.3 },
+      "who-2022": { acceptable: 0.08, permissible: 0.08 },
+      "us-epa": { acceptable: 0.05, permissible: 0.05 }, // Secondary standard
+    },
+    effects: "Neurological effects in children at high exposure, taste and staining",
+    sources: "Reducing aquifers, mineral weathering, industrial discharge",
+  },
+  {
+    key: "u",
+    symbol: "U",
+    name: "Uranium",
+    unit: "mg/L",
+    oralRfD: 3e-3, // USEPA IRIS, soluble salts
+    standards: {
+      "bis-10500": { acceptable: 0.03, permissible: 0.03 },
+      "who-2022": { acceptable: 0.03, permissible: 0.03 },
+      "us-epa": { acceptable: 0.03, permissible: 0.03 },
+    },
+    effects: "Kidney toxicity, radiological cancer risk",
+    sources: "Granitic and alluvial aquifers, phosphate fertilisers, groundwater over-extraction",
+  },
+  {
+    key: "al",
+    symbol: "Al",
+    name: "Aluminium",
+    unit: "mg/L",
+    oralRfD: 1, // USEPA PPRTV
+    standards: {
+      "bis-10500": { acceptable: 0.03, permissible: 0.2 },
+      "who-2022": { acceptable: 0.1, permissible: 0.2 }, // Practicable treatment levels
+      "us-epa": { acceptable: 0.05, permissible: 0.2 }, // Secondary standard range
+    },
+    effects: "Discoloration and deposits; possible neurological effects at high exposure",
+    sources: "Alum used in water treatment, acidic soils, mineral weathering",
+  },
+]
+
+function getMetal(key) {
+  return METAL_REGISTRY.find((metal) => metal.key === key)
+}
+
+function getMetalSymbol(key) {
+  const metal = getMetal(key)
+  return metal ? metal.symbol : key.toUpperCase()
+}
@@ -0,0 +1,361 @@
+// PDF Documents
+// Writes simple PDF 1.4 documents: text in the standard Helvetica fonts, lines, filled boxes and JPEG images
+// (e.g. snapshots of a canvas), plus a flow that lays out headings, paragraphs, tables and figures from the
+// top of the page down and starts new pages as needed. Positions are in points (1/72 inch) measured from the
+// top-left corner of the page, as on a canvas; they are flipped to PDF's bottom-left origin when written.
+
+const PDF_PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  letter: { width: 612, height: 792 },
+}
+
+// Advance widths (1/1000 em) of the printable ASCII characters 32–126, from Adobe's Helvetica metrics.
+// Other characters are measured as a digit.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+  556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+]
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611,
+  611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+]
+
+// Characters of WinAnsiEncoding outside Latin-1 and their codes
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "ˆ": 0x88, "‰": 0x89, "Š": 0x8a,
+  "‹": 0x8b, "Œ": 0x8c, "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97,
+  "˜": 0x98, "™": 0x99, "š": 0x9a, "›": 0x9b, "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+}
+
+// Symbols the standard fonts lack, written out so formulas stay readable
+const PDF_TEXT_SUBSTITUTES = {
+  "Σ": "Sum ", "−": "-", "≤": "<=", "≥": ">=", "√": "sqrt ", "≈": "~", "→": "->", "₀": "0", "₁": "1", "₂": "2",
+  "₃": "3", "²": "2", "³": "3",
+}
+
+function normalizePdfText(text) {
+  return String(text ?? "")
+    .replace(/[\r\n\t]+/g, " ")
+    .replace(/./gu, (char) => PDF_TEXT_SUBSTITUTES[char] ?? char)
+}
+
+// Text width in points at the given font size
+function measurePdfText(text, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS
+  let units = 0
+  for (const char of normalizePdfText(text)) {
+    const code = char.charCodeAt(0)
+    units += code >= 32 && code <= 126 ? widths[code - 32] : 556
+  }
+  return (units * size) / 1000
+}
+
+// Lines of at most maxWidth points, broken at spaces; words longer than a line are broken anywhere
+function wrapPdfText(text, maxWidth, size, bold = false) {
+  const lines = []
+  let line = ""
+
+  for (const word of normalizePdfText(text).split(" ")) {
+    const candidate = line ? `${line} ${word}` : word
+    if (measurePdfText(candidate, size, bold) <= maxWidth) {
+      line = candidate
+      continue
+    }
+    if (line) lines.push(line)
+
+    line = ""
+    for (const char of word) {
+      if (line && measurePdfText(line + char, size, bold) > maxWidth) {
+        lines.push(line)
+        line = ""
+      }
+      line += char
+    }
+  }
+
+  lines.push(line)
+  return lines
+}
+
+// PDF literal string in WinAnsiEncoding; characters outside it become "?"
+function toPdfString(text) {
+  let result = "("
+  for (const char of normalizePdfText(text)) {
+    const code = char.codePointAt(0)
+    const byte = code < 256 && (code < 0x80 || code > 0x9f) ? code : WIN_ANSI_EXTRAS[char] ?? 63
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) result += `\\${char}`
+    else if (byte < 32 || byte > 126) result += `\\${byte.toString(8).padStart(3, "0")}`
+    else result += String.fromCharCode(byte)
+  }
+  return `${result})`
+}
+
+// "#ef4444" -> "0.937 0.267 0.267"
+function toPdfColor(hex) {
+  const value = Number.parseInt(hex.replace("#", ""), 16)
+  return [value >> 16, (value >> 8) & 255, value & 255].map((channel) => Number((channel / 255).toFixed(3))).join(" ")
+}
+
+function formatPdfNumber(value) {
+  return Number(value.toFixed(2)).toString()
+}
+
+function createPdf(size = PDF_PAGE_SIZES.a4) {
+  return { width: size.width, height: size.height, pages: [], images: [] }
+}
+
+function addPdfPage(pdf) {
+  const page = { height: pdf.height, content: [], images: new Set() }
+  pdf.pages.push(page)
+  return page
+}
+
+// Text with its baseline at y; align "right" or "center" positions the text's end or middle at x
+function drawPdfText(page, text, x, y, options = {}) {
+  const size = options.size || 10
+  const bold = Boolean(options.bold)
+  const width = measurePdfText(text, size, bold)
+  const left = options.align === "right" ? x - width : options.align === "center" ? x - width / 2 : x
+
+  page.content.push(
+    `BT /${bold ? "F2" : "F1"} ${formatPdfNumber(size)} Tf ${toPdfColor(options.color || "#1e293b")} rg ` +
+      `${formatPdfNumber(left)} ${formatPdfNumber(page.height - y)} Td ${toPdfString(text)} Tj ET`,
+  )
+}
+
+// Box with its top-left corner at x, y; filled and/or outlined
+function drawPdfRect(page, x, y, width, height, options = {}) {
+  const path = `${formatPdfNumber(x)} ${formatPdfNumber(page.height - y - height)} ${formatPdfNumber(width)} ${formatPdfNumber(height)} re`
+  if (options.fill) page.content.push(`${toPdfColor(options.fill)} rg ${path} f`)
+  if (options.stroke) page.content.push(`${toPdfColor(options.stroke)} RG ${formatPdfNumber(options.lineWidth || 0.5)} w ${path} S`)
+}
+
+function drawPdfLine(page, x1, y1, x2, y2, options = {}) {
+  page.content.push(
+    `${toPdfColor(options.color || "#cbd5e1")} RG ${formatPdfNumber(options.lineWidth || 0.5)} w ` +
+      `${formatPdfNumber(x1)} ${formatPdfNumber(page.height - y1)} m ${formatPdfNumber(x2)} ${formatPdfNumber(page.height - y2)} l S`,
+  )
+}
+
+// Registers a baseline JPEG (bytes of the file) of the given pixel size so pages can draw it
+function addPdfImage(pdf, data, width, height) {
+  const image = { name: `Im${pdf.images.length + 1}`, data, width, height }
+  pdf.images.push(image)
+  return image
+}
+
+function drawPdfImage(page, image, x, y, width, height) {
+  page.images.add(image)
+  page.content.push(
+    `q ${formatPdfNumber(width)} 0 0 ${formatPdfNumber(height)} ${formatPdfNumber(x)} ${formatPdfNumber(page.height - y - height)} cm /${image.name} Do Q`,
+  )
+}
+
+// Serialises the document with a title in its properties and returns it as a Blob
+function writePdf(pdf, title = "") {
+  const encoder = new TextEncoder()
+  const chunks = []
+  const offsets = []
+  let length = 0
+
+  const write = (data) => {
+    const bytes = typeof data === "string" ? Uint8Array.from(data, (char) => char.charCodeAt(0)) : data
+    chunks.push(bytes)
+    length += bytes.length
+  }
+  const writeObject = (id, body, stream) => {
+    offsets[id] = length
+    write(`${id} 0 obj\n${body}\n`)
+    if (stream) {
+      write("stream\n")
+      write(stream)
+      write("\nendstream\n")
+    }
+    write("endobj\n")
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3 info, 4-5 fonts, then the images and a page and content stream per page
+  const imageIds = new Map(pdf.images.map((image, index) => [image, 6 + index]))
+  const firstPageId = 6 + pdf.images.length
+  const pageIds = pdf.pages.map((_, index) => firstPageId + index * 2)
+
+  write("%PDF-1.4\n%âãÏÓ\n")
+  writeObject(1, "<< /Type /Catalog /Pages 2 0 R >>")
+  writeObject(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pdf.pages.length} >>`)
+
+  // The title may hold any character, so it is written as UTF-16 with a byte order mark
+  const titleHex = [...title].reduce((hex, char) => {
+    const units = char.length === 2 ? [char.charCodeAt(0), char.charCodeAt(1)] : [char.charCodeAt(0)]
+    return hex + units.map((unit) => unit.toString(16).padStart(4, "0")).join("")
+  }, "FEFF")
+  const now = new Date()
+  const date = now.toISOString().replace(/[-:T]/g, "").slice(0, 14)
+  writeObject(3, `<< /Title <${titleHex}> /Producer (HMPI Calculator) /CreationDate (D:${date}Z) >>`)
+
+  writeObject(4, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>")
+  writeObject(5, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>")
+
+  pdf.images.forEach((image) => {
+    writeObject(
+      imageIds.get(image),
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB ` +
+        `/BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>`,
+      image.data,
+    )
+  })
+
+  pdf.pages.forEach((page, index) => {
+    const pageId = pageIds[index]
+    const xObjects = [...page.images].map((image) => `/${image.name} ${imageIds.get(image)} 0 R`).join(" ")
+    writeObject(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatPdfNumber(pdf.width)} ${formatPdfNumber(pdf.height)}] ` +
+        `/Resources << /Font << /F1 4 0 R /F2 5 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ""} >> /Contents ${pageId + 1} 0 R >>`,
+    )
+    const content = encoder.encode(page.content.join("\n"))
+    writeObject(pageId + 1, `<< /Length ${content.length} >>`, content)
+  })
+
+  const objectCount = firstPageId + pdf.pages.length * 2
+  const xrefOffset = length
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`)
+  for (let id = 1; id < objectCount; id++) write(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`)
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+  return new Blob(chunks, { type: "application/pdf" })
+}
+
+// Flow
+// A cursor down the pages of a document: every add* function places its content at the cursor, moving to a
+// new page when it does not fit in what is left of the current one.
+
+function createPdfFlow(pdf, margin = 48) {
+  const flow = { pdf, margin, width: pdf.width - 2 * margin, page: null, y: 0 }
+  addPdfFlowPage(flow)
+  return flow
+}
+
+function addPdfFlowPage(flow) {
+  flow.page = addPdfPage(flow.pdf)
+  flow.y = flow.margin
+}
+
+// Starts a new page unless height points still fit above the bottom margin
+function ensurePdfSpace(flow, height) {
+  if (flow.y + height > flow.pdf.height - flow.margin && flow.y > flow.margin) addPdfFlowPage(flow)
+}
+
+function addPdfHeading(flow, text, size = 14) {
+  const lines = wrapPdfText(text, flow.width, size, true)
+  ensurePdfSpace(flow, size * (1.2 * lines.length + 2))
+  lines.forEach((line) => {
+    flow.y += size * 1.2
+    drawPdfText(flow.page, line, flow.margin, flow.y, { size, bold: true })
+  })
+  flow.y += size * 0.6
+}
+
+// options: size, bold, color
+function addPdfParagraph(flow, text, options = {}) {
+  const size = options.size || 10
+  const lineHeight = size * 1.35
+
+  wrapPdfText(text, flow.width, size, options.bold).forEach((line) => {
+    ensurePdfSpace(flow, lineHeight)
+    flow.y += lineHeight
+    drawPdfText(flow.page, line, flow.margin, flow.y - size * 0.3, { ...options, size })
+  })
+  flow.y += size * 0.5
+}
+
+// Label and value pairs, the labels bold in a column of their own
+function addPdfKeyValues(flow, pairs, size = 10) {
+  const labelWidth = Math.min(flow.width / 3, Math.max(...pairs.map(([label]) => measurePdfText(label, size, true))) + 12)
+  const lineHeight = size * 1.35
+
+  pairs.forEach(([label, value]) => {
+    const lines = wrapPdfText(value, flow.width - labelWidth, size)
+    ensurePdfSpace(flow, lineHeight * lines.length)
+    drawPdfText(flow.page, label, flow.margin, flow.y + lineHeight - size * 0.3, { size, bold: true })
+    lines.forEach((line) => {
+      flow.y += lineHeight
+      drawPdfText(flow.page, line, flow.margin + labelWidth, flow.y - size * 0.3, { size })
+    })
+  })
+  flow.y += size * 0.5
+}
+
+// columns: [{ header, width (share of the flow width), align }]. Cells are text or { text, color, bold, fill }.
+// Long cells wrap within their column; the header row is repeated on every page the table runs onto.
+function addPdfTable(flow, columns, rows, size = 8.5) {
+  const padding = 3
+  const lineHeight = size * 1.3
+  const totalShare = columns.reduce((sum, column) => sum + (column.width || 1), 0)
+  const widths = columns.map((column) => ((column.width || 1) / totalShare) * flow.width)
+
+  const layoutRow = (cells, bold) => {
+    const wrapped = cells.map((cell, index) => {
+      const content = cell !== null && typeof cell === "object" ? cell : { text: cell }
+      return { ...content, bold: content.bold ?? bold, lines: wrapPdfText(content.text, widths[index] - 2 * padding, size, content.bold ?? bold) }
+    })
+    return { cells: wrapped, height: Math.max(...wrapped.map((cell) => cell.lines.length)) * lineHeight + 2 * padding }
+  }
+
+  const drawRow = (row, background) => {
+    let x = flow.margin
+    if (background) drawPdfRect(flow.page, x, flow.y, flow.width, row.height, { fill: background })
+
+    row.cells.forEach((cell, index) => {
+      if (cell.fill) drawPdfRect(flow.page, x, flow.y, widths[index], row.height, { fill: cell.fill })
+      const align = columns[index].align
+      const textX = align === "right" ? x + widths[index] - padding : align === "center" ? x + widths[index] / 2 : x + padding
+      cell.lines.forEach((line, lineIndex) => {
+        drawPdfText(flow.page, line, textX, flow.y + padding + (lineIndex + 1) * lineHeight - size * 0.3, {
+          size,
+          bold: cell.bold,
+          color: cell.color,
+          align,
+        })
+      })
+      x += widths[index]
+    })
+
+    flow.y += row.height
+    drawPdfLine(flow.page, flow.margin, flow.y, flow.margin + flow.width, flow.y)
+  }
+
+  const header = layoutRow(
+    columns.map((column) => column.header),
+    true,
+  )
+  ensurePdfSpace(flow, header.height + lineHeight + 2 * padding)
+  drawRow(header, "#e2e8f0")
+
+  rows.forEach((cells, index) => {
+    const row = layoutRow(cells, false)
+    if (flow.y + row.height > flow.pdf.height - flow.margin) {
+      addPdfFlowPage(flow)
+      drawRow(header, "#e2e8f0")
+    }
+    drawRow(row, index % 2 === 1 ? "#f8fafc" : null)
+  })
+  flow.y += size
+}
+
+// Image scaled to the flow width (at most maxHeight points high), centred, with a caption below
+function addPdfFigure(flow, image, caption, maxHeight = 320) {
+  const scale = Math.min(flow.width / image.width, maxHeight / image.height)
+  const width = image.width * scale
+  const height = image.height * scale
+
+  ensurePdfSpace(flow, height + 24)
+  drawPdfImage(flow.page, image, flow.margin + (flow.width - width) / 2, flow.y, width, height)
+  flow.y += height + 12
+  if (caption) drawPdfText(flow.page, caption, flow.margin + flow.width / 2, flow.y, { size: 9, color: "#475569", align: "center" })
+  flow.y += 12
+}
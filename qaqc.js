@@ -0,0 +1,187 @@
+// Quality Control
+// Sample types of the lab's QA/QC protocol and the checks run on them. QC samples (field duplicates, blanks
+// and certified reference materials) are kept out of the indices, maps and statistics, and are checked per
+// analytical batch against QC_LIMITS: the relative percent difference (RPD) of duplicate pairs, detections
+// in blanks and the recovery of reference materials.
+
+const SAMPLE_TYPES = [
+  { id: "regular", label: "Regular", aliases: ["regular", "sample", "routine", "normal", "field sample", "primary"] },
+  { id: "duplicate", label: "Field duplicate", aliases: ["duplicate", "dup", "fd", "field duplicate", "field dup", "replicate"] },
+  { id: "blank", label: "Blank", aliases: ["blank", "trip blank", "field blank", "equipment blank", "method blank", "tb", "fb", "eb"] },
+  { id: "crm", label: "Reference material", aliases: ["crm", "srm", "rm", "reference", "reference material", "certified reference material", "standard reference material"] },
+]
+
+// Duplicates: RPD at most duplicateRPD percent, or, when their mean is below lowLevelFactor × LOD, a
+// difference of at most the LOD. Reference materials: recovery between recoveryMin and recoveryMax percent.
+const QC_LIMITS = {
+  duplicateRPD: 20,
+  lowLevelFactor: 5,
+  recoveryMin: 80,
+  recoveryMax: 120,
+}
+
+// Type id of a sample type as written in a file or form ("Dup", "Trip blank", "CRM"), "regular" for blank
+// text, or null when it is not recognised
+function parseSampleType(text) {
+  const value = String(text ?? "").trim().toLowerCase()
+  if (!value) return "regular"
+
+  const type = SAMPLE_TYPES.find((candidate) => candidate.id === value || candidate.aliases.includes(value))
+  return type ? type.id : null
+}
+
+function getSampleTypeLabel(id) {
+  const type = SAMPLE_TYPES.find((candidate) => candidate.id === (id || "regular"))
+  return type ? type.label : ""
+}
+
+// Samples saved before sample types were recorded are regular samples
+function isQCSample(sample) {
+  return Boolean(sample.type) && sample.type !== "regular"
+}
+
+function calculateRPD(a, b) {
+  const mean = (a + b) / 2
+  return mean > 0 ? (Math.abs(a - b) / mean) * 100 : 0
+}
+
+// Per-metal comparison of a duplicate with its original, for the metals measured in both
+function checkDuplicatePair(original, duplicate) {
+  return Object.keys(duplicate.metals)
+    .filter((metal) => original.metals[metal] !== undefined)
+    .map((metal) => {
+      const a = original.metals[metal]
+      const b = duplicate.metals[metal]
+      const censoredA = original.censored && original.censored[metal]
+      const censoredB = duplicate.censored && duplicate.censored[metal]
+      const row = { metal, original: a, duplicate: b, rpd: calculateRPD(a, b), pass: true, note: "" }
+
+      if (censoredA && censoredB) {
+        row.rpd = null
+        row.note = "Both below LOD"
+        return row
+      }
+
+      const lod = Math.max(censoredA?.lod ?? 0, censoredB?.lod ?? 0)
+      if (lod > 0 && (a + b) / 2 < QC_LIMITS.lowLevelFactor * lod) {
+        row.pass = Math.abs(a - b) <= lod
+        row.note = `Near LOD: difference ${row.pass ? "within" : "above"} LOD ${lod}`
+        return row
+      }
+
+      row.pass = row.rpd <= QC_LIMITS.duplicateRPD
+      return row
+    })
+}
+
+// Metals detected in a blank: values not reported below the detection limit and above the lowest LOD the
+// batch gives for that metal (any detection when no LOD is known)
+function checkBlank(blank, batchLods) {
+  return Object.entries(blank.metals).map(([metal, value]) => {
+    const censored = blank.censored && blank.censored[metal]
+    const lod = censored ? censored.lod : batchLods[metal] ?? null
+    const detected = !censored && value > (lod ?? 0)
+    return { metal, value, lod, censored: Boolean(censored), pass: !detected }
+  })
+}
+
+// Recovery of every certified metal the reference material sample was analysed for
+function checkReferenceMaterial(sample, material) {
+  return Object.entries(material.values)
+    .filter(([metal]) => sample.metals[metal] !== undefined)
+    .map(([metal, certified]) => {
+      const measured = sample.metals[metal]
+      const censored = Boolean(sample.censored && sample.censored[metal])
+      const recovery = (measured / certified) * 100
+      return {
+        metal,
+        measured,
+        certified,
+        recovery,
+        censored,
+        pass: !censored && recovery >= QC_LIMITS.recoveryMin && recovery <= QC_LIMITS.recoveryMax,
+      }
+    })
+}
+
+// QC outcome of every batch that has samples: { name, regular, duplicates, blanks, references, problems,
+// pass }. pass is null for batches without QC samples. Duplicates name their original sample, and reference
+// material samples their material, in qcReference; originals are looked up in the same batch first.
+function runQualityControl(samples, referenceMaterials) {
+  const batches = new Map()
+  samples.forEach((sample) => {
+    const name = sample.batch || ""
+    batches.set(name, [...(batches.get(name) || []), sample])
+  })
+
+  const byName = (list, name) => list.find((sample) => !isQCSample(sample) && sample.name.trim().toLowerCase() === name)
+
+  return [...batches.entries()].map(([name, batchSamples]) => {
+    const problems = []
+    const lods = {}
+    batchSamples.forEach((sample) => {
+      Object.entries(sample.censored || {}).forEach(([metal, entry]) => {
+        if (entry.lod !== null && (lods[metal] === undefined || entry.lod < lods[metal])) lods[metal] = entry.lod
+      })
+    })
+
+    const duplicates = []
+    batchSamples
+      .filter((sample) => sample.type === "duplicate")
+      .forEach((sample) => {
+        const reference = String(sample.qcReference ?? "").trim().toLowerCase()
+        const original = reference && (byName(batchSamples, reference) || byName(samples, reference))
+        if (!original) {
+          problems.push(`Duplicate ${sample.name}: ${reference ? `original sample "${sample.qcReference}" not found` : "no original sample given"}`)
+          return
+        }
+        const rows = checkDuplicatePair(original, sample)
+        duplicates.push({ original, duplicate: sample, rows, pass: rows.every((row) => row.pass) })
+      })
+
+    const blanks = batchSamples
+      .filter((sample) => sample.type === "blank")
+      .map((sample) => {
+        const rows = checkBlank(sample, lods)
+        return { sample, rows, pass: rows.every((row) => row.pass) }
+      })
+
+    const references = []
+    batchSamples
+      .filter((sample) => sample.type === "crm")
+      .forEach((sample) => {
+        const reference = String(sample.qcReference ?? "").trim().toLowerCase()
+        const material = referenceMaterials.find((candidate) => candidate.name.trim().toLowerCase() === reference)
+        if (!material) {
+          problems.push(`Reference material sample ${sample.name}: ${reference ? `no certified values for "${sample.qcReference}"` : "no reference material given"}`)
+          return
+        }
+        const rows = checkReferenceMaterial(sample, material)
+        references.push({ sample, material, rows, pass: rows.every((row) => row.pass) })
+      })
+
+    const checks = [...duplicates, ...blanks, ...references]
+    const hasQC = checks.length > 0 || problems.length > 0
+
+    return {
+      name: name,
+      regular: batchSamples.filter((sample) => !isQCSample(sample)),
+      duplicates: duplicates,
+      blanks: blanks,
+      references: references,
+      problems: problems,
+      pass: hasQC ? problems.length === 0 && checks.every((check) => check.pass) : null,
+    }
+  })
+}
+
+// One line per failed check of a batch, e.g. "Duplicate W-12D: Pb RPD 35.2%"
+function describeQCFailures(batch) {
+  const symbols = (rows) => rows.filter((row) => !row.pass).map((row) => getMetalSymbol(row.metal)).join(", ")
+  return [
+    ...batch.duplicates.filter((check) => !check.pass).map((check) => `Duplicate ${check.duplicate.name}: ${symbols(check.rows)} outside the RPD limit`),
+    ...batch.blanks.filter((check) => !check.pass).map((check) => `Blank ${check.sample.name}: ${symbols(check.rows)} detected`),
+    ...batch.references.filter((check) => !check.pass).map((check) => `${check.material.name} (${check.sample.name}): ${symbols(check.rows)} recovery outside ${QC_LIMITS.recoveryMin}–${QC_LIMITS.recoveryMax}%`),
+    ...batch.problems,
+  ]
+}
@@ -6,82 +6,143 @@ class HMPICalculator {
     this.samples = []
     this.results = []
     this.currentChart = "bar"
+
+    // Monitoring sites of the project (see sites.js), the site whose page is open, the site being edited,
+    // and whether the results table and map show only the latest result of each site
+    this.sites = []
+    this.viewingSiteId = null
+    this.editingSiteId = null
+    this.latestPerSite = false
+
+    // Location map: its size in CSS pixels (the backing store is scaled for the screen's pixel density, as for
+    // the charts), the view the user panned or zoomed to (null = fit to the samples), the drag in progress,
+    // the basemap (tile URL template or tile archive), vector layers and the tiles loaded so far
+    this.mapSize = { width: 800, height: 500 }
+    this.mapRatio = 1
+    this.mapView = null
+    this.mapDrag = null
+    this.basemapUrl = ""
+    this.basemapArchive = null
+    this.mapLayers = []
+    this.tileCache = new Map()
+    // Polygons of every boundary layer by layer id, for assigning samples to areas
+    this.boundaryIndexes = new Map()
+    // Interpolated surface on the map (see interpolation.js) and the last grid built, reused while only the
+    // view changes
+    this.surfaceSettings = this.getDefaultSettings().surface
+    this.surfaceCache = null
+    // Hotspot analysis (see hotspots.js) and its last result, reused while only the view changes
+    this.hotspotSettings = this.getDefaultSettings().hotspots
+    this.hotspotCache = null
+
+    // Time-series chart: "index" or a metal key, and the sites drawn (empty = the sites with most samples)
+    this.seriesParameter = "index"
+    this.seriesSites = []
+    // Visualization chart: its size in CSS pixels (the canvas backing store is scaled for the screen's pixel
+    // density), the hit regions of the last drawing for tooltips and clicks, the samples shown by the zoomed
+    // bar charts (count null = all), the plot area they are drawn across and the drag in progress
+    this.chartSize = { width: 800, height: 400 }
+    this.chartRatio = 1
+    this.chartRegions = []
+    this.chartView = { start: 0, count: null }
+    this.chartPlot = null
+    this.chartDrag = null
+    this.chartLegendItems = []
+    // Last principal component analysis, redrawn when the statistics panel changes width
+    this.pcaPlots = null
     this.isDarkMode = false
 
-    // WHO/EPA standards for heavy metals (mg/L)
-    this.standards = {
-      cd: 0.003, // Cadmium
-      pb: 0.01, // Lead
-      cr: 0.05, // Chromium
-      cu: 2.0, // Copper
-      zn: 3.0, // Zinc
-      ni: 0.07, // Nickel
-    }
-
-    // Relative weights for HMPI calculation
-    this.weights = {
-      cd: 0.2,
-      pb: 0.2,
-      cr: 0.15,
-      cu: 0.15,
-      zn: 0.15,
-      ni: 0.15,
-    }
-
-    // Metal information for tooltips
-    this.metalInfo = {
-      cd: {
-        name: "Cadmium",
-        effects: "Kidney damage, bone disease, cancer risk",
-        sources: "Industrial discharge, mining, batteries",
-        limit: "0.003 mg/L (WHO)",
-      },
-      pb: {
-        name: "Lead",
-        effects: "Neurological damage, developmental issues, cardiovascular problems",
-        sources: "Old pipes, paint, industrial processes",
-        limit: "0.01 mg/L (WHO)",
-      },
-      cr: {
-        name: "Chromium",
-        effects: "Skin irritation, respiratory problems, cancer risk",
-        sources: "Industrial processes, leather tanning, steel production",
-        limit: "0.05 mg/L (WHO)",
-      },
-      cu: {
-        name: "Copper",
-        effects: "Gastrointestinal distress, liver damage (high doses)",
-        sources: "Plumbing, mining, agricultural runoff",
-        limit: "2.0 mg/L (WHO)",
-      },
-      zn: {
-        name: "Zinc",
-        effects: "Nausea, vomiting, immune system effects (high doses)",
-        sources: "Galvanized pipes, mining, industrial discharge",
-        limit: "3.0 mg/L (WHO)",
-      },
-      ni: {
-        name: "Nickel",
-        effects: "Allergic reactions, respiratory issues, cancer risk",
-        sources: "Industrial processes, mining, stainless steel",
-        limit: "0.07 mg/L (WHO)",
-      },
-    }
+    // Persisted workspace (IndexedDB)
+    this.store = new WorkspaceStore()
+    this.project = null
+    this.saveTimer = null
+
+    // Standards profiles (see standards.js). this.standards holds the permissible limits (mg/L) of the active profile
+    this.customProfiles = []
+    this.activeProfile = BUILTIN_STANDARDS_PROFILES.find((profile) => profile.id === DEFAULT_STANDARDS_PROFILE)
+    this.standards = this.getPermissibleLimits(this.activeProfile)
+    this.editingProfileId = null
+
+    // Unit chosen for each parameter in the input form; values are converted to the registry unit (mg/L)
+    this.inputUnits = {}
+
+    // Saved column mapping templates (see importer.js), the table waiting in the column mapping step and the
+    // rows waiting in the import preview
+    this.importTemplates = []
+    this.pendingImport = null
+    this.importPreview = null
+    // Import or calculation running as a batch job (see batch.js): its worker, if any, and how to end it
+    this.batchJob = null
+
+    // Certified values of the reference materials analysed as QC samples (see qaqc.js)
+    this.referenceMaterials = []
+    this.editingMaterialId = null
+
+    // HPI method: "mohan" (Mohan et al., 1996) or "legacy" (fixed-weight ratio used by older reports)
+    this.hpiMethod = "mohan"
+
+    // Substitute used for values below the detection limit (see censoring.js)
+    this.substitutionPolicy = DEFAULT_SUBSTITUTION_POLICY
+
+    // Pollution indices (see indices.js): which ones are computed, and which one the table, charts and map show
+    this.enabledIndices = Object.keys(POLLUTION_INDICES)
+    this.displayIndex = "hpi"
+
+    // Fixed weights for the legacy weighted-ratio method (see metals.js)
+    this.weights = {}
+    METAL_REGISTRY.forEach((metal) => {
+      if (metal.legacyWeight) this.weights[metal.key] = metal.legacyWeight
+    })
 
     this.init()
   }
 
   init() {
+    this.renderMetalInputs()
     this.setupEventListeners()
     this.loadTheme()
     this.initializeCharts()
     this.initializeMap()
+    this.renderProfileOptions()
+    this.renderIndexControls()
+    this.registerServiceWorker()
+    this.loadWorkspace()
   }
 
   setupEventListeners() {
     // Theme toggle
     document.getElementById("themeToggle").addEventListener("click", () => this.toggleTheme())
 
+    // Project controls
+    document.getElementById("projectSelect").addEventListener("change", (e) => this.openProject(e.target.value))
+    document.getElementById("newProjectBtn").addEventListener("click", () => this.createProject())
+    document.getElementById("duplicateProjectBtn").addEventListener("click", () => this.duplicateProject())
+    document.getElementById("deleteProjectBtn").addEventListener("click", () => this.deleteProject())
+
+    // Flush pending saves before the page is hidden or closed
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") this.flushSave()
+    })
+    window.addEventListener("pagehide", () => this.flushSave())
+
+    // Standards profiles
+    document.getElementById("standardsProfile").addEventListener("change", (e) => this.switchStandardsProfile(e.target.value))
+    document.getElementById("editProfileBtn").addEventListener("click", () => this.openProfileEditor())
+    document.getElementById("standardsForm").addEventListener("submit", (e) => this.handleProfileSave(e))
+    document.getElementById("deleteProfileBtn").addEventListener("click", () => this.deleteCustomProfile())
+
+    // Health risk exposure parameters
+    document.getElementById("editExposureBtn").addEventListener("click", () => this.openExposureEditor())
+    document.getElementById("exposureForm").addEventListener("submit", (e) => this.handleExposureSave(e))
+    document.getElementById("resetExposureBtn").addEventListener("click", () => this.openExposureEditor(getDefaultExposure()))
+
+    // HPI method and displayed index
+    document.getElementById("hpiMethod").addEventListener("change", (e) => this.switchHPIMethod(e.target.value))
+    document.getElementById("substitutionPolicy").addEventListener("change", (e) => {
+      this.switchSubstitutionPolicy(e.target.value)
+    })
+    document.getElementById("displayIndex").addEventListener("change", (e) => this.switchDisplayIndex(e.target.value))
+
     // Help modal
     document.getElementById("helpBtn").addEventListener("click", () => this.showModal("helpModal"))
 
@@ -92,6 +153,11 @@ class HMPICalculator {
 
     // Manual form submission
     document.getElementById("manualForm").addEventListener("submit", (e) => this.handleManualSubmit(e))
+    document.getElementById("metalsGrid").addEventListener("change", (e) => {
+      if (!e.target.classList.contains("unit-select")) return
+      this.inputUnits[e.target.dataset.metal] = e.target.value
+      this.scheduleSave()
+    })
 
     // File upload
     const fileInput = document.getElementById("fileInput")
@@ -102,19 +168,64 @@ class HMPICalculator {
     fileUploadArea.addEventListener("dragover", (e) => this.handleDragOver(e))
     fileUploadArea.addEventListener("drop", (e) => this.handleFileDrop(e))
 
+    // Column mapping step
+    document.getElementById("columnMappingForm").addEventListener("submit", (e) => this.handleColumnMappingSubmit(e))
+    document.getElementById("mappingTemplate").addEventListener("change", (e) => this.applyMappingTemplate(e.target.value))
+    document.getElementById("deleteTemplateBtn").addEventListener("click", () => this.deleteMappingTemplate())
+    document.getElementById("mappingBody").addEventListener("change", () => this.updateMappingStatus())
+    // Import preview
+    document.getElementById("importPreviewModal").addEventListener("change", (e) => this.handlePreviewChange(e))
+    document.getElementById("commitImportBtn").addEventListener("click", () => this.commitImportPreview())
+    document.getElementById("downloadErrorsBtn").addEventListener("click", () => this.downloadImportErrors())
+    document.getElementById("mappingSheet").addEventListener("change", (e) => this.selectWorkbookTable(Number(e.target.value)))
+    document.getElementById("mappingHeaderRow").addEventListener("change", (e) => {
+      this.selectWorkbookTable(Number(document.getElementById("mappingSheet").value), Number(e.target.value) - 1)
+    })
+
     // Batch actions
     document.getElementById("calculateAllBtn").addEventListener("click", () => this.calculateAllHMPI())
+    document.getElementById("cancelBatchBtn").addEventListener("click", () => this.cancelBatch())
+    document.getElementById("qcReportBtn").addEventListener("click", () => this.openQCReport())
+    document.getElementById("editReferenceMaterialsBtn").addEventListener("click", () => this.openReferenceMaterialEditor())
+    document.getElementById("referenceMaterialSelect").addEventListener("change", (e) => this.openReferenceMaterialEditor(e.target.value))
+    document.getElementById("referenceMaterialForm").addEventListener("submit", (e) => this.handleReferenceMaterialSave(e))
+    document.getElementById("deleteReferenceMaterialBtn").addEventListener("click", () => this.deleteReferenceMaterial())
     document.getElementById("clearAllBtn").addEventListener("click", () => this.clearAllSamples())
     document.getElementById("exportBtn").addEventListener("click", () => this.exportResults())
+    document.getElementById("exportXlsxBtn").addEventListener("click", () => this.exportWorkbook())
+    document.getElementById("exportPdfBtn").addEventListener("click", () => this.exportPdfReport())
+    document.getElementById("exportGeoJSONBtn").addEventListener("click", () => this.exportSpatial("geojson"))
+    document.getElementById("exportKmlBtn").addEventListener("click", () => this.exportSpatial("kml"))
+    document.getElementById("exportShapefileBtn").addEventListener("click", () => this.exportSpatial("shapefile"))
 
     // Filter and sort controls
-    document.getElementById("categoryFilter").addEventListener("change", () => this.filterResults())
+    document.getElementById("categoryFilter").addEventListener("change", () => {
+      this.filterResults()
+      this.scheduleSave()
+    })
     document.getElementById("sortBy").addEventListener("change", () => this.sortResults())
+    ;["areaFilter", "groupBy"].forEach((id) => {
+      document.getElementById(id).addEventListener("change", () => {
+        this.updateResultsTable()
+        this.scheduleSave()
+      })
+    })
 
     // Chart controls
     document.querySelectorAll(".chart-btn").forEach((btn) => {
       btn.addEventListener("click", (e) => this.switchChart(e.target.dataset.chart))
     })
+    // Monitoring sites
+    document.getElementById("addSiteBtn").addEventListener("click", () => this.openSiteEditor())
+    document.getElementById("siteForm").addEventListener("submit", (e) => this.handleSiteSave(e))
+    document.getElementById("deleteSiteBtn").addEventListener("click", () => this.deleteSite())
+    document.getElementById("latestPerSite").addEventListener("change", (e) => this.setLatestPerSite(e.target.checked))
+    document.getElementById("mapLatestPerSite").addEventListener("change", (e) => this.setLatestPerSite(e.target.checked))
+    document.getElementById("seriesParameter").addEventListener("change", (e) => this.setSeriesParameter(e.target.value))
+    document.getElementById("seriesSites").addEventListener("change", () => this.setSeriesSites())
+
+    // Statistics
+    document.getElementById("correlationMethod").addEventListener("change", (e) => this.setCorrelationMethod(e.target.value))
 
     // Metal info buttons
     document.querySelectorAll(".info-btn").forEach((btn) => {
@@ -133,10 +244,46 @@ class HMPICalculator {
       })
     })
 
-    // Map canvas events
+    // Chart canvas events: hover for tooltips, click a sample for its details, and on the bar charts wheel to
+    // zoom and drag to pan
+    const chartCanvas = document.getElementById("chartCanvas")
+    chartCanvas.addEventListener("mousedown", (e) => this.handleChartPointerDown(e))
+    chartCanvas.addEventListener("mousemove", (e) => this.handleChartPointerMove(e))
+    window.addEventListener("mouseup", (e) => this.handleChartPointerUp(e))
+    chartCanvas.addEventListener("mouseleave", () => this.hideChartTooltip())
+    chartCanvas.addEventListener("wheel", (e) => this.handleChartWheel(e), { passive: false })
+    document.getElementById("downloadChartPngBtn").addEventListener("click", () => this.downloadChart("png"))
+    document.getElementById("downloadChartSvgBtn").addEventListener("click", () => this.downloadChart("svg"))
+
+    // Map canvas events: drag to pan, wheel to zoom, click a point for its details
     const mapCanvas = document.getElementById("mapCanvas")
-    mapCanvas.addEventListener("mousemove", (e) => this.handleMapHover(e))
+    mapCanvas.addEventListener("mousedown", (e) => this.handleMapPointerDown(e))
+    mapCanvas.addEventListener("mousemove", (e) => this.handleMapPointerMove(e))
+    window.addEventListener("mouseup", (e) => this.handleMapPointerUp(e))
     mapCanvas.addEventListener("mouseleave", () => this.hideMapTooltip())
+    mapCanvas.addEventListener("wheel", (e) => this.handleMapWheel(e), { passive: false })
+    document.getElementById("mapZoomInBtn").addEventListener("click", () => this.zoomMap(1))
+    document.getElementById("mapZoomOutBtn").addEventListener("click", () => this.zoomMap(-1))
+    document.getElementById("mapFitBtn").addEventListener("click", () => this.fitMapToSamples())
+
+    // Basemap and vector layers
+    document.getElementById("basemapUrl").addEventListener("change", (e) => this.setBasemapUrl(e.target.value))
+    document.getElementById("tileArchiveInput").addEventListener("change", (e) => {
+      if (e.target.files[0]) this.loadTileArchive(e.target.files[0])
+      e.target.value = ""
+    })
+    document.getElementById("vectorLayerInput").addEventListener("change", (e) => {
+      if (e.target.files[0]) this.loadVectorLayer(e.target.files[0])
+      e.target.value = ""
+    })
+
+    // Interpolated surface
+    document.getElementById("surfaceControls").addEventListener("change", () => this.handleSurfaceChange())
+    document.getElementById("exportGeoTiffBtn").addEventListener("click", () => this.exportSurface("geotiff"))
+    document.getElementById("exportAsciiGridBtn").addEventListener("click", () => this.exportSurface("ascii"))
+
+    // Hotspot analysis
+    document.getElementById("hotspotControls").addEventListener("change", () => this.handleHotspotChange())
   }
 
   // Theme Management
@@ -163,6 +310,521 @@ class HMPICalculator {
     }
   }
 
+  // Workspace Persistence
+  registerServiceWorker() {
+    // Cache the app shell so the calculator still opens without a network connection
+    if ("serviceWorker" in navigator && location.protocol.startsWith("http")) {
+      navigator.serviceWorker.register("sw.js").catch((error) => console.error("Service worker registration failed:", error))
+    }
+  }
+
+  getDefaultSettings() {
+    return {
+      categoryFilter: "all",
+      sortBy: "hmpi-desc",
+      areaFilter: "all",
+      groupBy: "none",
+      currentChart: "bar",
+      standardsProfile: DEFAULT_STANDARDS_PROFILE,
+      hpiMethod: "mohan",
+      substitutionPolicy: DEFAULT_SUBSTITUTION_POLICY,
+      enabledIndices: Object.keys(POLLUTION_INDICES),
+      displayIndex: "hpi",
+      inputUnits: {},
+      seriesParameter: "index",
+      seriesSites: [],
+      correlationMethod: "pearson",
+      latestPerSite: false,
+      exposure: getDefaultExposure(),
+      mapView: null,
+      surface: {
+        enabled: false,
+        parameter: "index",
+        method: "idw",
+        power: 2,
+        model: "spherical",
+        nugget: null,
+        sill: null,
+        range: null,
+        resolution: 80,
+        clip: "none",
+      },
+      hotspots: {
+        method: "none",
+        band: null,
+        cluster: false,
+        clusterDistance: null,
+        minSamples: 3,
+      },
+    }
+  }
+
+  createProjectRecord(name) {
+    const now = new Date().toISOString()
+
+    return {
+      id: Date.now().toString(),
+      name: name,
+      createdAt: now,
+      updatedAt: now,
+      samples: [],
+      results: [],
+      sites: [],
+      settings: this.getDefaultSettings(),
+    }
+  }
+
+  async loadWorkspace() {
+    // Only failures to read browser storage mean working unsaved; errors showing what was read are reported as such
+    let project
+    try {
+      this.customProfiles = await this.store.getSetting("customStandardsProfiles", [])
+      this.importTemplates = await this.store.getSetting("importTemplates", [])
+      this.referenceMaterials = await this.store.getSetting("referenceMaterials", [])
+
+      const currentId = await this.store.getSetting("currentProjectId")
+      project = currentId ? await this.store.getProject(currentId) : null
+
+      if (!project) {
+        const projects = await this.store.listProjects()
+        if (projects.length > 0) {
+          project = await this.store.getProject(projects[0].id)
+        } else {
+          project = this.createProjectRecord("Untitled project")
+          await this.store.putProject(project)
+        }
+      }
+    } catch (error) {
+      console.error("Workspace storage unavailable:", error)
+      this.storageUnavailable = true
+    }
+
+    try {
+      this.renderProfileOptions()
+
+      if (this.storageUnavailable) {
+        this.applyProject(this.createProjectRecord("Untitled project"))
+        this.setSaveStatus("Not saved: browser storage unavailable")
+        return
+      }
+
+      // Saved map layers that cannot be shown are reported without keeping the project from opening
+      try {
+        await this.loadMapLayers()
+      } catch (error) {
+        console.error("Error loading map layers:", error)
+        this.showError(`Could not load the saved map layers: ${error.message}`)
+      }
+
+      await this.activateProject(project)
+    } catch (error) {
+      console.error("Error opening project:", error)
+      this.showError(`Could not open project: ${error.message}`)
+    }
+  }
+
+  async activateProject(project) {
+    this.applyProject(project)
+    await this.store.setSetting("currentProjectId", project.id)
+    await this.refreshProjectList()
+    this.setSaveStatus("Saved locally")
+  }
+
+  applyProject(project) {
+    const settings = { ...this.getDefaultSettings(), ...project.settings }
+
+    this.project = project
+    this.sites = project.sites || []
+    // Samples saved with their site as text are linked to registered sites
+    this.samples = project.samples.map((sample) => this.attachSite(sample))
+    this.latestPerSite = settings.latestPerSite
+    this.exposure = Object.fromEntries(
+      EXPOSURE_GROUPS.map((group) => [group.id, { ...group.defaults, ...settings.exposure[group.id] }]),
+    )
+    this.mapView = settings.mapView
+    this.surfaceSettings = { ...this.getDefaultSettings().surface, ...settings.surface }
+    this.renderSurfaceControls()
+    this.hotspotSettings = { ...this.getDefaultSettings().hotspots, ...settings.hotspots }
+    this.renderHotspotControls()
+    document.getElementById("latestPerSite").checked = this.latestPerSite
+    document.getElementById("mapLatestPerSite").checked = this.latestPerSite
+    this.closeSitePage()
+    this.setResultsStatus("")
+    this.currentChart = settings.currentChart
+    this.seriesParameter = settings.seriesParameter
+    this.seriesSites = [...settings.seriesSites]
+    this.correlationMethod = settings.correlationMethod
+    this.applyStandardsProfile(settings.standardsProfile)
+    this.hpiMethod = settings.hpiMethod
+    document.getElementById("hpiMethod").value = settings.hpiMethod
+    this.substitutionPolicy = getSubstitutionPolicy(settings.substitutionPolicy).id
+    document.getElementById("substitutionPolicy").value = this.substitutionPolicy
+    this.enabledIndices = settings.enabledIndices.filter((id) => POLLUTION_INDICES[id])
+    this.displayIndex = this.enabledIndices.includes(settings.displayIndex) ? settings.displayIndex : "hpi"
+    this.results = project.results.map((result) => this.upgradeResult(result))
+    this.inputUnits = { ...settings.inputUnits }
+    this.applyInputUnits()
+    this.renderIndexControls()
+
+    document.getElementById("categoryFilter").value = settings.categoryFilter
+    document.getElementById("sortBy").value = settings.sortBy
+    // Boundary layers belong to the workspace; a filter or grouping on a layer since removed falls back
+    document.getElementById("areaFilter").value = settings.areaFilter
+    document.getElementById("groupBy").value = settings.groupBy
+    document.querySelectorAll(".chart-btn").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.chart === this.currentChart)
+    })
+
+    this.updateSamplesList()
+    this.updateResultsTable()
+    this.updateVisualization()
+    this.updateStatistics()
+    this.updateMap()
+
+    if (this.samples.length > 0) {
+      this.showBatchActions()
+    } else {
+      this.hideBatchActions()
+    }
+  }
+
+  serializeProject() {
+    return {
+      ...this.project,
+      samples: this.samples,
+      sites: this.sites,
+      // Drop transient canvas coordinates
+      results: this.results.map(({ _mapX, _mapY, ...result }) => result),
+      settings: {
+        categoryFilter: document.getElementById("categoryFilter").value,
+        sortBy: document.getElementById("sortBy").value,
+        areaFilter: document.getElementById("areaFilter").value || "all",
+        groupBy: document.getElementById("groupBy").value || "none",
+        currentChart: this.currentChart,
+        standardsProfile: this.activeProfile.id,
+        hpiMethod: this.hpiMethod,
+        substitutionPolicy: this.substitutionPolicy,
+        enabledIndices: this.enabledIndices,
+        displayIndex: this.displayIndex,
+        inputUnits: this.inputUnits,
+        seriesParameter: this.seriesParameter,
+        seriesSites: this.seriesSites,
+        correlationMethod: this.correlationMethod,
+        latestPerSite: this.latestPerSite,
+        exposure: this.exposure,
+        mapView: this.mapView,
+        surface: this.surfaceSettings,
+        hotspots: this.hotspotSettings,
+      },
+    }
+  }
+
+  scheduleSave() {
+    if (!this.project || this.storageUnavailable) return
+
+    clearTimeout(this.saveTimer)
+    this.setSaveStatus("Saving…")
+    this.saveTimer = setTimeout(() => this.saveWorkspace(), 400)
+  }
+
+  flushSave() {
+    if (this.saveTimer === null) return Promise.resolve()
+
+    clearTimeout(this.saveTimer)
+    return this.saveWorkspace()
+  }
+
+  async saveWorkspace() {
+    this.saveTimer = null
+
+    try {
+      this.project = { ...this.serializeProject(), updatedAt: new Date().toISOString() }
+      await this.store.putProject(this.project)
+      this.setSaveStatus("Saved locally")
+    } catch (error) {
+      console.error("Error saving workspace:", error)
+      this.setSaveStatus("Save failed")
+    }
+  }
+
+  setSaveStatus(text) {
+    document.getElementById("saveStatus").textContent = text
+  }
+
+  async refreshProjectList() {
+    const projects = await this.store.listProjects()
+    const select = document.getElementById("projectSelect")
+
+    select.innerHTML = projects.map((project) => `<option value="${project.id}">${escapeHtml(project.name)}</option>`).join("")
+    select.value = this.project.id
+  }
+
+  ensureStorage() {
+    if (this.storageUnavailable) {
+      this.showError("Projects are unavailable because this browser does not allow local storage (IndexedDB).")
+      return false
+    }
+    return true
+  }
+
+  async openProject(id) {
+    if (!this.ensureStorage()) return
+
+    try {
+      await this.flushSave()
+      const project = await this.store.getProject(id)
+      if (!project) throw new Error("Project not found")
+      await this.activateProject(project)
+    } catch (error) {
+      this.showError(`Could not open project: ${error.message}`)
+    }
+  }
+
+  async createProject() {
+    if (!this.ensureStorage()) return
+
+    const name = prompt("Project name:", "Untitled project")
+    if (!name || !name.trim()) return
+
+    try {
+      await this.flushSave()
+      const project = this.createProjectRecord(name.trim())
+      await this.store.putProject(project)
+      await this.activateProject(project)
+    } catch (error) {
+      this.showError(`Could not create project: ${error.message}`)
+    }
+  }
+
+  async duplicateProject() {
+    if (!this.ensureStorage()) return
+
+    const name = prompt("Name for the copy:", `${this.project.name} (copy)`)
+    if (!name || !name.trim()) return
+
+    try {
+      await this.flushSave()
+      const now = new Date().toISOString()
+      const copy = {
+        ...structuredClone(this.serializeProject()),
+        id: Date.now().toString(),
+        name: name.trim(),
+        createdAt: now,
+        updatedAt: now,
+      }
+      await this.store.putProject(copy)
+      await this.activateProject(copy)
+    } catch (error) {
+      this.showError(`Could not duplicate project: ${error.message}`)
+    }
+  }
+
+  async deleteProject() {
+    if (!this.ensureStorage()) return
+    if (!confirm(`Delete project "${this.project.name}" with all of its samples and results? This cannot be undone.`)) return
+
+    try {
+      clearTimeout(this.saveTimer)
+      this.saveTimer = null
+      await this.store.deleteProject(this.project.id)
+
+      const projects = await this.store.listProjects()
+      let next
+      if (projects.length > 0) {
+        next = await this.store.getProject(projects[0].id)
+      } else {
+        next = this.createProjectRecord("Untitled project")
+        await this.store.putProject(next)
+      }
+      await this.activateProject(next)
+    } catch (error) {
+      this.showError(`Could not delete project: ${error.message}`)
+    }
+  }
+
+  // Standards Profiles
+  getProfiles() {
+    return [...BUILTIN_STANDARDS_PROFILES, ...this.customProfiles]
+  }
+
+  findProfile(id) {
+    return this.getProfiles().find((profile) => profile.id === id)
+  }
+
+  getPermissibleLimits(profile) {
+    const limits = {}
+    for (const [metal, limit] of Object.entries(profile.limits)) {
+      limits[metal] = limit.permissible
+    }
+    return limits
+  }
+
+  applyStandardsProfile(id) {
+    this.activeProfile = this.findProfile(id) || this.findProfile(DEFAULT_STANDARDS_PROFILE)
+    this.standards = this.getPermissibleLimits(this.activeProfile)
+    document.getElementById("standardsProfile").value = this.activeProfile.id
+  }
+
+  switchStandardsProfile(id) {
+    this.applyStandardsProfile(id)
+    this.recalculateResults()
+    this.scheduleSave()
+  }
+
+  // Standards a result was calculated with: the limits recorded on it or, for results saved before limits were
+  // recorded, the profile of the same id. Without either the active profile stands in (see getProfileNote).
+  getResultProfile(result) {
+    const recorded = result.standardsProfile
+    if (recorded && recorded.limits) return recorded
+    return (recorded && this.findProfile(recorded.id)) || this.activeProfile
+  }
+
+  // Why the limits shown with a result may not be its profile as it stands now
+  getProfileNote(result) {
+    const recorded = result.standardsProfile
+    if (!recorded) return ""
+
+    const current = this.findProfile(recorded.id)
+    const label = `${recorded.name} (${recorded.version})`
+    if (!current) {
+      return recorded.limits
+        ? `The standards profile this result was calculated with, ${label}, has since been deleted. The limits shown are the ones recorded with the result.`
+        : `The standards profile this result was calculated with, ${label}, no longer exists. Limits and ratios below use ${this.activeProfile.name} instead; recalculate to rate the sample against it.`
+    }
+
+    const metals = new Set([...Object.keys(recorded.limits || {}), ...Object.keys(current.limits)])
+    const changed =
+      recorded.limits &&
+      [...metals].some((metal) => {
+        const before = recorded.limits[metal] || {}
+        const now = current.limits[metal] || {}
+        return before.acceptable !== now.acceptable || before.permissible !== now.permissible
+      })
+    return changed
+      ? `The limits of ${current.name} have changed since this result was calculated. The limits shown are the ones recorded with the result; recalculate to rate the sample against the current limits.`
+      : ""
+  }
+
+  renderProfileOptions() {
+    const select = document.getElementById("standardsProfile")
+    const toOption = (profile) => `<option value="${profile.id}">${escapeHtml(profile.name)}</option>`
+
+    select.innerHTML = `
+            <optgroup label="Built-in">${BUILTIN_STANDARDS_PROFILES.map(toOption).join("")}</optgroup>
+            ${this.customProfiles.length > 0 ? `<optgroup label="Custom">${this.customProfiles.map(toOption).join("")}</optgroup>` : ""}
+        `
+    select.value = this.activeProfile.id
+  }
+
+  openProfileEditor() {
+    const profile = this.activeProfile
+    const isCustom = !profile.builtIn
+
+    // Built-in profiles are read-only; editing one starts a new custom profile from its values
+    this.editingProfileId = isCustom ? profile.id : null
+
+    document.getElementById("standardsModalTitle").textContent = isCustom
+      ? `Edit Profile: ${profile.name}`
+      : `New Profile Based on ${profile.name}`
+    document.getElementById("profileName").value = isCustom ? profile.name : `${profile.name} (custom)`
+    document.getElementById("profileVersion").value = profile.version || ""
+    document.getElementById("deleteProfileBtn").style.display = isCustom ? "" : "none"
+
+    // Leaving both limits blank excludes the parameter from this profile
+    document.getElementById("profileLimitsBody").innerHTML = METAL_REGISTRY.map((metal) => {
+      const limit = profile.limits[metal.key] || { acceptable: "", permissible: "" }
+      return `
+                <tr>
+                    <td>${metal.name} (${metal.symbol})</td>
+                    <td><input type="number" name="acceptable-${metal.key}" step="any" min="0" value="${limit.acceptable}"></td>
+                    <td><input type="number" name="permissible-${metal.key}" step="any" min="0" value="${limit.permissible}"></td>
+                </tr>
+            `
+    }).join("")
+
+    this.showModal("standardsModal")
+  }
+
+  async handleProfileSave(e) {
+    e.preventDefault()
+
+    try {
+      const formData = new FormData(e.target)
+      const name = formData.get("profileName").trim()
+      if (!name) throw new Error("Profile name is required")
+
+      const limits = {}
+      for (const metal of METAL_REGISTRY) {
+        const acceptableText = formData.get(`acceptable-${metal.key}`).trim()
+        const permissibleText = formData.get(`permissible-${metal.key}`).trim()
+        if (!acceptableText && !permissibleText) continue
+
+        const permissible = Number.parseFloat(permissibleText)
+        // A single value applies as both the acceptable and the permissible limit
+        const acceptable = acceptableText ? Number.parseFloat(acceptableText) : permissible
+
+        if (isNaN(permissible) || permissible <= 0) {
+          throw new Error(`Permissible limit for ${metal.symbol} must be greater than zero`)
+        }
+        if (isNaN(acceptable) || acceptable < 0 || acceptable > permissible) {
+          throw new Error(`Acceptable limit for ${metal.symbol} must be between 0 and the permissible limit`)
+        }
+        limits[metal.key] = { acceptable, permissible }
+      }
+
+      if (Object.keys(limits).length === 0) {
+        throw new Error("Enter limits for at least one parameter")
+      }
+
+      const profile = {
+        id: this.editingProfileId || `custom-${Date.now()}`,
+        name: name,
+        version: formData.get("profileVersion").trim() || `Custom, saved ${new Date().toISOString().split("T")[0]}`,
+        builtIn: false,
+        limits: limits,
+      }
+
+      const existingIndex = this.customProfiles.findIndex((p) => p.id === profile.id)
+      if (existingIndex >= 0) {
+        this.customProfiles[existingIndex] = profile
+      } else {
+        this.customProfiles.push(profile)
+      }
+
+      await this.saveCustomProfiles()
+      this.closeModal(document.getElementById("standardsModal"))
+      this.switchStandardsProfile(profile.id)
+    } catch (error) {
+      this.showError(error.message)
+    }
+  }
+
+  async deleteCustomProfile() {
+    const profile = this.findProfile(this.editingProfileId)
+    if (!profile || profile.builtIn) return
+    if (!confirm(`Delete standards profile "${profile.name}"? Projects using it will fall back to ${this.findProfile(DEFAULT_STANDARDS_PROFILE).name}.`)) return
+
+    this.customProfiles = this.customProfiles.filter((p) => p.id !== profile.id)
+    await this.saveCustomProfiles()
+    this.closeModal(document.getElementById("standardsModal"))
+
+    if (this.activeProfile.id === profile.id) {
+      this.switchStandardsProfile(DEFAULT_STANDARDS_PROFILE)
+    }
+  }
+
+  async saveCustomProfiles() {
+    this.renderProfileOptions()
+    if (this.storageUnavailable) return
+
+    try {
+      await this.store.setSetting("customStandardsProfiles", this.customProfiles)
+    } catch (error) {
+      console.error("Error saving standards profiles:", error)
+      this.showError("Custom standards profile could not be saved to browser storage")
+    }
+  }
+
   // Tab Management
   switchTab(tabName) {
     // Update tab buttons
@@ -178,10 +840,61 @@ class HMPICalculator {
       this.updateVisualization()
     } else if (tabName === "map") {
       this.updateMap()
+    } else if (tabName === "statistics") {
+      this.updateStatistics()
     }
   }
 
   // Sample Management
+  renderMetalInputs() {
+    document.getElementById("metalsGrid").innerHTML = METAL_REGISTRY.map(
+      (metal) => `
+            <div class="form-group">
+                <label for="${metal.key}">${metal.name} (${metal.symbol}):</label>
+                <div class="input-with-unit">
+                    <input type="text" id="${metal.key}" name="${metal.key}" inputmode="decimal" placeholder="e.g. 0.01 or <0.001">
+                    <select name="unit-${metal.key}" class="unit-select" data-metal="${metal.key}" aria-label="${metal.symbol} unit">
+                        ${CONCENTRATION_UNITS.map((unit) => `<option value="${unit.id}" ${unit.id === metal.unit ? "selected" : ""}>${unit.id}</option>`).join("")}
+                    </select>
+                </div>
+                <button type="button" class="info-btn" data-metal="${metal.key}">ℹ️</button>
+            </div>
+        `,
+    ).join("")
+
+    document.getElementById("formatColumns").textContent = [
+      "sampleName",
+      "site",
+      "sampleDate",
+      "latitude",
+      "longitude",
+      "sampleType",
+      "qcReference",
+      "batch",
+      ...METAL_REGISTRY.map((metal) => metal.key),
+    ].join(",")
+  }
+
+  // Registry parameters of a form or an imported row, non-detects substituted by the current policy (see
+  // readMetalValues in importer.js)
+  readMetalValues(getValue, getUnit, getLimit) {
+    return readMetalValues(getValue, getUnit, getLimit, this.substitutionPolicy)
+  }
+
+  // Concentration as the lab reported it, e.g. "5 µg/L"; samples saved before units were recorded are in mg/L
+  formatReportedValue(sample, metal) {
+    const reported = sample.reported && sample.reported[metal]
+    return reported ? `${reported.value} ${reported.unit}` : `${sample.metals[metal]} ${getMetal(metal)?.unit || "mg/L"}`
+  }
+
+  // Restores the per-parameter unit choices of the input form (they survive a form reset)
+  applyInputUnits() {
+    METAL_REGISTRY.forEach((metal) => {
+      const select = document.querySelector(`#manualForm select[name="unit-${metal.key}"]`)
+      if (select) select.value = this.inputUnits[metal.key] || metal.unit
+    })
+  }
+
   handleManualSubmit(e) {
     e.preventDefault()
 
@@ -190,71 +903,123 @@ class HMPICalculator {
       const sample = {
         id: Date.now().toString(),
         name: formData.get("sampleName"),
+        site: formData.get("site").trim(),
+        sampledAt: combineSamplingDateTime(formData.get("sampleDate"), formData.get("sampleTime")),
         latitude: Number.parseFloat(formData.get("latitude")) || null,
         longitude: Number.parseFloat(formData.get("longitude")) || null,
-        metals: {
-          cd: Number.parseFloat(formData.get("cd")),
-          pb: Number.parseFloat(formData.get("pb")),
-          cr: Number.parseFloat(formData.get("cr")),
-          cu: Number.parseFloat(formData.get("cu")),
-          zn: Number.parseFloat(formData.get("zn")),
-          ni: Number.parseFloat(formData.get("ni")),
-        },
+        type: formData.get("sampleType"),
+        qcReference: formData.get("qcReference").trim(),
+        batch: formData.get("batch").trim(),
+        ...this.readMetalValues(
+          (key) => formData.get(key),
+          (key) => formData.get(`unit-${key}`),
+        ),
       }
 
       this.validateSample(sample)
       this.addSample(sample)
       e.target.reset()
+      this.applyInputUnits()
     } catch (error) {
       this.showError(error.message)
     }
   }
 
   validateSample(sample) {
-    if (!sample.name.trim()) {
-      throw new Error("Sample name is required")
-    }
-
-    for (const [metal, value] of Object.entries(sample.metals)) {
-      if (isNaN(value) || value < 0) {
-        throw new Error(`Invalid ${metal.toUpperCase()} concentration`)
-      }
-    }
-
-    if (sample.latitude !== null && (sample.latitude < -90 || sample.latitude > 90)) {
-      throw new Error("Latitude must be between -90 and 90 degrees")
-    }
-
-    if (sample.longitude !== null && (sample.longitude < -180 || sample.longitude > 180)) {
-      throw new Error("Longitude must be between -180 and 180 degrees")
+    const errors = getSampleFieldErrors(sample)
+    if (errors.length > 0) {
+      throw new Error(errors[0].message)
     }
   }
 
   addSample(sample) {
-    this.samples.push(sample)
+    this.addSamples([sample])
+  }
+
+  addSamples(samples) {
+    this.samples.push(...samples.map((sample) => this.attachSite(sample)))
     this.updateSamplesList()
     this.showBatchActions()
+    this.scheduleSave()
+  }
+
+  // Samples and results are identified by name and sampling date, so a well sampled twice is not a duplicate.
+  // QC samples are told apart by their type, so a field duplicate may carry the name of its original.
+  getSampleKey(sample) {
+    const key = `${sample.name.trim().toLowerCase()}|${sample.sampledAt || ""}`
+    return isQCSample(sample) ? `${sample.type}|${key}` : key
+  }
+
+  // Site a sample or result belongs to: its site ID, or its name for samples recorded without a site
+  getSiteName(item) {
+    const site = this.getSite(item.siteId)
+    return site ? site.code : item.name.trim()
+  }
+
+  // Map of site name to its dated samples (or results) in sampling order; repeated samples of a well form a series
+  getSiteSeries(items) {
+    const series = new Map()
+
+    items
+      .filter((item) => item.sampledAt)
+      .sort((a, b) => samplingTimestamp(a.sampledAt) - samplingTimestamp(b.sampledAt))
+      .forEach((item) => {
+        const site = this.getSiteName(item)
+        series.set(site, [...(series.get(site) || []), item])
+      })
+
+    return series
+  }
+
+  // "sample 2 of 3" when the item is part of a series of repeated samples, otherwise ""
+  getSeriesPosition(item, series) {
+    const siteSeries = series.get(this.getSiteName(item)) || []
+    const position = siteSeries.findIndex((other) => other.id === item.id)
+    return siteSeries.length > 1 && position >= 0 ? `sample ${position + 1} of ${siteSeries.length}` : ""
+  }
+
+  // "Site W-12 · 15 Mar 2024 · sample 2 of 3" for the samples list
+  describeSampling(item, series) {
+    const site = this.getSite(item.siteId)
+    return [site ? `Site ${site.code}` : "", formatSamplingDate(item.sampledAt), this.getSeriesPosition(item, series)]
+      .filter((part) => part)
+      .join(" · ")
   }
 
   updateSamplesList() {
     const container = document.getElementById("samplesContainer")
+    this.renderSites()
+    this.renderQCSummary()
 
     if (this.samples.length === 0) {
       container.innerHTML = '<p class="no-samples">No samples added yet</p>'
       return
     }
 
+    const series = this.getSiteSeries(this.samples.filter((sample) => !isQCSample(sample)))
+    const failedBatches = new Set(
+      this.getQCBatches()
+        .filter((batch) => batch.pass === false)
+        .map((batch) => batch.name),
+    )
+
     container.innerHTML = this.samples
       .map(
         (sample) => `
             <div class="sample-item" data-id="${sample.id}">
                 <div class="sample-info">
-                    <h4>${sample.name}</h4>
-                    <p>Metals: Cd=${sample.metals.cd}, Pb=${sample.metals.pb}, Cr=${sample.metals.cr}, Cu=${sample.metals.cu}, Zn=${sample.metals.zn}, Ni=${sample.metals.ni}</p>
+                    <h4>${escapeHtml(sample.name)}${isQCSample(sample) ? ` <span class="qc-badge">${escapeHtml(this.describeSampleType(sample))}</span>` : ""}${
+                      failedBatches.has(sample.batch || "") ? ` <span class="qc-flag" title="This sample's batch failed QA/QC">QC failed</span>` : ""
+                    }</h4>
+                    ${this.describeSampling(sample, series) ? `<p>${escapeHtml(this.describeSampling(sample, series))}</p>` : ""}
+                    ${sample.batch ? `<p>Batch: ${escapeHtml(sample.batch)}</p>` : ""}
+                    <p>Metals: ${Object.keys(sample.metals)
+                      .map((metal) => `${getMetalSymbol(metal)}=${this.formatReportedValue(sample, metal)}`)
+                      .join(", ")}</p>
                     ${sample.latitude && sample.longitude ? `<p>Location: ${sample.latitude.toFixed(4)}, ${sample.longitude.toFixed(4)}</p>` : ""}
                 </div>
                 <div class="sample-actions">
-                    <button class="btn btn-primary btn-small" onclick="hmpiCalc.calculateSingleHMPI('${sample.id}')">Calculate</button>
+                    ${isQCSample(sample) ? "" : `<button class="btn btn-primary btn-small" onclick="hmpiCalc.calculateSingleHMPI('${sample.id}')">Calculate</button>`}
                     <button class="btn btn-secondary btn-small" onclick="hmpiCalc.removeSample('${sample.id}')">Remove</button>
                 </div>
             </div>
@@ -270,6 +1035,7 @@ class HMPICalculator {
     this.updateResultsTable()
     this.updateVisualization()
     this.updateMap()
+    this.scheduleSave()
 
     if (this.samples.length === 0) {
       this.hideBatchActions()
@@ -288,835 +1054,5384 @@ class HMPICalculator {
     if (confirm("Are you sure you want to clear all samples and results?")) {
       this.samples = []
       this.results = []
+      this.setResultsStatus("")
       this.updateSamplesList()
       this.updateResultsTable()
       this.updateVisualization()
       this.updateMap()
       this.hideBatchActions()
+      this.scheduleSave()
     }
   }
 
-  // File Upload Handling
-  handleDragOver(e) {
-    e.preventDefault()
-    e.currentTarget.classList.add("dragover")
+  // Monitoring Sites
+  getSite(id) {
+    return (id && this.sites.find((site) => site.id === id)) || null
   }
 
-  handleFileDrop(e) {
-    e.preventDefault()
-    e.currentTarget.classList.remove("dragover")
+  // Links a sample entered with a site ID (form or import) to that site, registering the site on first use.
+  // A new site takes the coordinates of its first sample.
+  attachSite(sample) {
+    if (!("site" in sample)) return sample
 
-    const files = e.dataTransfer.files
-    if (files.length > 0) {
-      this.processFile(files[0])
-    }
-  }
+    const { site: label, ...rest } = sample
+    if (!label) return { ...rest, siteId: null }
 
-  handleFileUpload(e) {
-    const file = e.target.files[0]
-    if (file) {
-      this.processFile(file)
+    let site = findSiteByLabel(this.sites, label)
+    if (!site) {
+      site = createSiteRecord(label)
+      this.sites.push(site)
     }
-  }
-
-  processFile(file) {
-    const reader = new FileReader()
-
-    reader.onload = (e) => {
-      try {
-        const content = e.target.result
-        let data
-
-        if (file.name.endsWith(".json")) {
-          data = JSON.parse(content)
-        } else if (file.name.endsWith(".csv")) {
-          data = this.parseCSV(content)
-        } else {
-          throw new Error("Unsupported file format. Please use CSV or JSON.")
-        }
-
-        this.processBatchData(data)
-      } catch (error) {
-        this.showError(`Error processing file: ${error.message}`)
-      }
+    if (site.latitude === null && rest.latitude !== null && rest.longitude !== null) {
+      site.latitude = rest.latitude
+      site.longitude = rest.longitude
     }
 
-    reader.readAsText(file)
+    return { ...rest, siteId: site.id }
   }
 
-  parseCSV(content) {
-    const lines = content.trim().split("\n")
-    const headers = lines[0].split(",").map((h) => h.trim())
+  // Results shown in the results table and on the map: all of them, or only the latest of every site
+  getDisplayedResults() {
+    return this.latestPerSite ? selectLatestPerSite(this.results) : this.results
+  }
 
-    const expectedHeaders = ["sampleName", "latitude", "longitude", "cd", "pb", "cr", "cu", "zn", "ni"]
-    const missingHeaders = expectedHeaders.filter((h) => !headers.includes(h))
+  // Results in the table as filtered, which are also the ones exported: the latest of every site when chosen,
+  // in the selected area and category
+  getVisibleResults() {
+    const category = document.getElementById("categoryFilter").value
+    return this.filterByArea(this.getDisplayedResults()).filter(
+      (result) => category === "all" || this.getIndexLevel(result) === category,
+    )
+  }
 
-    if (missingHeaders.length > 0) {
-      throw new Error(`Missing required columns: ${missingHeaders.join(", ")}`)
-    }
+  setLatestPerSite(latest) {
+    this.latestPerSite = latest
+    document.getElementById("latestPerSite").checked = latest
+    document.getElementById("mapLatestPerSite").checked = latest
+    this.updateResultsTable()
+    this.updateMap()
+    this.scheduleSave()
+  }
 
-    return lines.slice(1).map((line) => {
-      const values = line.split(",").map((v) => v.trim())
-      const row = {}
+  renderSites() {
+    document.getElementById("siteOptions").innerHTML = this.sites
+      .map((site) => `<option value="${escapeHtml(site.code)}">${escapeHtml(site.name)}</option>`)
+      .join("")
 
-      headers.forEach((header, index) => {
-        row[header] = values[index]
-      })
+    const tbody = document.getElementById("sitesTableBody")
+    if (this.sites.length === 0) {
+      tbody.innerHTML =
+        '<tr class="no-results"><td colspan="9">No sites yet. Add a site, or give samples a site ID when entering or importing them.</td></tr>'
+    } else {
+      const latest = selectLatestPerSite(this.results)
 
-      return row
-    })
-  }
+      tbody.innerHTML = [...this.sites]
+        .sort((a, b) => a.code.localeCompare(b.code))
+        .map((site) => {
+          const sampleCount = this.samples.filter((sample) => sample.siteId === site.id).length
+          const result = latest.find((candidate) => candidate.siteId === site.id)
 
-  processBatchData(data) {
-    if (!Array.isArray(data)) {
-      throw new Error("Data must be an array of samples")
+          return `
+            <tr>
+                <td><strong>${escapeHtml(site.code)}</strong></td>
+                <td>${escapeHtml(site.name)}</td>
+                <td>${getSiteTypeLabel(site.type)}</td>
+                <td>${site.depth ?? ""}</td>
+                <td>${escapeHtml(site.aquifer)}</td>
+                <td>${site.latitude !== null && site.longitude !== null ? `${site.latitude.toFixed(4)}, ${site.longitude.toFixed(4)}` : "N/A"}</td>
+                <td>${sampleCount}</td>
+                <td>${
+                  result
+                    ? `<span class="category-badge ${this.getIndexLevel(result) || ""}">${this.formatIndexValue(result)}</span>`
+                    : "—"
+                }</td>
+                <td>
+                    <button class="btn btn-secondary btn-small" onclick="hmpiCalc.showSitePage('${site.id}')">View</button>
+                    <button class="btn btn-secondary btn-small" onclick="hmpiCalc.openSiteEditor('${site.id}')">Edit</button>
+                </td>
+            </tr>
+        `
+        })
+        .join("")
     }
 
-    let successCount = 0
-    let errorCount = 0
-
-    data.forEach((item, index) => {
-      try {
-        const sample = {
-          id: `${Date.now()}_${index}`,
-          name: item.sampleName || `Sample ${index + 1}`,
-          latitude: item.latitude ? Number.parseFloat(item.latitude) : null,
-          longitude: item.longitude ? Number.parseFloat(item.longitude) : null,
-          metals: {
-            cd: Number.parseFloat(item.cd),
-            pb: Number.parseFloat(item.pb),
-            cr: Number.parseFloat(item.cr),
-            cu: Number.parseFloat(item.cu),
-            zn: Number.parseFloat(item.zn),
-            ni: Number.parseFloat(item.ni),
-          },
-        }
-
-        this.validateSample(sample)
-        this.addSample(sample)
-        successCount++
-      } catch (error) {
-        console.error(`Error processing sample ${index + 1}:`, error)
-        errorCount++
-      }
-    })
+    document.getElementById("latestValueHeader").textContent = `Latest ${this.getDisplayIndex().shortName}`
 
-    if (successCount > 0) {
-      alert(`Successfully imported ${successCount} samples${errorCount > 0 ? ` (${errorCount} errors)` : ""}`)
-    } else {
-      throw new Error("No valid samples found in the file")
+    if (this.viewingSiteId) {
+      this.showSitePage(this.viewingSiteId)
     }
   }
 
-  // HMPI Calculation
-  calculateHMPI(metals) {
-    let hmpi = 0
-    let totalWeight = 0
+  // Site page: the site's details, the minimum, mean and maximum of each index over its samples, and its
+  // sampling history
+  showSitePage(id) {
+    const site = this.getSite(id)
+    if (!site) {
+      this.closeSitePage()
+      return
+    }
+
+    this.viewingSiteId = id
+    const samples = this.samples
+      .filter((sample) => sample.siteId === id)
+      .sort(
+        (a, b) =>
+          (a.sampledAt ? samplingTimestamp(a.sampledAt) : Infinity) -
+          (b.sampledAt ? samplingTimestamp(b.sampledAt) : Infinity),
+      )
+    const results = this.results.filter((result) => result.siteId === id)
+    const latest = selectLatestPerSite(results)[0]
+    const dated = samples.filter((sample) => sample.sampledAt)
+    const index = this.getDisplayIndex()
+
+    document.getElementById("sitesOverview").style.display = "none"
+    const page = document.getElementById("sitePage")
+    page.style.display = ""
+    page.innerHTML = `
+            <div class="results-header">
+                <h3>Site ${escapeHtml(site.code)}${site.name ? ` — ${escapeHtml(site.name)}` : ""}</h3>
+                <div class="filter-controls">
+                    <button class="btn btn-secondary btn-small" onclick="hmpiCalc.closeSitePage()">All Sites</button>
+                    <button class="btn btn-secondary btn-small" onclick="hmpiCalc.openSiteEditor('${site.id}')">Edit Site</button>
+                    ${dated.length > 0 ? `<button class="btn btn-secondary btn-small" onclick="hmpiCalc.showSiteTrend('${site.id}')">Show Trend</button>` : ""}
+                </div>
+            </div>
 
-    for (const [metal, concentration] of Object.entries(metals)) {
-      const standard = this.standards[metal]
-      const weight = this.weights[metal]
+            <div class="site-details">
+                <p><strong>Type:</strong> ${getSiteTypeLabel(site.type) || "Not recorded"}</p>
+                <p><strong>Depth:</strong> ${site.depth !== null ? `${site.depth} m` : "Not recorded"}</p>
+                <p><strong>Aquifer:</strong> ${site.aquifer ? escapeHtml(site.aquifer) : "Not recorded"}</p>
+                <p><strong>Location:</strong> ${site.latitude !== null && site.longitude !== null ? `${site.latitude.toFixed(4)}, ${site.longitude.toFixed(4)}` : "Not recorded"}</p>
+                <p><strong>Samples:</strong> ${samples.length}${dated.length > 0 ? `, ${formatSamplingDate(dated[0].sampledAt)} to ${formatSamplingDate(dated[dated.length - 1].sampledAt)}` : ""}</p>
+            </div>
 
-      if (standard && weight) {
-        const ratio = concentration / standard
-        hmpi += ratio * weight * 100
-        totalWeight += weight
-      }
-    }
+            <h4>Index Summary</h4>
+            <table class="limits-table">
+                <thead>
+                    <tr>
+                        <th>Index</th>
+                        <th>Samples Rated</th>
+                        <th>Minimum</th>
+                        <th>Mean</th>
+                        <th>Maximum</th>
+                        <th>Latest</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.enabledIndices
+                      .map((indexId) => {
+                        const stats = summarizeValues(results.map((result) => this.getIndexValue(result, indexId)))
+                        return `
+                            <tr>
+                                <td>${POLLUTION_INDICES[indexId].name} (${POLLUTION_INDICES[indexId].shortName})</td>
+                                <td>${stats ? stats.count : 0}</td>
+                                <td>${stats ? stats.min.toFixed(2) : "N/A"}</td>
+                                <td>${stats ? stats.mean.toFixed(2) : "N/A"}</td>
+                                <td>${stats ? stats.max.toFixed(2) : "N/A"}</td>
+                                <td>${latest ? `<span class="category-badge ${this.getIndexLevel(latest, indexId) || ""}">${this.formatIndexValue(latest, indexId)}</span>` : "N/A"}</td>
+                            </tr>
+                        `
+                      })
+                      .join("")}
+                </tbody>
+            </table>
+
+            <h4>History</h4>
+            <table class="limits-table">
+                <thead>
+                    <tr>
+                        <th>Sampling Date</th>
+                        <th>Sample</th>
+                        <th>${index.shortName}</th>
+                        <th>Category</th>
+                        <th>Dominant Metal</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${
+                      samples
+                        .map((sample) => {
+                          const result = results.find((candidate) => candidate.id === sample.id)
+                          return `
+                            <tr>
+                                <td>${formatSamplingDate(sample.sampledAt) || "No date"}</td>
+                                <td>${escapeHtml(sample.name)}</td>
+                                <td>${result ? this.formatIndexValue(result) : "Not calculated"}</td>
+                                <td>${result ? `<span class="category-badge ${this.getIndexLevel(result) || ""}">${this.getIndexBand(result)}</span>` : ""}</td>
+                                <td>${result ? result.dominantMetal : ""}</td>
+                                <td>${result ? `<button class="btn btn-secondary btn-small" onclick="hmpiCalc.showSampleDetails('${sample.id}')">Details</button>` : ""}</td>
+                            </tr>
+                        `
+                        })
+                        .join("") || '<tr><td colspan="6">No samples at this site yet</td></tr>'
+                    }
+                </tbody>
+            </table>
+        `
+  }
 
-    return hmpi / totalWeight
+  closeSitePage() {
+    this.viewingSiteId = null
+    document.getElementById("sitePage").style.display = "none"
+    document.getElementById("sitesOverview").style.display = ""
   }
 
-  categorizeHMPI(hmpi) {
-    if (hmpi <= 100) return "safe"
-    if (hmpi <= 200) return "moderate"
-    return "hazardous"
+  // Opens the time-series chart for the site alone
+  showSiteTrend(id) {
+    this.seriesSites = [this.getSite(id).code]
+    this.switchChart("line")
+    this.switchTab("visualization")
   }
 
-  getDominantMetal(metals) {
-    let maxRatio = 0
-    let dominantMetal = ""
+  openSiteEditor(id = null) {
+    const site = this.getSite(id)
+    this.editingSiteId = site ? site.id : null
+
+    document.getElementById("siteModalTitle").textContent = site ? `Edit Site ${site.code}` : "Add Site"
+    document.getElementById("siteCode").value = site ? site.code : ""
+    document.getElementById("siteName").value = site ? site.name : ""
+    document.getElementById("siteType").value = site ? site.type : ""
+    document.getElementById("siteDepth").value = site && site.depth !== null ? site.depth : ""
+    document.getElementById("siteAquifer").value = site ? site.aquifer : ""
+    document.getElementById("siteLatitude").value = site && site.latitude !== null ? site.latitude : ""
+    document.getElementById("siteLongitude").value = site && site.longitude !== null ? site.longitude : ""
+    document.getElementById("deleteSiteBtn").style.display = site ? "" : "none"
+
+    this.showModal("siteModal")
+  }
 
-    for (const [metal, concentration] of Object.entries(metals)) {
-      const standard = this.standards[metal]
-      if (standard) {
-        const ratio = concentration / standard
-        if (ratio > maxRatio) {
-          maxRatio = ratio
-          dominantMetal = metal.toUpperCase()
-        }
+  handleSiteSave(e) {
+    e.preventDefault()
+
+    try {
+      const formData = new FormData(e.target)
+      const code = formData.get("siteCode").trim()
+      if (!code) throw new Error("Site ID is required")
+
+      const existing = findSiteByLabel(this.sites, code)
+      if (existing && existing.id !== this.editingSiteId && existing.code.toLowerCase() === code.toLowerCase()) {
+        throw new Error(`Site ID ${existing.code} is already used`)
       }
-    }
 
-    return dominantMetal || "N/A"
-  }
+      const readNumber = (name) => (formData.get(name).trim() ? parseNumber(formData.get(name)) : null)
+      const fields = {
+        code: code,
+        name: formData.get("siteName").trim(),
+        type: formData.get("siteType"),
+        depth: readNumber("siteDepth"),
+        aquifer: formData.get("siteAquifer").trim(),
+        latitude: readNumber("siteLatitude"),
+        longitude: readNumber("siteLongitude"),
+      }
 
-  calculateSingleHMPI(sampleId) {
-    const sample = this.samples.find((s) => s.id === sampleId)
-    if (!sample) return
+      if (Number.isNaN(fields.depth) || fields.depth < 0) {
+        throw new Error("Depth must be a number of metres, zero or more")
+      }
+      if ((fields.latitude === null) !== (fields.longitude === null)) {
+        throw new Error("Enter both latitude and longitude, or neither")
+      }
+      if (fields.latitude !== null && (isNaN(fields.latitude) || fields.latitude < -90 || fields.latitude > 90)) {
+        throw new Error("Latitude must be between -90 and 90 degrees")
+      }
+      if (fields.longitude !== null && (isNaN(fields.longitude) || fields.longitude < -180 || fields.longitude > 180)) {
+        throw new Error("Longitude must be between -180 and 180 degrees")
+      }
 
-    const hmpi = this.calculateHMPI(sample.metals)
-    const category = this.categorizeHMPI(hmpi)
-    const dominantMetal = this.getDominantMetal(sample.metals)
+      const site = this.getSite(this.editingSiteId)
+      if (site) {
+        Object.assign(site, fields)
+      } else {
+        this.sites.push(createSiteRecord(code, fields))
+      }
 
-    const result = {
-      id: sample.id,
-      name: sample.name,
-      latitude: sample.latitude,
-      longitude: sample.longitude,
-      metals: sample.metals,
-      hmpi: hmpi,
-      category: category,
-      dominantMetal: dominantMetal,
-      calculatedAt: new Date().toISOString(),
+      this.closeModal(document.getElementById("siteModal"))
+      this.updateSamplesList()
+      // Results of samples located by their site pick up changed coordinates
+      this.recalculateResults()
+      this.renderSites()
+      this.scheduleSave()
+    } catch (error) {
+      this.showError(error.message)
     }
+  }
 
-    // Update or add result
-    const existingIndex = this.results.findIndex((r) => r.id === sampleId)
-    if (existingIndex >= 0) {
-      this.results[existingIndex] = result
-    } else {
-      this.results.push(result)
-    }
+  deleteSite() {
+    const site = this.getSite(this.editingSiteId)
+    if (!site) return
+
+    const sampleCount = this.samples.filter((sample) => sample.siteId === site.id).length
+    if (!confirm(`Delete site "${site.code}"?${sampleCount > 0 ? ` Its ${sampleCount} samples are kept without a site.` : ""}`)) return
 
+    this.sites = this.sites.filter((candidate) => candidate.id !== site.id)
+    this.samples.forEach((sample) => {
+      if (sample.siteId === site.id) sample.siteId = null
+    })
+    this.results.forEach((result) => {
+      if (result.siteId === site.id) result.siteId = null
+    })
+
+    this.closeModal(document.getElementById("siteModal"))
+    if (this.viewingSiteId === site.id) this.closeSitePage()
+    this.updateSamplesList()
     this.updateResultsTable()
     this.updateVisualization()
     this.updateMap()
-
-    // Switch to results tab
-    this.switchTab("results")
+    this.scheduleSave()
   }
 
-  calculateAllHMPI() {
-    if (this.samples.length === 0) {
-      this.showError("No samples available for calculation")
-      return
-    }
+  // Quality Control
+  // QC outcome of every batch of samples (see qaqc.js)
+  getQCBatches() {
+    return runQualityControl(this.samples, this.referenceMaterials)
+  }
 
-    this.samples.forEach((sample) => {
-      this.calculateSingleHMPI(sample.id)
-    })
+  getBatchLabel(batch) {
+    return batch.name ? `batch ${batch.name}` : "samples without a batch"
+  }
 
-    alert(`Calculated HMPI for ${this.samples.length} samples`)
+  // "Field duplicate of W-12", "Blank" or "Reference material NIST 1643f" for the samples list
+  describeSampleType(sample) {
+    const label = getSampleTypeLabel(sample.type)
+    if (sample.type === "duplicate") return `${label} of ${sample.qcReference}`
+    return sample.type === "crm" ? `${label} ${sample.qcReference}` : label
   }
 
-  // Results Management
-  updateResultsTable() {
-    const tbody = document.getElementById("resultsTableBody")
-    const summary = document.getElementById("resultsSummary")
+  // Line above the samples list with the QC outcome, so failing batches are seen before calculating
+  renderQCSummary() {
+    const summary = document.getElementById("qcSummary")
+    const checked = this.getQCBatches().filter((batch) => batch.pass !== null)
+    document.getElementById("qcReportBtn").hidden = checked.length === 0
 
-    if (this.results.length === 0) {
-      tbody.innerHTML =
-        '<tr class="no-results"><td colspan="6">No results available. Please add samples and calculate HMPI.</td></tr>'
-      summary.style.display = "none"
+    if (checked.length === 0) {
+      summary.hidden = true
       return
     }
 
-    // Update summary
-    const counts = {
-      safe: this.results.filter((r) => r.category === "safe").length,
-      moderate: this.results.filter((r) => r.category === "moderate").length,
-      hazardous: this.results.filter((r) => r.category === "hazardous").length,
-    }
-
-    document.getElementById("safeCount").textContent = counts.safe
-    document.getElementById("moderateCount").textContent = counts.moderate
-    document.getElementById("hazardousCount").textContent = counts.hazardous
-    summary.style.display = "grid"
+    const failed = checked.filter((batch) => !batch.pass)
+    summary.hidden = false
+    summary.className = `qc-summary ${failed.length > 0 ? "fail" : "pass"}`
+    summary.innerHTML =
+      failed.length > 0
+        ? `<strong>QA/QC failed</strong> for ${escapeHtml(failed.map((batch) => this.getBatchLabel(batch)).join(", "))}. Review the QA/QC report before calculating. <button type="button" class="link-button" onclick="hmpiCalc.openQCReport()">View report</button>`
+        : `QA/QC passed for ${checked.length} batch${checked.length === 1 ? "" : "es"}. <button type="button" class="link-button" onclick="hmpiCalc.openQCReport()">View report</button>`
+  }
 
-    // Update table
-    tbody.innerHTML = this.results
-      .map(
-        (result) => `
-            <tr>
-                <td><strong>${result.name}</strong></td>
-                <td>${result.latitude && result.longitude ? `${result.latitude.toFixed(4)}, ${result.longitude.toFixed(4)}` : "N/A"}</td>
-                <td><strong>${result.hmpi.toFixed(2)}</strong></td>
-                <td><span class="category-badge ${result.category}">${result.category}</span></td>
-                <td>${result.dominantMetal}</td>
-                <td>
-                    <button class="btn btn-secondary btn-small" onclick="hmpiCalc.showSampleDetails('${result.id}')">Details</button>
-                    <button class="btn btn-secondary btn-small" onclick="hmpiCalc.removeSample('${result.id}')">Remove</button>
-                </td>
-            </tr>
-        `,
-      )
-      .join("")
+  // True when none of the samples is in a batch that failed QA/QC, or the user chooses to go on regardless
+  confirmQCBatches(samples) {
+    const batchNames = new Set(samples.map((sample) => sample.batch || ""))
+    const failed = this.getQCBatches().filter((batch) => batch.pass === false && batchNames.has(batch.name))
+    if (failed.length === 0) return true
+
+    const failures = failed.flatMap((batch) => describeQCFailures(batch))
+    const message =
+      `QA/QC failed for ${failed.map((batch) => this.getBatchLabel(batch)).join(", ")}:\n\n` +
+      failures.slice(0, 8).join("\n") +
+      (failures.length > 8 ? `\n… and ${failures.length - 8} more` : "") +
+      "\n\nCalculate anyway?"
+    return confirm(message)
   }
 
-  filterResults() {
-    const filter = document.getElementById("categoryFilter").value
-    const rows = document.querySelectorAll("#resultsTableBody tr:not(.no-results)")
+  openQCReport() {
+    const batches = this.getQCBatches()
+    const format = (value) => (value === null || value === undefined ? "—" : String(Number(value.toPrecision(4))))
+    const status = (pass) => `<span class="qc-status ${pass ? "pass" : "fail"}">${pass ? "Pass" : "Fail"}</span>`
+    const table = (headings, rows) => `
+                <table class="limits-table qc-table">
+                    <thead><tr>${headings.map((heading) => `<th>${heading}</th>`).join("")}</tr></thead>
+                    <tbody>${rows.join("")}</tbody>
+                </table>
+            `
 
-    rows.forEach((row) => {
-      const badge = row.querySelector(".category-badge")
-      if (!badge) return
+    document.getElementById("qcReportBody").innerHTML = `
+            <p class="statistics-note">
+                Acceptance limits: field duplicates within ${QC_LIMITS.duplicateRPD}% RPD (within the LOD when their mean is below
+                ${QC_LIMITS.lowLevelFactor} × LOD), no detection above the LOD in blanks, reference material recovery
+                ${QC_LIMITS.recoveryMin}–${QC_LIMITS.recoveryMax}%. QC samples are not included in the indices, map or statistics.
+            </p>
+            ${batches
+              .map((batch) => {
+                const qcCount = batch.duplicates.length + batch.blanks.length + batch.references.length
+                return `
+                <div class="qc-batch">
+                    <h4>${batch.name ? `Batch ${escapeHtml(batch.name)}` : "No batch"} ${batch.pass === null ? "" : status(batch.pass)}</h4>
+                    <p class="statistics-note">${batch.regular.length} regular sample${batch.regular.length === 1 ? "" : "s"}, ${qcCount} QC check${qcCount === 1 ? "" : "s"}${batch.pass === null ? " — no QC samples in this batch" : ""}</p>
+                    ${batch.problems.length > 0 ? `<ul class="qc-problems">${batch.problems.map((problem) => `<li>${escapeHtml(problem)}</li>`).join("")}</ul>` : ""}
+                    ${
+                      batch.duplicates.length > 0
+                        ? table(
+                            ["Duplicate", "Original", "Metal", "Original (mg/L)", "Duplicate (mg/L)", "RPD", "Result"],
+                            batch.duplicates.flatMap((check) =>
+                              check.rows.map(
+                                (row) => `
+                                <tr>
+                                    <td>${escapeHtml(check.duplicate.name)}</td>
+                                    <td>${escapeHtml(check.original.name)}</td>
+                                    <td>${getMetalSymbol(row.metal)}</td>
+                                    <td>${format(row.original)}</td>
+                                    <td>${format(row.duplicate)}</td>
+                                    <td>${row.rpd === null ? row.note : `${row.rpd.toFixed(1)}%${row.note ? ` (${row.note})` : ""}`}</td>
+                                    <td>${status(row.pass)}</td>
+                                </tr>
+                            `,
+                              ),
+                            ),
+                          )
+                        : ""
+                    }
+                    ${
+                      batch.blanks.length > 0
+                        ? table(
+                            ["Blank", "Metal", "Value (mg/L)", "LOD (mg/L)", "Result"],
+                            batch.blanks.flatMap((check) =>
+                              check.rows.map(
+                                (row) => `
+                                <tr>
+                                    <td>${escapeHtml(check.sample.name)}</td>
+                                    <td>${getMetalSymbol(row.metal)}</td>
+                                    <td>${row.censored ? "&lt; LOD" : format(row.value)}</td>
+                                    <td>${format(row.lod)}</td>
+                                    <td>${status(row.pass)}</td>
+                                </tr>
+                            `,
+                              ),
+                            ),
+                          )
+                        : ""
+                    }
+                    ${
+                      batch.references.length > 0
+                        ? table(
+                            ["Sample", "Material", "Metal", "Measured (mg/L)", "Certified (mg/L)", "Recovery", "Result"],
+                            batch.references.flatMap((check) =>
+                              check.rows.map(
+                                (row) => `
+                                <tr>
+                                    <td>${escapeHtml(check.sample.name)}</td>
+                                    <td>${escapeHtml(check.material.name)}</td>
+                                    <td>${getMetalSymbol(row.metal)}</td>
+                                    <td>${row.censored ? "&lt; LOD" : format(row.measured)}</td>
+                                    <td>${format(row.certified)}</td>
+                                    <td>${row.recovery.toFixed(1)}%</td>
+                                    <td>${status(row.pass)}</td>
+                                </tr>
+                            `,
+                              ),
+                            ),
+                          )
+                        : ""
+                    }
+                </div>
+            `
+              })
+              .join("")}
+        `
 
-      const category = badge.classList.contains("safe")
-        ? "safe"
-        : badge.classList.contains("moderate")
-          ? "moderate"
-          : "hazardous"
+    this.showModal("qcModal")
+  }
 
-      row.style.display = filter === "all" || filter === category ? "" : "none"
-    })
+  // Editor of the certified values of a reference material; an empty id starts a new material
+  openReferenceMaterialEditor(id = this.referenceMaterials[0]?.id || "") {
+    const material = this.referenceMaterials.find((candidate) => candidate.id === id)
+    this.editingMaterialId = material ? material.id : null
+
+    document.getElementById("referenceMaterialSelect").innerHTML = [
+      ...this.referenceMaterials.map((candidate) => `<option value="${candidate.id}">${escapeHtml(candidate.name)}</option>`),
+      `<option value="">New material…</option>`,
+    ].join("")
+    document.getElementById("referenceMaterialSelect").value = material ? material.id : ""
+    document.getElementById("referenceMaterialName").value = material ? material.name : ""
+    document.getElementById("deleteReferenceMaterialBtn").style.display = material ? "" : "none"
+
+    document.getElementById("referenceValuesBody").innerHTML = METAL_REGISTRY.map(
+      (metal) => `
+                <tr>
+                    <td>${metal.name} (${metal.symbol})</td>
+                    <td><input type="number" name="certified-${metal.key}" step="any" min="0" value="${material?.values[metal.key] ?? ""}"></td>
+                </tr>
+            `,
+    ).join("")
+
+    this.showModal("referenceMaterialModal")
   }
 
-  sortResults() {
-    const sortBy = document.getElementById("sortBy").value
+  async handleReferenceMaterialSave(e) {
+    e.preventDefault()
 
-    this.results.sort((a, b) => {
-      switch (sortBy) {
-        case "hmpi-desc":
-          return b.hmpi - a.hmpi
-        case "hmpi-asc":
-          return a.hmpi - b.hmpi
-        case "name":
-          return a.name.localeCompare(b.name)
-        default:
-          return 0
+    try {
+      const formData = new FormData(e.target)
+      const name = formData.get("referenceMaterialName").trim()
+      if (!name) throw new Error("Reference material name is required")
+      if (this.referenceMaterials.some((candidate) => candidate.id !== this.editingMaterialId && candidate.name.toLowerCase() === name.toLowerCase())) {
+        throw new Error(`A reference material named "${name}" already exists`)
       }
-    })
-
-    this.updateResultsTable()
-  }
 
-  showSampleDetails(sampleId) {
-    const result = this.results.find((r) => r.id === sampleId)
-    if (!result) return
+      const values = {}
+      for (const metal of METAL_REGISTRY) {
+        const text = formData.get(`certified-${metal.key}`).trim()
+        if (!text) continue
 
-    const modal = document.getElementById("metalInfoModal")
-    const title = document.getElementById("metalInfoTitle")
-    const body = document.getElementById("metalInfoBody")
+        const value = Number.parseFloat(text)
+        if (isNaN(value) || value <= 0) throw new Error(`Certified value for ${metal.symbol} must be greater than zero`)
+        values[metal.key] = value
+      }
+      if (Object.keys(values).length === 0) throw new Error("Enter the certified value of at least one parameter")
 
-    title.textContent = `Sample Details: ${result.name}`
+      const material = { id: this.editingMaterialId || `crm-${Date.now()}`, name, values }
+      this.referenceMaterials = [...this.referenceMaterials.filter((candidate) => candidate.id !== material.id), material]
+      await this.saveReferenceMaterials()
+      this.closeModal(document.getElementById("referenceMaterialModal"))
+    } catch (error) {
+      this.showError(error.message)
+    }
+  }
 
-    body.innerHTML = `
-            <div style="margin-bottom: 1.5rem;">
-                <h4>HMPI Analysis</h4>
-                <p><strong>HMPI Value:</strong> ${result.hmpi.toFixed(2)}</p>
-                <p><strong>Category:</strong> <span class="category-badge ${result.category}">${result.category}</span></p>
-                <p><strong>Dominant Metal:</strong> ${result.dominantMetal}</p>
-                ${result.latitude && result.longitude ? `<p><strong>Location:</strong> ${result.latitude.toFixed(4)}, ${result.longitude.toFixed(4)}</p>` : ""}
-            </div>
-            
-            <div>
-                <h4>Metal Concentrations</h4>
-                <table style="width: 100%; border-collapse: collapse; margin-top: 0.5rem;">
-                    <thead>
-                        <tr style="border-bottom: 1px solid var(--border-color);">
-                            <th style="text-align: left; padding: 0.5rem;">Metal</th>
-                            <th style="text-align: left; padding: 0.5rem;">Concentration (mg/L)</th>
-                            <th style="text-align: left; padding: 0.5rem;">WHO Limit</th>
-                            <th style="text-align: left; padding: 0.5rem;">Ratio</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${Object.entries(result.metals)
-                          .map(([metal, conc]) => {
-                            const standard = this.standards[metal]
-                            const ratio = conc / standard
-                            const status = ratio > 1 ? "color: var(--danger)" : "color: var(--success)"
-                            return `
-                                <tr style="border-bottom: 1px solid var(--border-color);">
-                                    <td style="padding: 0.5rem;">${metal.toUpperCase()}</td>
-                                    <td style="padding: 0.5rem;">${conc.toFixed(4)}</td>
-                                    <td style="padding: 0.5rem;">${standard}</td>
-                                    <td style="padding: 0.5rem; ${status}">${ratio.toFixed(2)}x</td>
-                                </tr>
-                            `
-                          })
-                          .join("")}
-                    </tbody>
-                </table>
-            </div>
-        `
+  async deleteReferenceMaterial() {
+    const material = this.referenceMaterials.find((candidate) => candidate.id === this.editingMaterialId)
+    if (!material || !confirm(`Delete reference material "${material.name}"?`)) return
 
-    this.showModal("metalInfoModal")
+    this.referenceMaterials = this.referenceMaterials.filter((candidate) => candidate.id !== material.id)
+    await this.saveReferenceMaterials()
+    this.closeModal(document.getElementById("referenceMaterialModal"))
   }
 
-  exportResults() {
-    if (this.results.length === 0) {
-      this.showError("No results to export")
-      return
-    }
-
-    const csvContent = [
-      "Sample Name,Latitude,Longitude,HMPI,Category,Dominant Metal,Cd,Pb,Cr,Cu,Zn,Ni",
-      ...this.results.map((result) =>
-        [
-          result.name,
-          result.latitude || "",
-          result.longitude || "",
-          result.hmpi.toFixed(2),
-          result.category,
-          result.dominantMetal,
-          result.metals.cd,
-          result.metals.pb,
-          result.metals.cr,
-          result.metals.cu,
-          result.metals.zn,
-          result.metals.ni,
-        ].join(","),
-      ),
-    ].join("\n")
+  // Reference materials belong to the workspace, like standards profiles; the QC outcome changes with them
+  async saveReferenceMaterials() {
+    this.updateSamplesList()
+    if (document.getElementById("qcModal").classList.contains("show")) this.openQCReport()
+    if (this.storageUnavailable) return
 
-    const blob = new Blob([csvContent], { type: "text/csv" })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement("a")
-    a.href = url
-    a.download = `hmpi_results_${new Date().toISOString().split("T")[0]}.csv`
-    a.click()
-    URL.revokeObjectURL(url)
+    try {
+      await this.store.setSetting("referenceMaterials", this.referenceMaterials)
+    } catch (error) {
+      console.error("Error saving reference materials:", error)
+      this.showError("Reference materials could not be saved to browser storage")
+    }
   }
 
-  // Visualization
-  initializeCharts() {
-    this.chartCanvas = document.getElementById("chartCanvas")
-    this.chartCtx = this.chartCanvas.getContext("2d")
-    this.updateVisualization()
+  // File Upload Handling
+  handleDragOver(e) {
+    e.preventDefault()
+    e.currentTarget.classList.add("dragover")
   }
 
-  switchChart(chartType) {
-    this.currentChart = chartType
+  handleFileDrop(e) {
+    e.preventDefault()
+    e.currentTarget.classList.remove("dragover")
 
-    document.querySelectorAll(".chart-btn").forEach((btn) => btn.classList.remove("active"))
-    document.querySelector(`[data-chart="${chartType}"]`).classList.add("active")
+    const files = e.dataTransfer.files
+    if (files.length > 0) {
+      this.processFile(files[0])
+    }
+  }
 
-    this.updateVisualization()
+  handleFileUpload(e) {
+    const file = e.target.files[0]
+    if (file) {
+      this.processFile(file)
+    }
   }
 
-  updateVisualization() {
-    if (this.results.length === 0) {
-      this.clearChart()
-      document.getElementById("chartInfo").innerHTML = "<p>Add samples and calculate HMPI to view visualizations</p>"
+  processFile(file) {
+    this.setImportStatus("")
+    const reader = new FileReader()
+    const fileName = file.name.toLowerCase()
+
+    if (fileName.endsWith(".xlsx")) {
+      reader.onload = async (e) => {
+        try {
+          this.importWorkbook(await readWorkbook(e.target.result), file.name)
+        } catch (error) {
+          this.showError(`Error processing file: ${error.message}`)
+        }
+      }
+
+      reader.readAsArrayBuffer(file)
       return
     }
 
-    document.getElementById("chartInfo").innerHTML = ""
+    if (fileName.endsWith(".kmz")) {
+      reader.onload = async (e) => {
+        try {
+          this.importTable(kmlToTable(await readKmz(e.target.result)), file.name)
+        } catch (error) {
+          this.showError(`Error processing file: ${error.message}`)
+        }
+      }
 
-    switch (this.currentChart) {
-      case "bar":
-        this.drawBarChart()
-        break
-      case "pie":
-        this.drawPieChart()
-        break
-      case "line":
-        this.drawLineChart()
-        break
+      reader.readAsArrayBuffer(file)
+      return
     }
-  }
+
+    reader.onload = (e) => {
+      try {
+        const content = e.target.result
+        let table
+
+        if (fileName.endsWith(".xls")) {
+          throw new Error("Older .xls workbooks are not supported. Save the file as .xlsx or CSV and import it again.")
+        } else if (fileName.endsWith(".json") || fileName.endsWith(".geojson")) {
+          const data = JSON.parse(content)
+          if (data && (data.type === "FeatureCollection" || data.type === "Feature")) {
+            table = geojsonToTable(data)
+          } else if (!Array.isArray(data)) {
+            throw new Error("Data must be an array of samples or GeoJSON features")
+          } else {
+            table = objectsToTable(data)
+          }
+        } else if (fileName.endsWith(".kml")) {
+          table = kmlToTable(content)
+        } else if (fileName.endsWith(".gpx")) {
+          table = gpxToTable(content)
+        } else if (fileName.endsWith(".csv") || fileName.endsWith(".txt")) {
+          table = parseCSVTable(content)
+        } else {
+          throw new Error("Unsupported file format. Please use CSV, Excel (.xlsx), JSON, GeoJSON, KML or GPX.")
+        }
+
+        this.importTable(table, file.name)
+      } catch (error) {
+        this.showError(`Error processing file: ${error.message}`)
+      }
+    }
+
+    reader.readAsText(file)
+  }
+
+  // Imports a parsed table directly when its columns are all recognised, by a saved template or by the
+  // header aliases, and otherwise opens the column mapping step. Workbooks with several sheets always open
+  // the mapping step so the sheet can be chosen.
+  importTable(table, source, workbook = null) {
+    if (table.rows.length === 0 && !workbook) {
+      throw new Error("The file has a header row but no data rows")
+    }
+
+    const { mapping, template } = this.resolveColumnMapping(table.headers)
+    const hasSheetChoice = workbook && workbook.sheets.filter((sheet) => sheet.rows.length > 0).length > 1
+    const recognised = (template && getMappingErrors(mapping).length === 0) || isCompleteMapping(mapping)
+
+    if (recognised && !hasSheetChoice) {
+      const prepared = this.prepareImportTable(table, mapping, template)
+      if (prepared.table.rows.length > 0) {
+        this.processBatchData(applyColumnMapping(prepared.table, mapping), {
+          source: source,
+          rowNumbers: prepared.table.rowNumbers,
+          units: getMetalFieldValues(mapping, prepared.units),
+          detectionLimits: getMetalFieldValues(mapping, prepared.limitValues),
+        })
+        return
+      }
+    }
+
+    this.openColumnMapping(table, mapping, { source, template, workbook })
+  }
+
+  // Mapping from a saved template with the same headers, falling back to the header aliases
+  resolveColumnMapping(headers) {
+    const automatic = autoMapColumns(headers)
+    const template = this.importTemplates.find((candidate) => templateMatchesHeaders(candidate, headers))
+    return {
+      mapping: template ? mapColumnsWithTemplate(template, headers, automatic) : automatic,
+      template: template || null,
+    }
+  }
+
+  // Concentration units of the columns (see detectColumnUnits) and the detection limits row (see
+  // detectLimitRow); a units row below the headers and the limits row are removed from the data
+  prepareImportTable(table, mapping, template) {
+    const { units, unitsRow } = detectColumnUnits(table, mapping, templateUnitsForHeaders(template, table.headers))
+    let rows = unitsRow ? table.rows.slice(1) : table.rows
+    let rowNumbers = unitsRow ? table.rowNumbers.slice(1) : table.rowNumbers
+
+    const limitRow = detectLimitRow({ ...table, rows }, mapping)
+    if (limitRow) {
+      rows = rows.filter((row, index) => index !== limitRow.rowIndex)
+      rowNumbers = rowNumbers.filter((number, index) => index !== limitRow.rowIndex)
+    }
+
+    return {
+      table: { ...table, rows, rowNumbers },
+      units,
+      unitsRow,
+      limitValues: limitRow ? limitRow.values : [],
+    }
+  }
+
+  // Excel Import
+  importWorkbook(workbook, source) {
+    // Start on the first sheet that has a metal column, or else the first sheet with any content
+    const candidates = workbook.sheets.map((sheet) => {
+      const headerRow = this.findHeaderRow(sheet.rows)
+      return { headerRow, mapping: this.resolveColumnMapping(sheet.rows[headerRow] || []).mapping }
+    })
+    let sheetIndex = candidates.findIndex((candidate) => candidate.mapping.some((key) => getMetal(key)))
+    if (sheetIndex < 0) sheetIndex = Math.max(0, workbook.sheets.findIndex((sheet) => sheet.rows.length > 0))
+
+    workbook.sheetIndex = sheetIndex
+    workbook.headerRow = candidates[sheetIndex].headerRow
+    this.importTable(rowsToTable(workbook.sheets[sheetIndex].rows, workbook.headerRow), source, workbook)
+  }
+
+  // Header row of a sheet: the first row whose headers match a saved template, or the best alias match
+  findHeaderRow(rows) {
+    const templateRow = rows
+      .slice(0, 20)
+      .findIndex((row) => this.importTemplates.some((template) => templateMatchesHeaders(template, row)))
+    return templateRow >= 0 ? templateRow : detectHeaderRow(rows)
+  }
+
+  // Rebuilds the pending table after the sheet or header row was changed in the mapping step
+  selectWorkbookTable(sheetIndex, headerRow = null) {
+    const { workbook } = this.pendingImport
+    const rows = workbook.sheets[sheetIndex].rows
+
+    workbook.sheetIndex = sheetIndex
+    workbook.headerRow =
+      headerRow === null || isNaN(headerRow)
+        ? this.findHeaderRow(rows)
+        : Math.min(Math.max(0, headerRow), Math.max(0, rows.length - 1))
+
+    const table = rowsToTable(rows, workbook.headerRow)
+    const { mapping, template } = this.resolveColumnMapping(table.headers)
+    this.openColumnMapping(table, mapping, { ...this.pendingImport, template })
+  }
+
+  // Column Mapping
+  openColumnMapping(sourceTable, mapping, context) {
+    const { source, template = null, workbook = null } = context
+    const { table, units, unitsRow, limitValues } = this.prepareImportTable(sourceTable, mapping, template)
+    this.pendingImport = { table, source, workbook, limitValues }
+
+    const sheetLabel = workbook ? ` › ${workbook.sheets[workbook.sheetIndex].name}` : ""
+    document.getElementById("mappingSource").textContent =
+      `${source}${sheetLabel}: ${table.rows.length} row${table.rows.length === 1 ? "" : "s"}, ${table.headers.length} columns` +
+      (unitsRow ? ", units read from the row below the headers" : "") +
+      (limitValues.length > 0 ? ", detection limits read from the limits row" : "")
+    document.getElementById("templateName").value = ""
+
+    document.getElementById("workbookOptions").style.display = workbook ? "" : "none"
+    if (workbook) {
+      document.getElementById("mappingSheet").innerHTML = workbook.sheets
+        .map((sheet, index) => `<option value="${index}" ${index === workbook.sheetIndex ? "selected" : ""}>${escapeHtml(sheet.name)}</option>`)
+        .join("")
+      document.getElementById("mappingHeaderRow").value = workbook.headerRow + 1
+    }
+
+    this.renderTemplateOptions(template ? template.id : "")
+    this.renderMappingRows(mapping, units)
+    this.showModal("columnMappingModal")
+  }
+
+  renderMappingRows(mapping, units) {
+    const { table } = this.pendingImport
+    const options = [{ key: "", label: "— Ignore column —" }, ...IMPORT_FIELDS]
+
+    document.getElementById("mappingBody").innerHTML = table.headers
+      .map((header, column) => {
+        const examples = table.rows
+          .slice(0, 3)
+          .map((row) => row[column])
+          .filter((value) => value !== undefined && value !== "")
+        return `
+                <tr>
+                    <td>${header ? escapeHtml(header) : `Column ${column + 1}`}</td>
+                    <td class="mapping-examples">${escapeHtml(examples.join(", ")) || "—"}</td>
+                    <td>
+                        <select data-column="${column}">
+                            ${options.map((field) => `<option value="${field.key}" ${field.key === mapping[column] ? "selected" : ""}>${field.label}</option>`).join("")}
+                        </select>
+                    </td>
+                    <td>
+                        <select class="unit-select" data-unit-column="${column}">
+                            ${CONCENTRATION_UNITS.map((unit) => `<option value="${unit.id}" ${unit.id === (units[column] || "mg/L") ? "selected" : ""}>${unit.id}</option>`).join("")}
+                        </select>
+                    </td>
+                </tr>
+            `
+      })
+      .join("")
+
+    this.updateMappingStatus()
+  }
+
+  readMappingSelection() {
+    return [...document.querySelectorAll("#mappingBody select[data-column]")].map((select) => select.value)
+  }
+
+  // Unit of every column; only metal columns have one
+  readUnitSelection() {
+    const mapping = this.readMappingSelection()
+    return [...document.querySelectorAll("#mappingBody select[data-unit-column]")].map((select, column) =>
+      getMetal(mapping[column]) ? select.value : "",
+    )
+  }
+
+  updateMappingStatus() {
+    const mapping = this.readMappingSelection()
+    document.querySelectorAll("#mappingBody select[data-unit-column]").forEach((select, column) => {
+      select.disabled = !getMetal(mapping[column])
+    })
+
+    const messages = getMappingErrors(mapping)
+    if (!mapping.includes("sampleName")) {
+      messages.push(
+        mapping.includes("site")
+          ? "No sample name column: samples will be named by site and sampling date"
+          : "No sample name column: samples will be numbered in file order",
+      )
+    }
+
+    const status = document.getElementById("mappingStatus")
+    status.textContent = messages.join(". ")
+    status.style.display = messages.length > 0 ? "" : "none"
+  }
+
+  renderTemplateOptions(selectedId) {
+    const select = document.getElementById("mappingTemplate")
+    select.innerHTML = [
+      `<option value="">${this.importTemplates.length > 0 ? "Choose a saved template…" : "No saved templates"}</option>`,
+      ...this.importTemplates.map(
+        (template) => `<option value="${template.id}" ${template.id === selectedId ? "selected" : ""}>${escapeHtml(template.name)}</option>`,
+      ),
+    ].join("")
+    document.getElementById("deleteTemplateBtn").disabled = !selectedId
+  }
+
+  applyMappingTemplate(templateId) {
+    document.getElementById("deleteTemplateBtn").disabled = !templateId
+    const template = this.importTemplates.find((candidate) => candidate.id === templateId)
+    if (!template) return
+
+    // Units named in the headers take precedence over the template's
+    const headers = this.pendingImport.table.headers
+    const templateUnits = templateUnitsForHeaders(template, headers)
+    const units = [...document.querySelectorAll("#mappingBody select[data-unit-column]")].map(
+      (select, column) => (detectHeaderUnit(headers[column]) ? select.value : templateUnits[column] || select.value),
+    )
+    this.renderMappingRows(mapColumnsWithTemplate(template, headers, this.readMappingSelection()), units)
+  }
+
+  async handleColumnMappingSubmit(e) {
+    e.preventDefault()
+
+    try {
+      const { table, source, limitValues } = this.pendingImport
+      const mapping = this.readMappingSelection()
+      const errors = getMappingErrors(mapping)
+      if (errors.length > 0) throw new Error(errors.join(". "))
+      if (table.rows.length === 0) throw new Error("There are no data rows below the header row")
+
+      const units = this.readUnitSelection()
+      const templateName = document.getElementById("templateName").value.trim()
+      if (templateName) {
+        await this.saveMappingTemplate(templateName, table.headers, mapping, units)
+      }
+
+      this.closeModal(document.getElementById("columnMappingModal"))
+      this.pendingImport = null
+      this.processBatchData(applyColumnMapping(table, mapping), {
+        source: source,
+        rowNumbers: table.rowNumbers,
+        units: getMetalFieldValues(mapping, units),
+        detectionLimits: getMetalFieldValues(mapping, limitValues),
+      })
+    } catch (error) {
+      this.showError(error.message)
+    }
+  }
+
+  // Saving under an existing name replaces that template
+  async saveMappingTemplate(name, headers, mapping, units) {
+    const template = createMappingTemplate(name, headers, mapping, units)
+    const existing = this.importTemplates.find((candidate) => candidate.name === name)
+    if (existing) template.id = existing.id
+
+    this.importTemplates = [...this.importTemplates.filter((candidate) => candidate.name !== name), template]
+    await this.saveImportTemplates()
+  }
+
+  async deleteMappingTemplate() {
+    const select = document.getElementById("mappingTemplate")
+    const template = this.importTemplates.find((candidate) => candidate.id === select.value)
+    if (!template || !confirm(`Delete mapping template "${template.name}"?`)) return
+
+    this.importTemplates = this.importTemplates.filter((candidate) => candidate.id !== template.id)
+    await this.saveImportTemplates()
+    this.renderTemplateOptions("")
+  }
+
+  async saveImportTemplates() {
+    if (this.storageUnavailable) return
+
+    try {
+      await this.store.setSetting("importTemplates", this.importTemplates)
+    } catch (error) {
+      console.error("Error saving mapping templates:", error)
+      this.showError("Mapping template could not be saved to browser storage")
+    }
+  }
+
+  // Import Preview
+  // data: records keyed by field (see applyColumnMapping). options.units gives the concentration unit of each
+  // metal field (default: the registry unit), options.detectionLimits the LOD used for non-detects without one,
+  // options.rowNumbers the row of each record in the file. Nothing is added until the preview is confirmed.
+  processBatchData(data, options = {}) {
+    if (!Array.isArray(data)) {
+      throw new Error("Data must be an array of samples")
+    }
+    if (data.length === 0) {
+      throw new Error("No samples found in the file")
+    }
+
+    // Files without a name column get names from the site and date, or numbers, which stay editable in the preview
+    const hasNames = data.some((record) => "sampleName" in record)
+    const defaultName = (record, index) => {
+      const date = parseSamplingDate(record.sampleDate)
+      return (
+        [record.site, typeof date === "string" ? date.split("T")[0] : record.sampleDate]
+          .filter((value) => value && String(value).trim())
+          .join(" ") || `Sample ${this.samples.length + index + 1}`
+      )
+    }
+    const fields = IMPORT_FIELDS.map((field) => field.key).filter(
+      (key) => (key === "sampleName" && !hasNames) || data.some((record) => key in record),
+    )
+
+    this.buildImportPreview({
+      source: options.source || "Imported file",
+      units: options.units || {},
+      detectionLimits: options.detectionLimits || {},
+      fields: fields,
+      batchId: Date.now(),
+      rows: data.map((record, index) => ({
+        index: index,
+        rowNumber: options.rowNumbers ? options.rowNumbers[index] : index + 1,
+        record: hasNames ? { ...record } : { sampleName: defaultName(record, index), ...record },
+        skipped: false,
+      })),
+    })
+  }
+
+  // Reads the sample of every row as a batch job and opens the preview; a cancelled import leaves nothing behind
+  async buildImportPreview(preview) {
+    let rows
+    try {
+      rows = await this.runBatch("importRows", preview.rows, this.getImportOptions(preview), `Reading ${preview.source}`)
+    } catch (error) {
+      this.showError(`Error processing file: ${error.message}`)
+      return
+    }
+    if (!rows) {
+      this.setImportStatus(`Import of ${preview.source} cancelled`)
+      return
+    }
+
+    preview.rows.forEach((row, position) => Object.assign(row, rows[position]))
+    this.importPreview = preview
+    this.checkPreviewDuplicates()
+
+    document.getElementById("previewFilter").value = "all"
+    this.renderImportPreview()
+    this.showModal("importPreviewModal")
+  }
+
+  // Sample for a preview row from its (possibly edited) record (see buildImportSample)
+  buildPreviewSample(row) {
+    Object.assign(row, buildImportSample(row, this.getImportOptions()))
+  }
+
+  // What buildImportSample needs to know about the import besides the row
+  getImportOptions(preview = this.importPreview) {
+    return {
+      units: preview.units,
+      detectionLimits: preview.detectionLimits,
+      batchId: preview.batchId,
+      source: preview.source,
+      substitutionPolicy: this.substitutionPolicy,
+    }
+  }
+
+  // Flags samples already in the project, or in another row that is not skipped, with the same name and
+  // sampling date. Repeated samples of a well share its name only when their dates differ.
+  checkPreviewDuplicates() {
+    const existing = new Set(this.samples.map((sample) => this.getSampleKey(sample)))
+    const rowsByKey = new Map()
+
+    this.importPreview.rows.forEach((row) => {
+      row.errors = row.errors.filter((error) => !error.duplicate)
+      if (!row.sample.name || row.skipped || Number.isNaN(row.sample.sampledAt)) return
+      const key = this.getSampleKey(row.sample)
+      rowsByKey.set(key, [...(rowsByKey.get(key) || []), row])
+    })
+
+    rowsByKey.forEach((rows, key) => {
+      rows.forEach((row) => {
+        const others = rows.filter((other) => other !== row).map((other) => other.rowNumber)
+        if (existing.has(key)) {
+          row.errors.push({
+            field: "sampleName",
+            message: "A sample with this name and sampling date already exists",
+            duplicate: true,
+          })
+        } else if (others.length > 0) {
+          row.errors.push({
+            field: "sampleName",
+            message: `Duplicate sample name and sampling date (also in row ${others.join(", ")})`,
+            duplicate: true,
+          })
+        }
+      })
+    })
+  }
+
+  getPreviewStatus(row) {
+    if (row.skipped) return "skipped"
+    return row.errors.length > 0 ? "error" : "ready"
+  }
+
+  renderImportPreview() {
+    const preview = this.importPreview
+    const filter = document.getElementById("previewFilter").value
+    const counts = { ready: 0, error: 0, skipped: 0 }
+    preview.rows.forEach((row) => counts[this.getPreviewStatus(row)]++)
+
+    document.getElementById("previewSummary").textContent =
+      `${preview.source}: ${preview.rows.length} rows — ${counts.ready} ready, ${counts.error} with errors, ${counts.skipped} skipped`
+
+    const commitBtn = document.getElementById("commitImportBtn")
+    commitBtn.textContent = `Add ${counts.ready} Sample${counts.ready === 1 ? "" : "s"}`
+    commitBtn.disabled = counts.ready === 0
+    document.getElementById("downloadErrorsBtn").disabled = counts.error === 0
+    document.getElementById("previewSelectAll").checked = counts.skipped === 0
+
+    document.getElementById("previewHead").innerHTML = `
+            <tr>
+                <th></th>
+                <th>Row</th>
+                <th>Status</th>
+                ${preview.fields
+                  .map((key) => {
+                    const metal = getMetal(key)
+                    return `<th>${metal ? `${metal.symbol} (${preview.units[key] || metal.unit})` : getImportField(key).label}</th>`
+                  })
+                  .join("")}
+                <th>Problems</th>
+            </tr>
+        `
+
+    const statusLabels = { ready: "Ready", error: "Error", skipped: "Skipped" }
+    const rows = preview.rows.filter((row) => filter === "all" || this.getPreviewStatus(row) === filter)
+
+    document.getElementById("previewBody").innerHTML =
+      rows
+        .map((row) => {
+          const status = this.getPreviewStatus(row)
+
+          return `
+            <tr class="preview-${status}">
+                <td><input type="checkbox" data-preview-include="${row.index}" ${row.skipped ? "" : "checked"} aria-label="Import row ${row.rowNumber}"></td>
+                <td>${row.rowNumber}</td>
+                <td><span class="preview-status ${status}">${statusLabels[status]}</span></td>
+                ${preview.fields
+                  .map((key) => {
+                    const problems = row.errors.filter((error) => error.field === key).map((error) => error.message)
+                    return `<td><input type="text" class="preview-input ${problems.length > 0 ? "invalid" : ""}" data-preview-row="${row.index}" data-field="${key}" value="${escapeHtml(row.record[key] ?? "")}" title="${escapeHtml(problems.join("; "))}"></td>`
+                  })
+                  .join("")}
+                <td class="preview-problems">${escapeHtml(row.errors.map((error) => error.message).join("; "))}</td>
+            </tr>
+        `
+        })
+        .join("") ||
+      `<tr><td colspan="${preview.fields.length + 4}" class="preview-empty">No rows to show</td></tr>`
+  }
+
+  handlePreviewChange(e) {
+    const target = e.target
+
+    if (target.dataset.previewRow !== undefined) {
+      // Inline fix: rebuild the row and check names again, since a fix can clear or cause a duplicate
+      const row = this.importPreview.rows[Number(target.dataset.previewRow)]
+      row.record[target.dataset.field] = target.value
+      this.buildPreviewSample(row)
+    } else if (target.dataset.previewInclude !== undefined) {
+      this.importPreview.rows[Number(target.dataset.previewInclude)].skipped = !target.checked
+    } else if (target.id === "previewSelectAll") {
+      this.importPreview.rows.forEach((row) => {
+        row.skipped = !target.checked
+      })
+    } else if (target.id !== "previewFilter") {
+      return
+    }
+
+    this.checkPreviewDuplicates()
+    this.renderImportPreview()
+  }
+
+  // Adds the selected rows that passed validation; rows with errors and skipped rows are left out
+  commitImportPreview() {
+    const preview = this.importPreview
+    const ready = preview.rows.filter((row) => this.getPreviewStatus(row) === "ready")
+    if (ready.length === 0) return
+
+    this.addSamples(ready.map((row) => row.sample))
+    this.closeModal(document.getElementById("importPreviewModal"))
+    this.importPreview = null
+
+    const notImported = preview.rows.length - ready.length
+    this.setImportStatus(
+      `Imported ${ready.length} sample${ready.length === 1 ? "" : "s"} from ${preview.source}` +
+        (notImported > 0 ? ` (${notImported} row${notImported === 1 ? "" : "s"} not imported)` : ""),
+    )
+  }
+
+  setImportStatus(message) {
+    const status = document.getElementById("importStatus")
+    status.textContent = message
+    status.style.display = message ? "block" : "none"
+  }
+
+  // One line per problem, so the rows can be corrected at the source and imported again
+  downloadImportErrors() {
+    const preview = this.importPreview
+    const lines = [["Row", "Sample Name", "Field", "Value", "Problem"]]
+
+    preview.rows
+      .filter((row) => this.getPreviewStatus(row) === "error")
+      .forEach((row) => {
+        row.errors.forEach((error) => {
+          const field = getImportField(error.field)
+          lines.push([
+            row.rowNumber,
+            row.record.sampleName ?? "",
+            field ? field.label : "Metals",
+            field ? (row.record[error.field] ?? "") : "",
+            error.message,
+          ])
+        })
+      })
+
+    const baseName = preview.source.replace(/\.[^.]+$/, "")
+    this.downloadBlob(new Blob([toCSV(lines)], { type: "text/csv" }), `${baseName}_import_errors.csv`)
+  }
+
+  // HMPI Calculation
+  calculateHMPI(metals) {
+    return this.calculateHPIBreakdown(metals).value
+  }
+
+  // Per-metal Wi, Qi and WiQi terms of the HPI (see indices.js)
+  calculateHPIBreakdown(metals, profile = this.activeProfile, method = this.hpiMethod) {
+    return calculateHPIBreakdown(metals, profile, method, this.weights)
+  }
+
+  getMethodLabel(method) {
+    return method === "legacy" ? "Legacy weighted ratio" : "HPI (Mohan et al., 1996)"
+  }
+
+  switchHPIMethod(method) {
+    this.hpiMethod = method === "legacy" ? "legacy" : "mohan"
+    this.recalculateResults()
+    this.scheduleSave()
+  }
+
+  // Re-derives the substitutes of all censored values and recalculates
+  switchSubstitutionPolicy(policyId) {
+    this.substitutionPolicy = getSubstitutionPolicy(policyId).id
+
+    this.samples.forEach((sample) => {
+      Object.entries(sample.censored || {}).forEach(([metal, entry]) => {
+        sample.metals[metal] = substituteCensored(entry.lod, this.substitutionPolicy)
+      })
+    })
+
+    this.recalculateResults()
+    this.scheduleSave()
+  }
+
+  // Parameters of a sample or result that were below the detection limit and carry a substituted value
+  getCensoredMetals(item) {
+    return Object.keys(item.censored || {})
+  }
+
+  // Flag for results whose indices depend on substituted values, e.g. "Cd, Pb below LOD, substituted with LOD/2"
+  describeCensoring(result) {
+    const metals = this.getCensoredMetals(result)
+    if (metals.length === 0) return ""
+    return `${metals.map(getMetalSymbol).join(", ")} below LOD, substituted with ${getSubstitutionPolicy(result.substitutionPolicy).label}`
+  }
+
+  // Pollution Indices
+  getIndexContext(profile = this.activeProfile, method = this.hpiMethod) {
+    return { profile: profile, method: method, weights: this.weights }
+  }
+
+  getDisplayIndex() {
+    return POLLUTION_INDICES[this.displayIndex]
+  }
+
+  getIndexValue(result, id = this.displayIndex) {
+    const entry = result.indices[id]
+    return entry ? entry.value : null
+  }
+
+  getIndexLevel(result, id = this.displayIndex) {
+    const entry = result.indices[id]
+    return entry ? entry.level : null
+  }
+
+  getIndexBand(result, id = this.displayIndex) {
+    const entry = result.indices[id]
+    return entry ? entry.band : "N/A"
+  }
+
+  formatIndexValue(result, id = this.displayIndex, digits = 2) {
+    const value = this.getIndexValue(result, id)
+    return value === null ? "N/A" : value.toFixed(digits)
+  }
+
+  getCategoryColor(level) {
+    const colors = { safe: "#10b981", moderate: "#f59e0b", hazardous: "#ef4444" }
+    // Samples the index cannot rate (no covered parameters) are grey
+    return colors[level] || "#94a3b8"
+  }
+
+  countByLevel(results) {
+    const counts = { safe: 0, moderate: 0, hazardous: 0 }
+    results.forEach((result) => {
+      const level = this.getIndexLevel(result)
+      if (level) counts[level]++
+    })
+    return counts
+  }
+
+  // Results saved before the index registry only carry the HPI; derive the other indices from their inputs
+  upgradeResult(result) {
+    if (result.indices) return result
+
+    const profile = this.getResultProfile(result)
+    const indices = evaluateIndices(result.metals, this.getIndexContext(profile, result.method || "legacy"), this.enabledIndices)
+    indices.hpi = {
+      value: result.hmpi,
+      band: classifyIndex(POLLUTION_INDICES.hpi, result.hmpi).label,
+      level: result.category,
+    }
+
+    return { ...result, indices: indices }
+  }
+
+  renderIndexControls() {
+    document.getElementById("indexToggles").innerHTML = Object.values(POLLUTION_INDICES)
+      .map(
+        (index) => `
+            <label class="index-toggle" title="${index.name} (${index.reference})">
+                <input type="checkbox" value="${index.id}" ${this.enabledIndices.includes(index.id) ? "checked" : ""} ${index.id === "hpi" ? "disabled" : ""}
+                    onchange="hmpiCalc.toggleIndex(this.value, this.checked)">
+                ${index.shortName}
+            </label>
+        `,
+      )
+      .join("")
+
+    const select = document.getElementById("displayIndex")
+    select.innerHTML = this.enabledIndices
+      .map((id) => `<option value="${id}">${POLLUTION_INDICES[id].name} (${POLLUTION_INDICES[id].shortName})</option>`)
+      .join("")
+    select.value = this.displayIndex
+
+    this.updateIndexLabels()
+  }
+
+  updateIndexLabels() {
+    const index = this.getDisplayIndex()
+
+    document.getElementById("indexValueHeader").textContent = `${index.shortName} Value`
+    document.getElementById("resultsTitle").textContent = `${index.shortName} Results`
+    document.getElementById("mapLegendTitle").textContent = `${index.shortName} Categories`
+
+    document.querySelectorAll("#categoryFilter option").forEach((option) => {
+      if (option.value === "all") return
+      const label = option.value.charAt(0).toUpperCase() + option.value.slice(1)
+      option.textContent = `${label} (${formatLevelRange(index, option.value)})`
+    })
+
+    document.getElementById("mapLegendItems").innerHTML = this.renderBandLegend(index)
+    this.renderSurfaceControls()
+    this.renderHotspotControls()
+  }
+
+  renderBandLegend(index) {
+    return index.bands
+      .map(
+        (band) => `
+                <div class="legend-item ${band.level}">
+                    <span class="legend-color"></span>
+                    ${band.label} (${formatBandRange(index, band)})
+                </div>
+            `,
+      )
+      .join("")
+  }
+
+  toggleIndex(id, enabled) {
+    this.enabledIndices = Object.keys(POLLUTION_INDICES).filter((key) => {
+      if (key === "hpi") return true
+      return key === id ? enabled : this.enabledIndices.includes(key)
+    })
+
+    if (!this.enabledIndices.includes(this.displayIndex)) {
+      this.displayIndex = "hpi"
+    }
+
+    this.renderIndexControls()
+    this.recalculateResults()
+    this.scheduleSave()
+  }
+
+  switchDisplayIndex(id) {
+    this.displayIndex = POLLUTION_INDICES[id] ? id : "hpi"
+    this.updateIndexLabels()
+    this.updateResultsTable()
+    this.updateVisualization()
+    this.updateMap()
+    this.scheduleSave()
+  }
+
+  // What evaluateSample needs besides the concentrations; it is passed to a Web Worker, so it holds data only
+  getEvaluationOptions() {
+    return { context: this.getIndexContext(), enabledIndices: this.enabledIndices, standards: this.standards }
+  }
+
+  // Settings a result is calculated with and records. A batch job reads them before it starts and checks
+  // them when it ends (see calculateAllHMPI), since they can be changed while it runs.
+  getCalculationBasis() {
+    return {
+      profile: this.activeProfile,
+      method: this.hpiMethod,
+      substitutionPolicy: this.substitutionPolicy,
+      enabledIndices: this.enabledIndices,
+    }
+  }
+
+  isCurrentBasis(basis) {
+    const current = this.getCalculationBasis()
+    return Object.keys(current).every((key) => current[key] === basis[key])
+  }
+
+  // evaluated: the indices and dominant metal of the sample when already worked out, with the basis they
+  // were worked out on (see calculateAllHMPI)
+  buildResult(sample, evaluated = evaluateSample(sample.metals, this.getEvaluationOptions()), basis = this.getCalculationBasis()) {
+    const indices = evaluated.indices
+    // Samples recorded without coordinates are placed at their site
+    const site = this.getSite(sample.siteId)
+    const located = sample.latitude !== null ? sample : site || sample
+
+    return {
+      id: sample.id,
+      name: sample.name,
+      siteId: sample.siteId ?? null,
+      sampledAt: sample.sampledAt ?? null,
+      latitude: located.latitude,
+      longitude: located.longitude,
+      metals: sample.metals,
+      hmpi: indices.hpi.value,
+      category: indices.hpi.level,
+      indices: indices,
+      dominantMetal: evaluated.dominantMetal,
+      censored: sample.censored || {},
+      substitutionPolicy: basis.substitutionPolicy,
+      method: basis.method,
+      standardsProfile: {
+        id: basis.profile.id,
+        name: basis.profile.name,
+        version: basis.profile.version,
+        // The limits are kept so the result can be explained after its profile is edited or deleted
+        limits: basis.profile.limits,
+      },
+      calculatedAt: new Date().toISOString(),
+    }
+  }
+
+  // Asks before rating a sample of a batch that failed QA/QC; confirmQC is false when the batch was already
+  // confirmed (Calculate All)
+  calculateSingleHMPI(sampleId, confirmQC = true) {
+    const sample = this.samples.find((s) => s.id === sampleId)
+    if (!sample) return
+    if (isQCSample(sample)) {
+      this.showError(`${sample.name} is a QC sample (${getSampleTypeLabel(sample.type).toLowerCase()}). QC samples are checked in the QA/QC report and not rated.`)
+      return
+    }
+    if (confirmQC && !this.confirmQCBatches([sample])) return
+
+    const result = this.buildResult(sample)
+
+    // Update or add result
+    const existingIndex = this.results.findIndex((r) => r.id === sampleId)
+    if (existingIndex >= 0) {
+      this.results[existingIndex] = result
+    } else {
+      this.results.push(result)
+    }
+
+    this.updateResultsTable()
+    this.updateVisualization()
+    this.updateMap()
+    this.scheduleSave()
+
+    // Switch to results tab
+    this.switchTab("results")
+  }
+
+  // Re-run existing results, e.g. after the standards profile changed
+  recalculateResults() {
+    if (this.results.length === 0) return
+
+    this.results = this.results.map((result) => {
+      const sample = this.samples.find((s) => s.id === result.id)
+      return sample ? this.buildResult(sample) : result
+    })
+
+    this.updateResultsTable()
+    this.updateVisualization()
+    this.updateMap()
+  }
+
+  // QC samples are left out of the indices. The samples are worked out as a batch job, and the results are
+  // committed and drawn once it is done.
+  async calculateAllHMPI() {
+    const samples = this.samples.filter((sample) => !isQCSample(sample))
+    if (samples.length === 0) {
+      this.showError("No samples available for calculation")
+      return
+    }
+    if (!this.confirmQCBatches(samples)) return
+
+    // A change of profile, method, substitution policy or indices while the job runs makes its values stale
+    // (recalculateResults only re-rates the results already committed), so the job is run again
+    let basis
+    let evaluated
+    do {
+      basis = this.getCalculationBasis()
+      try {
+        evaluated = await this.runBatch(
+          "calculate",
+          samples.map((sample) => sample.metals),
+          this.getEvaluationOptions(),
+          `Calculating ${samples.length} samples`,
+        )
+      } catch (error) {
+        this.showError(`Error calculating HMPI: ${error.message}`)
+        return
+      }
+      if (!evaluated) return
+    } while (!this.isCurrentBasis(basis))
+
+    // Results are replaced in place and new ones added at the end; samples removed meanwhile are left out
+    const current = new Set(this.samples)
+    const results = new Map(this.results.map((result) => [result.id, result]))
+    samples.forEach((sample, position) => {
+      if (current.has(sample)) results.set(sample.id, this.buildResult(sample, evaluated[position], basis))
+    })
+    this.results = [...results.values()]
+
+    this.updateResultsTable()
+    this.updateVisualization()
+    this.updateMap()
+    this.scheduleSave()
+    this.switchTab("results")
+
+    const qcCount = this.samples.length - samples.length
+    this.setResultsStatus(
+      `Calculated HMPI for ${samples.length} sample${samples.length === 1 ? "" : "s"}` +
+        (qcCount > 0 ? ` (${qcCount} QC sample${qcCount === 1 ? "" : "s"} left out)` : ""),
+    )
+  }
+
+  setResultsStatus(message) {
+    const status = document.getElementById("resultsStatus")
+    status.textContent = message
+    status.style.display = message ? "block" : "none"
+  }
+
+  // Batch Processing
+  // Runs a batch job (see batch.js) over the items with a progress bar, in a Web Worker where one can be
+  // started and otherwise in slices on the page. Resolves with the result of every item, or with null when
+  // the job is cancelled. A job that fits in one slice runs at once, without a progress bar.
+  runBatch(job, items, options, label) {
+    if (this.batchJob) {
+      this.showError("Another import or calculation is still running. Wait for it to finish or cancel it.")
+      return Promise.resolve(null)
+    }
+    if (items.length <= BATCH_SLICE_SIZE) {
+      return Promise.resolve(runBatchSlice(job, items, options, 0))
+    }
+
+    return new Promise((resolve, reject) => {
+      const batch = { worker: null, cancel: () => end(null, null) }
+      const end = (error, results) => {
+        if (batch.worker) batch.worker.terminate()
+        this.batchJob = null
+        document.getElementById("batchProgress").hidden = true
+        if (error) reject(error)
+        else resolve(results)
+      }
+
+      // Slices run between timeouts so the page redraws the progress bar and answers Cancel
+      const runOnPage = () => {
+        const results = []
+        const next = () => {
+          if (this.batchJob !== batch) return
+          try {
+            results.push(...runBatchSlice(job, items, options, results.length))
+          } catch (error) {
+            end(error)
+            return
+          }
+          this.showBatchProgress(label, results.length, items.length)
+          if (results.length < items.length) setTimeout(next, 0)
+          else end(null, results)
+        }
+        setTimeout(next, 0)
+      }
+
+      this.batchJob = batch
+      this.showBatchProgress(label, 0, items.length)
+
+      // Some browsers do not start workers for pages opened as files; the job then runs on the page
+      try {
+        batch.worker = window.Worker ? new Worker("worker.js") : null
+      } catch (error) {
+        console.error("Batch worker could not be started:", error)
+      }
+      if (!batch.worker) {
+        runOnPage()
+        return
+      }
+
+      let answered = false
+      batch.worker.onmessage = (e) => {
+        answered = true
+        if (e.data.error) end(new Error(e.data.error))
+        else if (e.data.results) end(null, e.data.results)
+        else this.showBatchProgress(label, e.data.progress, items.length)
+      }
+      batch.worker.onerror = (e) => {
+        e.preventDefault()
+        if (answered) {
+          end(new Error(e.message || "The batch worker stopped unexpectedly"))
+          return
+        }
+
+        console.error("Batch worker could not be loaded:", e.message)
+        batch.worker.terminate()
+        batch.worker = null
+        runOnPage()
+      }
+      batch.worker.postMessage({ job: job, items: items, options: options })
+    })
+  }
+
+  cancelBatch() {
+    if (this.batchJob) this.batchJob.cancel()
+  }
+
+  showBatchProgress(label, done, total) {
+    document.getElementById("batchProgress").hidden = false
+    document.getElementById("batchProgressLabel").textContent = label
+    document.getElementById("batchProgressBar").value = total > 0 ? done / total : 0
+    document.getElementById("batchProgressCount").textContent = `${done} of ${total}`
+  }
+
+  // Health Risk
+  // Risk of drinking the water of a result for every exposure group, from the concentrations it was calculated
+  // with and the project's exposure parameters (see healthrisk.js)
+  getHealthRisk(result) {
+    return assessHealthRisk(result.metals, this.exposure)
+  }
+
+  openExposureEditor(exposure = this.exposure) {
+    document.getElementById("exposureHeaderRow").innerHTML = `
+            <th>Parameter</th>
+            ${EXPOSURE_GROUPS.map((group) => `<th>${group.label}</th>`).join("")}
+        `
+    document.getElementById("exposureBody").innerHTML = EXPOSURE_PARAMETERS.map(
+      (parameter) => `
+                <tr>
+                    <td>${parameter.label} (${parameter.unit})</td>
+                    ${EXPOSURE_GROUPS.map(
+                      (group) =>
+                        `<td><input type="number" name="${group.id}-${parameter.key}" step="any" min="0" value="${exposure[group.id][parameter.key]}" required></td>`,
+                    ).join("")}
+                </tr>
+            `,
+    ).join("")
+
+    this.showModal("exposureModal")
+  }
+
+  handleExposureSave(e) {
+    e.preventDefault()
+
+    const formData = new FormData(e.target)
+    const exposure = Object.fromEntries(
+      EXPOSURE_GROUPS.map((group) => [
+        group.id,
+        Object.fromEntries(
+          EXPOSURE_PARAMETERS.map((parameter) => [parameter.key, Number.parseFloat(formData.get(`${group.id}-${parameter.key}`))]),
+        ),
+      ]),
+    )
+
+    const errors = getExposureErrors(exposure)
+    if (errors.length > 0) {
+      this.showError(errors.join(". "))
+      return
+    }
+
+    this.exposure = exposure
+    this.closeModal(document.getElementById("exposureModal"))
+    this.scheduleSave()
+  }
+
+  // Hazard index and cancer risk of every group as export columns: { name, type, value(result) }, like
+  // getSpatialColumns
+  getHealthRiskColumns() {
+    return EXPOSURE_GROUPS.flatMap((group) => {
+      const risk = (result) => this.getHealthRisk(result)[group.id]
+      return [
+        { name: `HI (${group.label})`, type: "N", value: (result) => risk(result).hazardIndex },
+        { name: `HI Class (${group.label})`, type: "C", value: (result) => risk(result).hazardBand?.label || "" },
+        { name: `Cancer Risk (${group.label})`, type: "N", value: (result) => risk(result).cancerRisk },
+        { name: `Cancer Risk Class (${group.label})`, type: "C", value: (result) => risk(result).cancerBand?.label || "" },
+      ]
+    })
+  }
+
+  // Health risk section of the sample details: hazard index and cancer risk of every group, then the intake,
+  // hazard quotient and cancer risk of each metal
+  renderHealthRisk(result) {
+    const risk = this.getHealthRisk(result)
+    const metals = risk[EXPOSURE_GROUPS[0].id].rows.map((row) => row.metal)
+    const badge = (band) => (band ? `<span class="category-badge ${band.level}">${band.label}</span>` : "—")
+
+    if (metals.length === 0) {
+      return `
+            <div style="margin-bottom: 1.5rem;">
+                <h4>Health Risk</h4>
+                <p>No parameter of this sample has an oral reference dose, so no risk can be estimated.</p>
+            </div>
+        `
+    }
+
+    return `
+            <div style="margin-bottom: 1.5rem;">
+                <h4>Health Risk</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 0.5rem;">
+                    <thead>
+                        <tr style="border-bottom: 1px solid var(--border-color);">
+                            <th style="text-align: left; padding: 0.5rem;">Group</th>
+                            <th style="text-align: left; padding: 0.5rem;">HI</th>
+                            <th style="text-align: left; padding: 0.5rem;">Non-cancer</th>
+                            <th style="text-align: left; padding: 0.5rem;">Cancer Risk</th>
+                            <th style="text-align: left; padding: 0.5rem;">Cancer</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${EXPOSURE_GROUPS.map((group) => {
+                          const groupRisk = risk[group.id]
+                          const { ingestionRate, bodyWeight, exposureFrequency, exposureDuration } = this.exposure[group.id]
+                          return `
+                                <tr style="border-bottom: 1px solid var(--border-color);">
+                                    <td style="padding: 0.5rem;" title="${ingestionRate} L/day, ${bodyWeight} kg, ${exposureFrequency} days/year for ${exposureDuration} years">${group.label}</td>
+                                    <td style="padding: 0.5rem;">${groupRisk.hazardIndex.toFixed(3)}</td>
+                                    <td style="padding: 0.5rem;">${badge(groupRisk.hazardBand)}</td>
+                                    <td style="padding: 0.5rem;">${formatRisk(groupRisk.cancerRisk)}</td>
+                                    <td style="padding: 0.5rem;">${badge(groupRisk.cancerBand)}</td>
+                                </tr>
+                            `
+                        }).join("")}
+                    </tbody>
+                </table>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 0.5rem;">
+                    <thead>
+                        <tr style="border-bottom: 1px solid var(--border-color);">
+                            <th style="text-align: left; padding: 0.5rem;">Metal</th>
+                            ${EXPOSURE_GROUPS.map(
+                              (group) => `
+                                <th style="text-align: left; padding: 0.5rem;">CDI ${group.label}</th>
+                                <th style="text-align: left; padding: 0.5rem;">HQ ${group.label}</th>
+                                <th style="text-align: left; padding: 0.5rem;">CR ${group.label}</th>
+                            `,
+                            ).join("")}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${metals
+                          .map((metal, position) => {
+                            const first = risk[EXPOSURE_GROUPS[0].id].rows[position]
+                            return `
+                                <tr style="border-bottom: 1px solid var(--border-color);">
+                                    <td style="padding: 0.5rem;" title="RfD ${first.rfd} mg/kg/day${first.slopeFactor ? `, SF ${first.slopeFactor} per mg/kg/day` : ""}">${getMetalSymbol(metal)}</td>
+                                    ${EXPOSURE_GROUPS.map((group) => {
+                                      const row = risk[group.id].rows[position]
+                                      const status = row.hq > 1 ? "color: var(--danger)" : ""
+                                      return `
+                                        <td style="padding: 0.5rem;">${formatRisk(row.cdi)}</td>
+                                        <td style="padding: 0.5rem; ${status}">${row.hq.toFixed(3)}</td>
+                                        <td style="padding: 0.5rem;">${row.cancerRisk === undefined ? "—" : formatRisk(row.cancerRisk)}</td>
+                                    `
+                                    }).join("")}
+                                </tr>
+                            `
+                          })
+                          .join("")}
+                    </tbody>
+                </table>
+                <p style="margin-top: 0.5rem; font-size: 0.875rem;">
+                    CDI = C × IR × EF × ED / (BW × AT) in mg/kg/day, HQ = CDI / RfD, HI = ΣHQ; CR = CDI × SF with the intake
+                    averaged over a ${LIFETIME_YEARS}-year lifetime. Metals without a slope factor have no cancer risk.
+                </p>
+            </div>
+        `
+  }
+
+  // Results Management
+  updateResultsTable() {
+    const tbody = document.getElementById("resultsTableBody")
+    const summary = document.getElementById("resultsSummary")
+    const results = this.filterByArea(this.getDisplayedResults())
+    this.renderSites()
+
+    if (results.length === 0) {
+      tbody.innerHTML = `<tr class="no-results"><td colspan="6">${
+        this.results.length > 0 ? "No results in the selected area." : "No results available. Please add samples and calculate HMPI."
+      }</td></tr>`
+      summary.style.display = "none"
+      return
+    }
+
+    // Update summary
+    const counts = this.countByLevel(results)
+
+    document.getElementById("safeCount").textContent = counts.safe
+    document.getElementById("moderateCount").textContent = counts.moderate
+    document.getElementById("hazardousCount").textContent = counts.hazardous
+    summary.style.display = "grid"
+
+    // Update table, with a heading row per area when grouped by a boundary layer
+    const level = this.getGroupLevel()
+    tbody.innerHTML = this.groupByArea(results)
+      .map(
+        (group) =>
+          (level ? this.renderAreaGroupRow(level, group) : "") +
+          group.results
+            .map(
+              (result) => `
+            <tr data-level="${this.getIndexLevel(result) || ""}">
+                <td>
+                    <strong>${escapeHtml(result.name)}</strong>
+                    ${result.sampledAt ? `<div class="sampling-date">${formatSamplingDate(result.sampledAt)}</div>` : ""}
+                    ${this.describeAreas(result) ? `<div class="sampling-date">${escapeHtml(this.describeAreas(result))}</div>` : ""}
+                </td>
+                <td>${result.latitude && result.longitude ? `${result.latitude.toFixed(4)}, ${result.longitude.toFixed(4)}` : "N/A"}</td>
+                <td>
+                    <strong>${this.formatIndexValue(result)}</strong>
+                    ${this.getCensoredMetals(result).length > 0 ? `<span class="censored-flag" title="${this.describeCensoring(result)}">&lt;LOD</span>` : ""}
+                </td>
+                <td><span class="category-badge ${this.getIndexLevel(result) || ""}">${this.getIndexBand(result)}</span></td>
+                <td>${result.dominantMetal}</td>
+                <td>
+                    <button class="btn btn-secondary btn-small" onclick="hmpiCalc.showSampleDetails('${result.id}')">Details</button>
+                    <button class="btn btn-secondary btn-small" onclick="hmpiCalc.removeSample('${result.id}')">Remove</button>
+                </td>
+            </tr>
+        `,
+            )
+            .join(""),
+      )
+      .join("")
+
+    // Re-apply the active category filter to the rebuilt rows
+    this.filterResults()
+  }
+
+  // Heading row of an area group: sample count, mean of the displayed index and number rated hazardous
+  renderAreaGroupRow(level, group) {
+    const stats = summarizeValues(group.results.map((result) => this.getIndexValue(result)))
+    const hazardous = group.results.filter((result) => this.getIndexLevel(result) === "hazardous").length
+
+    return `
+            <tr class="group-row">
+                <td colspan="6">
+                    <strong>${escapeHtml(group.name === null ? `Outside all ${level} areas` : `${level}: ${group.name}`)}</strong>
+                    &middot; ${group.results.length} sample${group.results.length === 1 ? "" : "s"}
+                    ${stats ? `&middot; mean ${this.getDisplayIndex().shortName} ${stats.mean.toFixed(2)}` : ""}
+                    &middot; ${hazardous} hazardous
+                </td>
+            </tr>
+        `
+  }
+
+  filterResults() {
+    const filter = document.getElementById("categoryFilter").value
+    const rows = document.querySelectorAll("#resultsTableBody tr:not(.no-results):not(.group-row)")
+
+    rows.forEach((row) => {
+      row.style.display = filter === "all" || filter === row.dataset.level ? "" : "none"
+    })
+  }
+
+  sortResults() {
+    const sortBy = document.getElementById("sortBy").value
+
+    // Results without a value for the displayed index sort last
+    const value = (result) => this.getIndexValue(result) ?? -Infinity
+
+    this.results.sort((a, b) => {
+      switch (sortBy) {
+        case "hmpi-desc":
+          return value(b) - value(a)
+        case "hmpi-asc":
+          return value(a) - value(b)
+        case "name":
+          return a.name.localeCompare(b.name)
+        case "date":
+          // Undated results sort last
+          return (
+            (a.sampledAt ? samplingTimestamp(a.sampledAt) : Infinity) -
+              (b.sampledAt ? samplingTimestamp(b.sampledAt) : Infinity) || a.name.localeCompare(b.name)
+          )
+        default:
+          return 0
+      }
+    })
+
+    this.updateResultsTable()
+    this.scheduleSave()
+  }
+
+  // What the sample details show besides the result itself, shared with the PDF report
+  getSampleDetails(result) {
+    // Ratios are shown against the profile that produced this result
+    const profile = this.getResultProfile(result)
+    return {
+      profile: profile,
+      profileNote: this.getProfileNote(result),
+      // Results saved before the method was recorded were produced by the legacy method
+      breakdown: this.calculateHPIBreakdown(result.metals, profile, result.method || "legacy"),
+      sample: this.samples.find((s) => s.id === result.id),
+      seriesPosition: this.getSeriesPosition(result, this.getSiteSeries(this.results)),
+      site: this.getSite(result.siteId),
+    }
+  }
+
+  showSampleDetails(sampleId) {
+    const result = this.results.find((r) => r.id === sampleId)
+    if (!result) return
+
+    const modal = document.getElementById("metalInfoModal")
+    const title = document.getElementById("metalInfoTitle")
+    const body = document.getElementById("metalInfoBody")
+
+    title.textContent = `Sample Details: ${result.name}`
+
+    const { profile, profileNote, breakdown, sample, seriesPosition, site } = this.getSampleDetails(result)
+
+    body.innerHTML = `
+            <div style="margin-bottom: 1.5rem;">
+                <h4>HMPI Analysis</h4>
+                <p><strong>HMPI Value:</strong> ${this.formatIndexValue(result, "hpi")}</p>
+                <p><strong>Category:</strong> <span class="category-badge ${result.category || ""}">${this.getIndexBand(result, "hpi")}</span></p>
+                <p><strong>Dominant Metal:</strong> ${result.dominantMetal}</p>
+                <p><strong>Method:</strong> ${this.getMethodLabel(breakdown.method)}</p>
+                <p><strong>Standards:</strong> ${escapeHtml(profile.name)} (${escapeHtml(profile.version)})</p>
+                ${profileNote ? `<p class="profile-note">${escapeHtml(profileNote)}</p>` : ""}
+                ${this.getCensoredMetals(result).length > 0 ? `<p class="censored-note"><strong>Below detection limit:</strong> ${this.describeCensoring(result)}. The indices depend on these substituted values.</p>` : ""}
+                ${site ? `<p><strong>Site:</strong> ${escapeHtml(site.code)}${site.name ? ` (${escapeHtml(site.name)})` : ""}${site.type ? `, ${getSiteTypeLabel(site.type).toLowerCase()}` : ""}</p>` : ""}
+                ${this.describeAreas(result) ? `<p><strong>Area:</strong> ${escapeHtml(this.describeAreas(result))}</p>` : ""}
+                ${result.sampledAt ? `<p><strong>Sampled:</strong> ${formatSamplingDate(result.sampledAt)}${seriesPosition ? ` (${seriesPosition} at this site)` : ""}</p>` : ""}
+                ${result.latitude && result.longitude ? `<p><strong>Location:</strong> ${result.latitude.toFixed(4)}, ${result.longitude.toFixed(4)}</p>` : ""}
+            </div>
+
+            <div style="margin-bottom: 1.5rem;">
+                <h4>Pollution Indices</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 0.5rem;">
+                    <thead>
+                        <tr style="border-bottom: 1px solid var(--border-color);">
+                            <th style="text-align: left; padding: 0.5rem;">Index</th>
+                            <th style="text-align: left; padding: 0.5rem;">Value</th>
+                            <th style="text-align: left; padding: 0.5rem;">Class</th>
+                            <th style="text-align: left; padding: 0.5rem;">Formula</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.keys(result.indices)
+                          .map((id) => {
+                            const index = POLLUTION_INDICES[id]
+                            return `
+                                <tr style="border-bottom: 1px solid var(--border-color);">
+                                    <td style="padding: 0.5rem;" title="${index.reference}">${index.name} (${index.shortName})</td>
+                                    <td style="padding: 0.5rem;">${this.formatIndexValue(result, id)}</td>
+                                    <td style="padding: 0.5rem;"><span class="category-badge ${this.getIndexLevel(result, id)}">${this.getIndexBand(result, id)}</span></td>
+                                    <td style="padding: 0.5rem;">${index.formula}</td>
+                                </tr>
+                            `
+                          })
+                          .join("")}
+                    </tbody>
+                </table>
+            </div>
+
+            ${this.renderHealthRisk(result)}
+
+            <div>
+                <h4>Metal Concentrations</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 0.5rem;">
+                    <thead>
+                        <tr style="border-bottom: 1px solid var(--border-color);">
+                            <th style="text-align: left; padding: 0.5rem;">Metal</th>
+                            <th style="text-align: left; padding: 0.5rem;">Concentration (mg/L)</th>
+                            <th style="text-align: left; padding: 0.5rem;">As Reported</th>
+                            <th style="text-align: left; padding: 0.5rem;">Acceptable</th>
+                            <th style="text-align: left; padding: 0.5rem;">Permissible</th>
+                            <th style="text-align: left; padding: 0.5rem;">Ratio</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(result.metals)
+                          .map(([metal, conc]) => {
+                            // Parameters without a limit in this profile are listed but not rated
+                            const limit = profile.limits[metal]
+                            const ratio = limit ? conc / limit.permissible : null
+                            const status = ratio > 1 ? "color: var(--danger)" : "color: var(--success)"
+                            return `
+                                <tr style="border-bottom: 1px solid var(--border-color);">
+                                    <td style="padding: 0.5rem;">${getMetalSymbol(metal)}</td>
+                                    <td style="padding: 0.5rem;">${
+                                      result.censored && result.censored[metal]
+                                        ? `${conc.toFixed(4)} <span class="censored-flag" title="Substituted for a value below the detection limit (LOD ${result.censored[metal].lod ?? "unknown"} mg/L)">&lt;LOD</span>`
+                                        : conc.toFixed(4)
+                                    }</td>
+                                    <td style="padding: 0.5rem;">${sample ? this.formatReportedValue(sample, metal) : "—"}</td>
+                                    <td style="padding: 0.5rem;">${limit ? limit.acceptable : "—"}</td>
+                                    <td style="padding: 0.5rem;">${limit ? limit.permissible : "—"}</td>
+                                    <td style="padding: 0.5rem; ${status}">${ratio === null ? "—" : `${ratio.toFixed(2)}x`}</td>
+                                </tr>
+                            `
+                          })
+                          .join("")}
+                    </tbody>
+                </table>
+            </div>
+
+            <div style="margin-top: 1.5rem;">
+                <h4>HPI Breakdown</h4>
+                <p style="font-size: 0.875rem;">
+                    ${
+                      breakdown.method === "legacy"
+                        ? "Wi = fixed weight, Qi = Mi / Si × 100, HPI = ΣWiQi / ΣWi"
+                        : "Wi = 1 / Si, Qi = |Mi − Ii| / (Si − Ii) × 100, HPI = ΣWiQi / ΣWi"
+                    }
+                </p>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 0.5rem;">
+                    <thead>
+                        <tr style="border-bottom: 1px solid var(--border-color);">
+                            <th style="text-align: left; padding: 0.5rem;">Metal</th>
+                            <th style="text-align: left; padding: 0.5rem;">Mi</th>
+                            <th style="text-align: left; padding: 0.5rem;">Si</th>
+                            <th style="text-align: left; padding: 0.5rem;">Ii</th>
+                            <th style="text-align: left; padding: 0.5rem;">Wi</th>
+                            <th style="text-align: left; padding: 0.5rem;">Qi</th>
+                            <th style="text-align: left; padding: 0.5rem;">WiQi</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${breakdown.rows
+                          .map(
+                            (row) => `
+                                <tr style="border-bottom: 1px solid var(--border-color);">
+                                    <td style="padding: 0.5rem;">${getMetalSymbol(row.metal)}</td>
+                                    <td style="padding: 0.5rem;">${row.concentration.toFixed(4)}</td>
+                                    <td style="padding: 0.5rem;">${row.standard}</td>
+                                    <td style="padding: 0.5rem;">${row.ideal}</td>
+                                    <td style="padding: 0.5rem;">${row.weight.toFixed(4)}</td>
+                                    <td style="padding: 0.5rem;">${row.subIndex.toFixed(2)}</td>
+                                    <td style="padding: 0.5rem;">${row.product.toFixed(2)}</td>
+                                </tr>
+                            `,
+                          )
+                          .join("")}
+                        <tr>
+                            <td style="padding: 0.5rem;" colspan="4"><strong>Σ</strong></td>
+                            <td style="padding: 0.5rem;"><strong>${breakdown.sumWeights.toFixed(4)}</strong></td>
+                            <td style="padding: 0.5rem;"></td>
+                            <td style="padding: 0.5rem;"><strong>${breakdown.sumProducts.toFixed(2)}</strong></td>
+                        </tr>
+                    </tbody>
+                </table>
+                <p style="margin-top: 0.5rem;">
+                    ${
+                      breakdown.value === null
+                        ? "No parameter of this sample has a limit and weight for this method."
+                        : `<strong>HPI</strong> = ${breakdown.sumProducts.toFixed(2)} / ${breakdown.sumWeights.toFixed(4)} = <strong>${breakdown.value.toFixed(2)}</strong>`
+                    }
+                </p>
+            </div>
+
+            <div class="modal-actions">
+                <button type="button" class="btn btn-secondary btn-small" onclick="hmpiCalc.exportPdfReport('${result.id}')">Download PDF</button>
+            </div>
+        `
+
+    this.showModal("metalInfoModal")
+  }
+
+  exportResults() {
+    const results = this.getExportResults()
+    if (results.length === 0) {
+      this.showError("No results to export")
+      return
+    }
+    const boundaryLayers = this.getBoundaryLayers()
+    const riskColumns = this.getHealthRiskColumns()
+
+    // The displayed index comes first, followed by the other enabled indices
+    const indexIds = [this.displayIndex, ...this.enabledIndices.filter((id) => id !== this.displayIndex)]
+    const header = [
+      "Sample Name",
+      "Site",
+      ...boundaryLayers.map((layer) => layer.level),
+      "Sampling Date",
+      "Latitude",
+      "Longitude",
+      ...indexIds.flatMap((id) => [POLLUTION_INDICES[id].shortName, `${POLLUTION_INDICES[id].shortName} Class`]),
+      "Dominant Metal",
+      ...riskColumns.map((column) => column.name),
+      ...METAL_REGISTRY.map((metal) => `${metal.symbol} (${metal.unit})`),
+      "Method",
+      "Standards Profile",
+      "Standards Version",
+      "Below LOD",
+      "LOD Substitution",
+    ]
+
+    // Names can contain commas or quotes once imported from quoted CSV fields, so every field goes through toCSV
+    const csvContent = toCSV([
+      header,
+      ...results.map((result) => [
+        result.name,
+        this.getSite(result.siteId)?.code || "",
+        ...boundaryLayers.map((layer) => this.getResultArea(result, layer.id) || ""),
+        result.sampledAt || "",
+        result.latitude || "",
+        result.longitude || "",
+        ...indexIds.flatMap((id) => [this.formatIndexValue(result, id, 4), this.getIndexBand(result, id)]),
+        result.dominantMetal,
+        ...riskColumns.map((column) => column.value(result) ?? ""),
+        ...METAL_REGISTRY.map((metal) => result.metals[metal.key] ?? ""),
+        this.getMethodLabel(result.method || "legacy"),
+        result.standardsProfile ? result.standardsProfile.name : "",
+        result.standardsProfile ? result.standardsProfile.version : "",
+        ...this.getCensoringColumns(result),
+      ]),
+    ])
+
+    this.downloadBlob(new Blob([csvContent], { type: "text/csv" }), `hmpi_results_${new Date().toISOString().split("T")[0]}.csv`)
+  }
+
+  // Excel export: raw data, computed indices, per-metal ratios to the permissible limit and a summary.
+  // Rows rated hazardous by the displayed index are highlighted through conditional formatting.
+  exportWorkbook() {
+    const results = this.getExportResults()
+    if (results.length === 0) {
+      this.showError("No results to export")
+      return
+    }
+    const boundaryLayers = this.getBoundaryLayers()
+
+    const displayIndex = this.getDisplayIndex()
+    const indexIds = [this.displayIndex, ...this.enabledIndices.filter((id) => id !== this.displayIndex)]
+    const category = (result) => formatLevel(this.getIndexLevel(result))
+    const hazardous = { column: 1, equals: formatLevel("hazardous") }
+    const metalColumns = METAL_REGISTRY.map((metal) => `${metal.symbol} (${metal.unit})`)
+
+    // Values below the detection limit are written as non-detects ("<0.002" in the column's unit, or "ND" as
+    // reported when the limit is unknown), not as the number substituted for them
+    const samplesById = new Map(this.samples.map((sample) => [sample.id, sample]))
+    const rawValue = (result, metal) => {
+      const censored = result.censored && result.censored[metal.key]
+      if (!censored) return result.metals[metal.key] ?? ""
+      if (censored.lod !== null) return `<${censored.lod}`
+      const sample = samplesById.get(result.id)
+      return sample && sample.reported && sample.reported[metal.key] ? sample.reported[metal.key].value : "<LOD"
+    }
+
+    const rawData = [
+      [
+        "Sample Name",
+        `Category (${displayIndex.shortName})`,
+        "Site",
+        ...boundaryLayers.map((layer) => layer.level),
+        "Sampling Date",
+        "Latitude",
+        "Longitude",
+        ...metalColumns,
+      ],
+      ...results.map((result) => [
+        result.name,
+        category(result),
+        this.getSite(result.siteId)?.code || "",
+        ...boundaryLayers.map((layer) => this.getResultArea(result, layer.id) || ""),
+        result.sampledAt || "",
+        result.latitude ?? "",
+        result.longitude ?? "",
+        ...METAL_REGISTRY.map((metal) => rawValue(result, metal)),
+      ]),
+    ]
+
+    const indices = [
+      [
+        "Sample Name",
+        `Category (${displayIndex.shortName})`,
+        ...indexIds.flatMap((id) => [POLLUTION_INDICES[id].shortName, `${POLLUTION_INDICES[id].shortName} Class`]),
+        "Dominant Metal",
+        "Method",
+        "Standards Profile",
+        "Standards Version",
+        "Below LOD",
+        "LOD Substitution",
+      ],
+      ...results.map((result) => [
+        result.name,
+        category(result),
+        ...indexIds.flatMap((id) => [this.getIndexValue(result, id) ?? "", this.getIndexBand(result, id)]),
+        result.dominantMetal,
+        this.getMethodLabel(result.method || "legacy"),
+        result.standardsProfile ? result.standardsProfile.name : "",
+        result.standardsProfile ? result.standardsProfile.version : "",
+        ...this.getCensoringColumns(result),
+      ]),
+    ]
+
+    // Mi / Si against the permissible limit of the profile each result was calculated with
+    const ratios = [
+      ["Sample Name", `Category (${displayIndex.shortName})`, ...METAL_REGISTRY.map((metal) => `${metal.symbol} (Mi/Si)`)],
+      ...results.map((result) => {
+        const profile = this.getResultProfile(result)
+        return [
+          result.name,
+          category(result),
+          ...METAL_REGISTRY.map((metal) => {
+            const limit = profile.limits[metal.key]
+            const concentration = result.metals[metal.key]
+            return limit && concentration !== undefined ? concentration / limit.permissible : ""
+          }),
+        ]
+      }),
+    ]
+
+    // Hazard index and cancer risk of every group, then the hazard quotient and cancer risk of each metal
+    const riskColumns = this.getHealthRiskColumns()
+    const riskMetals = METAL_REGISTRY.filter((metal) => metal.oralRfD)
+    const healthRisk = [
+      [
+        "Sample Name",
+        `Category (${displayIndex.shortName})`,
+        ...riskColumns.map((column) => column.name),
+        ...EXPOSURE_GROUPS.flatMap((group) => [
+          ...riskMetals.map((metal) => `${metal.symbol} HQ (${group.label})`),
+          ...riskMetals.filter((metal) => metal.slopeFactor).map((metal) => `${metal.symbol} CR (${group.label})`),
+        ]),
+      ],
+      ...results.map((result) => {
+        const risk = this.getHealthRisk(result)
+        const findRow = (group, metal) => risk[group.id].rows.find((row) => row.metal === metal.key)
+        return [
+          result.name,
+          category(result),
+          ...riskColumns.map((column) => column.value(result) ?? ""),
+          ...EXPOSURE_GROUPS.flatMap((group) => [
+            ...riskMetals.map((metal) => findRow(group, metal)?.hq ?? ""),
+            ...riskMetals.filter((metal) => metal.slopeFactor).map((metal) => findRow(group, metal)?.cancerRisk ?? ""),
+          ]),
+        ]
+      }),
+    ]
+
+    const counts = this.countByLevel(results)
+    const summary = [
+      ["Item", "Value"],
+      ["Project", this.project ? this.project.name : ""],
+      ["Exported", new Date().toISOString()],
+      ["Standards Profile", this.activeProfile.name],
+      ["Standards Version", this.activeProfile.version || ""],
+      ["HPI Method", this.getMethodLabel(this.hpiMethod)],
+      ["Below-LOD Substitution", getSubstitutionPolicy(this.substitutionPolicy).label],
+      ...EXPOSURE_GROUPS.map((group) => {
+        const { ingestionRate, bodyWeight, exposureFrequency, exposureDuration } = this.exposure[group.id]
+        return [
+          `Exposure (${group.label})`,
+          `${ingestionRate} L/day, ${bodyWeight} kg, ${exposureFrequency} days/year for ${exposureDuration} years`,
+        ]
+      }),
+      ["Samples", results.length],
+      [`Classified by`, `${displayIndex.name} (${displayIndex.shortName})`],
+      ...INDEX_LEVELS.map((level) => [formatLevel(level), counts[level]]),
+      [formatLevel(null), results.length - INDEX_LEVELS.reduce((sum, level) => sum + counts[level], 0)],
+      [],
+      ["Index", "Minimum", "Mean", "Maximum", "Samples Rated"],
+      ...indexIds.map((id) => {
+        const values = results.map((result) => this.getIndexValue(result, id)).filter((value) => value !== null)
+        if (values.length === 0) return [POLLUTION_INDICES[id].shortName, "", "", "", 0]
+        return [
+          POLLUTION_INDICES[id].shortName,
+          Math.min(...values),
+          values.reduce((sum, value) => sum + value, 0) / values.length,
+          Math.max(...values),
+          values.length,
+        ]
+      }),
+    ]
+
+    // Index summary of every area when the results are grouped by a boundary layer
+    const level = this.getGroupLevel()
+    if (level) {
+      summary.push(
+        [],
+        [level, "Samples", `Mean ${displayIndex.shortName}`, `Max ${displayIndex.shortName}`, "Hazardous"],
+        ...this.groupByArea(results).map((group) => {
+          const stats = summarizeValues(group.results.map((result) => this.getIndexValue(result)))
+          return [
+            group.name === null ? `Outside all ${level} areas` : group.name,
+            group.results.length,
+            stats ? stats.mean : "",
+            stats ? stats.max : "",
+            group.results.filter((result) => this.getIndexLevel(result) === "hazardous").length,
+          ]
+        }),
+      )
+    }
+
+    const workbook = writeWorkbook([
+      { name: "Raw Data", rows: rawData, columnWidths: [24, 14, 16, ...boundaryLayers.map(() => 18), 18, 12, 12], highlight: hazardous },
+      { name: "Indices", rows: indices, columnWidths: [24, 14], highlight: hazardous },
+      { name: "Metal Ratios", rows: ratios, columnWidths: [24, 14], highlight: hazardous },
+      { name: "Health Risk", rows: healthRisk, columnWidths: [24, 14], highlight: hazardous },
+      { name: "Summary", rows: summary, columnWidths: [24, 40, 12, 12, 14] },
+    ])
+
+    this.downloadBlob(workbook, `hmpi_results_${new Date().toISOString().split("T")[0]}.xlsx`)
+  }
+
+  // Results exported: those shown in the table, in area order when grouped
+  getExportResults() {
+    return this.groupByArea(this.getVisibleResults()).flatMap((group) => group.results)
+  }
+
+  // Attribute columns of spatial exports: { name, type: "C" | "N", value(result) } (see geoformats.js)
+  getSpatialColumns() {
+    const indexIds = [this.displayIndex, ...this.enabledIndices.filter((id) => id !== this.displayIndex)]
+    const number = (value) => (value === null || value === undefined || value === "" ? null : Number(value))
+
+    return [
+      { name: "Sample Name", type: "C", value: (result) => result.name },
+      { name: "Site", type: "C", value: (result) => this.getSite(result.siteId)?.code || "" },
+      ...this.getBoundaryLayers().map((layer) => ({
+        name: layer.level,
+        type: "C",
+        value: (result) => this.getResultArea(result, layer.id) || "",
+      })),
+      { name: "Sampling Date", type: "C", value: (result) => result.sampledAt || "" },
+      { name: "Latitude", type: "N", value: (result) => result.latitude },
+      { name: "Longitude", type: "N", value: (result) => result.longitude },
+      ...indexIds.flatMap((id) => [
+        { name: POLLUTION_INDICES[id].shortName, type: "N", value: (result) => this.getIndexValue(result, id) },
+        { name: `${POLLUTION_INDICES[id].shortName} Class`, type: "C", value: (result) => this.getIndexBand(result, id) },
+      ]),
+      { name: "Category", type: "C", value: (result) => formatLevel(this.getIndexLevel(result)) },
+      { name: "Dominant Metal", type: "C", value: (result) => result.dominantMetal },
+      ...this.getHealthRiskColumns(),
+      ...METAL_REGISTRY.map((metal) => ({
+        name: `${metal.symbol} (${metal.unit})`,
+        type: "N",
+        value: (result) => number(result.metals[metal.key]),
+      })),
+      { name: "Below LOD", type: "C", value: (result) => this.getCensoringColumns(result)[0] },
+      { name: "LOD Substitution", type: "C", value: (result) => this.getCensoringColumns(result)[1] },
+      { name: "Standards Profile", type: "C", value: (result) => (result.standardsProfile ? result.standardsProfile.name : "") },
+    ]
+  }
+
+  // GeoJSON, KML or zipped shapefile of the located results shown in the table, one point per sample with
+  // the indices, categories and metal values as attributes
+  exportSpatial(format) {
+    const results = this.getExportResults().filter((result) => result.latitude && result.longitude)
+    if (results.length === 0) {
+      this.showError("No located results to export. Only samples with coordinates can be exported as map data.")
+      return
+    }
+
+    const columns = this.getSpatialColumns()
+    const index = this.getDisplayIndex()
+    const records = results.map((result) => ({
+      name: result.name,
+      longitude: result.longitude,
+      latitude: result.latitude,
+      properties: Object.fromEntries(columns.map((column) => [column.name, column.value(result)])),
+      styleId: this.getIndexLevel(result) || "unrated",
+      description: `${index.shortName} ${this.formatIndexValue(result)} (${this.getIndexBand(result)})`,
+      when: result.sampledAt ? (result.sampledAt.includes("T") ? `${result.sampledAt}:00` : result.sampledAt) : "",
+    }))
+    const name = `hmpi_results_${new Date().toISOString().split("T")[0]}`
+
+    if (format === "geojson") {
+      this.downloadBlob(new Blob([writeGeoJSON(records)], { type: "application/geo+json" }), `${name}.geojson`)
+    } else if (format === "kml") {
+      const styles = [...INDEX_LEVELS, "unrated"].map((level) => ({ id: level, color: this.getCategoryColor(level) }))
+      const kml = writeKML(this.project ? this.project.name : "HMPI results", records, columns, styles)
+      this.downloadBlob(new Blob([kml], { type: "application/vnd.google-earth.kml+xml" }), `${name}.kml`)
+    } else {
+      this.downloadBlob(new Blob([writeShapefileZip(name, records, columns)], { type: "application/zip" }), `${name}.zip`)
+    }
+  }
+
+  // "Below LOD" and "LOD Substitution" export columns
+  getCensoringColumns(result) {
+    const metals = this.getCensoredMetals(result)
+    if (metals.length === 0) return ["", ""]
+    return [metals.map(getMetalSymbol).join("; "), getSubstitutionPolicy(result.substitutionPolicy).label]
+  }
+
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement("a")
+    a.href = url
+    a.download = fileName
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  // PDF Report
+  // Printable report built in the browser (see pdf.js): a cover with the summary counts, the results table,
+  // the charts and map, a page per sample with the breakdown of the sample details and the methodology.
+  // Given a sample id, the report covers that sample alone.
+  exportPdfReport(sampleId = null) {
+    const results = sampleId ? this.results.filter((result) => result.id === sampleId) : this.getExportResults()
+    if (results.length === 0) {
+      this.showError("No results to export")
+      return
+    }
+
+    const pdf = createPdf()
+    const flow = createPdfFlow(pdf)
+    const title = sampleId ? `Sample ${results[0].name}` : this.project ? this.project.name : "HMPI Report"
+
+    this.addReportCover(flow, results, title)
+    if (!sampleId) {
+      addPdfFlowPage(flow)
+      this.addReportResults(flow, results)
+      this.addReportFigures(flow)
+    }
+    results.forEach((result) => {
+      addPdfFlowPage(flow)
+      this.addReportSample(flow, result)
+    })
+    addPdfFlowPage(flow)
+    this.addReportMethodology(flow, results)
+
+    pdf.pages.forEach((page, index) => {
+      drawPdfText(page, `Heavy Metal Pollution Index Report: ${title}`, flow.margin, pdf.height - 24, { size: 8, color: "#64748b" })
+      drawPdfText(page, `Page ${index + 1} of ${pdf.pages.length}`, pdf.width - flow.margin, pdf.height - 24, {
+        size: 8,
+        color: "#64748b",
+        align: "right",
+      })
+    })
+
+    const date = new Date().toISOString().split("T")[0]
+    const fileName = sampleId ? `hmpi_${results[0].name.replace(/[^\w.-]+/g, "_")}_${date}.pdf` : `hmpi_report_${date}.pdf`
+    this.downloadBlob(writePdf(pdf, `Heavy Metal Pollution Index Report: ${title}`), fileName)
+  }
+
+  // Title, what the report covers and the number of samples in every class of the displayed index
+  addReportCover(flow, results, title) {
+    const index = this.getDisplayIndex()
+    const counts = this.countByLevel(results)
+    const unrated = results.length - INDEX_LEVELS.reduce((sum, level) => sum + counts[level], 0)
+    const dates = results.filter((result) => result.sampledAt).map((result) => result.sampledAt)
+    dates.sort((a, b) => samplingTimestamp(a) - samplingTimestamp(b))
+    const area = document.getElementById("areaFilter").value
+    const category = document.getElementById("categoryFilter").value
+
+    flow.y = 150
+    drawPdfText(flow.page, "Heavy Metal Pollution Index", flow.margin, flow.y, { size: 26, bold: true, color: "#1e40af" })
+    flow.y += 30
+    drawPdfText(flow.page, "Groundwater Quality Report", flow.margin, flow.y, { size: 16, color: "#475569" })
+    flow.y += 36
+    addPdfParagraph(flow, title, { size: 18, bold: true })
+    flow.y += 12
+
+    addPdfKeyValues(
+      flow,
+      [
+        ["Generated", new Date().toLocaleString()],
+        ["Samples", String(results.length)],
+        dates.length > 0 && [
+          "Sampling period",
+          dates.length > 1 && dates[0] !== dates[dates.length - 1]
+            ? `${formatSamplingDate(dates[0])} to ${formatSamplingDate(dates[dates.length - 1])}`
+            : formatSamplingDate(dates[0]),
+        ],
+        area && area !== "all" && results.length > 1 && ["Area", area],
+        category !== "all" && results.length > 1 && ["Category", formatLevel(category)],
+        this.latestPerSite && results.length > 1 && ["Samples shown", "Latest of each site"],
+        ["Standards", `${this.activeProfile.name} (${this.activeProfile.version})`],
+        ["Method", this.getMethodLabel(this.hpiMethod)],
+        ["Classified by", `${index.name} (${index.shortName})`],
+      ].filter(Boolean),
+      11,
+    )
+
+    // A box per class, coloured as in the app
+    flow.y += 24
+    const levels = [...INDEX_LEVELS.map((level) => [formatLevel(level), counts[level], this.getCategoryColor(level)])]
+    if (unrated > 0) levels.push([formatLevel(null), unrated, this.getCategoryColor(null)])
+    const gap = 12
+    const boxWidth = (flow.width - gap * (levels.length - 1)) / levels.length
+    levels.forEach(([label, count, color], position) => {
+      const x = flow.margin + position * (boxWidth + gap)
+      drawPdfRect(flow.page, x, flow.y, boxWidth, 70, { fill: color })
+      drawPdfText(flow.page, String(count), x + boxWidth / 2, flow.y + 38, { size: 26, bold: true, color: "#ffffff", align: "center" })
+      drawPdfText(flow.page, label, x + boxWidth / 2, flow.y + 58, { size: 11, bold: true, color: "#ffffff", align: "center" })
+    })
+    flow.y += 90
+
+    const risky = EXPOSURE_GROUPS.map((group) => {
+      const count = results.filter((result) => this.getHealthRisk(result)[group.id].hazardIndex > 1).length
+      return `${group.label.toLowerCase()} ${count}`
+    })
+    addPdfParagraph(
+      flow,
+      `${counts.hazardous} of ${results.length} sample${results.length === 1 ? "" : "s"} ${counts.hazardous === 1 ? "is" : "are"} rated hazardous by the ${index.shortName}. ` +
+        `Samples with a health hazard index above 1: ${risky.join(", ")}.`,
+      { size: 11 },
+    )
+
+    const failed = this.getQCBatches().filter(
+      (batch) => batch.pass === false && results.some((result) => (this.samples.find((sample) => sample.id === result.id)?.batch || "") === batch.name),
+    )
+    if (failed.length > 0) {
+      addPdfParagraph(flow, `QA/QC failed for ${failed.map((batch) => this.getBatchLabel(batch)).join(", ")}; read the results of these samples with caution.`, {
+        size: 11,
+        color: "#b91c1c",
+      })
+    }
+  }
+
+  addReportResults(flow, results) {
+    const index = this.getDisplayIndex()
+    const hasAreas = this.getBoundaryLayers().length > 0
+
+    addPdfHeading(flow, "Results")
+    addPdfTable(
+      flow,
+      [
+        { header: "Sample", width: 2 },
+        { header: "Site", width: 1.2 },
+        ...(hasAreas ? [{ header: "Area", width: 1.6 }] : []),
+        { header: "Sampled", width: 1.4 },
+        { header: "Location", width: 1.8 },
+        { header: index.shortName, width: 1.1, align: "right" },
+        { header: "Class", width: 1.4 },
+        { header: "Dominant", width: 1.3 },
+        ...EXPOSURE_GROUPS.map((group) => ({ header: `HI ${group.label}`, width: 1.1, align: "right" })),
+      ],
+      results.map((result) => [
+        result.name,
+        this.getSite(result.siteId)?.code || "",
+        ...(hasAreas ? [this.describeAreas(result)] : []),
+        result.sampledAt ? formatSamplingDate(result.sampledAt) : "",
+        result.latitude && result.longitude ? `${result.latitude.toFixed(4)}, ${result.longitude.toFixed(4)}` : "N/A",
+        `${this.formatIndexValue(result)}${this.getCensoredMetals(result).length > 0 ? "*" : ""}`,
+        { text: this.getIndexBand(result), bold: true, color: "#ffffff", fill: this.getCategoryColor(this.getIndexLevel(result)) },
+        result.dominantMetal,
+        ...EXPOSURE_GROUPS.map((group) => {
+          const hazardIndex = this.getHealthRisk(result)[group.id].hazardIndex
+          return hazardIndex === null ? "N/A" : { text: hazardIndex.toFixed(2), color: hazardIndex > 1 ? "#b91c1c" : undefined }
+        }),
+      ]),
+    )
+
+    if (results.some((result) => this.getCensoredMetals(result).length > 0)) {
+      addPdfParagraph(flow, `* The index depends on values below the detection limit, substituted as shown on the sample's page.`, {
+        size: 8.5,
+        color: "#475569",
+      })
+    }
+  }
+
+  // The charts and the map as currently set up, redrawn in the light theme for print
+  addReportFigures(flow) {
+    const figures = this.captureReportFigures(flow.pdf)
+
+    addPdfHeading(flow, "Charts and Map")
+    figures.forEach((figure) => {
+      if (figure.image) addPdfFigure(flow, figure.image, figure.caption)
+      else addPdfParagraph(flow, `${figure.caption}: not included, because the basemap server does not allow its tiles to be copied.`, { color: "#475569" })
+    })
+  }
+
+  // JPEG images of every chart and of the map, restoring the chart and theme shown afterwards
+  captureReportFigures(pdf) {
+    const index = this.getDisplayIndex()
+    const darkMode = this.isDarkMode
+    const currentChart = this.currentChart
+    const chartView = this.chartView
+    const hasSeries = [...this.getSiteSeries(this.results).values()].some((series) => series.length > 1)
+    const charts = [
+      ["bar", `${index.shortName} of every sample`],
+      ["pie", `Samples per ${index.shortName} class`],
+      ...(hasSeries ? [["line", "Repeated samples of a site over time"]] : []),
+      ["contribution", "Contribution of each metal to the HPI"],
+      ...(this.getChartMetals().length > 0
+        ? [
+            ["boxplot", "Concentrations per metal against the permissible limit"],
+            ["exceedance", "Ratio to the permissible limit per metal"],
+          ]
+        : []),
+    ]
+    const figures = []
+
+    this.isDarkMode = false
+    this.chartView = { start: 0, count: null }
+    try {
+      charts.forEach(([chart, caption]) => {
+        this.currentChart = chart
+        this.updateVisualization()
+        figures.push({ caption: caption, image: this.getCanvasImage(pdf, this.chartCanvas) })
+      })
+      this.updateMap()
+      figures.push({ caption: "Location map", image: this.getCanvasImage(pdf, this.mapCanvas) })
+    } finally {
+      this.isDarkMode = darkMode
+      this.currentChart = currentChart
+      this.chartView = chartView
+      this.updateVisualization()
+      this.updateMap()
+    }
+
+    return figures
+  }
+
+  // Canvas on a white background as a JPEG image of the document, or null when the canvas cannot be read
+  // (it holds basemap tiles from a server without CORS)
+  getCanvasImage(pdf, canvas) {
+    const copy = document.createElement("canvas")
+    copy.width = canvas.width
+    copy.height = canvas.height
+    const ctx = copy.getContext("2d")
+    ctx.fillStyle = "#ffffff"
+    ctx.fillRect(0, 0, copy.width, copy.height)
+    ctx.drawImage(canvas, 0, 0)
+
+    let url
+    try {
+      url = copy.toDataURL("image/jpeg", 0.92)
+    } catch (error) {
+      console.error("Error reading canvas:", error)
+      return null
+    }
+    if (!url.startsWith("data:image/jpeg")) return null
+
+    const binary = atob(url.slice(url.indexOf(",") + 1))
+    return addPdfImage(pdf, Uint8Array.from(binary, (char) => char.charCodeAt(0)), copy.width, copy.height)
+  }
+
+  // The sample details (see showSampleDetails) on a page of their own
+  addReportSample(flow, result) {
+    const { profile, profileNote, breakdown, sample, seriesPosition, site } = this.getSampleDetails(result)
+    const risk = this.getHealthRisk(result)
+    const riskMetals = risk[EXPOSURE_GROUPS[0].id].rows.map((row) => row.metal)
+    const bandCell = (band) => (band ? { text: band.label, bold: true, color: "#ffffff", fill: this.getCategoryColor(band.level) } : "—")
+
+    addPdfHeading(flow, `Sample ${result.name}`, 16)
+    addPdfKeyValues(
+      flow,
+      [
+        ["HMPI Value", this.formatIndexValue(result, "hpi")],
+        ["Category", this.getIndexBand(result, "hpi")],
+        ["Dominant Metal", result.dominantMetal],
+        ["Method", this.getMethodLabel(breakdown.method)],
+        ["Standards", `${profile.name} (${profile.version})`],
+        profileNote && ["Standards note", profileNote],
+        this.getCensoredMetals(result).length > 0 && ["Below detection limit", `${this.describeCensoring(result)}. The indices depend on these substituted values.`],
+        site && ["Site", `${site.code}${site.name ? ` (${site.name})` : ""}${site.type ? `, ${getSiteTypeLabel(site.type).toLowerCase()}` : ""}`],
+        this.describeAreas(result) && ["Area", this.describeAreas(result)],
+        result.sampledAt && ["Sampled", `${formatSamplingDate(result.sampledAt)}${seriesPosition ? ` (${seriesPosition} at this site)` : ""}`],
+        result.latitude && result.longitude && ["Location", `${result.latitude.toFixed(4)}, ${result.longitude.toFixed(4)}`],
+        sample?.batch && ["Batch", sample.batch],
+      ].filter(Boolean),
+    )
+
+    addPdfHeading(flow, "Pollution Indices", 12)
+    addPdfTable(
+      flow,
+      [{ header: "Index", width: 2.4 }, { header: "Value", align: "right" }, { header: "Class", width: 1.4 }, { header: "Formula", width: 2.4 }],
+      Object.keys(result.indices).map((id) => {
+        const index = POLLUTION_INDICES[id]
+        return [
+          `${index.name} (${index.shortName})`,
+          this.formatIndexValue(result, id),
+          { text: this.getIndexBand(result, id), bold: true, color: "#ffffff", fill: this.getCategoryColor(this.getIndexLevel(result, id)) },
+          index.formula,
+        ]
+      }),
+    )
+
+    addPdfHeading(flow, "Health Risk", 12)
+    if (riskMetals.length === 0) {
+      addPdfParagraph(flow, "No parameter of this sample has an oral reference dose, so no risk can be estimated.")
+    } else {
+      addPdfTable(
+        flow,
+        [{ header: "Group" }, { header: "HI", align: "right" }, { header: "Non-cancer", width: 1.6 }, { header: "Cancer Risk", align: "right" }, { header: "Cancer" }],
+        EXPOSURE_GROUPS.map((group) => [
+          group.label,
+          risk[group.id].hazardIndex.toFixed(3),
+          bandCell(risk[group.id].hazardBand),
+          formatRisk(risk[group.id].cancerRisk),
+          bandCell(risk[group.id].cancerBand),
+        ]),
+      )
+      addPdfTable(
+        flow,
+        [
+          { header: "Metal" },
+          ...EXPOSURE_GROUPS.flatMap((group) => [
+            { header: `CDI ${group.label}`, align: "right" },
+            { header: `HQ ${group.label}`, align: "right" },
+            { header: `CR ${group.label}`, align: "right" },
+          ]),
+        ],
+        riskMetals.map((metal, position) => [
+          getMetalSymbol(metal),
+          ...EXPOSURE_GROUPS.flatMap((group) => {
+            const row = risk[group.id].rows[position]
+            return [
+              formatRisk(row.cdi),
+              { text: row.hq.toFixed(3), color: row.hq > 1 ? "#b91c1c" : undefined },
+              row.cancerRisk === undefined ? "—" : formatRisk(row.cancerRisk),
+            ]
+          }),
+        ]),
+      )
+    }
+
+    addPdfHeading(flow, "Metal Concentrations", 12)
+    addPdfTable(
+      flow,
+      [
+        { header: "Metal" },
+        { header: "Concentration (mg/L)", width: 1.6, align: "right" },
+        { header: "As Reported", width: 1.3 },
+        { header: "Acceptable", align: "right" },
+        { header: "Permissible", align: "right" },
+        { header: "Ratio", align: "right" },
+      ],
+      Object.entries(result.metals).map(([metal, conc]) => {
+        const limit = profile.limits[metal]
+        const ratio = limit ? conc / limit.permissible : null
+        return [
+          getMetalSymbol(metal),
+          `${conc.toFixed(4)}${result.censored && result.censored[metal] ? " <LOD" : ""}`,
+          sample ? this.formatReportedValue(sample, metal) : "—",
+          limit ? String(limit.acceptable) : "—",
+          limit ? String(limit.permissible) : "—",
+          ratio === null ? "—" : { text: `${ratio.toFixed(2)}x`, color: ratio > 1 ? "#b91c1c" : "#047857" },
+        ]
+      }),
+    )
+
+    addPdfHeading(flow, "HPI Breakdown", 12)
+    addPdfParagraph(
+      flow,
+      breakdown.method === "legacy"
+        ? "Wi = fixed weight, Qi = Mi / Si × 100, HPI = ΣWiQi / ΣWi"
+        : "Wi = 1 / Si, Qi = |Mi − Ii| / (Si − Ii) × 100, HPI = ΣWiQi / ΣWi",
+      { size: 9 },
+    )
+    addPdfTable(
+      flow,
+      ["Metal", "Mi", "Si", "Ii", "Wi", "Qi", "WiQi"].map((header, position) => ({ header, align: position > 0 ? "right" : undefined })),
+      [
+        ...breakdown.rows.map((row) => [
+          getMetalSymbol(row.metal),
+          row.concentration.toFixed(4),
+          String(row.standard),
+          String(row.ideal),
+          row.weight.toFixed(4),
+          row.subIndex.toFixed(2),
+          row.product.toFixed(2),
+        ]),
+        [{ text: "Σ", bold: true }, "", "", "", { text: breakdown.sumWeights.toFixed(4), bold: true }, "", { text: breakdown.sumProducts.toFixed(2), bold: true }],
+      ],
+    )
+    addPdfParagraph(
+      flow,
+      breakdown.value === null
+        ? "No parameter of this sample has a limit and weight for this method."
+        : `HPI = ${breakdown.sumProducts.toFixed(2)} / ${breakdown.sumWeights.toFixed(4)} = ${breakdown.value.toFixed(2)}`,
+      { bold: true },
+    )
+  }
+
+  // Standards and weights of the profiles and methods behind the results, the index classes, the handling of
+  // non-detects, the exposure parameters and the QA/QC acceptance limits
+  addReportMethodology(flow, results) {
+    addPdfHeading(flow, "Methodology", 16)
+    addPdfParagraph(
+      flow,
+      "The Heavy Metal Pollution Index follows Mohan et al. (1996): each metal gets a unit weight Wi = 1/Si and a sub-index " +
+        "Qi = |Mi − Ii| / (Si − Ii) × 100, where Mi is the measured concentration, Si the permissible limit and Ii the ideal " +
+        "(acceptable) value, or 0 when the standard gives a single limit. HPI = ΣWiQi / ΣWi. The legacy weighted ratio method " +
+        "uses fixed weights and Qi = Mi / Si × 100.",
+    )
+
+    // Every profile and method that produced a result of the report, with the weights it gives each metal
+    const setups = new Map()
+    results.forEach((result) => {
+      const { profile, breakdown } = this.getSampleDetails(result)
+      setups.set(`${profile.id}|${breakdown.method}`, { profile, method: breakdown.method })
+    })
+    setups.forEach(({ profile, method }) => {
+      addPdfHeading(flow, `Standards: ${profile.name} (${profile.version}), ${this.getMethodLabel(method)}`, 11)
+      addPdfTable(
+        flow,
+        [
+          { header: "Metal", width: 1.6 },
+          { header: "Acceptable (mg/L)", align: "right" },
+          { header: "Permissible Si (mg/L)", align: "right" },
+          { header: "Ideal Ii (mg/L)", align: "right" },
+          { header: "Weight Wi", align: "right" },
+        ],
+        METAL_REGISTRY.filter((metal) => profile.limits[metal.key]).map((metal) => {
+          const limit = profile.limits[metal.key]
+          const weight = method === "legacy" ? this.weights[metal.key] : 1 / limit.permissible
+          return [
+            `${metal.name} (${metal.symbol})`,
+            String(limit.acceptable),
+            String(limit.permissible),
+            String(method === "legacy" ? 0 : getIdealValue(limit)),
+            weight ? String(Number(weight.toPrecision(4))) : "—",
+          ]
+        }),
+      )
+    })
+
+    addPdfHeading(flow, "Index Classes", 11)
+    addPdfTable(
+      flow,
+      [{ header: "Index", width: 2.2 }, { header: "Formula", width: 2 }, { header: "Classes", width: 3 }, { header: "Reference", width: 1.6 }],
+      this.enabledIndices.map((id) => {
+        const index = POLLUTION_INDICES[id]
+        return [
+          `${index.name} (${index.shortName})`,
+          index.formula,
+          index.bands.map((band) => `${band.label} ${formatBandRange(index, band)}`).join("; "),
+          index.reference,
+        ]
+      }),
+    )
+
+    addPdfHeading(flow, "Values Below the Detection Limit", 11)
+    addPdfParagraph(
+      flow,
+      `Non-detects are replaced by ${getSubstitutionPolicy(this.substitutionPolicy).label} for the calculations. Indices that depend on substituted values are marked on the results table and on the sample's page.`,
+    )
+
+    addPdfHeading(flow, "Health Risk", 11)
+    addPdfParagraph(
+      flow,
+      `Drinking water ingestion after USEPA (1989, 2004): CDI = C × IR × EF × ED / (BW × AT), HQ = CDI / RfD, HI = ΣHQ and cancer risk CR = CDI × SF with the intake averaged over a ${LIFETIME_YEARS}-year lifetime. ` +
+        "A hazard index above 1 means adverse effects are possible; cancer risks above 1e-4 are unacceptable and below 1e-6 negligible.",
+    )
+    addPdfTable(
+      flow,
+      [{ header: "Parameter", width: 2 }, ...EXPOSURE_GROUPS.map((group) => ({ header: group.label, align: "right" }))],
+      EXPOSURE_PARAMETERS.map((parameter) => [
+        `${parameter.label} (${parameter.unit})`,
+        ...EXPOSURE_GROUPS.map((group) => String(this.exposure[group.id][parameter.key])),
+      ]),
+    )
+
+    const batches = this.getQCBatches().filter((batch) => batch.pass !== null)
+    if (batches.length > 0) {
+      addPdfHeading(flow, "Quality Control", 11)
+      addPdfParagraph(
+        flow,
+        `Field duplicates pass within ${QC_LIMITS.duplicateRPD}% RPD (within the LOD when their mean is below ${QC_LIMITS.lowLevelFactor} × LOD), ` +
+          `blanks when nothing is detected above the LOD and reference materials with ${QC_LIMITS.recoveryMin}–${QC_LIMITS.recoveryMax}% recovery. ` +
+          "QC samples are not included in the results.",
+      )
+      addPdfTable(
+        flow,
+        [{ header: "Batch", width: 1.4 }, { header: "Result" }, { header: "Failed Checks", width: 4 }],
+        batches.map((batch) => [
+          batch.name || "No batch",
+          { text: batch.pass ? "Pass" : "Fail", bold: true, color: batch.pass ? "#047857" : "#b91c1c" },
+          describeQCFailures(batch).join("; ") || "—",
+        ]),
+      )
+    }
+  }
+
+  // Visualization
+  initializeCharts() {
+    this.chartCanvas = document.getElementById("chartCanvas")
+    this.chartTooltip = document.getElementById("chartTooltip")
+    this.resizeChart()
+
+    // The chart follows the width of its container, e.g. when the window is resized or the tab is shown
+    if (window.ResizeObserver) {
+      new ResizeObserver(() => this.resizeChart()).observe(this.chartCanvas.parentElement)
+      new ResizeObserver(() => this.drawPCAPlots()).observe(document.querySelector(".pca-charts"))
+    }
+  }
+
+  // Sizes the chart to the width of its container (half as high, within 300 to 560 pixels) and redraws it.
+  // A hidden container has no width, so the chart keeps its size until it is shown.
+  resizeChart() {
+    const available = this.chartCanvas.parentElement.clientWidth - 2
+    if (available <= 0 && this.chartCtx) return
+
+    const width = available > 0 ? Math.round(Math.min(1000, available)) : 800
+    const height = Math.round(Math.min(560, Math.max(300, width / 2)))
+    const ratio = window.devicePixelRatio || 1
+    if (this.chartCtx && width === this.chartSize.width && height === this.chartSize.height && ratio === this.chartRatio) return
+
+    this.chartSize = { width: width, height: height }
+    this.chartRatio = ratio
+    this.chartCtx = sizeCanvasForDisplay(this.chartCanvas, width, height)
+    this.updateVisualization()
+  }
+
+  switchChart(chartType) {
+    this.currentChart = chartType
+    this.chartView = { start: 0, count: null }
+
+    document.querySelectorAll(".chart-btn").forEach((btn) => btn.classList.remove("active"))
+    document.querySelector(`[data-chart="${chartType}"]`).classList.add("active")
+
+    this.updateVisualization()
+    this.scheduleSave()
+  }
+
+  updateVisualization() {
+    this.chartRegions = []
+    this.chartPlot = null
+    this.hideChartTooltip()
+
+    if (this.results.length === 0) {
+      this.clearChart()
+      document.getElementById("seriesControls").style.display = "none"
+      document.getElementById("chartInfo").innerHTML = "<p>Add samples and calculate HMPI to view visualizations</p>"
+      return
+    }
+
+    document.getElementById("chartInfo").innerHTML = ""
+    const series = this.getSiteSeries(this.results)
+    this.renderSeriesControls(series)
+
+    switch (this.currentChart) {
+      case "bar":
+        this.drawBarChart()
+        break
+      case "pie":
+        this.drawPieChart()
+        break
+      case "line":
+        this.drawTimeSeriesChart(series)
+        break
+      case "contribution":
+        this.drawContributionChart()
+        break
+      case "boxplot":
+        this.drawBoxPlotChart()
+        break
+      case "exceedance":
+        this.drawExceedanceChart()
+        break
+    }
+  }
 
   clearChart() {
-    this.chartCtx.clearRect(0, 0, this.chartCanvas.width, this.chartCanvas.height)
-    document.getElementById("chartLegend").innerHTML = ""
+    this.chartCtx.clearRect(0, 0, this.chartSize.width, this.chartSize.height)
+    this.updateChartLegend([])
+  }
+
+  drawBarChart() {
+    const size = this.chartSize
+    const ctx = this.chartCtx
+
+    ctx.clearRect(0, 0, size.width, size.height)
+
+    const padding = 60
+    const chartWidth = size.width - 2 * padding
+    const chartHeight = size.height - 2 * padding
+
+    // Some indices (e.g. degree of contamination) can be negative, so bars grow from a zero baseline. The
+    // scale covers every sample, so it stays put while zooming and panning.
+    const index = this.getDisplayIndex()
+    const values = this.results.map((r) => this.getIndexValue(r) ?? 0)
+    const maxValue = Math.max(0, ...values)
+    const range = maxValue - Math.min(0, ...values) || 1
+    const digits = range < 10 ? 2 : 0
+    const zeroY = padding + (maxValue / range) * chartHeight
+    const shown = this.getChartWindow(padding, chartWidth)
+    const slotWidth = chartWidth / shown.count
+    const barWidth = slotWidth * 0.8
+    const barSpacing = slotWidth * 0.2
+    const labelStep = getLabelStep(slotWidth)
+
+    // Set colors based on theme
+    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
+    const gridColor = this.isDarkMode ? "#475569" : "#e2e8f0"
+
+    // Draw grid lines and labels
+    ctx.strokeStyle = gridColor
+    ctx.fillStyle = textColor
+    ctx.font = "12px sans-serif"
+    ctx.lineWidth = 1
+
+    // Y-axis labels and grid
+    for (let i = 0; i <= 5; i++) {
+      const y = padding + (chartHeight / 5) * i
+      const value = maxValue - (range / 5) * i
+
+      ctx.beginPath()
+      ctx.moveTo(padding, y)
+      ctx.lineTo(padding + chartWidth, y)
+      ctx.stroke()
+
+      ctx.fillText(value.toFixed(digits), 10, y + 4)
+    }
+
+    // Draw bars
+    this.results.slice(shown.start, shown.start + shown.count).forEach((result, position) => {
+      const value = values[shown.start + position]
+      const x = padding + position * slotWidth + barSpacing / 2
+      const barTop = padding + ((maxValue - value) / range) * chartHeight
+      const y = Math.min(barTop, zeroY)
+
+      // Color based on category
+      ctx.fillStyle = this.getCategoryColor(this.getIndexLevel(result))
+
+      ctx.fillRect(x, y, barWidth, Math.abs(zeroY - barTop))
+
+      // Sample name, on every labelStep-th bar when there are too many bars for every name to fit
+      ctx.fillStyle = textColor
+      if (position % labelStep === 0) {
+        ctx.save()
+        ctx.translate(x + barWidth / 2, padding + chartHeight + 20)
+        ctx.rotate(-Math.PI / 4)
+        ctx.fillText(result.name, 0, 0)
+        ctx.restore()
+      }
+
+      // Index value on top of bar, when the bars are wide enough for it
+      if (slotWidth >= 32) ctx.fillText(value.toFixed(digits === 0 ? 1 : 2), x + barWidth / 2 - 15, y - 5)
+
+      // The whole height of the bar's slot responds, so short bars are as easy to point at as tall ones
+      this.chartRegions.push({
+        shape: "rect",
+        x: padding + position * slotWidth,
+        y: padding,
+        width: slotWidth,
+        height: chartHeight,
+        resultId: result.id,
+        tooltip: this.getChartTooltip(result),
+      })
+    })
+
+    // Chart title
+    ctx.fillStyle = textColor
+    ctx.font = "bold 16px sans-serif"
+    ctx.fillText(`${index.shortName} Values by Sample`, size.width / 2 - 80, 30)
+
+    this.updateChartLegend()
+  }
+
+  drawPieChart() {
+    const size = this.chartSize
+    const ctx = this.chartCtx
+
+    ctx.clearRect(0, 0, size.width, size.height)
+
+    const centerX = size.width / 2
+    const centerY = size.height / 2
+    const radius = Math.min(size.width, size.height) / 3
+
+    const counts = this.countByLevel(this.results)
+    const total = counts.safe + counts.moderate + counts.hazardous
+
+    let currentAngle = -Math.PI / 2
+
+    Object.entries(counts).forEach(([category, count]) => {
+      if (count === 0) return
+
+      const sliceAngle = (count / total) * 2 * Math.PI
+
+      ctx.beginPath()
+      ctx.moveTo(centerX, centerY)
+      ctx.arc(centerX, centerY, radius, currentAngle, currentAngle + sliceAngle)
+      ctx.closePath()
+      ctx.fillStyle = this.getCategoryColor(category)
+      ctx.fill()
+
+      this.chartRegions.push({
+        shape: "slice",
+        x: centerX,
+        y: centerY,
+        radius: radius,
+        start: currentAngle,
+        end: currentAngle + sliceAngle,
+        tooltip: `
+                <strong>${category.charAt(0).toUpperCase() + category.slice(1)}</strong><br>
+                ${count} of ${total} sample${total === 1 ? "" : "s"} (${((count / total) * 100).toFixed(1)}%)
+            `,
+      })
+
+      // Label
+      const labelAngle = currentAngle + sliceAngle / 2
+      const labelX = centerX + Math.cos(labelAngle) * (radius * 0.7)
+      const labelY = centerY + Math.sin(labelAngle) * (radius * 0.7)
+
+      ctx.fillStyle = "white"
+      ctx.font = "bold 14px sans-serif"
+      ctx.textAlign = "center"
+      ctx.fillText(`${count}`, labelX, labelY)
+
+      currentAngle += sliceAngle
+    })
+
+    // Title
+    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
+    ctx.fillStyle = textColor
+    ctx.font = "bold 16px sans-serif"
+    ctx.textAlign = "center"
+    ctx.fillText(`${this.getDisplayIndex().shortName} Category Distribution`, centerX, 30)
+
+    this.updateChartLegend()
+  }
+
+  // Index or metal plotted on the time-series chart: "index" (the displayed index) or a metal key
+  getSeriesParameter() {
+    const metal = getMetal(this.seriesParameter)
+    if (metal) {
+      return {
+        label: `${metal.symbol} (${metal.unit})`,
+        value: (result) => result.metals[metal.key] ?? null,
+        censored: (result) => Boolean(result.censored && result.censored[metal.key]),
+        limit: this.standards[metal.key] ?? null,
+        limitLabel: `${this.activeProfile.name} limit`,
+      }
+    }
+
+    const index = this.getDisplayIndex()
+    return {
+      label: index.shortName,
+      value: (result) => this.getIndexValue(result),
+      censored: (result) => this.getCensoredMetals(result).length > 0,
+      limit: getIndexLimit(index),
+      limitLabel: `${index.shortName} limit`,
+    }
+  }
+
+  // Sites shown on the time-series chart: the chosen ones that still have dated results, otherwise the
+  // sites with the most samples
+  getSeriesSites(series) {
+    const chosen = this.seriesSites.filter((site) => series.has(site))
+    if (chosen.length > 0) return chosen
+
+    return [...series.keys()].sort((a, b) => series.get(b).length - series.get(a).length).slice(0, 3)
+  }
+
+  renderSeriesControls(series) {
+    const controls = document.getElementById("seriesControls")
+    controls.style.display = this.currentChart === "line" ? "" : "none"
+    if (this.currentChart !== "line") return
+
+    const parameter = document.getElementById("seriesParameter")
+    parameter.innerHTML = [
+      `<option value="index">${this.getDisplayIndex().shortName}</option>`,
+      ...METAL_REGISTRY.map((metal) => `<option value="${metal.key}">${metal.name} (${metal.symbol})</option>`),
+    ].join("")
+    parameter.value = getMetal(this.seriesParameter) ? this.seriesParameter : "index"
+
+    const shown = this.getSeriesSites(series)
+    document.getElementById("seriesSites").innerHTML =
+      [...series.keys()]
+        .sort((a, b) => a.localeCompare(b))
+        .map(
+          (site) => `
+            <label class="index-toggle">
+                <input type="checkbox" value="${escapeHtml(site)}" ${shown.includes(site) ? "checked" : ""}>
+                ${escapeHtml(site)} (${series.get(site).length})
+            </label>
+        `,
+        )
+        .join("") || '<span class="series-empty">No dated samples</span>'
+  }
+
+  setSeriesParameter(parameter) {
+    this.seriesParameter = parameter
+    this.updateVisualization()
+    this.scheduleSave()
+  }
+
+  setSeriesSites() {
+    this.seriesSites = [...document.querySelectorAll("#seriesSites input:checked")].map((input) => input.value)
+    this.updateVisualization()
+    this.scheduleSave()
+  }
+
+  // Index or metal concentration against sampling date for the chosen sites, one line per site, with the
+  // limit of the active standards profile (or the upper bound of the index's safe class) as a dashed line
+  drawTimeSeriesChart(series) {
+    const size = this.chartSize
+    const ctx = this.chartCtx
+
+    ctx.clearRect(0, 0, size.width, size.height)
+
+    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
+    const gridColor = this.isDarkMode ? "#475569" : "#e2e8f0"
+    const parameter = this.getSeriesParameter()
+    // Site colours are kept apart from the green, amber and red of the classification levels
+    const colors = ["#3b82f6", "#8b5cf6", "#0ea5e9", "#ec4899", "#14b8a6", "#6366f1", "#a16207", "#64748b"]
+
+    const lines = this.getSeriesSites(series)
+      .map((site, position) => ({
+        site: site,
+        color: colors[position % colors.length],
+        points: series
+          .get(site)
+          .filter((result) => parameter.value(result) !== null)
+          .map((result) => ({
+            time: samplingTimestamp(result.sampledAt),
+            value: parameter.value(result),
+            censored: parameter.censored(result),
+            result: result,
+          })),
+      }))
+      .filter((line) => line.points.length > 0)
+
+    const undated = this.results.filter((result) => !result.sampledAt).length
+    if (undated > 0) {
+      document.getElementById("chartInfo").innerHTML =
+        `<p>${undated} result${undated === 1 ? " has" : "s have"} no sampling date and ${undated === 1 ? "is" : "are"} not shown</p>`
+    }
+
+    if (lines.length === 0) {
+      ctx.fillStyle = textColor
+      ctx.font = "16px sans-serif"
+      ctx.textAlign = "center"
+      ctx.fillText("Add sampling dates to view trends over time", size.width / 2, size.height / 2)
+      this.updateChartLegend([])
+      return
+    }
+
+    const padding = 60
+    const chartWidth = size.width - 2 * padding
+    const chartHeight = size.height - 2 * padding
+
+    const points = lines.flatMap((line) => line.points)
+    const times = points.map((point) => point.time)
+    const minTime = Math.min(...times)
+    const timeRange = Math.max(...times) - minTime
+    const maxValue = Math.max(...points.map((point) => point.value), parameter.limit ?? 0) * 1.1 || 1
+    const minValue = Math.min(0, ...points.map((point) => point.value))
+    const range = maxValue - minValue
+    const digits = range < 0.1 ? 4 : range < 10 ? 2 : 0
+
+    // A single sampling date is drawn in the middle of the axis
+    const xFor = (time) => padding + (timeRange > 0 ? ((time - minTime) / timeRange) * chartWidth : chartWidth / 2)
+    const yFor = (value) => padding + chartHeight - ((value - minValue) / range) * chartHeight
+
+    // Grid and value axis
+    ctx.strokeStyle = gridColor
+    ctx.fillStyle = textColor
+    ctx.font = "12px sans-serif"
+    ctx.textAlign = "right"
+    ctx.lineWidth = 1
+
+    for (let i = 0; i <= 5; i++) {
+      const value = minValue + (range / 5) * i
+      const y = yFor(value)
+      ctx.beginPath()
+      ctx.moveTo(padding, y)
+      ctx.lineTo(padding + chartWidth, y)
+      ctx.stroke()
+      ctx.fillText(value.toFixed(digits), padding - 6, y + 4)
+    }
+
+    // Date axis
+    ctx.textAlign = "center"
+    const ticks = timeRange > 0 ? 5 : 0
+    for (let i = 0; i <= ticks; i++) {
+      const time = minTime + (timeRange / Math.max(ticks, 1)) * i
+      const date = new Date(time)
+      const label = formatSamplingDate(
+        `${date.getUTCFullYear()}-${padDatePart(date.getUTCMonth() + 1)}-${padDatePart(date.getUTCDate())}`,
+      )
+      ctx.fillText(label, xFor(time), padding + chartHeight + 20)
+    }
+
+    // Limit reference line
+    if (parameter.limit !== null) {
+      const y = yFor(parameter.limit)
+      ctx.save()
+      ctx.strokeStyle = "#ef4444"
+      ctx.lineWidth = 2
+      ctx.setLineDash([8, 6])
+      ctx.beginPath()
+      ctx.moveTo(padding, y)
+      ctx.lineTo(padding + chartWidth, y)
+      ctx.stroke()
+      ctx.restore()
+
+      ctx.fillStyle = "#ef4444"
+      ctx.textAlign = "right"
+      ctx.fillText(`${parameter.limitLabel}: ${parameter.limit}`, padding + chartWidth, y - 6)
+    }
+
+    // One line per site; values substituted for non-detects are drawn as hollow points
+    lines.forEach((line) => {
+      ctx.strokeStyle = line.color
+      ctx.lineWidth = 3
+      ctx.beginPath()
+      line.points.forEach((point, position) => {
+        if (position === 0) {
+          ctx.moveTo(xFor(point.time), yFor(point.value))
+        } else {
+          ctx.lineTo(xFor(point.time), yFor(point.value))
+        }
+      })
+      ctx.stroke()
+
+      line.points.forEach((point) => {
+        ctx.beginPath()
+        ctx.arc(xFor(point.time), yFor(point.value), 5, 0, 2 * Math.PI)
+        ctx.fillStyle = point.censored ? (this.isDarkMode ? "#1e293b" : "#ffffff") : line.color
+        ctx.fill()
+        ctx.lineWidth = 2
+        ctx.stroke()
+
+        this.chartRegions.push({
+          shape: "circle",
+          x: xFor(point.time),
+          y: yFor(point.value),
+          radius: 8,
+          resultId: point.result.id,
+          tooltip: `
+                <strong>${escapeHtml(point.result.name)}</strong><br>
+                Site: ${escapeHtml(line.site)}<br>
+                Sampled: ${formatSamplingDate(point.result.sampledAt)}<br>
+                ${parameter.label}: ${Number(point.value.toPrecision(4))}${point.censored ? " (non-detect substituted)" : ""}
+            `,
+        })
+      })
+    })
+
+    // Title
+    ctx.fillStyle = textColor
+    ctx.font = "bold 16px sans-serif"
+    ctx.textAlign = "center"
+    ctx.fillText(`${parameter.label} over Time`, size.width / 2, 30)
+
+    this.updateChartLegend([
+      ...lines.map((line) => ({ label: line.site, color: line.color })),
+      ...(parameter.limit !== null ? [{ label: `${parameter.limitLabel} (${parameter.limit})`, color: "#ef4444", line: true }] : []),
+    ])
+  }
+
+  // Colour of a metal on the per-metal charts, kept apart from the green, amber and red of the levels
+  getMetalColor(key) {
+    const colors = ["#3b82f6", "#8b5cf6", "#0ea5e9", "#ec4899", "#14b8a6", "#6366f1", "#a16207", "#64748b", "#d946ef", "#0f766e", "#9a3412", "#1e3a8a"]
+    return colors[Math.max(0, METAL_REGISTRY.findIndex((metal) => metal.key === key)) % colors.length]
+  }
+
+  // Measured parameters with a permissible limit in the active profile, for the box plots and histograms
+  getChartMetals() {
+    return METAL_REGISTRY.filter(
+      (metal) => this.standards[metal.key] && this.results.some((result) => result.metals[metal.key] !== undefined),
+    )
+  }
+
+  // Stacked bars of each metal's share WiQi / ΣWi of the HPI, which add up to the sample's HPI
+  drawContributionChart() {
+    const size = this.chartSize
+    const ctx = this.chartCtx
+
+    ctx.clearRect(0, 0, size.width, size.height)
+
+    const padding = 60
+    const chartWidth = size.width - 2 * padding
+    const chartHeight = size.height - 2 * padding
+    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
+    const gridColor = this.isDarkMode ? "#475569" : "#e2e8f0"
+
+    const bars = this.results.map((result) => {
+      const { breakdown } = this.getSampleDetails(result)
+      return {
+        result: result,
+        total: breakdown.value ?? 0,
+        parts: breakdown.rows.map((row) => ({ metal: row.metal, value: row.product / breakdown.sumWeights })),
+      }
+    })
+    const limit = getIndexLimit(POLLUTION_INDICES.hpi)
+    const maxValue = Math.max(limit, ...bars.map((bar) => bar.total)) * 1.1
+    const digits = maxValue < 10 ? 2 : 0
+    const yFor = (value) => padding + chartHeight - (value / maxValue) * chartHeight
+    const shown = this.getChartWindow(padding, chartWidth)
+    const slotWidth = chartWidth / shown.count
+    const barWidth = slotWidth * 0.8
+    const barSpacing = slotWidth * 0.2
+    const labelStep = getLabelStep(slotWidth)
+
+    ctx.strokeStyle = gridColor
+    ctx.fillStyle = textColor
+    ctx.font = "12px sans-serif"
+    ctx.lineWidth = 1
+
+    for (let i = 0; i <= 5; i++) {
+      const value = (maxValue / 5) * i
+      ctx.beginPath()
+      ctx.moveTo(padding, yFor(value))
+      ctx.lineTo(padding + chartWidth, yFor(value))
+      ctx.stroke()
+      ctx.fillText(value.toFixed(digits), 10, yFor(value) + 4)
+    }
+
+    bars.slice(shown.start, shown.start + shown.count).forEach((bar, position) => {
+      const x = padding + position * slotWidth + barSpacing / 2
+      this.chartRegions.push({
+        shape: "rect",
+        x: padding + position * slotWidth,
+        y: padding,
+        width: slotWidth,
+        height: chartHeight,
+        resultId: bar.result.id,
+        tooltip: `<strong>${escapeHtml(bar.result.name)}</strong><br>HPI: ${bar.total.toFixed(2)}`,
+      })
+
+      // Each part answers for its own metal, over the region of the whole slot
+      let base = 0
+      bar.parts.forEach((part) => {
+        const metal = getMetal(part.metal)
+        ctx.fillStyle = this.getMetalColor(part.metal)
+        ctx.fillRect(x, yFor(base + part.value), barWidth, yFor(base) - yFor(base + part.value))
+        this.chartRegions.push({
+          shape: "rect",
+          x: x,
+          y: yFor(base + part.value),
+          width: barWidth,
+          height: yFor(base) - yFor(base + part.value),
+          resultId: bar.result.id,
+          tooltip: `
+                <strong>${escapeHtml(bar.result.name)}</strong><br>
+                ${metal.name} (${metal.symbol}): ${part.value.toFixed(2)} of HPI ${bar.total.toFixed(2)}
+                (${bar.total > 0 ? ((part.value / bar.total) * 100).toFixed(1) : "0.0"}%)
+            `,
+        })
+        base += part.value
+      })
+
+      ctx.fillStyle = textColor
+      if (position % labelStep === 0) {
+        ctx.save()
+        ctx.translate(x + barWidth / 2, padding + chartHeight + 20)
+        ctx.rotate(-Math.PI / 4)
+        ctx.fillText(bar.result.name, 0, 0)
+        ctx.restore()
+      }
+    })
+
+    // Critical HPI
+    ctx.save()
+    ctx.strokeStyle = "#ef4444"
+    ctx.lineWidth = 2
+    ctx.setLineDash([8, 6])
+    ctx.beginPath()
+    ctx.moveTo(padding, yFor(limit))
+    ctx.lineTo(padding + chartWidth, yFor(limit))
+    ctx.stroke()
+    ctx.restore()
+    ctx.fillStyle = "#ef4444"
+    ctx.textAlign = "right"
+    ctx.fillText(`HPI limit: ${limit}`, padding + chartWidth, yFor(limit) - 6)
+
+    ctx.fillStyle = textColor
+    ctx.font = "bold 16px sans-serif"
+    ctx.textAlign = "center"
+    ctx.fillText("Contribution of Each Metal to the HPI", size.width / 2, 30)
+    ctx.textAlign = "left"
+
+    this.updateChartLegend()
+  }
+
+  // Box plot of each metal's concentrations against its acceptable and permissible limits. Metals differ by
+  // orders of magnitude, so every metal has a panel with its own scale.
+  drawBoxPlotChart() {
+    const size = this.chartSize
+    const ctx = this.chartCtx
+
+    ctx.clearRect(0, 0, size.width, size.height)
+
+    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
+    const gridColor = this.isDarkMode ? "#475569" : "#e2e8f0"
+    const metals = this.getChartMetals()
+
+    if (metals.length === 0) {
+      ctx.fillStyle = textColor
+      ctx.font = "16px sans-serif"
+      ctx.textAlign = "center"
+      ctx.fillText("No measured parameter has a limit in the active standards", size.width / 2, size.height / 2)
+      ctx.textAlign = "left"
+      this.updateChartLegend()
+      return
+    }
+
+    const padding = 60
+    const top = padding
+    const chartHeight = size.height - 2 * padding
+    const panelWidth = (size.width - 2 * padding) / metals.length
+    const boxWidth = Math.min(40, panelWidth * 0.4)
+
+    metals.forEach((metal, position) => {
+      const values = this.results.map((result) => result.metals[metal.key]).filter((value) => value !== undefined)
+      const box = describeBoxPlot(values)
+      const limit = this.standards[metal.key]
+      const acceptable = this.activeProfile.limits[metal.key].acceptable
+      const maxValue = Math.max(box.max, limit) * 1.1
+      const yFor = (value) => top + chartHeight - (value / maxValue) * chartHeight
+      const left = padding + position * panelWidth
+      const center = left + panelWidth / 2
+
+      // Panel axis with its own scale
+      ctx.strokeStyle = gridColor
+      ctx.lineWidth = 1
+      ctx.beginPath()
+      ctx.moveTo(left, top)
+      ctx.lineTo(left, top + chartHeight)
+      ctx.lineTo(left + panelWidth, top + chartHeight)
+      ctx.stroke()
+
+      // Limits
+      ctx.save()
+      ctx.lineWidth = 2
+      ctx.setLineDash([6, 4])
+      ;[
+        [acceptable, "#f59e0b"],
+        [limit, "#ef4444"],
+      ]
+        .filter(([value], index) => index === 1 || value < limit)
+        .forEach(([value, color]) => {
+          ctx.strokeStyle = color
+          ctx.beginPath()
+          ctx.moveTo(left + 4, yFor(value))
+          ctx.lineTo(left + panelWidth - 4, yFor(value))
+          ctx.stroke()
+        })
+      ctx.restore()
+
+      // Whiskers, box and median; the box is coloured by how much of the distribution exceeds the limit
+      const level = box.median > limit ? "hazardous" : box.max > limit ? "moderate" : "safe"
+      ctx.strokeStyle = textColor
+      ctx.lineWidth = 1.5
+      ctx.beginPath()
+      ctx.moveTo(center, yFor(box.lowerWhisker))
+      ctx.lineTo(center, yFor(box.q1))
+      ctx.moveTo(center, yFor(box.q3))
+      ctx.lineTo(center, yFor(box.upperWhisker))
+      ctx.moveTo(center - boxWidth / 4, yFor(box.lowerWhisker))
+      ctx.lineTo(center + boxWidth / 4, yFor(box.lowerWhisker))
+      ctx.moveTo(center - boxWidth / 4, yFor(box.upperWhisker))
+      ctx.lineTo(center + boxWidth / 4, yFor(box.upperWhisker))
+      ctx.stroke()
+
+      ctx.fillStyle = this.getCategoryColor(level)
+      ctx.fillRect(center - boxWidth / 2, yFor(box.q3), boxWidth, Math.max(1, yFor(box.q1) - yFor(box.q3)))
+      ctx.strokeRect(center - boxWidth / 2, yFor(box.q3), boxWidth, Math.max(1, yFor(box.q1) - yFor(box.q3)))
+      ctx.lineWidth = 3
+      ctx.beginPath()
+      ctx.moveTo(center - boxWidth / 2, yFor(box.median))
+      ctx.lineTo(center + boxWidth / 2, yFor(box.median))
+      ctx.stroke()
+
+      box.outliers.forEach((value) => {
+        ctx.lineWidth = 1.5
+        ctx.beginPath()
+        ctx.arc(center, yFor(value), 3, 0, 2 * Math.PI)
+        ctx.stroke()
+      })
+
+      ctx.fillStyle = textColor
+      ctx.textAlign = "center"
+      ctx.font = "bold 12px sans-serif"
+      ctx.fillText(metal.symbol, center, top + chartHeight + 18)
+      ctx.font = "11px sans-serif"
+      ctx.fillText(`n = ${values.length}`, center, top + chartHeight + 32)
+      ctx.fillText(String(Number(maxValue.toPrecision(2))), center, top - 6)
+
+      const format = (value) => String(Number(value.toPrecision(3)))
+      this.chartRegions.push({
+        shape: "rect",
+        x: left,
+        y: top,
+        width: panelWidth,
+        height: chartHeight,
+        tooltip: `
+                <strong>${metal.name} (${metal.symbol})</strong>, ${values.length} sample${values.length === 1 ? "" : "s"}<br>
+                Min ${format(box.min)}, Q1 ${format(box.q1)}, median ${format(box.median)}, Q3 ${format(box.q3)}, max ${format(box.max)} mg/L<br>
+                ${box.outliers.length} outlier${box.outliers.length === 1 ? "" : "s"}<br>
+                Acceptable ${acceptable}, permissible ${limit} mg/L
+            `,
+      })
+    })
+
+    ctx.fillStyle = textColor
+    ctx.font = "bold 16px sans-serif"
+    ctx.textAlign = "center"
+    ctx.fillText(`Concentrations per Metal (mg/L) against ${this.activeProfile.name}`, size.width / 2, 30)
+    ctx.textAlign = "left"
+
+    this.updateChartLegend()
+  }
+
+  // Histogram of every metal's ratio to its permissible limit, one small chart per metal; bars above a
+  // ratio of 1 count exceedances
+  drawExceedanceChart() {
+    const size = this.chartSize
+    const ctx = this.chartCtx
+
+    ctx.clearRect(0, 0, size.width, size.height)
+
+    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
+    const gridColor = this.isDarkMode ? "#475569" : "#e2e8f0"
+    const metals = this.getChartMetals()
+
+    if (metals.length === 0) {
+      ctx.fillStyle = textColor
+      ctx.font = "16px sans-serif"
+      ctx.textAlign = "center"
+      ctx.fillText("No measured parameter has a limit in the active standards", size.width / 2, size.height / 2)
+      ctx.textAlign = "left"
+      this.updateChartLegend()
+      return
+    }
+
+    const bins = [
+      { max: 0.5, label: "≤0.5" },
+      { max: 1, label: "1" },
+      { max: 1.5, label: "1.5" },
+      { max: 2, label: "2" },
+      { max: 5, label: "5" },
+      { max: Infinity, label: ">5" },
+    ]
+    const columns = Math.min(4, metals.length)
+    const rows = Math.ceil(metals.length / columns)
+    const margin = 20
+    const top = 50
+    const cellWidth = (size.width - 2 * margin) / columns
+    const cellHeight = (size.height - top - 10) / rows
+
+    metals.forEach((metal, position) => {
+      const ratios = this.results
+        .filter((result) => result.metals[metal.key] !== undefined)
+        .map((result) => result.metals[metal.key] / this.standards[metal.key])
+      const counts = countInBins(
+        ratios,
+        bins.map((bin) => bin.max),
+      )
+      const exceeding = ratios.filter((ratio) => ratio > 1).length
+      const maxCount = Math.max(...counts)
+
+      const left = margin + (position % columns) * cellWidth + 24
+      const cellTop = top + Math.floor(position / columns) * cellHeight
+      const width = cellWidth - 36
+      const plotTop = cellTop + 22
+      const plotHeight = cellHeight - 50
+      const barWidth = width / bins.length
+
+      ctx.fillStyle = textColor
+      ctx.font = "bold 12px sans-serif"
+      ctx.textAlign = "left"
+      ctx.fillText(`${metal.symbol}: ${exceeding} of ${ratios.length} above limit`, left, cellTop + 12)
+
+      ctx.strokeStyle = gridColor
+      ctx.lineWidth = 1
+      ctx.beginPath()
+      ctx.moveTo(left, plotTop)
+      ctx.lineTo(left, plotTop + plotHeight)
+      ctx.lineTo(left + width, plotTop + plotHeight)
+      ctx.stroke()
+
+      ctx.font = "10px sans-serif"
+      counts.forEach((count, bin) => {
+        const height = maxCount > 0 ? (count / maxCount) * plotHeight : 0
+        const x = left + bin * barWidth
+        ctx.fillStyle = this.getCategoryColor(bins[bin].max <= 1 ? "safe" : "hazardous")
+        ctx.fillRect(x + 1, plotTop + plotHeight - height, barWidth - 2, height)
+
+        ctx.fillStyle = textColor
+        ctx.textAlign = "center"
+        if (count > 0) ctx.fillText(String(count), x + barWidth / 2, plotTop + plotHeight - height - 3)
+        ctx.fillText(bins[bin].label, x + barWidth / 2, plotTop + plotHeight + 12)
+
+        const lower = bin === 0 ? "" : `${bins[bin - 1].max} < `
+        const upper = bins[bin].max === Infinity ? "" : ` ≤ ${bins[bin].max}`
+        this.chartRegions.push({
+          shape: "rect",
+          x: x,
+          y: plotTop,
+          width: barWidth,
+          height: plotHeight,
+          tooltip: `<strong>${metal.symbol}</strong>: ${count} sample${count === 1 ? "" : "s"} with ${lower}ratio${upper}`,
+        })
+      })
+    })
+
+    ctx.fillStyle = textColor
+    ctx.font = "bold 16px sans-serif"
+    ctx.textAlign = "center"
+    ctx.fillText(`Ratio to the Permissible Limit (${this.activeProfile.name})`, size.width / 2, 30)
+    ctx.textAlign = "left"
+
+    this.updateChartLegend()
+  }
+
+  // Legend of the chart shown: { label, color, line, level } items, where line items are dashed reference
+  // lines and items of a classification level take the theme's colour of the level. The items are kept for
+  // the legend drawn into downloaded images.
+  updateChartLegend(items = this.getChartLegendItems()) {
+    this.chartLegendItems = items
+    document.getElementById("chartLegend").innerHTML = items
+      .map(
+        (item) => `
+                <div class="legend-item ${item.level || ""}">
+                    ${
+                      item.line
+                        ? `<span class="legend-line" style="border-top-color: ${item.color};"></span>`
+                        : `<span class="legend-color"${item.level ? "" : ` style="background: ${item.color};"`}></span>`
+                    }
+                    ${escapeHtml(item.label)}
+                </div>
+            `,
+      )
+      .join("")
+  }
+
+  getChartLegendItems() {
+    const level = (category, label) => ({ label: label, color: this.getCategoryColor(category), level: category })
+
+    if (this.currentChart === "pie") {
+      return Object.entries(this.countByLevel(this.results))
+        .filter(([_, count]) => count > 0)
+        .map(([category, count]) => level(category, `${category.charAt(0).toUpperCase() + category.slice(1)} (${count})`))
+    } else if (this.currentChart === "contribution") {
+      const contributing = new Set(this.results.flatMap((result) => this.getSampleDetails(result).breakdown.rows.map((row) => row.metal)))
+      return [
+        ...METAL_REGISTRY.filter((metal) => contributing.has(metal.key)).map((metal) => ({
+          label: metal.symbol,
+          color: this.getMetalColor(metal.key),
+        })),
+        { label: `HPI limit (${getIndexLimit(POLLUTION_INDICES.hpi)})`, color: "#ef4444", line: true },
+      ]
+    } else if (this.currentChart === "boxplot") {
+      return [
+        level("safe", "All within limit"),
+        level("moderate", "Some above limit"),
+        level("hazardous", "Median above limit"),
+        { label: "Acceptable limit", color: "#f59e0b", line: true },
+        { label: "Permissible limit", color: "#ef4444", line: true },
+      ]
+    } else if (this.currentChart === "exceedance") {
+      return [level("safe", "Within the permissible limit (ratio ≤ 1)"), level("hazardous", "Above the permissible limit")]
+    }
+
+    const index = this.getDisplayIndex()
+    return index.bands.map((band) => level(band.level, `${band.label} (${formatBandRange(index, band)})`))
+  }
+
+  // Chart Interaction
+  // Samples shown by the bar charts: all of them, or the window zoomed into with the mouse wheel. The plot
+  // area is kept for placing the zoom under the pointer, and long series get a hint on how to zoom.
+  getChartWindow(left, width) {
+    const total = this.results.length
+    const shown = clampChartWindow(this.chartView, total)
+    this.chartPlot = { left: left, width: width }
+
+    if (shown.count < total) {
+      document.getElementById("chartInfo").innerHTML =
+        `<p>Showing samples ${shown.start + 1}–${shown.start + shown.count} of ${total}. Scroll over the chart to zoom and drag to pan.
+        <button class="btn btn-secondary btn-small" onclick="hmpiCalc.resetChartZoom()">Show All</button></p>`
+    } else if (total > 30) {
+      document.getElementById("chartInfo").innerHTML = `<p>Scroll over the chart to zoom into the ${total} samples</p>`
+    }
+
+    return shown
+  }
+
+  // Mouse position in chart pixels; the canvas may be scaled down by CSS on narrow screens
+  getChartPoint(e) {
+    const rect = this.chartCanvas.getBoundingClientRect()
+    const scaleX = rect.width ? this.chartSize.width / rect.width : 1
+    const scaleY = rect.height ? this.chartSize.height / rect.height : 1
+    return { x: (e.clientX - rect.left) * scaleX, y: (e.clientY - rect.top) * scaleY }
+  }
+
+  handleChartPointerDown(e) {
+    if (e.button !== 0) return
+    this.chartDrag = { start: this.getChartPoint(e), view: clampChartWindow(this.chartView, this.results.length), moved: false }
+  }
+
+  handleChartPointerMove(e) {
+    const point = this.getChartPoint(e)
+
+    // Dragging a zoomed bar chart moves the window by as many samples as bars the pointer passed
+    if (this.chartDrag && this.chartPlot && this.chartDrag.view.count < this.results.length) {
+      const dx = point.x - this.chartDrag.start.x
+      if (this.chartDrag.moved || Math.abs(dx) >= 4) {
+        const start = this.chartDrag.view.start - Math.round((dx / this.chartPlot.width) * this.chartDrag.view.count)
+        this.chartDrag.moved = true
+        this.chartCanvas.classList.add("dragging")
+        if (start !== this.chartView.start) {
+          this.chartView = clampChartWindow({ start: start, count: this.chartDrag.view.count }, this.results.length)
+          this.updateVisualization()
+        }
+        return
+      }
+    }
+
+    const region = findChartRegion(this.chartRegions, point.x, point.y)
+    this.chartCanvas.style.cursor = region && region.resultId ? "pointer" : ""
+    if (region) this.showChartTooltip(e, region.tooltip)
+    else this.hideChartTooltip()
+  }
+
+  // A press without dragging is a click: it opens the details of the sample under the pointer
+  handleChartPointerUp(e) {
+    if (!this.chartDrag) return
+    const drag = this.chartDrag
+    this.chartDrag = null
+    this.chartCanvas.classList.remove("dragging")
+    if (drag.moved) return
+
+    const point = this.getChartPoint(e)
+    const region = findChartRegion(this.chartRegions, point.x, point.y)
+    if (region && region.resultId) this.showSampleDetails(region.resultId)
+  }
+
+  // The wheel zooms the bar charts in or out by a quarter, keeping the sample under the pointer in place
+  handleChartWheel(e) {
+    if (!this.chartPlot || e.deltaY === 0) return
+    e.preventDefault()
+
+    const total = this.results.length
+    const shown = clampChartWindow(this.chartView, total)
+    const count = Math.round(shown.count * (e.deltaY > 0 ? 1.25 : 0.8))
+    const fraction = Math.min(1, Math.max(0, (this.getChartPoint(e).x - this.chartPlot.left) / this.chartPlot.width))
+    const next = clampChartWindow({ start: shown.start + fraction * (shown.count - count), count: count }, total)
+    if (next.start === shown.start && next.count === shown.count) return
+
+    this.chartView = next.count === total ? { start: 0, count: null } : next
+    this.updateVisualization()
+  }
+
+  resetChartZoom() {
+    if (this.chartView.count === null) return
+    this.chartView = { start: 0, count: null }
+    this.updateVisualization()
+  }
+
+  getChartTooltip(result) {
+    return `
+            <strong>${escapeHtml(result.name)}</strong><br>
+            ${result.sampledAt ? `Sampled: ${formatSamplingDate(result.sampledAt)}<br>` : ""}
+            ${this.getDisplayIndex().shortName}: ${this.formatIndexValue(result)}<br>
+            Category: ${this.getIndexBand(result)}
+        `
+  }
+
+  showChartTooltip(e, html) {
+    const tooltip = this.chartTooltip
+    const container = tooltip.parentElement.getBoundingClientRect()
+
+    tooltip.innerHTML = html
+    tooltip.style.left = e.clientX - container.left + 10 + "px"
+    tooltip.style.top = e.clientY - container.top - 10 + "px"
+    tooltip.style.opacity = "1"
+  }
+
+  hideChartTooltip() {
+    if (this.chartTooltip) this.chartTooltip.style.opacity = "0"
+  }
+
+  // The chart shown, with its legend below it, as a PNG at the screen's pixel density or as an SVG drawing
+  downloadChart(format) {
+    if (this.results.length === 0) {
+      this.showError("No chart to download. Add samples and calculate HMPI first.")
+      return
+    }
+
+    const size = this.chartSize
+    const background = this.isDarkMode ? "#0f172a" : "#ffffff"
+    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
+    const legend = layoutChartLegend(document.createElement("canvas").getContext("2d"), this.chartLegendItems, size.width - 40)
+    const fileName = `hmpi_${this.currentChart}_chart_${new Date().toISOString().split("T")[0]}.${format}`
+
+    if (format === "svg") {
+      const svg = new SvgContext(size.width, size.height + legend.height)
+      const ctx = this.chartCtx
+      this.chartCtx = svg
+      try {
+        this.updateVisualization()
+      } finally {
+        this.chartCtx = ctx
+        this.updateVisualization()
+      }
+
+      drawChartLegend(svg, legend, 20, size.height, textColor)
+      this.downloadBlob(new Blob([svg.toSvg(background)], { type: "image/svg+xml" }), fileName)
+      return
+    }
+
+    const ratio = this.chartCanvas.width / size.width
+    const copy = document.createElement("canvas")
+    copy.width = this.chartCanvas.width
+    copy.height = Math.round((size.height + legend.height) * ratio)
+    const ctx = copy.getContext("2d")
+    ctx.fillStyle = background
+    ctx.fillRect(0, 0, copy.width, copy.height)
+    ctx.drawImage(this.chartCanvas, 0, 0)
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    drawChartLegend(ctx, legend, 20, size.height, textColor)
+
+    copy.toBlob((blob) => {
+      if (blob) this.downloadBlob(blob, fileName)
+      else this.showError("The chart could not be saved as an image.")
+    }, "image/png")
+  }
+
+  // Statistics
+  // Descriptive statistics, correlation matrix and PCA of the metal concentrations of all results (see
+  // statistics.js). Values below the detection limit take part with their substituted value.
+  getStatisticsMetals() {
+    return METAL_REGISTRY.filter((metal) => this.results.some((result) => result.metals[metal.key] !== undefined))
+  }
+
+  updateStatistics() {
+    const metals = this.getStatisticsMetals()
+    const empty = metals.length === 0
+
+    document.getElementById("statisticsEmpty").hidden = !empty
+    document.getElementById("statisticsContent").hidden = empty
+    if (empty) return
+
+    document.getElementById("correlationMethod").value = this.correlationMethod
+    this.renderDescriptiveStatistics(metals)
+    this.renderCorrelationMatrix(metals)
+    this.renderPCA(metals)
   }
 
-  drawBarChart() {
-    const canvas = this.chartCanvas
-    const ctx = this.chartCtx
+  setCorrelationMethod(method) {
+    this.correlationMethod = CORRELATION_METHODS.some((candidate) => candidate.id === method) ? method : "pearson"
+    this.renderCorrelationMatrix(this.getStatisticsMetals())
+    this.scheduleSave()
+  }
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height)
+  // Three significant digits, e.g. 0.00123 or 1230
+  formatStatistic(value) {
+    return value === null || value === undefined ? "—" : String(Number(value.toPrecision(3)))
+  }
 
-    const padding = 60
-    const chartWidth = canvas.width - 2 * padding
-    const chartHeight = canvas.height - 2 * padding
+  // One row per metal, with the samples above the acceptable and permissible limits of the active profile
+  renderDescriptiveStatistics(metals) {
+    const profile = this.activeProfile
+    const exceedance = (values, limit) => {
+      const count = values.filter((value) => value > limit).length
+      return `${count} (${Math.round((count / values.length) * 100)}%)`
+    }
+
+    document.getElementById("descriptiveNote").textContent =
+      `${this.results.length} samples; concentrations in mg/L, limits of ${profile.name}. Percentiles are interpolated between samples.`
+
+    document.getElementById("descriptiveTable").innerHTML = `
+            <thead>
+                <tr>
+                    <th>Metal</th>
+                    <th>n</th>
+                    <th>&lt; LOD</th>
+                    <th>Min</th>
+                    <th>Max</th>
+                    <th>Mean</th>
+                    <th>Median</th>
+                    <th>SD</th>
+                    ${STAT_PERCENTILES.map((percent) => `<th>P${percent}</th>`).join("")}
+                    <th>&gt; Acceptable</th>
+                    <th>&gt; Permissible</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${metals
+                  .map((metal) => {
+                    const values = this.results.map((result) => result.metals[metal.key]).filter((value) => value !== undefined)
+                    const stats = describeValues(values)
+                    const censored = this.results.filter((result) => result.censored && result.censored[metal.key]).length
+                    const limit = profile.limits[metal.key]
+                    return `
+                        <tr>
+                            <td title="${metal.name}">${metal.symbol}</td>
+                            <td>${stats.count}</td>
+                            <td>${censored}</td>
+                            <td>${this.formatStatistic(stats.min)}</td>
+                            <td>${this.formatStatistic(stats.max)}</td>
+                            <td>${this.formatStatistic(stats.mean)}</td>
+                            <td>${this.formatStatistic(stats.median)}</td>
+                            <td>${stats.count > 1 ? this.formatStatistic(stats.sd) : "—"}</td>
+                            ${STAT_PERCENTILES.map((percent) => `<td>${this.formatStatistic(stats.percentiles[percent])}</td>`).join("")}
+                            <td>${limit ? exceedance(values, limit.acceptable) : "—"}</td>
+                            <td>${limit ? exceedance(values, limit.permissible) : "—"}</td>
+                        </tr>
+                    `
+                  })
+                  .join("")}
+            </tbody>
+        `
+  }
 
-    const maxHMPI = Math.max(...this.results.map((r) => r.hmpi))
-    const barWidth = (chartWidth / this.results.length) * 0.8
-    const barSpacing = (chartWidth / this.results.length) * 0.2
+  // Lower triangle of the correlation matrix over the samples that have both metals (pairwise complete),
+  // shaded red for positive and blue for negative coefficients
+  renderCorrelationMatrix(metals) {
+    const correlate = this.correlationMethod === "spearman" ? spearmanCorrelation : pearsonCorrelation
 
-    // Set colors based on theme
+    const cell = (a, b) => {
+      if (a === b) return `<td class="correlation-cell">1</td>`
+
+      const pairs = this.results.filter((result) => result.metals[a.key] !== undefined && result.metals[b.key] !== undefined)
+      const r = pairs.length >= 3 ? correlate(pairs.map((result) => result.metals[a.key]), pairs.map((result) => result.metals[b.key])) : null
+      if (r === null) return `<td class="correlation-cell" title="n = ${pairs.length}">—</td>`
+
+      const pValue = correlationPValue(r, pairs.length)
+      const shade = r > 0 ? `rgba(239, 68, 68, ${(r * 0.6).toFixed(2)})` : `rgba(59, 130, 246, ${(-r * 0.6).toFixed(2)})`
+      return `<td class="correlation-cell" style="background: ${shade};" title="${a.symbol}–${b.symbol}: r = ${r.toFixed(3)}, p = ${pValue.toPrecision(2)}, n = ${pairs.length}">${r.toFixed(2)}${getSignificanceMarker(pValue)}</td>`
+    }
+
+    document.getElementById("correlationTable").innerHTML = `
+            <thead>
+                <tr>
+                    <th></th>
+                    ${metals.map((metal) => `<th>${metal.symbol}</th>`).join("")}
+                </tr>
+            </thead>
+            <tbody>
+                ${metals
+                  .map(
+                    (a, row) => `
+                        <tr>
+                            <th>${a.symbol}</th>
+                            ${metals.map((b, column) => (column <= row ? cell(a, b) : "<td></td>")).join("")}
+                        </tr>
+                    `,
+                  )
+                  .join("")}
+            </tbody>
+        `
+  }
+
+  // Metals and results PCA can run on: results with every metal measured, at least 3 of them and at least
+  // 2 metals that vary. Metals that are constant, or missing from the most results, are dropped until it fits.
+  getPCAData(metals) {
+    let selected = metals.slice()
+
+    while (selected.length >= 2) {
+      const results = this.results.filter((result) => selected.every((metal) => result.metals[metal.key] !== undefined))
+      const varying = selected.filter((metal) => new Set(results.map((result) => result.metals[metal.key])).size > 1)
+
+      if (varying.length === selected.length && results.length >= 3) {
+        return { metals: selected, results: results }
+      }
+      if (varying.length < selected.length && results.length >= 3) {
+        selected = varying
+        continue
+      }
+
+      const measured = (metal) => this.results.filter((result) => result.metals[metal.key] !== undefined).length
+      const fewest = selected.reduce((worst, metal) => (measured(metal) < measured(worst) ? metal : worst))
+      selected = selected.filter((metal) => metal !== fewest)
+    }
+
+    return null
+  }
+
+  // Explained variance, loadings of the retained components with their strength, scree plot and biplot
+  renderPCA(metals) {
+    const data = this.getPCAData(metals)
+    document.getElementById("pcaBody").hidden = !data
+    this.pcaPlots = null
+
+    if (!data) {
+      document.getElementById("pcaNote").textContent =
+        "PCA needs at least 3 samples with two or more varying metals measured in all of them."
+      return
+    }
+
+    const pca = computePCA(data.results.map((result) => data.metals.map((metal) => result.metals[metal.key])))
+    const retained = getRetainedComponents(pca)
+    const left = metals.filter((metal) => !data.metals.includes(metal))
+    const percent = (fraction) => `${(fraction * 100).toFixed(1)}%`
+
+    document.getElementById("pcaNote").textContent =
+      `${data.results.length} samples with ${data.metals.map((metal) => metal.symbol).join(", ")} all measured, standardised to unit variance.` +
+      (left.length > 0 ? ` Left out (missing from too many samples or constant): ${left.map((metal) => metal.symbol).join(", ")}.` : "")
+
+    document.getElementById("pcaVarianceTable").innerHTML = `
+            <thead>
+                <tr><th>Component</th><th>Eigenvalue</th><th>Variance</th><th>Cumulative</th></tr>
+            </thead>
+            <tbody>
+                ${pca.eigenvalues
+                  .map(
+                    (value, k) => `
+                        <tr${k < retained ? ' class="retained"' : ""}>
+                            <td>PC${k + 1}</td>
+                            <td>${value.toFixed(3)}</td>
+                            <td>${percent(pca.explained[k])}</td>
+                            <td>${percent(pca.cumulative[k])}</td>
+                        </tr>
+                    `,
+                  )
+                  .join("")}
+            </tbody>
+        `
+
+    const components = Array.from({ length: retained }, (_, k) => k)
+    document.getElementById("pcaLoadingsTable").innerHTML = `
+            <thead>
+                <tr><th>Metal</th>${components.map((k) => `<th>PC${k + 1}</th>`).join("")}</tr>
+            </thead>
+            <tbody>
+                ${data.metals
+                  .map(
+                    (metal, j) => `
+                        <tr>
+                            <td>${metal.symbol}</td>
+                            ${components
+                              .map((k) => {
+                                const loading = pca.loadings[j][k]
+                                const strength = describeLoading(loading)
+                                return `<td class="loading-${strength || "none"}" title="${strength ? `${strength} loading` : ""}">${loading.toFixed(3)}</td>`
+                              })
+                              .join("")}
+                        </tr>
+                    `,
+                  )
+                  .join("")}
+            </tbody>
+        `
+
+    // Metals loading at least moderately on the same component vary together and may share a source
+    document.getElementById("pcaSources").innerHTML = components
+      .map((k) => {
+        const loadings = data.metals
+          .map((metal, j) => ({ metal, loading: pca.loadings[j][k] }))
+          .sort((a, b) => Math.abs(b.loading) - Math.abs(a.loading))
+        const list = (items) => items.map(({ metal, loading }) => `${metal.symbol} (${loading.toFixed(2)})`).join(", ")
+        const positive = loadings.filter(({ loading }) => loading >= 0.5)
+        const negative = loadings.filter(({ loading }) => loading <= -0.5)
+
+        let text = "no metal loads above 0.5"
+        if (positive.length > 1) text = `${list(positive)} vary together, suggesting a common source`
+        else if (positive.length === 1) text = `dominated by ${list(positive)}`
+        if (negative.length > 0) text += `; ${list(negative)} ${negative.length > 1 ? "vary" : "varies"} the opposite way`
+
+        return `<li><strong>PC${k + 1}</strong> (${percent(pca.explained[k])} of variance): ${text}</li>`
+      })
+      .join("")
+
+    this.pcaPlots = { pca, data }
+    this.drawPCAPlots()
+  }
+
+  // The scree plot and biplot at their full size, or narrower to fit the statistics panel
+  drawPCAPlots() {
+    if (!this.pcaPlots) return
+    const container = document.querySelector(".pca-charts")
+    this.drawScreePlot(this.pcaPlots.pca, fitCanvasSize(container, 420, 320))
+    this.drawBiplot(this.pcaPlots.pca, this.pcaPlots.data, fitCanvasSize(container, 480, 420))
+  }
+
+  // Eigenvalue of every component, with the Kaiser criterion (eigenvalue 1) dashed
+  drawScreePlot(pca, size) {
+    const ctx = sizeCanvasForDisplay(document.getElementById("screeCanvas"), size.width, size.height)
+    const padding = 50
+    const width = size.width - 2 * padding
+    const height = size.height - 2 * padding
+    const maxValue = Math.max(1.5, ...pca.eigenvalues) * 1.1
+    const step = width / Math.max(1, pca.eigenvalues.length - 1)
     const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
     const gridColor = this.isDarkMode ? "#475569" : "#e2e8f0"
+    const toX = (k) => padding + (pca.eigenvalues.length > 1 ? k * step : width / 2)
+    const toY = (value) => padding + height - (value / maxValue) * height
 
-    // Draw grid lines and labels
+    ctx.clearRect(0, 0, size.width, size.height)
+    ctx.font = "12px sans-serif"
+    ctx.lineWidth = 1
+
+    for (let i = 0; i <= 4; i++) {
+      const value = (maxValue / 4) * i
+      ctx.strokeStyle = gridColor
+      ctx.beginPath()
+      ctx.moveTo(padding, toY(value))
+      ctx.lineTo(padding + width, toY(value))
+      ctx.stroke()
+      ctx.fillStyle = textColor
+      ctx.fillText(value.toFixed(1), 10, toY(value) + 4)
+    }
+
+    ctx.strokeStyle = "#ef4444"
+    ctx.setLineDash([6, 4])
+    ctx.beginPath()
+    ctx.moveTo(padding, toY(1))
+    ctx.lineTo(padding + width, toY(1))
+    ctx.stroke()
+    ctx.setLineDash([])
+
+    ctx.strokeStyle = "#3b82f6"
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    pca.eigenvalues.forEach((value, k) => (k === 0 ? ctx.moveTo(toX(k), toY(value)) : ctx.lineTo(toX(k), toY(value))))
+    ctx.stroke()
+
+    pca.eigenvalues.forEach((value, k) => {
+      ctx.fillStyle = "#3b82f6"
+      ctx.beginPath()
+      ctx.arc(toX(k), toY(value), 4, 0, 2 * Math.PI)
+      ctx.fill()
+      ctx.fillStyle = textColor
+      ctx.fillText(`PC${k + 1}`, toX(k) - 12, padding + height + 18)
+    })
+
+    ctx.font = "bold 14px sans-serif"
+    ctx.fillText("Scree Plot (eigenvalue)", padding, 25)
+  }
+
+  // Sample scores on PC1 and PC2, coloured by the displayed index's class, with the metal loadings as arrows
+  // scaled to the spread of the scores
+  drawBiplot(pca, data, size) {
+    const ctx = sizeCanvasForDisplay(document.getElementById("biplotCanvas"), size.width, size.height)
+    const padding = 50
+    const width = size.width - 2 * padding
+    const height = size.height - 2 * padding
+    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
+    const gridColor = this.isDarkMode ? "#475569" : "#e2e8f0"
+
+    const scoreExtent = Math.max(...pca.scores.flatMap((score) => [Math.abs(score[0]), Math.abs(score[1])]), 1e-9)
+    const loadingExtent = Math.max(...pca.loadings.flatMap((loading) => [Math.abs(loading[0]), Math.abs(loading[1])]), 1e-9)
+    const arrowScale = (scoreExtent / loadingExtent) * 0.9
+    const extent = scoreExtent * 1.1
+    const toX = (value) => padding + ((value + extent) / (2 * extent)) * width
+    const toY = (value) => padding + height - ((value + extent) / (2 * extent)) * height
+
+    ctx.clearRect(0, 0, size.width, size.height)
+    ctx.font = "12px sans-serif"
+    ctx.lineWidth = 1
     ctx.strokeStyle = gridColor
+    ctx.strokeRect(padding, padding, width, height)
+    ctx.beginPath()
+    ctx.moveTo(toX(0), padding)
+    ctx.lineTo(toX(0), padding + height)
+    ctx.moveTo(padding, toY(0))
+    ctx.lineTo(padding + width, toY(0))
+    ctx.stroke()
+
+    pca.scores.forEach((score, i) => {
+      ctx.fillStyle = this.getCategoryColor(this.getIndexLevel(data.results[i]))
+      ctx.beginPath()
+      ctx.arc(toX(score[0]), toY(score[1]), 4, 0, 2 * Math.PI)
+      ctx.fill()
+    })
+
+    ctx.strokeStyle = textColor
     ctx.fillStyle = textColor
-    ctx.font = "12px sans-serif"
+    ctx.lineWidth = 1.5
+    data.metals.forEach((metal, j) => {
+      const x = toX(pca.loadings[j][0] * arrowScale)
+      const y = toY(pca.loadings[j][1] * arrowScale)
+      const angle = Math.atan2(y - toY(0), x - toX(0))
+
+      ctx.beginPath()
+      ctx.moveTo(toX(0), toY(0))
+      ctx.lineTo(x, y)
+      ctx.lineTo(x - 8 * Math.cos(angle - 0.4), y - 8 * Math.sin(angle - 0.4))
+      ctx.moveTo(x, y)
+      ctx.lineTo(x - 8 * Math.cos(angle + 0.4), y - 8 * Math.sin(angle + 0.4))
+      ctx.stroke()
+      ctx.fillText(metal.symbol, x + 6 * Math.cos(angle) - 6, y + 6 * Math.sin(angle) + 4)
+    })
+
+    const percent = (fraction) => `${(fraction * 100).toFixed(1)}%`
+    ctx.fillText(`PC1 (${percent(pca.explained[0])})`, padding + width / 2 - 30, padding + height + 30)
+    ctx.save()
+    ctx.translate(18, padding + height / 2 + 30)
+    ctx.rotate(-Math.PI / 2)
+    ctx.fillText(`PC2 (${percent(pca.explained[1])})`, 0, 0)
+    ctx.restore()
+
+    ctx.font = "bold 14px sans-serif"
+    ctx.fillText("Biplot (PC1 vs PC2)", padding, 25)
+  }
+
+  // Map Functionality
+  initializeMap() {
+    this.mapCanvas = document.getElementById("mapCanvas")
+    this.mapTooltip = document.getElementById("mapTooltip")
+    this.resizeMap()
+
+    // Like the chart, the map follows the width of its container
+    if (window.ResizeObserver) {
+      new ResizeObserver(() => this.resizeMap()).observe(this.mapCanvas.parentElement)
+    }
+  }
+
+  // Sizes the map to the width of its container (five eighths as high, within 300 to 600 pixels) and redraws
+  // it. A map fitted to the samples is refitted to the new size; a panned or zoomed view keeps its centre.
+  resizeMap() {
+    const available = this.mapCanvas.parentElement.clientWidth - 2
+    if (available <= 0 && this.mapCtx) return
+
+    const width = available > 0 ? Math.round(Math.min(1000, available)) : 800
+    const height = Math.round(Math.min(600, Math.max(300, (width * 5) / 8)))
+    const ratio = window.devicePixelRatio || 1
+    if (this.mapCtx && width === this.mapSize.width && height === this.mapSize.height && ratio === this.mapRatio) return
+
+    this.mapSize = { width: width, height: height }
+    this.mapRatio = ratio
+    this.mapCtx = sizeCanvasForDisplay(this.mapCanvas, width, height)
+    this.updateMap()
+  }
+
+  // Current view { longitude, latitude, zoom }: the one the user panned or zoomed to, otherwise one that
+  // fits the located results, otherwise India
+  getMapView() {
+    if (this.mapView) return this.mapView
+
+    const located = this.getDisplayedResults().filter((r) => r.latitude && r.longitude)
+    if (located.length === 0) return { longitude: 78.9, latitude: 22.5, zoom: 4 }
+
+    return fitMapView(
+      located.map((result) => [result.longitude, result.latitude]),
+      this.mapSize.width,
+      this.mapSize.height,
+      60,
+    )
+  }
+
+  // Canvas position of a longitude/latitude in the given view
+  projectToMap(longitude, latitude, view) {
+    const center = lngLatToWorld(view.longitude, view.latitude, view.zoom)
+    const point = lngLatToWorld(longitude, latitude, view.zoom)
+
+    return {
+      x: point.x - center.x + this.mapSize.width / 2,
+      y: point.y - center.y + this.mapSize.height / 2,
+    }
+  }
+
+  updateMap() {
+    const size = this.mapSize
+    const ctx = this.mapCtx
+    const view = this.getMapView()
+    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
+
+    ctx.clearRect(0, 0, size.width, size.height)
+    ctx.fillStyle = this.isDarkMode ? "#334155" : "#f1f5f9"
+    ctx.fillRect(0, 0, size.width, size.height)
+
+    const hasTiles = this.drawBasemapTiles(view)
+    if (!hasTiles) this.drawGraticule(view)
+    if (this.surfaceSettings.enabled) this.drawSurface(view)
+    this.drawMapLayers(view)
+    this.drawHotspots(view)
+
+    // Hidden results must not keep the positions of an earlier drawing
+    this.results.forEach((result) => {
+      delete result._mapX
+      delete result._mapY
+    })
+    const samplesWithCoords = this.getDisplayedResults().filter((r) => r.latitude && r.longitude)
+
+    // Draw sample points
+    samplesWithCoords.forEach((result) => {
+      const { x, y } = this.projectToMap(result.longitude, result.latitude, view)
+
+      // Point color based on category
+      ctx.fillStyle = this.getCategoryColor(this.getIndexLevel(result))
+      ctx.beginPath()
+      ctx.arc(x, y, 8, 0, 2 * Math.PI)
+      ctx.fill()
+
+      // Draw border
+      ctx.strokeStyle = this.isDarkMode ? "#f8fafc" : "#1e293b"
+      ctx.lineWidth = 2
+      ctx.stroke()
+
+      // Store point data for hover and click detection
+      result._mapX = x
+      result._mapY = y
+    })
+
+    if (samplesWithCoords.length === 0) {
+      ctx.fillStyle = textColor
+      ctx.font = "16px sans-serif"
+      ctx.textAlign = "center"
+      ctx.fillText("No location data available", size.width / 2, size.height / 2)
+    }
+
+    this.drawScaleBar(view)
+    this.renderSurfaceLegend()
+    this.renderHotspotTable()
+
+    // Source of the basemap, bottom right
+    const source = this.basemapArchive ? this.basemapArchive.name : this.basemapUrl
+    if (hasTiles && source) {
+      ctx.font = "11px sans-serif"
+      ctx.textAlign = "right"
+      ctx.fillStyle = textColor
+      ctx.fillText(`Basemap: ${source}`, size.width - 8, size.height - 8)
+    }
+  }
+
+  // Draws the tiles of the loaded tile archive, or of the tile URL, that cover the view. Tiles still loading
+  // are drawn when they arrive. Returns false when no basemap is set.
+  drawBasemapTiles(view) {
+    if (!this.basemapArchive && !this.basemapUrl) return false
+
+    const size = this.mapSize
+    const tileZoom = Math.round(view.zoom)
+    const tileSize = TILE_SIZE * Math.pow(2, view.zoom - tileZoom)
+    const center = lngLatToWorld(view.longitude, view.latitude, tileZoom)
+    const scale = tileSize / TILE_SIZE
+    const left = center.x * scale - size.width / 2
+    const top = center.y * scale - size.height / 2
+    const tileCount = Math.pow(2, tileZoom)
+
+    for (let ty = Math.floor(top / tileSize); ty <= Math.floor((top + size.height) / tileSize); ty++) {
+      if (ty < 0 || ty >= tileCount) continue
+
+      for (let tx = Math.floor(left / tileSize); tx <= Math.floor((left + size.width) / tileSize); tx++) {
+        // Tiles repeat east and west of the antimeridian
+        const image = this.getMapTile(tileZoom, ((tx % tileCount) + tileCount) % tileCount, ty)
+        if (image) {
+          this.mapCtx.drawImage(image, tx * tileSize - left, ty * tileSize - top, tileSize, tileSize)
+        }
+      }
+    }
+
+    return true
+  }
+
+  // Loaded tile image, or null while it loads (the map is redrawn once it has) or when it does not exist
+  getMapTile(z, x, y) {
+    const key = `${z}/${x}/${y}`
+    const cached = this.tileCache.get(key)
+    if (cached) return cached.loaded ? cached.image : null
+
+    const entry = { image: new Image(), loaded: false }
+    this.tileCache.set(key, entry)
+    entry.image.onload = () => {
+      entry.loaded = true
+      this.updateMap()
+    }
+
+    if (this.basemapArchive) {
+      const tile = this.basemapArchive.tiles.get(key)
+      if (!tile) return null
+
+      const type = tile.type === "jpg" ? "jpeg" : tile.type
+      readZipEntry(tile)
+        .then((data) => {
+          entry.image.src = URL.createObjectURL(new Blob([data], { type: `image/${type}` }))
+        })
+        .catch((error) => console.error(`Error reading tile ${key}:`, error))
+    } else {
+      entry.image.src = fillTileUrl(this.basemapUrl, z, x, y)
+    }
+
+    return null
+  }
+
+  // Latitude and longitude lines at a round interval, for orientation when there is no basemap
+  drawGraticule(view) {
+    const size = this.mapSize
+    const ctx = this.mapCtx
+    const topLeft = this.mapToLngLat(0, 0, view)
+    const bottomRight = this.mapToLngLat(size.width, size.height, view)
+    const span = bottomRight.longitude - topLeft.longitude
+    const step = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 30].find((s) => span / s <= 8) || 30
+    const digits = Math.max(0, -Math.floor(Math.log10(step)))
+
+    ctx.strokeStyle = this.isDarkMode ? "#475569" : "#e2e8f0"
+    ctx.fillStyle = this.isDarkMode ? "#94a3b8" : "#64748b"
     ctx.lineWidth = 1
+    ctx.font = "11px sans-serif"
 
-    // Y-axis labels and grid
-    for (let i = 0; i <= 5; i++) {
-      const y = padding + (chartHeight / 5) * i
-      const value = maxHMPI - (maxHMPI / 5) * i
+    for (let lng = Math.ceil(topLeft.longitude / step) * step; lng <= bottomRight.longitude; lng += step) {
+      const { x } = this.projectToMap(lng, view.latitude, view)
+      ctx.beginPath()
+      ctx.moveTo(x, 0)
+      ctx.lineTo(x, size.height)
+      ctx.stroke()
+      ctx.textAlign = "center"
+      ctx.fillText(`${lng.toFixed(digits)}°`, x, 14)
+    }
 
+    for (let lat = Math.ceil(bottomRight.latitude / step) * step; lat <= topLeft.latitude; lat += step) {
+      const { y } = this.projectToMap(view.longitude, lat, view)
       ctx.beginPath()
-      ctx.moveTo(padding, y)
-      ctx.lineTo(padding + chartWidth, y)
+      ctx.moveTo(0, y)
+      ctx.lineTo(size.width, y)
       ctx.stroke()
+      ctx.textAlign = "left"
+      ctx.fillText(`${lat.toFixed(digits)}°`, 4, y - 3)
+    }
+  }
+
+  // Vector layers loaded from GeoJSON files: polygons filled lightly, lines stroked, points as small squares.
+  // Boundary names are drawn on top, for the areas large enough on screen to hold them.
+  drawMapLayers(view) {
+    const ctx = this.mapCtx
+    const visible = this.mapLayers.filter((layer) => layer.visible)
+
+    visible.forEach((layer) => {
+      ctx.strokeStyle = layer.color
+      ctx.fillStyle = layer.color
+      ctx.lineWidth = 1.5
+
+      getGeoJSONFeatures(layer.geojson).forEach((feature) => {
+        getGeometryParts(feature.geometry).forEach((part) => {
+          if (part.kind === "point") {
+            const { x, y } = this.projectToMap(part.coordinates[0], part.coordinates[1], view)
+            ctx.fillRect(x - 3, y - 3, 6, 6)
+            return
+          }
+
+          const rings = part.kind === "polygon" ? part.coordinates : [part.coordinates]
+          ctx.beginPath()
+          rings.forEach((ring) => {
+            ring.forEach(([longitude, latitude], position) => {
+              const { x, y } = this.projectToMap(longitude, latitude, view)
+              if (position === 0) {
+                ctx.moveTo(x, y)
+              } else {
+                ctx.lineTo(x, y)
+              }
+            })
+          })
+
+          if (part.kind === "polygon") {
+            ctx.globalAlpha = 0.12
+            ctx.fill("evenodd")
+            ctx.globalAlpha = 1
+          }
+          ctx.stroke()
+        })
+      })
+    })
+
+    ctx.font = "12px sans-serif"
+    ctx.textAlign = "center"
+    visible
+      .filter((layer) => layer.showLabels)
+      .forEach((layer) => {
+        ctx.fillStyle = layer.color
+        ;(this.boundaryIndexes.get(layer.id) || [])
+          .filter((area) => area.label)
+          .forEach((area) => {
+            const topLeft = this.projectToMap(area.bounds[0], area.bounds[3], view)
+            const bottomRight = this.projectToMap(area.bounds[2], area.bounds[1], view)
+            if (bottomRight.x - topLeft.x < ctx.measureText(area.name).width + 8 || bottomRight.y - topLeft.y < 16) return
+
+            const { x, y } = this.projectToMap(area.label[0], area.label[1], view)
+            ctx.fillText(area.name, x, y)
+          })
+      })
+  }
+
+  drawScaleBar(view) {
+    const ctx = this.mapCtx
+    const scale = getScaleBar(view.latitude, view.zoom, 120)
+    const x = 16
+    const y = this.mapSize.height - 20
+
+    ctx.strokeStyle = this.isDarkMode ? "#f8fafc" : "#1e293b"
+    ctx.fillStyle = ctx.strokeStyle
+    ctx.lineWidth = 2
+    ctx.beginPath()
+    ctx.moveTo(x, y - 6)
+    ctx.lineTo(x, y)
+    ctx.lineTo(x + scale.width, y)
+    ctx.lineTo(x + scale.width, y - 6)
+    ctx.stroke()
+
+    ctx.font = "12px sans-serif"
+    ctx.textAlign = "left"
+    ctx.fillText(scale.label, x + 4, y - 8)
+  }
+
+  mapToLngLat(x, y, view) {
+    const center = lngLatToWorld(view.longitude, view.latitude, view.zoom)
+    return worldToLngLat(center.x + x - this.mapSize.width / 2, center.y + y - this.mapSize.height / 2, view.zoom)
+  }
+
+  // Mouse position in the map's CSS pixels, the units it is drawn in
+  getMapPoint(e) {
+    const rect = this.mapCanvas.getBoundingClientRect()
+    const scaleX = rect.width ? this.mapSize.width / rect.width : 1
+    const scaleY = rect.height ? this.mapSize.height / rect.height : 1
+    return { x: (e.clientX - rect.left) * scaleX, y: (e.clientY - rect.top) * scaleY }
+  }
+
+  // Nearest drawn result within 12 pixels of a canvas point
+  findMapResult(point) {
+    let nearest = null
+    let nearestDistance = 12
+
+    this.results
+      .filter((r) => r._mapX !== undefined)
+      .forEach((result) => {
+        const distance = Math.hypot(point.x - result._mapX, point.y - result._mapY)
+        if (distance <= nearestDistance) {
+          nearest = result
+          nearestDistance = distance
+        }
+      })
+
+    return nearest
+  }
+
+  handleMapPointerDown(e) {
+    if (e.button !== 0) return
+    const point = this.getMapPoint(e)
+    this.mapDrag = { start: point, view: { ...this.getMapView() }, moved: false }
+    this.mapCanvas.classList.add("dragging")
+  }
+
+  handleMapPointerMove(e) {
+    if (!this.mapDrag) {
+      this.handleMapHover(e)
+      return
+    }
+
+    const point = this.getMapPoint(e)
+    const dx = point.x - this.mapDrag.start.x
+    const dy = point.y - this.mapDrag.start.y
+    if (!this.mapDrag.moved && Math.hypot(dx, dy) < 4) return
+
+    // Moving the map by (dx, dy) puts the point that was at the centre minus (dx, dy) in the centre
+    const start = this.mapDrag.view
+    const center = lngLatToWorld(start.longitude, start.latitude, start.zoom)
+    const next = worldToLngLat(center.x - dx, center.y - dy, start.zoom)
+
+    this.mapDrag.moved = true
+    this.mapView = { longitude: next.longitude, latitude: clampLatitude(next.latitude), zoom: start.zoom }
+    this.hideMapTooltip()
+    this.updateMap()
+  }
+
+  // A press without dragging is a click: it opens the details of the sample under the pointer
+  handleMapPointerUp(e) {
+    if (!this.mapDrag) return
+    const drag = this.mapDrag
+    this.mapDrag = null
+    this.mapCanvas.classList.remove("dragging")
+
+    if (drag.moved) {
+      this.scheduleSave()
+      return
+    }
+
+    const result = this.findMapResult(this.getMapPoint(e))
+    if (result) this.showSampleDetails(result.id)
+  }
+
+  handleMapWheel(e) {
+    e.preventDefault()
+    this.zoomMap(-e.deltaY * (e.deltaMode === 1 ? 0.05 : 0.002), this.getMapPoint(e))
+  }
+
+  // Changes the zoom by delta levels, keeping the map position under the anchor point in place
+  zoomMap(delta, anchor = { x: this.mapSize.width / 2, y: this.mapSize.height / 2 }) {
+    const view = this.getMapView()
+    const zoom = clampZoom(view.zoom + delta)
+    if (zoom === view.zoom) return
+
+    const anchorLngLat = this.mapToLngLat(anchor.x, anchor.y, view)
+    const anchorWorld = lngLatToWorld(anchorLngLat.longitude, anchorLngLat.latitude, zoom)
+    const center = worldToLngLat(
+      anchorWorld.x - (anchor.x - this.mapSize.width / 2),
+      anchorWorld.y - (anchor.y - this.mapSize.height / 2),
+      zoom,
+    )
+
+    this.mapView = { longitude: center.longitude, latitude: clampLatitude(center.latitude), zoom: zoom }
+    this.updateMap()
+    this.scheduleSave()
+  }
+
+  fitMapToSamples() {
+    this.mapView = null
+    this.updateMap()
+    this.scheduleSave()
+  }
+
+  handleMapHover(e) {
+    const result = this.findMapResult(this.getMapPoint(e))
+    if (result) {
+      this.mapCanvas.style.cursor = "pointer"
+      this.showMapTooltip(e, result)
+      return
+    }
+
+    this.mapCanvas.style.cursor = ""
+    this.hideMapTooltip()
+  }
+
+  showMapTooltip(e, result) {
+    const tooltip = this.mapTooltip
+    const container = tooltip.parentElement.getBoundingClientRect()
+
+    tooltip.innerHTML = `
+            <strong>${escapeHtml(result.name)}</strong><br>
+            ${result.sampledAt ? `Sampled: ${formatSamplingDate(result.sampledAt)}<br>` : ""}
+            ${this.getDisplayIndex().shortName}: ${this.formatIndexValue(result)}<br>
+            Category: ${this.getIndexBand(result)}<br>
+            ${this.describeAreas(result) ? `${escapeHtml(this.describeAreas(result))}<br>` : ""}
+            Location: ${result.latitude.toFixed(4)}, ${result.longitude.toFixed(4)}
+        `
+
+    tooltip.style.left = e.clientX - container.left + 10 + "px"
+    tooltip.style.top = e.clientY - container.top - 10 + "px"
+    tooltip.style.opacity = "1"
+  }
+
+  hideMapTooltip() {
+    this.mapTooltip.style.opacity = "0"
+  }
 
-      ctx.fillText(value.toFixed(0), 10, y + 4)
+  // Interpolated Surface
+  // Value to interpolate: the displayed index, or a metal classed against the active profile's acceptable
+  // and permissible limits, so the surface takes the same safe/moderate/hazardous colours as the points
+  getSurfaceParameter() {
+    const metal = getMetal(this.surfaceSettings.parameter)
+    const limit = metal && this.activeProfile.limits[metal.key]
+
+    if (metal && limit) {
+      const bands = [
+        ...(limit.acceptable < limit.permissible ? [{ max: limit.acceptable, label: "Within acceptable limit", level: "safe" }] : []),
+        {
+          max: limit.permissible,
+          label: limit.acceptable < limit.permissible ? "Within permissible limit" : "Within limit",
+          level: limit.acceptable < limit.permissible ? "moderate" : "safe",
+        },
+        { max: Infinity, label: "Above permissible limit", level: "hazardous" },
+      ]
+      return { id: metal.key, label: `${metal.symbol} (${metal.unit})`, bands, value: (result) => result.metals[metal.key] ?? null }
     }
 
-    // Draw bars
-    this.results.forEach((result, index) => {
-      const x = padding + index * (barWidth + barSpacing) + barSpacing / 2
-      const barHeight = (result.hmpi / maxHMPI) * chartHeight
-      const y = padding + chartHeight - barHeight
+    const index = this.getDisplayIndex()
+    return { id: index.id, label: index.shortName, bands: index.bands, value: (result) => this.getIndexValue(result) }
+  }
 
-      // Color based on category
-      ctx.fillStyle = result.category === "safe" ? "#10b981" : result.category === "moderate" ? "#f59e0b" : "#ef4444"
+  // Problem with the typed settings that stops a surface being built, or ""
+  getSurfaceSettingsError() {
+    const { method, power, nugget, sill, range } = this.surfaceSettings
 
-      ctx.fillRect(x, y, barWidth, barHeight)
+    if (method === "idw") return power > 0 ? "" : "The IDW power must be above zero"
+    if (nugget !== null && nugget < 0) return "The nugget cannot be negative"
+    if (sill !== null && sill <= (nugget ?? 0)) return "The sill must be greater than the nugget"
+    if (range !== null && range <= 0) return "The range must be above zero"
+    return ""
+  }
 
-      // Sample name
-      ctx.fillStyle = textColor
-      ctx.save()
-      ctx.translate(x + barWidth / 2, padding + chartHeight + 20)
-      ctx.rotate(-Math.PI / 4)
-      ctx.fillText(result.name, 0, 0)
-      ctx.restore()
+  // Grid of the surface for the displayed results ({ grid, parameter, points } or { error }), rebuilt only
+  // when the samples, the parameter or the settings change
+  getSurface() {
+    const parameter = this.getSurfaceParameter()
+    const points = this.getDisplayedResults()
+      .filter((result) => result.latitude && result.longitude && parameter.value(result) !== null)
+      .map((result) => ({ longitude: result.longitude, latitude: result.latitude, value: parameter.value(result) }))
+    const clip = this.boundaryIndexes.get(this.surfaceSettings.clip)
+    const key = JSON.stringify([this.surfaceSettings, parameter.id, this.activeProfile.id, Boolean(clip), points])
 
-      // HMPI value on top of bar
-      ctx.fillText(result.hmpi.toFixed(1), x + barWidth / 2 - 15, y - 5)
-    })
+    if (this.surfaceCache && this.surfaceCache.key === key) return this.surfaceCache
 
-    // Chart title
-    ctx.fillStyle = textColor
-    ctx.font = "bold 16px sans-serif"
-    ctx.fillText("HMPI Values by Sample", canvas.width / 2 - 80, 30)
+    const error = this.getSurfaceSettingsError()
+    this.surfaceCache = { key, parameter, points, error }
+    if (error) return this.surfaceCache
 
-    this.updateChartLegend()
+    const { method, power, model, nugget, sill, range, resolution } = this.surfaceSettings
+    try {
+      this.surfaceCache.grid = buildSurfaceGrid(
+        points,
+        { method, power, model, variogram: { nugget, sill, range } },
+        resolution,
+        clip ? (longitude, latitude) => findContainingArea(clip, longitude, latitude) !== null : undefined,
+      )
+    } catch (error) {
+      this.surfaceCache.error = error.message
+    }
+    return this.surfaceCache
   }
 
-  drawPieChart() {
-    const canvas = this.chartCanvas
-    const ctx = this.chartCtx
+  // Grid cells filled with the colour of their class. Mercator keeps meridians and parallels straight, so
+  // cell edges are projected once per column and row.
+  drawSurface(view) {
+    const { grid, parameter } = this.getSurface()
+    if (!grid) return
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    const ctx = this.mapCtx
+    const xs = Array.from({ length: grid.columns + 1 }, (_, c) => this.projectToMap(grid.west + c * grid.cellSize, grid.north, view).x)
+    const ys = Array.from({ length: grid.rows + 1 }, (_, r) => this.projectToMap(grid.west, grid.north - r * grid.cellSize, view).y)
 
-    const centerX = canvas.width / 2
-    const centerY = canvas.height / 2
-    const radius = Math.min(canvas.width, canvas.height) / 3
+    ctx.globalAlpha = 0.45
+    for (let row = 0; row < grid.rows; row++) {
+      if (ys[row + 1] < 0 || ys[row] > this.mapSize.height) continue
 
-    const counts = {
-      safe: this.results.filter((r) => r.category === "safe").length,
-      moderate: this.results.filter((r) => r.category === "moderate").length,
-      hazardous: this.results.filter((r) => r.category === "hazardous").length,
-    }
+      for (let column = 0; column < grid.columns; column++) {
+        const value = grid.values[row * grid.columns + column]
+        if (Number.isNaN(value) || xs[column + 1] < 0 || xs[column] > this.mapSize.width) continue
 
-    const total = this.results.length
-    const colors = {
-      safe: "#10b981",
-      moderate: "#f59e0b",
-      hazardous: "#ef4444",
+        ctx.fillStyle = this.getCategoryColor(classifyIndex(parameter, value).level)
+        // Half a pixel of overlap hides seams between cells
+        ctx.fillRect(xs[column], ys[row], xs[column + 1] - xs[column] + 0.5, ys[row + 1] - ys[row] + 0.5)
+      }
     }
+    ctx.globalAlpha = 1
+  }
 
-    let currentAngle = -Math.PI / 2
-
-    Object.entries(counts).forEach(([category, count]) => {
-      if (count === 0) return
+  renderSurfaceControls() {
+    const settings = this.surfaceSettings
+    const parameter = document.getElementById("surfaceParameter")
+    const clip = document.getElementById("surfaceClip")
+
+    parameter.innerHTML = [
+      `<option value="index">${this.getDisplayIndex().shortName}</option>`,
+      ...METAL_REGISTRY.map((metal) => `<option value="${metal.key}">${metal.name} (${metal.symbol})</option>`),
+    ].join("")
+    parameter.value = getMetal(settings.parameter) ? settings.parameter : "index"
+
+    document.getElementById("variogramModel").innerHTML = VARIOGRAM_MODELS.map(
+      (model) => `<option value="${model.id}">${model.label}</option>`,
+    ).join("")
+
+    clip.innerHTML =
+      '<option value="none">No clipping</option>' +
+      this.getBoundaryLayers()
+        .map((layer) => `<option value="${layer.id}">Clip to ${escapeHtml(layer.level)} boundaries</option>`)
+        .join("")
+    clip.value = this.boundaryIndexes.has(settings.clip) ? settings.clip : "none"
+
+    document.getElementById("surfaceEnabled").checked = settings.enabled
+    document.getElementById("surfaceMethod").value = settings.method
+    document.getElementById("surfacePower").value = settings.power
+    document.getElementById("variogramModel").value = settings.model
+    document.getElementById("variogramNugget").value = settings.nugget ?? ""
+    document.getElementById("variogramSill").value = settings.sill ?? ""
+    document.getElementById("variogramRange").value = settings.range ?? ""
+    document.getElementById("surfaceResolution").value = settings.resolution
+
+    document.querySelectorAll("#surfaceControls [data-method]").forEach((field) => {
+      field.hidden = field.dataset.method !== settings.method
+    })
+  }
 
-      const sliceAngle = (count / total) * 2 * Math.PI
+  handleSurfaceChange() {
+    const optional = (id) => {
+      const value = parseFloat(document.getElementById(id).value)
+      return Number.isFinite(value) ? value : null
+    }
+    const resolution = parseInt(document.getElementById("surfaceResolution").value, 10)
+
+    this.surfaceSettings = {
+      enabled: document.getElementById("surfaceEnabled").checked,
+      parameter: document.getElementById("surfaceParameter").value,
+      method: document.getElementById("surfaceMethod").value,
+      power: optional("surfacePower") ?? this.surfaceSettings.power,
+      model: document.getElementById("variogramModel").value,
+      nugget: optional("variogramNugget"),
+      sill: optional("variogramSill"),
+      range: optional("variogramRange"),
+      resolution: Number.isFinite(resolution) ? Math.max(20, Math.min(200, resolution)) : this.surfaceSettings.resolution,
+      clip: document.getElementById("surfaceClip").value,
+    }
 
-      ctx.beginPath()
-      ctx.moveTo(centerX, centerY)
-      ctx.arc(centerX, centerY, radius, currentAngle, currentAngle + sliceAngle)
-      ctx.closePath()
-      ctx.fillStyle = colors[category]
-      ctx.fill()
+    this.renderSurfaceControls()
+    this.updateMap()
+    this.scheduleSave()
+  }
 
-      // Label
-      const labelAngle = currentAngle + sliceAngle / 2
-      const labelX = centerX + Math.cos(labelAngle) * (radius * 0.7)
-      const labelY = centerY + Math.sin(labelAngle) * (radius * 0.7)
+  // Class legend of the surface and its state: the settings used, with estimated variogram parameters as
+  // placeholders, or why no surface can be drawn
+  renderSurfaceLegend() {
+    const legend = document.getElementById("surfaceLegend")
+    if (!this.surfaceSettings.enabled) {
+      legend.innerHTML = ""
+      return
+    }
 
-      ctx.fillStyle = "white"
-      ctx.font = "bold 14px sans-serif"
-      ctx.textAlign = "center"
-      ctx.fillText(`${count}`, labelX, labelY)
+    const surface = this.getSurface()
+    const { method, power, model } = this.surfaceSettings
+    let description = `${surface.parameter.label} by inverse distance weighting, power ${power}`
+
+    if (method === "kriging") {
+      const merged = mergeColocatedPoints(surface.points)
+      const estimate = merged.length >= 3 ? estimateVariogram(merged) : null
+      ;["nugget", "sill", "range"].forEach((name) => {
+        document.getElementById(`variogram${name.charAt(0).toUpperCase()}${name.slice(1)}`).placeholder = estimate
+          ? `${Number(estimate[name].toPrecision(3))} (estimated)`
+          : "Estimated"
+      })
+      description = `${surface.parameter.label} by ordinary kriging, ${VARIOGRAM_MODELS.find((m) => m.id === model).label.toLowerCase()} variogram`
+    }
 
-      currentAngle += sliceAngle
-    })
+    legend.innerHTML = `
+            <h4>Surface: ${description}</h4>
+            ${surface.error ? `<p class="surface-error">${surface.error}</p>` : this.renderBandLegend(surface.parameter)}
+        `
+  }
 
-    // Title
-    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
-    ctx.fillStyle = textColor
-    ctx.font = "bold 16px sans-serif"
-    ctx.textAlign = "center"
-    ctx.fillText("HMPI Category Distribution", centerX, 30)
+  exportSurface(format) {
+    const { grid, parameter, error } = this.getSurface()
+    if (!grid) {
+      this.showError(error || "No surface to export")
+      return
+    }
 
-    this.updateChartLegend()
+    const name = `hmpi_surface_${parameter.id}_${new Date().toISOString().split("T")[0]}`
+    if (format === "geotiff") {
+      this.downloadBlob(new Blob([writeGeoTIFF(grid)], { type: "image/tiff" }), `${name}.tif`)
+    } else {
+      this.downloadBlob(new Blob([writeAsciiGrid(grid)], { type: "text/plain" }), `${name}.asc`)
+    }
   }
 
-  drawLineChart() {
-    const canvas = this.chartCanvas
-    const ctx = this.chartCtx
+  // Hotspot Analysis
+  // Runs on the displayed results with a value for the displayed index. Returns { results, stats, groups,
+  // band, error }: stats[i] describes results[i] ({ z, confidence, kind: "hot" | "cold" | "outlier" | "" }),
+  // groups are the hotspot areas and hazardous clusters, ranked.
+  getHotspots() {
+    const settings = this.hotspotSettings
+    const located = this.getDisplayedResults().filter(
+      (result) => result.latitude && result.longitude && this.getIndexValue(result) !== null,
+    )
+    // One value per well: its latest sample
+    const results = selectLatestPerLocation(located)
+    const key = JSON.stringify([
+      settings,
+      this.displayIndex,
+      located.map((result) => [
+        result.id,
+        result.longitude,
+        result.latitude,
+        result.sampledAt,
+        this.getIndexValue(result),
+        this.getIndexLevel(result),
+      ]),
+    ])
+
+    if (this.hotspotCache && this.hotspotCache.key === key) return this.hotspotCache
+
+    const cache = { key, results, repeats: located.length - results.length, stats: [], groups: [], band: null, error: "" }
+    this.hotspotCache = cache
+    if (settings.method === "none" && !settings.cluster) return cache
+
+    if (results.length < 3) {
+      cache.error = "At least three sampled locations with a value are needed for hotspot analysis"
+      return cache
+    }
+
+    const values = results.map((result) => this.getIndexValue(result))
+    const distances = getDistanceMatrix(results)
+    cache.band = settings.band ?? getDefaultDistanceBand(distances)
+    if (!(cache.band > 0)) {
+      cache.error = "The distance band must be above zero"
+      return cache
+    }
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    const radius = Math.max(cache.band / 4, 0.1)
+    const mean = (indexes, list) => indexes.reduce((sum, i) => sum + list[i], 0) / indexes.length
+    const group = (kind, members, score, statistic) => ({
+      kind,
+      members: members.map((i) => results[i]),
+      score,
+      statistic,
+      meanValue: mean(members, values),
+      polygon: getHotspotPolygon(members.map((i) => results[i]), radius),
+    })
 
-    if (this.results.length < 2) {
-      const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
-      ctx.fillStyle = textColor
-      ctx.font = "16px sans-serif"
-      ctx.textAlign = "center"
-      ctx.fillText("Need at least 2 samples for trend analysis", canvas.width / 2, canvas.height / 2)
-      return
+    if (settings.method === "gi") {
+      const scores = computeGiStar(values, distances, cache.band)
+      cache.stats = scores.map((z) => {
+        const confidence = getHotspotConfidence(z)
+        return { z, confidence, kind: confidence ? (z > 0 ? "hot" : "cold") : "" }
+      })
+    } else if (settings.method === "moran") {
+      cache.stats = computeLocalMoran(values, distances, cache.band).map(({ z, type }) => ({
+        z,
+        confidence: getHotspotConfidence(z),
+        type,
+        kind: { "high-high": "hot", "low-low": "cold", "high-low": "outlier", "low-high": "outlier" }[type] || "",
+      }))
     }
 
-    const padding = 60
-    const chartWidth = canvas.width - 2 * padding
-    const chartHeight = canvas.height - 2 * padding
+    // Areas of significant wells (95% and above) that are neighbours of each other
+    const significant = (kind) =>
+      cache.stats
+        .map((stat, i) => (stat.kind === kind && Math.abs(stat.z) >= 1.96 ? i : -1))
+        .filter((i) => i >= 0)
+    const scores = cache.stats.map((stat) => stat.z)
+    const statisticName = settings.method === "gi" ? "mean Gi* z" : "mean Moran z"
+    const hot = groupConnectedPoints(significant("hot"), distances, cache.band).map((members) =>
+      group("Hot spot", members, mean(members, scores), statisticName),
+    )
+    const cold = groupConnectedPoints(significant("cold"), distances, cache.band).map((members) =>
+      group("Cold spot", members, mean(members, scores), statisticName),
+    )
+
+    let clusters = []
+    if (settings.cluster) {
+      const hazardous = results.map((result, i) => (this.getIndexLevel(result) === "hazardous" ? i : -1)).filter((i) => i >= 0)
+      const labels = clusterDBSCAN(
+        hazardous.map((i) => hazardous.map((j) => distances[i][j])),
+        settings.clusterDistance ?? cache.band,
+        settings.minSamples,
+      )
+      clusters = [...new Set(labels.filter((label) => label >= 0))].map((label) => {
+        const members = hazardous.filter((_, position) => labels[position] === label)
+        return group("Hazardous cluster", members, members.length, "samples")
+      })
+    }
 
-    const sortedResults = [...this.results].sort((a, b) => a.name.localeCompare(b.name))
-    const maxHMPI = Math.max(...sortedResults.map((r) => r.hmpi))
-    const minHMPI = Math.min(...sortedResults.map((r) => r.hmpi))
-    const range = maxHMPI - minHMPI || 1
+    cache.groups = [
+      ...hot.sort((a, b) => b.score - a.score),
+      ...clusters.sort((a, b) => b.score - a.score || b.meanValue - a.meanValue),
+      ...cold.sort((a, b) => a.score - b.score),
+    ]
+    return cache
+  }
 
-    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
-    const gridColor = this.isDarkMode ? "#475569" : "#e2e8f0"
+  // Hotspot areas under the points, and a ring around every significant well
+  drawHotspots(view) {
+    const { results, stats, groups } = this.getHotspots()
+    const ctx = this.mapCtx
+    const colors = { "Hot spot": "#dc2626", "Cold spot": "#2563eb", "Hazardous cluster": "#7c3aed" }
 
-    // Draw grid
-    ctx.strokeStyle = gridColor
-    ctx.lineWidth = 1
+    groups.forEach((entry) => {
+      ctx.beginPath()
+      entry.polygon.forEach(([longitude, latitude], position) => {
+        const { x, y } = this.projectToMap(longitude, latitude, view)
+        if (position === 0) {
+          ctx.moveTo(x, y)
+        } else {
+          ctx.lineTo(x, y)
+        }
+      })
+      ctx.fillStyle = colors[entry.kind]
+      ctx.strokeStyle = colors[entry.kind]
+      ctx.globalAlpha = 0.15
+      ctx.fill()
+      ctx.globalAlpha = 1
+      ctx.lineWidth = 2
+      ctx.setLineDash(entry.kind === "Hazardous cluster" ? [6, 4] : [])
+      ctx.stroke()
+      ctx.setLineDash([])
+    })
 
-    for (let i = 0; i <= 5; i++) {
-      const y = padding + (chartHeight / 5) * i
+    const ringColors = { hot: "#dc2626", cold: "#2563eb", outlier: "#f59e0b" }
+    stats.forEach((stat, i) => {
+      if (!stat.kind || !stat.confidence) return
+      const { x, y } = this.projectToMap(results[i].longitude, results[i].latitude, view)
+      ctx.strokeStyle = ringColors[stat.kind]
+      ctx.lineWidth = stat.confidence === "99%" ? 4 : stat.confidence === "95%" ? 3 : 2
       ctx.beginPath()
-      ctx.moveTo(padding, y)
-      ctx.lineTo(padding + chartWidth, y)
+      ctx.arc(x, y, 13, 0, 2 * Math.PI)
       ctx.stroke()
-    }
+    })
+  }
 
-    // Draw line
-    ctx.strokeStyle = "#3b82f6"
-    ctx.lineWidth = 3
-    ctx.beginPath()
+  renderHotspotControls() {
+    const settings = this.hotspotSettings
 
-    sortedResults.forEach((result, index) => {
-      const x = padding + (index / (sortedResults.length - 1)) * chartWidth
-      const y = padding + chartHeight - ((result.hmpi - minHMPI) / range) * chartHeight
+    document.getElementById("hotspotMethod").innerHTML = HOTSPOT_METHODS.map(
+      (method) => `<option value="${method.id}">${method.label}</option>`,
+    ).join("")
+    document.getElementById("hotspotMethod").value = settings.method
+    document.getElementById("hotspotBand").value = settings.band ?? ""
+    document.getElementById("hotspotCluster").checked = settings.cluster
+    document.getElementById("clusterDistance").value = settings.clusterDistance ?? ""
+    document.getElementById("clusterMinSamples").value = settings.minSamples
 
-      if (index === 0) {
-        ctx.moveTo(x, y)
-      } else {
-        ctx.lineTo(x, y)
-      }
+    document.querySelectorAll("#hotspotControls [data-cluster]").forEach((field) => {
+      field.hidden = !settings.cluster
     })
+  }
 
-    ctx.stroke()
+  handleHotspotChange() {
+    const optional = (id) => {
+      const value = parseFloat(document.getElementById(id).value)
+      return Number.isFinite(value) ? value : null
+    }
+    const minSamples = parseInt(document.getElementById("clusterMinSamples").value, 10)
+
+    this.hotspotSettings = {
+      method: document.getElementById("hotspotMethod").value,
+      band: optional("hotspotBand"),
+      cluster: document.getElementById("hotspotCluster").checked,
+      clusterDistance: optional("clusterDistance"),
+      minSamples: minSamples >= 2 ? minSamples : this.hotspotSettings.minSamples,
+    }
 
-    // Draw points
-    sortedResults.forEach((result, index) => {
-      const x = padding + (index / (sortedResults.length - 1)) * chartWidth
-      const y = padding + chartHeight - ((result.hmpi - minHMPI) / range) * chartHeight
+    this.renderHotspotControls()
+    this.updateMap()
+    this.scheduleSave()
+  }
 
-      ctx.fillStyle = result.category === "safe" ? "#10b981" : result.category === "moderate" ? "#f59e0b" : "#ef4444"
+  // Ranked list of hotspot areas and clusters with their member samples
+  renderHotspotTable() {
+    const panel = document.getElementById("hotspotPanel")
+    const { method, cluster } = this.hotspotSettings
+    panel.hidden = method === "none" && !cluster
+    if (panel.hidden) return
 
-      ctx.beginPath()
-      ctx.arc(x, y, 6, 0, 2 * Math.PI)
-      ctx.fill()
+    const { results, repeats, groups, band, error } = this.getHotspots()
+    const index = this.getDisplayIndex()
+    const summary = document.getElementById("hotspotSummary")
 
-      // Sample name
-      ctx.fillStyle = textColor
-      ctx.font = "10px sans-serif"
-      ctx.textAlign = "center"
-      ctx.fillText(result.name, x, padding + chartHeight + 20)
-    })
+    if (error) {
+      summary.innerHTML = `<span class="surface-error">${error}</span>`
+    } else {
+      document.getElementById("hotspotBand").placeholder = `${Number(band.toPrecision(3))} (default)`
+      summary.textContent =
+        `${index.shortName}, distance band ${Number(band.toPrecision(3))} km: ${groups.length} area${groups.length === 1 ? "" : "s"} found ` +
+        `among ${results.length} locations` +
+        (repeats > 0 ? `, using the latest sample of each (${repeats} earlier repeat sample${repeats === 1 ? "" : "s"} left out)` : "") +
+        ". Rings mark wells significant at 90%, 95% and 99% (thicker is more confident)."
+    }
 
-    // Title
-    ctx.fillStyle = textColor
-    ctx.font = "bold 16px sans-serif"
-    ctx.textAlign = "center"
-    ctx.fillText("HMPI Trend Analysis", canvas.width / 2, 30)
+    document.getElementById("hotspotTableBody").innerHTML =
+      groups
+        .map((entry, rank) => {
+          const stats = summarizeValues(entry.members.map((result) => this.getIndexValue(result)))
+          return `
+            <tr>
+                <td>${rank + 1}</td>
+                <td><span class="hotspot-kind ${entry.kind.split(" ")[0].toLowerCase()}">${entry.kind}</span></td>
+                <td>${entry.members.length}</td>
+                <td>${stats.mean.toFixed(2)}</td>
+                <td>${stats.max.toFixed(2)}</td>
+                <td>${entry.kind === "Hazardous cluster" ? "" : `${entry.score.toFixed(2)} (${entry.statistic})`}</td>
+                <td>${entry.members
+                  .map((result) => `<button type="button" class="link-button" onclick="hmpiCalc.showSampleDetails('${result.id}')">${escapeHtml(result.name)}</button>`)
+                  .join(", ")}</td>
+                <td><button class="btn btn-secondary btn-small" onclick="hmpiCalc.zoomToHotspot(${rank})">Show</button></td>
+            </tr>
+        `
+        })
+        .join("") || '<tr class="no-results"><td colspan="8">No significant hotspots or clusters</td></tr>'
+    document.getElementById("hotspotMeanHeader").textContent = `Mean ${index.shortName}`
+    document.getElementById("hotspotMaxHeader").textContent = `Max ${index.shortName}`
+  }
 
-    this.updateChartLegend()
+  zoomToHotspot(rank) {
+    const entry = this.getHotspots().groups[rank]
+    if (!entry) return
+
+    this.mapView = fitMapView(entry.polygon, this.mapSize.width, this.mapSize.height, 40)
+    this.updateMap()
+    this.scheduleSave()
   }
 
-  updateChartLegend() {
-    const legend = document.getElementById("chartLegend")
+  // Basemap and Vector Layers
+  // Both are kept in workspace settings, so they are available offline and in every project
+  async loadMapLayers() {
+    this.basemapUrl = await this.store.getSetting("basemapUrl", "")
+    // Layers saved before boundaries were named are shown, labelled and named by their detected property.
+    // A saved layer that no longer reads as GeoJSON is left out rather than drawn.
+    this.mapLayers = []
+    for (const saved of await this.store.getSetting("mapLayers", [])) {
+      try {
+        const features = getGeoJSONFeatures(saved.geojson)
+        if (features.length === 0) throw new Error("The layer has no GeoJSON features")
 
-    if (this.currentChart === "pie") {
-      const counts = {
-        safe: this.results.filter((r) => r.category === "safe").length,
-        moderate: this.results.filter((r) => r.category === "moderate").length,
-        hazardous: this.results.filter((r) => r.category === "hazardous").length,
+        const nameProperty = saved.nameProperty ?? findNameProperty(features)
+        const layer = { visible: true, showLabels: true, level: guessBoundaryLevel(nameProperty, saved.name), ...saved, nameProperty }
+        this.indexBoundaryLayer(layer)
+        this.mapLayers.push(layer)
+      } catch (error) {
+        console.error(`Skipping unreadable saved map layer ${saved && saved.name}:`, error)
       }
+    }
+    document.getElementById("basemapUrl").value = this.basemapUrl
 
-      legend.innerHTML = Object.entries(counts)
-        .filter(([_, count]) => count > 0)
-        .map(
-          ([category, count]) => `
-                    <div class="legend-item ${category}">
-                        <span class="legend-color"></span>
-                        ${category.charAt(0).toUpperCase() + category.slice(1)} (${count})
-                    </div>
-                `,
-        )
-        .join("")
-    } else {
-      legend.innerHTML = `
-                <div class="legend-item safe">
-                    <span class="legend-color"></span>
-                    Safe (≤ 100)
-                </div>
-                <div class="legend-item moderate">
-                    <span class="legend-color"></span>
-                    Moderate (100-200)
-                </div>
-                <div class="legend-item hazardous">
-                    <span class="legend-color"></span>
-                    Hazardous (> 200)
-                </div>
-            `
+    const archive = await this.store.getSetting("basemapArchive", null)
+    if (archive) {
+      try {
+        this.basemapArchive = { name: archive.name, tiles: indexTileArchive(readZip(archive.data)) }
+      } catch (error) {
+        console.error("Error reading saved tile archive:", error)
+      }
     }
-  }
 
-  // Map Functionality
-  initializeMap() {
-    this.mapCanvas = document.getElementById("mapCanvas")
-    this.mapCtx = this.mapCanvas.getContext("2d")
-    this.mapTooltip = document.getElementById("mapTooltip")
+    this.renderMapLayerList()
     this.updateMap()
   }
 
-  updateMap() {
-    const canvas = this.mapCanvas
-    const ctx = this.mapCtx
-
-    ctx.clearRect(0, 0, canvas.width, canvas.height)
+  async saveMapSetting(key, value) {
+    if (this.storageUnavailable) return
 
-    const samplesWithCoords = this.results.filter((r) => r.latitude && r.longitude)
-
-    if (samplesWithCoords.length === 0) {
-      const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
-      ctx.fillStyle = textColor
-      ctx.font = "16px sans-serif"
-      ctx.textAlign = "center"
-      ctx.fillText("No location data available", canvas.width / 2, canvas.height / 2)
-      return
+    try {
+      await this.store.setSetting(key, value)
+    } catch (error) {
+      console.error(`Error saving ${key}:`, error)
+      this.showError("Map layers could not be saved to browser storage")
     }
+  }
 
-    // Calculate bounds
-    const lats = samplesWithCoords.map((s) => s.latitude)
-    const lngs = samplesWithCoords.map((s) => s.longitude)
-    const minLat = Math.min(...lats)
-    const maxLat = Math.max(...lats)
-    const minLng = Math.min(...lngs)
-    const maxLng = Math.max(...lngs)
+  setBasemapUrl(url) {
+    this.basemapUrl = url.trim()
+    this.tileCache = new Map()
+    this.updateMap()
+    this.saveMapSetting("basemapUrl", this.basemapUrl)
+  }
 
-    const latRange = maxLat - minLat || 0.01
-    const lngRange = maxLng - minLng || 0.01
+  // Tile archive: a zip of {z}/{x}/{y}.png tiles, e.g. exported for the project area by a tile downloader
+  loadTileArchive(file) {
+    const reader = new FileReader()
 
-    const padding = 50
-    const mapWidth = canvas.width - 2 * padding
-    const mapHeight = canvas.height - 2 * padding
+    reader.onload = async (e) => {
+      try {
+        const data = e.target.result
+        this.basemapArchive = { name: file.name, tiles: indexTileArchive(readZip(data)) }
+        this.tileCache = new Map()
+        this.renderMapLayerList()
+        this.updateMap()
+        await this.saveMapSetting("basemapArchive", { name: file.name, data: data })
+      } catch (error) {
+        this.showError(`Error loading tile archive: ${error.message}`)
+      }
+    }
 
-    // Draw background
-    ctx.fillStyle = this.isDarkMode ? "#334155" : "#f1f5f9"
-    ctx.fillRect(padding, padding, mapWidth, mapHeight)
+    reader.readAsArrayBuffer(file)
+  }
 
-    // Draw border
-    ctx.strokeStyle = this.isDarkMode ? "#475569" : "#e2e8f0"
-    ctx.lineWidth = 2
-    ctx.strokeRect(padding, padding, mapWidth, mapHeight)
+  // GeoJSON or TopoJSON file. A layer with polygons is a boundary layer: samples are assigned to its areas,
+  // named by the detected name property, under a level name such as "District" chosen when it is added.
+  loadVectorLayer(file) {
+    const reader = new FileReader()
 
-    // Draw grid
-    ctx.strokeStyle = this.isDarkMode ? "#475569" : "#e2e8f0"
-    ctx.lineWidth = 1
+    reader.onload = async (e) => {
+      try {
+        const geojson = parseVectorLayer(e.target.result)
+        const features = getGeoJSONFeatures(geojson)
+        if (features.length === 0) {
+          throw new Error("The file has no GeoJSON or TopoJSON features")
+        }
 
-    for (let i = 1; i < 5; i++) {
-      const x = padding + (mapWidth / 5) * i
-      const y = padding + (mapHeight / 5) * i
+        const colors = ["#2563eb", "#7c3aed", "#0f766e", "#b45309", "#be185d", "#475569"]
+        const nameProperty = findNameProperty(features)
+        const layer = {
+          id: `layer-${Date.now()}`,
+          name: file.name,
+          color: colors[this.mapLayers.length % colors.length],
+          geojson: geojson,
+          visible: true,
+          showLabels: true,
+          nameProperty: nameProperty,
+          level: guessBoundaryLevel(nameProperty, file.name),
+        }
 
-      ctx.beginPath()
-      ctx.moveTo(x, padding)
-      ctx.lineTo(x, padding + mapHeight)
-      ctx.stroke()
+        if (createBoundaryIndex(geojson, nameProperty).length > 0) {
+          const level = prompt("Boundary level of this layer, used to filter and group results:", layer.level)
+          if (level && level.trim()) layer.level = level.trim()
+        }
 
-      ctx.beginPath()
-      ctx.moveTo(padding, y)
-      ctx.lineTo(padding + mapWidth, y)
-      ctx.stroke()
+        this.mapLayers.push(layer)
+        this.indexBoundaryLayer(layer)
+        this.renderMapLayerList()
+        this.updateResultsTable()
+        this.updateMap()
+        await this.saveMapSetting("mapLayers", this.mapLayers)
+      } catch (error) {
+        this.showError(`Error loading vector layer: ${error.message}`)
+      }
     }
 
-    // Draw sample points
-    samplesWithCoords.forEach((result) => {
-      const x = padding + ((result.longitude - minLng) / lngRange) * mapWidth
-      const y = padding + mapHeight - ((result.latitude - minLat) / latRange) * mapHeight
-
-      // Point color based on category
-      const color = result.category === "safe" ? "#10b981" : result.category === "moderate" ? "#f59e0b" : "#ef4444"
+    reader.readAsText(file)
+  }
 
-      // Draw point
-      ctx.fillStyle = color
-      ctx.beginPath()
-      ctx.arc(x, y, 8, 0, 2 * Math.PI)
-      ctx.fill()
+  removeMapLayer(id) {
+    if (id === "basemap") {
+      this.basemapArchive = null
+      this.tileCache = new Map()
+      this.saveMapSetting("basemapArchive", null)
+    } else {
+      this.mapLayers = this.mapLayers.filter((layer) => layer.id !== id)
+      this.boundaryIndexes.delete(id)
+      this.saveMapSetting("mapLayers", this.mapLayers)
+    }
 
-      // Draw border
-      ctx.strokeStyle = this.isDarkMode ? "#f8fafc" : "#1e293b"
-      ctx.lineWidth = 2
-      ctx.stroke()
+    this.renderMapLayerList()
+    this.updateResultsTable()
+    this.updateMap()
+  }
 
-      // Store point data for hover detection
-      result._mapX = x
-      result._mapY = y
-    })
+  // Shows or hides a layer ("visible") or its area names ("showLabels")
+  toggleMapLayer(id, option, enabled) {
+    const layer = this.mapLayers.find((candidate) => candidate.id === id)
+    if (!layer) return
 
-    // Draw coordinate labels
-    const textColor = this.isDarkMode ? "#f8fafc" : "#1e293b"
-    ctx.fillStyle = textColor
-    ctx.font = "12px sans-serif"
-    ctx.textAlign = "center"
+    layer[option] = enabled
+    this.updateMap()
+    this.saveMapSetting("mapLayers", this.mapLayers)
+  }
 
-    // Latitude labels
-    for (let i = 0; i <= 4; i++) {
-      const lat = minLat + (latRange / 4) * i
-      const y = padding + mapHeight - (mapHeight / 4) * i
-      ctx.fillText(lat.toFixed(3), 25, y + 4)
-    }
+  renderMapLayerList() {
+    const basemap = this.basemapArchive
+      ? `
+            <span class="map-layer-item">
+                🗺️ ${escapeHtml(this.basemapArchive.name)} (${this.basemapArchive.tiles.size} tiles)
+                <button type="button" class="map-layer-remove" onclick="hmpiCalc.removeMapLayer('basemap')" aria-label="Remove ${escapeHtml(this.basemapArchive.name)}">&times;</button>
+            </span>
+        `
+      : ""
 
-    // Longitude labels
-    for (let i = 0; i <= 4; i++) {
-      const lng = minLng + (lngRange / 4) * i
-      const x = padding + (mapWidth / 4) * i
-      ctx.fillText(lng.toFixed(3), x, canvas.height - 10)
-    }
+    document.getElementById("mapLayerList").innerHTML =
+      basemap +
+      this.mapLayers
+        .map(
+          (layer) => `
+            <span class="map-layer-item">
+                <span class="legend-color" style="background: ${layer.color};"></span>
+                ${escapeHtml(this.boundaryIndexes.has(layer.id) ? `${layer.level} (${layer.name})` : layer.name)}
+                <label title="Show this layer"><input type="checkbox" ${layer.visible ? "checked" : ""} onchange="hmpiCalc.toggleMapLayer('${layer.id}', 'visible', this.checked)"> Show</label>
+                ${this.boundaryIndexes.has(layer.id) ? `<label title="Show area names"><input type="checkbox" ${layer.showLabels ? "checked" : ""} onchange="hmpiCalc.toggleMapLayer('${layer.id}', 'showLabels', this.checked)"> Labels</label>` : ""}
+                <button type="button" class="map-layer-remove" onclick="hmpiCalc.removeMapLayer('${layer.id}')" aria-label="Remove ${escapeHtml(layer.name)}">&times;</button>
+            </span>
+        `,
+        )
+        .join("")
 
-    // Title
-    ctx.font = "bold 16px sans-serif"
-    ctx.fillText("Sample Locations", canvas.width / 2, 30)
+    this.renderAreaControls()
+    this.renderSurfaceControls()
   }
 
-  handleMapHover(e) {
-    const rect = this.mapCanvas.getBoundingClientRect()
-    const mouseX = e.clientX - rect.left
-    const mouseY = e.clientY - rect.top
+  // Boundary Areas
+  indexBoundaryLayer(layer) {
+    const index = createBoundaryIndex(layer.geojson, layer.nameProperty)
+    if (index.length > 0) this.boundaryIndexes.set(layer.id, index)
+  }
 
-    const samplesWithCoords = this.results.filter((r) => r.latitude && r.longitude && r._mapX && r._mapY)
+  // Layers with polygons, in the order they were added (e.g. State, District, Block)
+  getBoundaryLayers() {
+    return this.mapLayers.filter((layer) => this.boundaryIndexes.has(layer.id))
+  }
 
-    for (const result of samplesWithCoords) {
-      const distance = Math.sqrt(Math.pow(mouseX - result._mapX, 2) + Math.pow(mouseY - result._mapY, 2))
+  // Name of the area of a boundary layer that contains the result, or null without coordinates or outside
+  getResultArea(result, layerId) {
+    const index = this.boundaryIndexes.get(layerId)
+    if (!index || !result.latitude || !result.longitude) return null
+    return findContainingArea(index, result.longitude, result.latitude)
+  }
 
-      if (distance <= 12) {
-        this.showMapTooltip(e, result)
-        return
-      }
-    }
+  // "District: Varanasi, Block: Sewapuri" for details and tooltips
+  describeAreas(result) {
+    return this.getBoundaryLayers()
+      .map((layer) => {
+        const area = this.getResultArea(result, layer.id)
+        return area ? `${layer.level}: ${area}` : ""
+      })
+      .filter(Boolean)
+      .join(", ")
+  }
 
-    this.hideMapTooltip()
+  // Area filter ("layerId:area name", "layerId:" for samples outside the layer, or "all") and group-by
+  // (a boundary layer id or "none") options for the boundary layers loaded
+  renderAreaControls() {
+    const layers = this.getBoundaryLayers()
+    const areaFilter = document.getElementById("areaFilter")
+    const groupBy = document.getElementById("groupBy")
+    const selectedArea = areaFilter.value || "all"
+    const selectedGroup = groupBy.value || "none"
+
+    areaFilter.innerHTML =
+      '<option value="all">All Areas</option>' +
+      layers
+        .map((layer) => {
+          const names = [...new Set((this.boundaryIndexes.get(layer.id) || []).map((area) => area.name))].sort((a, b) =>
+            a.localeCompare(b),
+          )
+          return `
+            <optgroup label="${escapeHtml(layer.level)}">
+                ${names.map((name) => `<option value="${layer.id}:${escapeHtml(name)}">${escapeHtml(name)}</option>`).join("")}
+                <option value="${layer.id}:">Outside all ${escapeHtml(layer.level)} areas</option>
+            </optgroup>
+          `
+        })
+        .join("")
+    groupBy.innerHTML =
+      '<option value="none">No Grouping</option>' +
+      layers.map((layer) => `<option value="${layer.id}">Group by ${escapeHtml(layer.level)}</option>`).join("")
+
+    areaFilter.value = [...areaFilter.options].some((option) => option.value === selectedArea) ? selectedArea : "all"
+    groupBy.value = [...groupBy.options].some((option) => option.value === selectedGroup) ? selectedGroup : "none"
+    areaFilter.hidden = layers.length === 0
+    groupBy.hidden = layers.length === 0
   }
 
-  showMapTooltip(e, result) {
-    const tooltip = this.mapTooltip
+  // Results within the selected area, for the results table and exports
+  filterByArea(results) {
+    const filter = document.getElementById("areaFilter").value
+    if (!filter || filter === "all") return results
 
-    tooltip.innerHTML = `
-            <strong>${result.name}</strong><br>
-            HMPI: ${result.hmpi.toFixed(2)}<br>
-            Category: ${result.category}<br>
-            Location: ${result.latitude.toFixed(4)}, ${result.longitude.toFixed(4)}
-        `
+    const separator = filter.indexOf(":")
+    const layerId = filter.slice(0, separator)
+    const area = filter.slice(separator + 1) || null
+    return results.filter((result) => this.getResultArea(result, layerId) === area)
+  }
 
-    tooltip.style.left = e.pageX + 10 + "px"
-    tooltip.style.top = e.pageY - 10 + "px"
-    tooltip.style.opacity = "1"
+  // Results in groups of the selected boundary layer: [{ name, results }] in area name order, with results
+  // outside every area last. A single unnamed group when no grouping is selected.
+  groupByArea(results) {
+    const layerId = document.getElementById("groupBy").value
+    if (!layerId || layerId === "none" || !this.boundaryIndexes.has(layerId)) return [{ name: null, results }]
+
+    const groups = new Map()
+    results.forEach((result) => {
+      const area = this.getResultArea(result, layerId)
+      if (!groups.has(area)) groups.set(area, [])
+      groups.get(area).push(result)
+    })
+
+    return [...groups.entries()]
+      .sort(([a], [b]) => (a === null) - (b === null) || (a || "").localeCompare(b || ""))
+      .map(([name, groupResults]) => ({ name, results: groupResults }))
   }
 
-  hideMapTooltip() {
-    this.mapTooltip.style.opacity = "0"
+  // Level name of the selected group-by layer
+  getGroupLevel() {
+    const layer = this.mapLayers.find((candidate) => candidate.id === document.getElementById("groupBy").value)
+    return layer ? layer.level : ""
   }
 
   // Modal Management
@@ -1129,14 +6444,14 @@ class HMPICalculator {
   }
 
   showMetalInfo(metal) {
-    const info = this.metalInfo[metal]
+    const info = getMetal(metal)
     if (!info) return
 
     const modal = document.getElementById("metalInfoModal")
     const title = document.getElementById("metalInfoTitle")
     const body = document.getElementById("metalInfoBody")
 
-    title.textContent = `${info.name} (${metal.toUpperCase()})`
+    title.textContent = `${info.name} (${info.symbol})`
 
     body.innerHTML = `
             <h4>Health Effects</h4>
@@ -1145,8 +6460,16 @@ class HMPICalculator {
             <h4>Common Sources</h4>
             <p>${info.sources}</p>
             
-            <h4>WHO Guideline</h4>
-            <p>${info.limit}</p>
+            <h4>${escapeHtml(this.activeProfile.name)} Limit</h4>
+            <p>${formatLimit(this.activeProfile.limits[metal], info.unit)}</p>
+
+            <h4>Other Standards</h4>
+            <ul>
+                ${this.getProfiles()
+                  .filter((profile) => profile.id !== this.activeProfile.id)
+                  .map((profile) => `<li><strong>${escapeHtml(profile.name)}:</strong> ${formatLimit(profile.limits[metal], info.unit)}</li>`)
+                  .join("")}
+            </ul>
             
             <h4>Additional Information</h4>
             <p>This metal is monitored in groundwater due to its potential health impacts. Regular testing helps ensure water safety for consumption and other uses.</p>
@@ -1159,7 +6482,7 @@ class HMPICalculator {
     const modal = document.getElementById("errorModal")
     const body = document.getElementById("errorModalBody")
 
-    body.innerHTML = `<p>${message}</p>`
+    body.innerHTML = `<p>${escapeHtml(message)}</p>`
     this.showModal("errorModal")
   }
 }
@@ -0,0 +1,71 @@
+// Monitoring Sites
+// Wells and other sampling points of a project. Samples are attached to a site by its id, so repeated
+// visits to the same well form one history. Site IDs (codes) are unique within a project and compared
+// without case or surrounding spaces.
+
+const SITE_TYPES = [
+  { id: "hand-pump", label: "Hand pump" },
+  { id: "tube-well", label: "Tube well" },
+  { id: "dug-well", label: "Dug well" },
+  { id: "other", label: "Other" },
+]
+
+function getSiteTypeLabel(id) {
+  const type = SITE_TYPES.find((candidate) => candidate.id === id)
+  return type ? type.label : ""
+}
+
+function createSiteRecord(code, fields = {}) {
+  return {
+    id: `site-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    code: code.trim(),
+    name: "",
+    type: "",
+    depth: null,
+    aquifer: "",
+    latitude: null,
+    longitude: null,
+    ...fields,
+    createdAt: new Date().toISOString(),
+  }
+}
+
+// Site whose ID, or failing that whose name, matches the text (as typed on a form or found in a file)
+function findSiteByLabel(sites, text) {
+  const label = String(text ?? "").trim().toLowerCase()
+  if (!label) return null
+
+  return (
+    sites.find((site) => site.code.toLowerCase() === label) ||
+    sites.find((site) => site.name && site.name.trim().toLowerCase() === label) ||
+    null
+  )
+}
+
+// Minimum, mean and maximum of the values that are not null, or null when there are none
+function summarizeValues(values) {
+  const present = values.filter((value) => value !== null && value !== undefined)
+  if (present.length === 0) return null
+
+  return {
+    count: present.length,
+    min: Math.min(...present),
+    mean: present.reduce((sum, value) => sum + value, 0) / present.length,
+    max: Math.max(...present),
+  }
+}
+
+// The most recent result of every site, in the original order; results without a site are all kept.
+// Undated results count as older than dated ones, and among equal dates the one added last wins.
+function selectLatestPerSite(results) {
+  const time = (result) => (result.sampledAt ? samplingTimestamp(result.sampledAt) : -Infinity)
+  const latest = new Map()
+
+  results.forEach((result) => {
+    if (!result.siteId) return
+    const current = latest.get(result.siteId)
+    if (!current || time(result) >= time(current)) latest.set(result.siteId, result)
+  })
+
+  return results.filter((result) => !result.siteId || latest.get(result.siteId) === result)
+}
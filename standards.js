@@ -0,0 +1,36 @@
+// Drinking Water Standards Profiles
+// Built-in regulatory profiles. Limits (mg/L) come from the metal registry (see metals.js); every limit has an
+// acceptable and a permissible value, and where a standard publishes a single guideline value both are the same.
+
+const DEFAULT_STANDARDS_PROFILE = "who-2022"
+
+const BUILTIN_STANDARDS_PROFILES = [
+  {
+    id: "bis-10500",
+    name: "BIS IS 10500:2012",
+    version: "IS 10500:2012 (Second Revision) with amendments",
+  },
+  {
+    id: "who-2022",
+    name: "WHO",
+    version: "Guidelines for Drinking-water Quality, 4th ed. with 1st and 2nd addenda (2022)",
+  },
+  {
+    id: "us-epa",
+    name: "US EPA",
+    version: "National Primary and Secondary Drinking Water Regulations",
+  },
+].map((profile) => {
+  const limits = {}
+  METAL_REGISTRY.forEach((metal) => {
+    if (metal.standards[profile.id]) limits[metal.key] = metal.standards[profile.id]
+  })
+
+  return { ...profile, builtIn: true, limits: limits }
+})
+
+function formatLimit(limit, unit = "mg/L") {
+  if (!limit) return "No limit defined"
+  if (limit.acceptable === limit.permissible) return `${limit.permissible} ${unit}`
+  return `${limit.acceptable} ${unit} acceptable, ${limit.permissible} ${unit} permissible`
+}
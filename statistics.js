@@ -0,0 +1,280 @@
+// Multivariate Statistics
+// Descriptive statistics, Pearson and Spearman correlation with their significance, and principal component
+// analysis (PCA) of the metal concentrations. Metals that correlate strongly or load on the same component
+// usually share a source. Box plot and histogram summaries feed the per-metal charts. Every function takes
+// plain arrays of numbers; missing values are left out first.
+
+const STAT_PERCENTILES = [10, 25, 75, 90, 95]
+
+const CORRELATION_METHODS = [
+  { id: "pearson", label: "Pearson" },
+  { id: "spearman", label: "Spearman" },
+]
+
+// Percentile of sorted values by linear interpolation between order statistics (Excel's PERCENTILE.INC)
+function getPercentile(sorted, percent) {
+  const position = ((sorted.length - 1) * percent) / 100
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+// Count, range, mean, median, sample standard deviation and STAT_PERCENTILES, or null without values
+function describeValues(values) {
+  if (values.length === 0) return null
+
+  const sorted = values.slice().sort((a, b) => a - b)
+  const n = sorted.length
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / n
+  const variance = n > 1 ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1) : 0
+
+  return {
+    count: n,
+    min: sorted[0],
+    max: sorted[n - 1],
+    mean: mean,
+    median: getPercentile(sorted, 50),
+    sd: Math.sqrt(variance),
+    percentiles: Object.fromEntries(STAT_PERCENTILES.map((percent) => [percent, getPercentile(sorted, percent)])),
+  }
+}
+
+// Ranks from 1, tied values sharing the mean of their ranks
+function getRanks(values) {
+  const order = values.map((value, index) => index).sort((a, b) => values[a] - values[b])
+  const ranks = new Array(values.length)
+
+  for (let start = 0; start < order.length; ) {
+    let end = start
+    while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++
+    for (let position = start; position <= end; position++) ranks[order[position]] = (start + end) / 2 + 1
+    start = end + 1
+  }
+
+  return ranks
+}
+
+// Pearson's r, or null when either variable is constant
+function pearsonCorrelation(x, y) {
+  const n = x.length
+  const meanX = x.reduce((sum, value) => sum + value, 0) / n
+  const meanY = y.reduce((sum, value) => sum + value, 0) / n
+  let sumXY = 0
+  let sumXX = 0
+  let sumYY = 0
+
+  for (let i = 0; i < n; i++) {
+    sumXY += (x[i] - meanX) * (y[i] - meanY)
+    sumXX += (x[i] - meanX) ** 2
+    sumYY += (y[i] - meanY) ** 2
+  }
+
+  return sumXX > 0 && sumYY > 0 ? sumXY / Math.sqrt(sumXX * sumYY) : null
+}
+
+// Spearman's rho: Pearson's r of the ranks, which handles ties
+function spearmanCorrelation(x, y) {
+  return pearsonCorrelation(getRanks(x), getRanks(y))
+}
+
+// Natural logarithm of the gamma function (Lanczos approximation, g = 7)
+function logGamma(x) {
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+  ]
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x)
+
+  const shifted = x - 1
+  let sum = coefficients[0]
+  for (let i = 1; i < coefficients.length; i++) sum += coefficients[i] / (shifted + i)
+  const t = shifted + 7.5
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum)
+}
+
+// Continued fraction of the incomplete beta function (modified Lentz's method)
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-30
+  let c = 1
+  let d = 1 - ((a + b) * x) / (a + 1)
+  d = 1 / (Math.abs(d) < tiny ? tiny : d)
+  let result = d
+
+  for (let m = 1; m <= 200; m++) {
+    for (const numerator of [
+      (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m)),
+      (-(a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1)),
+    ]) {
+      d = 1 + numerator * d
+      d = 1 / (Math.abs(d) < tiny ? tiny : d)
+      c = 1 + numerator / c
+      if (Math.abs(c) < tiny) c = tiny
+      result *= c * d
+    }
+    if (Math.abs(c * d - 1) < 1e-12) break
+  }
+
+  return result
+}
+
+// Regularised incomplete beta function I_x(a, b)
+function incompleteBeta(a, b, x) {
+  if (x <= 0) return 0
+  if (x >= 1) return 1
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x))
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b
+}
+
+// Two-sided p-value of a correlation coefficient from n pairs, tested with t = r √((n − 2) / (1 − r²)) on
+// n − 2 degrees of freedom; null for fewer than 3 pairs
+function correlationPValue(r, n) {
+  if (r === null || n < 3) return null
+  if (Math.abs(r) >= 1) return 0
+
+  const df = n - 2
+  const t = r * Math.sqrt(df / (1 - r * r))
+  return incompleteBeta(df / 2, 0.5, df / (df + t * t))
+}
+
+// "**" below 0.01, "*" below 0.05, otherwise ""
+function getSignificanceMarker(pValue) {
+  if (pValue === null) return ""
+  if (pValue < 0.01) return "**"
+  return pValue < 0.05 ? "*" : ""
+}
+
+// Eigenvalues and eigenvectors of a symmetric matrix by cyclic Jacobi rotations, largest eigenvalue first.
+// vectors[k] is the unit eigenvector of values[k].
+function symmetricEigen(matrix) {
+  const n = matrix.length
+  const a = matrix.map((row) => row.slice())
+  const v = matrix.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)))
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let offDiagonal = 0
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q]
+    if (offDiagonal < 1e-20) break
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q])
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+        const c = 1 / Math.sqrt(t * t + 1)
+        const s = t * c
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p]
+          const akq = a[k][q]
+          a[k][p] = c * akp - s * akq
+          a[k][q] = s * akp + c * akq
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k]
+          const aqk = a[q][k]
+          a[p][k] = c * apk - s * aqk
+          a[q][k] = s * apk + c * aqk
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p]
+          const vkq = v[k][q]
+          v[k][p] = c * vkp - s * vkq
+          v[k][q] = s * vkp + c * vkq
+        }
+      }
+    }
+  }
+
+  return a
+    .map((row, k) => ({ value: row[k], vector: v.map((vectorRow) => vectorRow[k]) }))
+    .sort((x, y) => y.value - x.value)
+    .reduce(
+      (result, pair) => {
+        result.values.push(pair.value)
+        result.vectors.push(pair.vector)
+        return result
+      },
+      { values: [], vectors: [] },
+    )
+}
+
+// PCA of the correlation matrix of the observations (rows of variable values, no missing values), so metals
+// with large concentrations do not dominate. Loadings are the correlations of each variable with a component
+// (loadings[variable][component]) and scores the standardised observations projected on the components.
+// Each component is signed so its largest loading is positive.
+function computePCA(rows) {
+  const variableCount = rows[0].length
+  const columns = Array.from({ length: variableCount }, (_, j) => rows.map((row) => row[j]))
+  const stats = columns.map((column) => describeValues(column))
+  const standardised = rows.map((row) => row.map((value, j) => (value - stats[j].mean) / stats[j].sd))
+
+  const correlation = columns.map((x, i) => columns.map((y, j) => (i === j ? 1 : pearsonCorrelation(x, y))))
+  const { values, vectors } = symmetricEigen(correlation)
+  const eigenvalues = values.map((value) => Math.max(0, value))
+  const total = eigenvalues.reduce((sum, value) => sum + value, 0)
+
+  const signedVectors = vectors.map((vector) => {
+    const largest = vector.reduce((best, value) => (Math.abs(value) > Math.abs(best) ? value : best), 0)
+    return largest < 0 ? vector.map((value) => -value) : vector
+  })
+
+  let cumulative = 0
+  return {
+    eigenvalues: eigenvalues,
+    explained: eigenvalues.map((value) => value / total),
+    cumulative: eigenvalues.map((value) => (cumulative += value / total)),
+    loadings: Array.from({ length: variableCount }, (_, j) =>
+      signedVectors.map((vector, k) => vector[j] * Math.sqrt(eigenvalues[k])),
+    ),
+    scores: standardised.map((row) => signedVectors.map((vector) => row.reduce((sum, value, j) => sum + value * vector[j], 0))),
+  }
+}
+
+// Components worth interpreting: eigenvalue above 1 (Kaiser criterion), and at least the first two
+function getRetainedComponents(pca) {
+  return Math.min(pca.eigenvalues.length, Math.max(2, pca.eigenvalues.filter((value) => value > 1).length))
+}
+
+// Strength of a loading as commonly classed for source apportionment (Liu et al., 2003)
+function describeLoading(loading) {
+  const size = Math.abs(loading)
+  if (size > 0.75) return "strong"
+  if (size >= 0.5) return "moderate"
+  return size >= 0.3 ? "weak" : ""
+}
+
+// Quartiles of the values with Tukey's whiskers, which reach the most extreme values within 1.5 × IQR of the
+// box; values beyond them are outliers
+function describeBoxPlot(values) {
+  const sorted = values.slice().sort((a, b) => a - b)
+  const q1 = getPercentile(sorted, 25)
+  const q3 = getPercentile(sorted, 75)
+  const low = q1 - 1.5 * (q3 - q1)
+  const high = q3 + 1.5 * (q3 - q1)
+  const inside = sorted.filter((value) => value >= low && value <= high)
+
+  return {
+    q1: q1,
+    median: getPercentile(sorted, 50),
+    q3: q3,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    lowerWhisker: inside[0],
+    upperWhisker: inside[inside.length - 1],
+    outliers: sorted.filter((value) => value < low || value > high),
+  }
+}
+
+// Number of values in each bin, a value falling in the first bin whose upper bound it does not exceed
+function countInBins(values, upperBounds) {
+  const counts = upperBounds.map(() => 0)
+  values.forEach((value) => {
+    const bin = upperBounds.findIndex((bound) => value <= bound)
+    counts[bin === -1 ? upperBounds.length - 1 : bin]++
+  })
+  return counts
+}
@@ -0,0 +1,91 @@
+// Workspace Storage
+// IndexedDB persistence for projects (samples, results and view settings) and app-wide settings
+
+class WorkspaceStore {
+  constructor(dbName = "hmpi-calculator") {
+    this.dbName = dbName
+    this.version = 1
+    this.db = null
+  }
+
+  open() {
+    if (this.db) return Promise.resolve(this.db)
+
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available in this browser"))
+        return
+      }
+
+      const request = indexedDB.open(this.dbName, this.version)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains("projects")) {
+          db.createObjectStore("projects", { keyPath: "id" })
+        }
+        if (!db.objectStoreNames.contains("settings")) {
+          db.createObjectStore("settings", { keyPath: "key" })
+        }
+      }
+
+      request.onsuccess = () => {
+        this.db = request.result
+        resolve(this.db)
+      }
+      request.onerror = () => reject(request.error)
+      request.onblocked = () => reject(new Error("Workspace database is open in another tab with an older version"))
+    })
+  }
+
+  // Runs a single request against one object store and resolves once the transaction completes
+  async run(storeName, mode, operation) {
+    const db = await this.open()
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode)
+      const request = operation(transaction.objectStore(storeName))
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error || new Error("Storage transaction aborted"))
+    })
+  }
+
+  // Projects
+  async listProjects() {
+    const projects = await this.run("projects", "readonly", (store) => store.getAll())
+
+    return projects
+      .map((project) => ({
+        id: project.id,
+        name: project.name,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt,
+        sampleCount: project.samples.length,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  getProject(id) {
+    return this.run("projects", "readonly", (store) => store.get(id))
+  }
+
+  putProject(project) {
+    return this.run("projects", "readwrite", (store) => store.put(project))
+  }
+
+  deleteProject(id) {
+    return this.run("projects", "readwrite", (store) => store.delete(id))
+  }
+
+  // App-wide settings (current project, etc.)
+  async getSetting(key, fallback = null) {
+    const entry = await this.run("settings", "readonly", (store) => store.get(key))
+    return entry ? entry.value : fallback
+  }
+
+  setSetting(key, value) {
+    return this.run("settings", "readwrite", (store) => store.put({ key, value }))
+  }
+}
@@ -0,0 +1,67 @@
+// Service worker for offline use
+// Caches the application shell; requests go to the network first and fall back to the cache when offline
+
+const CACHE_NAME = "hmpi-shell-v21"
+const SHELL_ASSETS = [
+  "./",
+  "index.html",
+  "style.css",
+  "escape.js",
+  "storage.js",
+  "metals.js",
+  "standards.js",
+  "units.js",
+  "dates.js",
+  "sites.js",
+  "mapview.js",
+  "interpolation.js",
+  "hotspots.js",
+  "geoformats.js",
+  "csv.js",
+  "censoring.js",
+  "qaqc.js",
+  "zip.js",
+  "xlsx.js",
+  "pdf.js",
+  "charts.js",
+  "importer.js",
+  "indices.js",
+  "batch.js",
+  "worker.js",
+  "healthrisk.js",
+  "statistics.js",
+  "script.js",
+]
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL_ASSETS))
+      .then(() => self.skipWaiting()),
+  )
+})
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  )
+})
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        const copy = response.clone()
+        caches.open(CACHE_NAME).then((cache) => cache.put(request, copy))
+        return response
+      })
+      .catch(() => caches.match(request)),
+  )
+})
@@ -0,0 +1,63 @@
+// Concentration Units
+// Units a concentration can be reported in, with the factor that converts each to mg/L, the registry unit
+// (see metals.js). ppm, ppb and ppt are read as mg/L, µg/L and ng/L, which holds for dilute water samples.
+
+const CONCENTRATION_UNITS = [
+  { id: "mg/L", toMgPerL: 1, aliases: ["mg/L", "mg/dm3", "g/m3", "mg per L", "ppm"] },
+  { id: "µg/L", toMgPerL: 0.001, aliases: ["µg/L", "ug/L", "mcg/L", "µg/dm3", "ppb"] },
+  { id: "ng/L", toMgPerL: 0.000001, aliases: ["ng/L", "ppt"] },
+]
+
+// Lowercase letters, digits and µ only, so "µg/L", "μg / l" and "ug_L" compare equal
+function compactUnitText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/μ/g, "µ")
+    .replace(/[^a-z0-9µ]/g, "")
+}
+
+// Compact unit spellings, longest first, for matching the end of a column header
+const UNIT_SUFFIXES = CONCENTRATION_UNITS.flatMap((unit) =>
+  unit.aliases.map((alias) => ({ unit: unit.id, suffix: compactUnitText(alias) })),
+).sort((a, b) => b.suffix.length - a.suffix.length)
+
+function getUnit(id) {
+  return CONCENTRATION_UNITS.find((unit) => unit.id === id)
+}
+
+// Unit id for free text such as "ug/l" or "ppb", or null when the text is not a known concentration unit
+function parseUnit(text) {
+  const compact = compactUnitText(text)
+  if (!compact) return null
+
+  const match = UNIT_SUFFIXES.find((entry) => entry.suffix === compact)
+  return match ? match.unit : null
+}
+
+// Unit named in a column header, either in brackets ("Pb (µg/L)") or as a trailing word ("Cd ppb")
+function detectHeaderUnit(header) {
+  const bracketed = String(header).match(/[([]([^)\]]*)[)\]]/)
+  if (bracketed && parseUnit(bracketed[1])) return parseUnit(bracketed[1])
+
+  const compact = compactUnitText(header)
+  const match = UNIT_SUFFIXES.find((entry) => compact.length > entry.suffix.length && compact.endsWith(entry.suffix))
+  return match ? match.unit : null
+}
+
+// Header with a trailing unit word removed (used to match column names against their aliases)
+function stripUnitSuffix(compactHeader) {
+  const match = UNIT_SUFFIXES.find(
+    (entry) => compactHeader.length > entry.suffix.length && compactHeader.endsWith(entry.suffix),
+  )
+  return match ? compactHeader.slice(0, -match.suffix.length) : compactHeader
+}
+
+function convertConcentration(value, fromUnit, toUnit) {
+  const from = getUnit(fromUnit)
+  const to = getUnit(toUnit)
+  if (!from || !to) {
+    throw new Error(`Unknown concentration unit: ${!from ? fromUnit : toUnit}`)
+  }
+  // Rounded to 12 significant digits so 0.1 µg/L becomes 0.0001 mg/L rather than 0.00010000000000000002
+  return Number(((value * from.toMgPerL) / to.toMgPerL).toPrecision(12))
+}
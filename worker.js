@@ -0,0 +1,21 @@
+// Batch Worker
+// Runs a batch job (see batch.js) off the page. Receives { job, items, options }, posts { progress } with the
+// number of items done after every slice and ends with { results } or { error }. The page cancels a job by
+// terminating the worker.
+
+importScripts("metals.js", "units.js", "dates.js", "csv.js", "censoring.js", "qaqc.js", "importer.js", "indices.js", "batch.js")
+
+self.onmessage = (e) => {
+  const { job, items, options } = e.data
+  const results = []
+
+  try {
+    for (let start = 0; start < items.length; start += BATCH_SLICE_SIZE) {
+      results.push(...runBatchSlice(job, items, options, start))
+      self.postMessage({ progress: results.length })
+    }
+    self.postMessage({ results: results })
+  } catch (error) {
+    self.postMessage({ error: error.message })
+  }
+}
@@ -0,0 +1,261 @@
+// Excel Workbooks (.xlsx)
+// Reads the cell values of every sheet of an Office Open XML workbook and writes simple multi-sheet workbooks
+// with a bold header row, frozen panes and conditional formatting. Built on zip.js and escape.js.
+
+// Elements are looked up by local name in any namespace so Strict OOXML workbooks are read as well
+const XLSX_MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main"
+const XLSX_REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships"
+
+// "A" -> 0, "AB" -> 27
+function columnIndexFromName(name) {
+  let index = 0
+  for (const char of name) {
+    index = index * 26 + (char.charCodeAt(0) - 64)
+  }
+  return index - 1
+}
+
+// 0 -> "A", 27 -> "AB"
+function columnNameFromIndex(index) {
+  let name = ""
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+function parseXml(text) {
+  return new DOMParser().parseFromString(text, "application/xml")
+}
+
+// Resolves a relationship target against the folder of the part that owns the relationships
+function resolvePartPath(base, target) {
+  if (target.startsWith("/")) return target.slice(1)
+
+  const parts = base.split("/").slice(0, -1)
+  target.split("/").forEach((segment) => {
+    if (segment === "..") parts.pop()
+    else if (segment !== ".") parts.push(segment)
+  })
+  return parts.join("/")
+}
+
+// Text of a shared or inline string, including every run of rich text
+function readStringItem(item) {
+  return [...item.getElementsByTagNameNS("*", "t")]
+    .filter((t) => t.parentNode.localName !== "rPh") // phonetic guides are not part of the value
+    .map((t) => t.textContent)
+    .join("")
+}
+
+function readCellValue(cell, sharedStrings) {
+  const type = cell.getAttribute("t") || "n"
+
+  if (type === "inlineStr") {
+    const inline = cell.getElementsByTagNameNS("*", "is")[0]
+    return inline ? readStringItem(inline) : ""
+  }
+
+  const valueNode = cell.getElementsByTagNameNS("*", "v")[0]
+  if (!valueNode) return ""
+  const raw = valueNode.textContent
+
+  if (type === "s") return sharedStrings[Number(raw)] ?? ""
+  if (type === "b") return raw === "1" ? "TRUE" : "FALSE"
+  // Excel may store binary floating point noise such as 1.2999999999999999E-2; print the shortest form
+  if (type === "n" && raw !== "" && !isNaN(Number(raw))) return String(Number(raw))
+  return raw
+}
+
+function readSheetRows(doc, sharedStrings) {
+  const rows = []
+
+  for (const rowNode of doc.getElementsByTagNameNS("*", "row")) {
+    const rowIndex = rowNode.hasAttribute("r") ? Number(rowNode.getAttribute("r")) - 1 : rows.length
+    const row = []
+
+    for (const cell of rowNode.getElementsByTagNameNS("*", "c")) {
+      const reference = cell.getAttribute("r")
+      const column = reference ? columnIndexFromName(reference.replace(/\d+$/, "")) : row.length
+      row[column] = readCellValue(cell, sharedStrings)
+    }
+
+    rows[rowIndex] = Array.from(row, (value) => (value === undefined ? "" : value))
+  }
+
+  return Array.from(rows, (row) => row || [])
+}
+
+// Parses an .xlsx file into { sheets: [{ name, rows }] } where rows are arrays of cell text
+async function readWorkbook(buffer) {
+  const entries = readZip(buffer)
+  const workbookXml = await readZipText(entries, "xl/workbook.xml")
+  if (!workbookXml) {
+    throw new Error("Not an Excel workbook (.xlsx)")
+  }
+
+  const relsXml = await readZipText(entries, "xl/_rels/workbook.xml.rels")
+  const targets = {}
+  if (relsXml) {
+    for (const rel of parseXml(relsXml).getElementsByTagName("Relationship")) {
+      targets[rel.getAttribute("Id")] = resolvePartPath("xl/workbook.xml", rel.getAttribute("Target"))
+    }
+  }
+
+  const sharedXml = await readZipText(entries, "xl/sharedStrings.xml")
+  const sharedStrings = sharedXml
+    ? [...parseXml(sharedXml).getElementsByTagNameNS("*", "si")].map(readStringItem)
+    : []
+
+  const sheets = []
+  const sheetNodes = parseXml(workbookXml).getElementsByTagNameNS("*", "sheet")
+
+  for (const [position, sheetNode] of [...sheetNodes].entries()) {
+    const path = targets[sheetNode.getAttributeNS(XLSX_REL_NS, "id")] || `xl/worksheets/sheet${position + 1}.xml`
+    const sheetXml = await readZipText(entries, path)
+    if (sheetXml === null) continue
+
+    sheets.push({ name: sheetNode.getAttribute("name"), rows: readSheetRows(parseXml(sheetXml), sharedStrings) })
+  }
+
+  if (sheets.length === 0) {
+    throw new Error("The workbook contains no worksheets")
+  }
+
+  return { sheets }
+}
+
+// Excel sheet names: at most 31 characters, none of []:*?/\
+function toSheetName(name) {
+  return name.replace(/[[\]:*?/\\]/g, " ").slice(0, 31)
+}
+
+function writeCell(value, reference, style) {
+  const styleAttr = style ? ` s="${style}"` : ""
+  if (value === null || value === undefined || value === "") return ""
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? `<c r="${reference}"${styleAttr}><v>${value}</v></c>` : ""
+  }
+  return `<c r="${reference}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+}
+
+// sheet: { name, rows, columnWidths?, highlight?: { column, equals } }. The first row is the header; when
+// highlight is given, every data row whose cell in that column equals the value is filled light red.
+function writeSheetXml(sheet) {
+  const width = Math.max(1, ...sheet.rows.map((row) => row.length))
+  const lastCell = `${columnNameFromIndex(width - 1)}${Math.max(1, sheet.rows.length)}`
+
+  const cols = (sheet.columnWidths || [])
+    .map((columnWidth, index) => `<col min="${index + 1}" max="${index + 1}" width="${columnWidth}" customWidth="1"/>`)
+    .join("")
+
+  const rows = sheet.rows
+    .map((row, rowIndex) => {
+      const cells = row
+        .map((value, column) => writeCell(value, `${columnNameFromIndex(column)}${rowIndex + 1}`, rowIndex === 0 ? 1 : 0))
+        .join("")
+      return `<row r="${rowIndex + 1}">${cells}</row>`
+    })
+    .join("")
+
+  let conditional = ""
+  if (sheet.highlight && sheet.rows.length > 1) {
+    const column = columnNameFromIndex(sheet.highlight.column)
+    conditional =
+      `<conditionalFormatting sqref="A2:${lastCell}">` +
+      `<cfRule type="expression" dxfId="0" priority="1"><formula>$${column}2="${escapeXml(sheet.highlight.equals)}"</formula></cfRule>` +
+      "</conditionalFormatting>"
+  }
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    `<worksheet xmlns="${XLSX_MAIN_NS}" xmlns:r="${XLSX_REL_NS}">` +
+    `<dimension ref="A1:${lastCell}"/>` +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    (cols ? `<cols>${cols}</cols>` : "") +
+    `<sheetData>${rows}</sheetData>` +
+    conditional +
+    "</worksheet>"
+  )
+}
+
+// Style 1 is the bold header; differential format 0 is Excel's "light red fill with dark red text"
+const XLSX_STYLES =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  `<styleSheet xmlns="${XLSX_MAIN_NS}">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '<dxfs count="1"><dxf><font><color rgb="FF9C0006"/></font><fill><patternFill><bgColor rgb="FFFFC7CE"/></patternFill></fill></dxf></dxfs>' +
+  "</styleSheet>"
+
+// Builds an .xlsx file from sheets (see writeSheetXml) and returns it as a Blob
+function writeWorkbook(sheets) {
+  const sheetEntries = sheets.map((sheet, index) => ({
+    name: toSheetName(sheet.name),
+    path: `worksheets/sheet${index + 1}.xml`,
+    xml: writeSheetXml(sheet),
+  }))
+
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheetEntries
+          .map(
+            (entry) =>
+              `<Override PartName="/xl/${entry.path}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`,
+          )
+          .join("") +
+        "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      name: "xl/workbook.xml",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<workbook xmlns="${XLSX_MAIN_NS}" xmlns:r="${XLSX_REL_NS}"><sheets>` +
+        sheetEntries
+          .map((entry, index) => `<sheet name="${escapeXml(entry.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`)
+          .join("") +
+        "</sheets></workbook>",
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheetEntries
+          .map(
+            (entry, index) =>
+              `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="${entry.path}"/>`,
+          )
+          .join("") +
+        `<Relationship Id="rId${sheetEntries.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        "</Relationships>",
+    },
+    { name: "xl/styles.xml", data: XLSX_STYLES },
+    ...sheetEntries.map((entry) => ({ name: `xl/${entry.path}`, data: entry.xml })),
+  ]
+
+  return new Blob([createZip(files)], {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  })
+}
@@ -0,0 +1,155 @@
+// ZIP Archives
+// Minimal reader and writer for the zip containers used by .xlsx workbooks and zipped exports. Reading supports
+// stored and deflated entries (inflated with the browser's DecompressionStream); writing stores entries uncompressed.
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// Lists the entries of a zip archive from its central directory: Map of entry name to { method, data }
+// where data is the still-compressed content
+function readZip(buffer) {
+  const bytes = new Uint8Array(buffer)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  // The end of central directory record sits in the last 22 bytes plus an optional comment of up to 64 KB
+  let end = -1
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i
+      break
+    }
+  }
+  if (end < 0) {
+    throw new Error("Not a valid zip archive")
+  }
+
+  const count = view.getUint16(end + 10, true)
+  let offset = view.getUint32(end + 16, true)
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error("ZIP64 archives are not supported")
+  }
+
+  const decoder = new TextDecoder()
+  const entries = new Map()
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error("Corrupt zip central directory")
+    }
+
+    const method = view.getUint16(offset + 10, true)
+    const compressedSize = view.getUint32(offset + 20, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+
+    const dataStart =
+      localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+    entries.set(name, { method, data: bytes.subarray(dataStart, dataStart + compressedSize) })
+
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  return entries
+}
+
+async function readZipEntry(entry) {
+  if (entry.method === 0) return entry.data
+  if (entry.method !== 8) {
+    throw new Error(`Unsupported zip compression method ${entry.method}`)
+  }
+
+  const stream = new Response(entry.data).body.pipeThrough(new DecompressionStream("deflate-raw"))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+async function readZipText(entries, name) {
+  const entry = entries.get(name)
+  return entry ? new TextDecoder().decode(await readZipEntry(entry)) : null
+}
+
+// Builds a zip archive from [{ name, data }] where data is a string (written as UTF-8) or a Uint8Array
+function createZip(files) {
+  const encoder = new TextEncoder()
+  const now = new Date()
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2)
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name)
+    const data = typeof file.data === "string" ? encoder.encode(file.data) : file.data
+    const crc = crc32(data)
+
+    // Shared fields of the local and central headers, starting at "version needed"
+    const common = new DataView(new ArrayBuffer(26))
+    common.setUint16(0, 20, true)
+    common.setUint16(2, 0x0800, true) // UTF-8 file names
+    common.setUint16(4, 0, true) // stored
+    common.setUint16(6, dosTime, true)
+    common.setUint16(8, dosDate, true)
+    common.setUint32(10, crc, true)
+    common.setUint32(14, data.length, true)
+    common.setUint32(18, data.length, true)
+    common.setUint16(22, name.length, true)
+    common.setUint16(24, 0, true)
+
+    const local = new Uint8Array(30 + name.length)
+    new DataView(local.buffer).setUint32(0, 0x04034b50, true)
+    local.set(new Uint8Array(common.buffer), 4)
+    local.set(name, 30)
+    localParts.push(local, data)
+
+    const central = new Uint8Array(46 + name.length)
+    const centralView = new DataView(central.buffer)
+    centralView.setUint32(0, 0x02014b50, true)
+    centralView.setUint16(4, 20, true)
+    central.set(new Uint8Array(common.buffer), 6)
+    centralView.setUint32(42, offset, true)
+    central.set(name, 46)
+    centralParts.push(central)
+
+    offset += local.length + data.length
+  })
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = new Uint8Array(22)
+  const endView = new DataView(end.buffer)
+  endView.setUint32(0, 0x06054b50, true)
+  endView.setUint16(8, files.length, true)
+  endView.setUint16(10, files.length, true)
+  endView.setUint32(12, centralSize, true)
+  endView.setUint32(16, offset, true)
+
+  const parts = [...localParts, ...centralParts, end]
+  const archive = new Uint8Array(offset + centralSize + end.length)
+  let position = 0
+  parts.forEach((part) => {
+    archive.set(part, position)
+    position += part.length
+  })
+
+  return archive
+}